@@ -15,6 +15,14 @@ const connectDB = async () => {
     );
     console.log('✅ Text index created on jobs collection');
 
+    // Jobs used to be deleted by a TTL index on expiresAt; they are now marked expired instead
+    const jobIndexes = await Job.collection.indexes();
+    const ttlIndex = jobIndexes.find(index => index.key.expiresAt && index.expireAfterSeconds !== undefined);
+    if (ttlIndex) {
+      await Job.collection.dropIndex(ttlIndex.name);
+      console.log('✅ Removed job expiry TTL index');
+    }
+
   } catch (error) {
     console.error('❌ Database connection error:', error.message);
     process.exit(1);
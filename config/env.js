@@ -15,9 +15,22 @@ module.exports = {
   STRIPE_WEBHOOK_SECRET: process.env.STRIPE_WEBHOOK_SECRET,
   STRIPE_PUBLISHABLE_KEY: process.env.STRIPE_PUBLISHABLE_KEY,
   
+  // Exchange rates
+  FX_PROVIDER: process.env.FX_PROVIDER || 'static',
+  FX_STATIC_RATES: process.env.FX_STATIC_RATES,
+  FX_CACHE_MINUTES: process.env.FX_CACHE_MINUTES || 60,
+  REPORTING_CURRENCY: process.env.REPORTING_CURRENCY || 'CAD',
+  
   // JWT
   JWT_SECRET: process.env.JWT_SECRET || 'raza-home-quote-secret-key',
-  JWT_EXPIRE: process.env.JWT_EXPIRE || '30d',
+  // Access tokens are short-lived; sessions are kept alive with refresh tokens
+  JWT_EXPIRE: process.env.JWT_EXPIRE || '15m',
+  REFRESH_TOKEN_DAYS: process.env.REFRESH_TOKEN_DAYS || 7,
+  REFRESH_TOKEN_REMEMBER_DAYS: process.env.REFRESH_TOKEN_REMEMBER_DAYS || 30,
+  
+  // Two-factor authentication; the key encrypts TOTP secrets (defaults to JWT_SECRET)
+  TWO_FACTOR_ENCRYPTION_KEY: process.env.TWO_FACTOR_ENCRYPTION_KEY,
+  TWO_FACTOR_ISSUER: process.env.TWO_FACTOR_ISSUER || 'Raza Home Quote Connect',
   
   // OTP
   OTP_EXPIRE_MINUTES: process.env.OTP_EXPIRE_MINUTES || 10,
@@ -28,5 +41,7 @@ module.exports = {
   EMAIL_PASS: process.env.EMAIL_PASS,
   
   // App
+  // Public base URL for links handed to other apps (calendar feeds); defaults to the request host
+  API_BASE_URL: process.env.API_BASE_URL,
   NODE_ENV: process.env.NODE_ENV || 'development'
 };
\ No newline at end of file
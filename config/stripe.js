@@ -52,7 +52,7 @@ const createAccountLink = async (accountId, refreshUrl, returnUrl) => {
 };
 
 // Create payment intent
-const createPaymentIntent = async (amount, currency = 'usd', metadata = {}) => {
+const createPaymentIntent = async (amount, currency = 'cad', metadata = {}) => {
   try {
     // Accept amount in dollars (e.g. 9.99) or cents (integer).
     // Convert to integer cents for Stripe if a non-integer is provided.
@@ -73,7 +73,7 @@ const createPaymentIntent = async (amount, currency = 'usd', metadata = {}) => {
 
     const paymentIntent = await stripe.paymentIntents.create({
       amount: amountInCents,
-      currency,
+      currency: currency.toLowerCase(),
       automatic_payment_methods: {
         enabled: true,
       },
@@ -88,11 +88,11 @@ const createPaymentIntent = async (amount, currency = 'usd', metadata = {}) => {
 };
 
 // Transfer funds to provider
-const transferToProvider = async (amount, destinationAccount, metadata = {}) => {
+const transferToProvider = async (amount, destinationAccount, metadata = {}, currency = 'cad') => {
   try {
     const transfer = await stripe.transfers.create({
       amount: Math.round(amount * 100),
-      currency: 'usd',
+      currency: currency.toLowerCase(),
       destination: destinationAccount,
       metadata,
     });
@@ -105,11 +105,11 @@ const transferToProvider = async (amount, destinationAccount, metadata = {}) =>
 };
 
 // Create payout
-const createPayout = async (amount, stripeAccountId) => {
+const createPayout = async (amount, stripeAccountId, currency = 'cad') => {
   try {
     const payout = await stripe.payouts.create({
       amount: Math.round(amount * 100),
-      currency: 'usd',
+      currency: currency.toLowerCase(),
     }, {
       stripeAccount: stripeAccountId,
     });
@@ -121,6 +121,85 @@ const createPayout = async (amount, stripeAccountId) => {
   }
 };
 
+// Billing interval for each subscription plan type
+const PLAN_INTERVALS = {
+  monthly: { interval: 'month', interval_count: 1 },
+  '6months': { interval: 'month', interval_count: 6 },
+  yearly: { interval: 'year', interval_count: 1 }
+};
+
+// Create a Stripe customer so cards can be saved for renewals
+const createCustomer = async (user) => {
+  try {
+    return await stripe.customers.create({
+      email: user.email,
+      name: user.fullName,
+      metadata: { userId: user._id.toString() }
+    });
+  } catch (error) {
+    console.error('Stripe customer creation error:', error);
+    throw new Error(`Failed to create customer: ${error.message}`);
+  }
+};
+
+// Create a recurring price for a subscription plan (prices are immutable,
+// so a plan gets a new one whenever its price changes)
+const createPlanPrice = async (plan, amount, productId) => {
+  try {
+    const product = productId || (await stripe.products.create({
+      name: plan.name,
+      metadata: { subscriptionId: plan._id.toString() }
+    })).id;
+
+    return await stripe.prices.create({
+      product,
+      unit_amount: Math.round(amount * 100),
+      currency: plan.currency.toLowerCase(),
+      recurring: PLAN_INTERVALS[plan.type] || PLAN_INTERVALS.monthly,
+      metadata: { subscriptionId: plan._id.toString() }
+    });
+  } catch (error) {
+    console.error('Stripe price creation error:', error);
+    throw new Error(`Failed to create plan price: ${error.message}`);
+  }
+};
+
+// Start a recurring subscription. The first invoice is paid on the client
+// with the returned confirmation secret; the card is then saved for renewals.
+const createBillingSubscription = async (customerId, priceId, metadata = {}) => {
+  try {
+    return await stripe.subscriptions.create({
+      customer: customerId,
+      items: [{ price: priceId }],
+      payment_behavior: 'default_incomplete',
+      payment_settings: { save_default_payment_method: 'on_subscription' },
+      expand: ['latest_invoice.confirmation_secret'],
+      metadata
+    });
+  } catch (error) {
+    console.error('Stripe subscription creation error:', error);
+    throw new Error(`Failed to create subscription: ${error.message}`);
+  }
+};
+
+const updateBillingSubscription = async (subscriptionId, params) => {
+  try {
+    return await stripe.subscriptions.update(subscriptionId, params);
+  } catch (error) {
+    console.error('Stripe subscription update error:', error);
+    throw new Error(`Failed to update subscription: ${error.message}`);
+  }
+};
+
+const cancelBillingSubscription = async (subscriptionId) => {
+  try {
+    return await stripe.subscriptions.cancel(subscriptionId);
+  } catch (error) {
+    console.error('Stripe subscription cancel error:', error);
+    throw new Error(`Failed to cancel subscription: ${error.message}`);
+  }
+};
+
 module.exports = {
   stripe,
   createConnectAccount,
@@ -128,4 +207,9 @@ module.exports = {
   createPaymentIntent,
   transferToProvider,
   createPayout,
+  createCustomer,
+  createPlanPrice,
+  createBillingSubscription,
+  updateBillingSubscription,
+  cancelBillingSubscription
 };
\ No newline at end of file
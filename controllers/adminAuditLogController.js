@@ -0,0 +1,75 @@
+// controllers/adminAuditLogController.js
+const mongoose = require('mongoose');
+const { listAuditLogs, exportAuditLogsCsv } = require('../utils/auditLog');
+
+const FILTERS = ['actor', 'action', 'targetType', 'targetId', 'from', 'to', 'search'];
+
+// Returns an error message, or null when the filters are usable
+const validateFilters = (query) => {
+  if (query.actor && !mongoose.isValidObjectId(query.actor)) return 'Invalid actor id';
+  for (const field of ['from', 'to']) {
+    if (query[field] && Number.isNaN(new Date(query[field]).getTime())) return `Invalid ${field} date`;
+  }
+  return null;
+};
+
+// @desc    List audit log entries
+// @route   GET /api/admin/audit-logs
+// @access  Private (Admin only)
+const getAuditLogs = async (req, res) => {
+  try {
+    const invalid = validateFilters(req.query);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    const { page, limit } = req.query;
+    const filters = Object.fromEntries(FILTERS.map(field => [field, req.query[field]]));
+    const data = await listAuditLogs({ ...filters, page, limit });
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit logs',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Export audit log entries as CSV
+// @route   GET /api/admin/audit-logs/export
+// @access  Private (Admin only)
+const exportAuditLogs = async (req, res) => {
+  try {
+    const invalid = validateFilters(req.query);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    const filters = Object.fromEntries(FILTERS.map(field => [field, req.query[field]]));
+    const csv = await exportAuditLogsCsv(filters);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.status(200).send(csv);
+
+  } catch (error) {
+    console.error('Export audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting audit logs',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+  exportAuditLogs
+};
@@ -3,6 +3,7 @@ const BackgroundCheck = require('../models/BackgroundCheck');
 const User = require('../models/User');
 const { successResponse, errorResponse } = require('../utils/response');
 const Notification = require('../models/Notification');
+const { recordAudit } = require('../utils/auditLog');
 
 /**
  * @desc    Get all background checks with filters (Admin)
@@ -121,6 +122,8 @@ const approveBackgroundCheck = async (req, res) => {
       return errorResponse(res, 'Background check is already approved', 400);
     }
 
+    const previousStatus = backgroundCheck.status;
+
     // Update background check
     backgroundCheck.status = 'approved';
     backgroundCheck.reviewedBy = adminId;
@@ -130,6 +133,16 @@ const approveBackgroundCheck = async (req, res) => {
 
     await backgroundCheck.save();
 
+    await recordAudit(req, {
+      action: 'background_checks.approve',
+      targetType: 'BackgroundCheck',
+      targetId: backgroundCheck._id,
+      before: { status: previousStatus },
+      after: { status: backgroundCheck.status },
+      reason: reviewNotes,
+      metadata: { provider: backgroundCheck.provider }
+    });
+
     // Update provider's background check status
     await User.findByIdAndUpdate(backgroundCheck.provider, {
       backgroundCheckStatus: 'approved',
@@ -201,6 +214,8 @@ const rejectBackgroundCheck = async (req, res) => {
     //   return errorResponse(res, 'Cannot reject an approved background check', 400);
     // }
 
+    const previousStatus = backgroundCheck.status;
+
     // Update background check
     backgroundCheck.status = 'rejected';
     backgroundCheck.reviewedBy = adminId;
@@ -210,6 +225,16 @@ const rejectBackgroundCheck = async (req, res) => {
 
     await backgroundCheck.save();
 
+    await recordAudit(req, {
+      action: 'background_checks.reject',
+      targetType: 'BackgroundCheck',
+      targetId: backgroundCheck._id,
+      before: { status: previousStatus },
+      after: { status: backgroundCheck.status },
+      reason: rejectionReason,
+      metadata: { provider: backgroundCheck.provider }
+    });
+
     // Update provider's background check status
     await User.findByIdAndUpdate(backgroundCheck.provider, {
       backgroundCheckStatus: 'rejected'
@@ -281,6 +306,8 @@ const requestResubmission = async (req, res) => {
       return errorResponse(res, 'Cannot request resubmission for approved background check', 400);
     }
 
+    const previousStatus = backgroundCheck.status;
+
     // Update background check
     backgroundCheck.status = 'resubmission_required';
     backgroundCheck.reviewedBy = adminId;
@@ -290,6 +317,16 @@ const requestResubmission = async (req, res) => {
 
     await backgroundCheck.save();
 
+    await recordAudit(req, {
+      action: 'background_checks.request_resubmission',
+      targetType: 'BackgroundCheck',
+      targetId: backgroundCheck._id,
+      before: { status: previousStatus },
+      after: { status: backgroundCheck.status },
+      reason: reason,
+      metadata: { provider: backgroundCheck.provider }
+    });
+
     // Populate for response
     const populatedCheck = await BackgroundCheck.findById(backgroundCheck._id)
       .populate('provider', 'name email phone photo')
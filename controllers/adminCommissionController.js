@@ -0,0 +1,232 @@
+// controllers/adminCommissionController.js
+const CommissionRule = require('../models/CommissionRule');
+const Job = require('../models/Job');
+const { resolveCommission, applyCommission } = require('../utils/commission');
+
+const RULE_FIELDS = ['name', 'scope', 'category', 'planType', 'provider', 'rate', 'startsAt', 'endsAt', 'isActive', 'notes'];
+
+// Pick the editable fields from a request body
+const pickRuleFields = (body) => {
+  const fields = {};
+  RULE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Respond with the first schema validation message, if any
+const sendValidationError = (res, error) => {
+  if (error.name !== 'ValidationError') return false;
+  res.status(400).json({
+    success: false,
+    message: Object.values(error.errors)[0].message
+  });
+  return true;
+};
+
+// @desc    Get commission rules
+// @route   GET /api/admin/payments/commission-rules
+// @access  Private (Admin only)
+const getCommissionRules = async (req, res) => {
+  try {
+    const { scope, isActive, category, provider } = req.query;
+
+    const filter = {};
+    if (scope) filter.scope = scope;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (category) filter.category = category;
+    if (provider) filter.provider = provider;
+
+    const rules = await CommissionRule.find(filter)
+      .populate('category', 'title')
+      .populate('provider', 'fullName email businessName')
+      .populate('createdBy', 'fullName')
+      .populate('updatedBy', 'fullName')
+      .sort({ scope: 1, createdAt: -1 });
+
+    const now = new Date();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rules: rules.map(rule => ({
+          ...rule.toObject(),
+          inEffect: rule.isInEffect(now)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get commission rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching commission rules',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create commission rule
+// @route   POST /api/admin/payments/commission-rules
+// @access  Private (Admin only)
+const createCommissionRule = async (req, res) => {
+  try {
+    const rule = await CommissionRule.create({
+      ...pickRuleFields(req.body),
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Commission rule created successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    if (sendValidationError(res, error)) return;
+    console.error('Create commission rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating commission rule',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update commission rule
+// @route   PUT /api/admin/payments/commission-rules/:id
+// @access  Private (Admin only)
+const updateCommissionRule = async (req, res) => {
+  try {
+    const rule = await CommissionRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commission rule not found'
+      });
+    }
+
+    rule.set(pickRuleFields(req.body));
+    rule.updatedBy = req.user._id;
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Commission rule updated successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    if (sendValidationError(res, error)) return;
+    console.error('Update commission rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating commission rule',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete commission rule
+// @route   DELETE /api/admin/payments/commission-rules/:id
+// @access  Private (Admin only)
+const deleteCommissionRule = async (req, res) => {
+  try {
+    // Transactions keep their own snapshot, so removing a rule never changes past payments
+    const rule = await CommissionRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commission rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Commission rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete commission rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting commission rule',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Preview the commission that would apply to a job
+// @route   GET /api/admin/payments/commission-rules/preview?jobId=&providerId=&amount=
+// @access  Private (Admin only)
+const previewCommission = async (req, res) => {
+  try {
+    const { jobId, providerId, amount } = req.query;
+
+    if (!jobId) {
+      return res.status(400).json({
+        success: false,
+        message: 'jobId is required'
+      });
+    }
+
+    const job = await Job.findById(jobId)
+      .populate('serviceCategory', 'title')
+      .populate('acceptedQuote', 'provider price');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    // Default to whoever is doing (or was booked for) the job
+    const provider = providerId || job.acceptedQuote?.provider || job.provider;
+    const commission = await resolveCommission({
+      providerId: provider,
+      categoryId: job.serviceCategory?._id
+    });
+
+    const previewAmount = amount !== undefined ? Number(amount) : job.acceptedQuote?.price;
+    const split = previewAmount ? applyCommission(previewAmount, commission) : null;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        job: {
+          _id: job._id,
+          title: job.title,
+          serviceCategory: job.serviceCategory
+        },
+        provider,
+        planType: commission.planType,
+        defaultRate: commission.defaultRate,
+        rate: commission.ratePercent,
+        source: commission.source,
+        rule: commission.rule,
+        ruleName: commission.ruleName,
+        matchedRules: commission.matchedRules,
+        breakdown: split && {
+          amount: previewAmount,
+          platformCommission: split.platformCommission,
+          providerAmount: split.providerAmount
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Preview commission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error previewing commission',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getCommissionRules,
+  createCommissionRule,
+  updateCommissionRule,
+  deleteCommissionRule,
+  previewCommission
+};
@@ -4,6 +4,16 @@ const Job = require('../models/Job');
 const Transaction = require('../models/Transaction');
 const SupportTicket = require('../models/SupportTicket');
 const Category = require('../models/Category');
+const {
+  RESTRICTIONS,
+  activeRestrictions,
+  formatRestriction,
+  durationEnd,
+  restrictUser,
+  liftRestriction,
+  liftAccountLocks
+} = require('../utils/restrictions');
+const { recordAudit } = require('../utils/auditLog');
 
 // @desc    Get admin dashboard statistics
 // @route   GET /api/admin/dashboard
@@ -242,21 +252,26 @@ const toggleUserBlock = async (req, res) => {
       });
     }
 
-    user.isBlocked = block;
-    await user.save();
+    const wasBlocked = user.isBlocked;
 
-    // Notify user if they're online
-    if (req.app.get('io')) {
-       const { sendNotification } = require('../socket/notificationHandler');
-      sendNotification(req.app.get('io'), user._id, {
-        type: block ? 'account_blocked' : 'account_unblocked',
-        title: block ? 'Account Blocked' : 'Account Unblocked',
-        message: block ? 
-          'Your account has been blocked. Please contact support.' :
-          'Your account has been unblocked. You can now use the platform again.'
-      });
+    // Blocking is an indefinite suspension, which signs the user out
+    // everywhere. Unblocking lifts any suspension or ban.
+    if (block && !wasBlocked) {
+      await restrictUser(user, { type: 'suspension', reason: req.body.reason, imposedBy: req.user._id }, { io: req.app.get('io') });
+    } else if (!block) {
+      await liftAccountLocks(user, { liftedBy: req.user._id, reason: req.body.reason, io: req.app.get('io') });
     }
 
+    await recordAudit(req, {
+      action: block ? 'users.block' : 'users.unblock',
+      targetType: 'User',
+      targetId: user._id,
+      targetLabel: user.email,
+      before: { isBlocked: wasBlocked },
+      after: { isBlocked: user.isBlocked },
+      reason: req.body.reason
+    });
+
     res.status(200).json({
       success: true,
       message: `User ${block ? 'blocked' : 'unblocked'} successfully`,
@@ -273,6 +288,166 @@ const toggleUserBlock = async (req, res) => {
   }
 };
 
+// Admin view of a restriction, with who imposed and lifted it
+const formatRestrictionForAdmin = (restriction) => ({
+  ...formatRestriction(restriction),
+  imposedBy: restriction.imposedBy,
+  liftedBy: restriction.liftedBy,
+  report: restriction.report
+});
+
+// @desc    Get a user's active restrictions and restriction history
+// @route   GET /api/admin/users/:id/restrictions
+// @access  Private (Admin only)
+const getUserRestrictions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select('fullName email role isBlocked restrictions')
+      .populate('restrictions.imposedBy restrictions.liftedBy', 'fullName email');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        isBlocked: user.isBlocked,
+        active: activeRestrictions(user).map(formatRestrictionForAdmin),
+        history: [...user.restrictions].reverse().map(formatRestrictionForAdmin),
+        types: Object.entries(RESTRICTIONS).map(([type, { label }]) => ({ type, label }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user restrictions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user restrictions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Suspend, ban or partially restrict a user
+// @route   POST /api/admin/users/:id/restrictions
+// @access  Private (Admin only)
+const addUserRestriction = async (req, res) => {
+  try {
+    const { type, reason, endsAt, duration } = req.body;
+
+    if (!type || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Restriction type and reason are required'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const wasBlocked = user.isBlocked;
+    let restriction;
+    try {
+      restriction = await restrictUser(user, {
+        type,
+        reason,
+        endsAt: endsAt || durationEnd(duration),
+        imposedBy: req.user._id
+      }, { io: req.app.get('io') });
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    await recordAudit(req, {
+      action: 'users.restrict',
+      targetType: 'User',
+      targetId: user._id,
+      targetLabel: user.email,
+      before: { isBlocked: wasBlocked },
+      after: { isBlocked: user.isBlocked },
+      reason,
+      metadata: { restriction: formatRestriction(restriction) }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${RESTRICTIONS[type].label} for ${user.fullName}`,
+      data: { restriction: formatRestrictionForAdmin(restriction) }
+    });
+
+  } catch (error) {
+    console.error('Add user restriction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restricting user',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Lift a user's restriction before it ends
+// @route   DELETE /api/admin/users/:id/restrictions/:restrictionId
+// @access  Private (Admin only)
+const liftUserRestriction = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const wasBlocked = user.isBlocked;
+    let restriction;
+    try {
+      restriction = await liftRestriction(user, req.params.restrictionId, {
+        liftedBy: req.user._id,
+        reason: req.body?.reason,
+        io: req.app.get('io')
+      });
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    await recordAudit(req, {
+      action: 'users.lift_restriction',
+      targetType: 'User',
+      targetId: user._id,
+      targetLabel: user.email,
+      before: { isBlocked: wasBlocked },
+      after: { isBlocked: user.isBlocked },
+      reason: req.body?.reason,
+      metadata: { restriction: formatRestriction(restriction) }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Restriction lifted',
+      data: { restriction: formatRestrictionForAdmin(restriction), isBlocked: user.isBlocked }
+    });
+
+  } catch (error) {
+    console.error('Lift user restriction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error lifting restriction',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Verify provider documents
 // @route   PUT /api/admin/providers/:id/verify
 // @access  Private (Admin only)
@@ -300,6 +475,13 @@ const verifyProvider = async (req, res) => {
       });
     }
 
+    const verificationSnapshot = () => ({
+      verificationStatus: provider.verificationStatus,
+      businessLicense: provider.verificationDocuments?.businessLicense?.status,
+      certificate: provider.verificationDocuments?.certificate?.status
+    });
+    const before = verificationSnapshot();
+
     if (status === 'verified') {
       provider.verificationStatus = 'verified';
       // Credits are no longer given upon verification (admin can manually adjust if needed)
@@ -332,6 +514,16 @@ const verifyProvider = async (req, res) => {
 
     await provider.save();
 
+    await recordAudit(req, {
+      action: 'providers.verify',
+      targetType: 'User',
+      targetId: provider._id,
+      targetLabel: provider.email,
+      before,
+      after: verificationSnapshot(),
+      reason: notes
+    });
+
     // Notify provider
     if (req.app.get('io')) {
    const { sendNotification } = require('../socket/notificationHandler');
@@ -463,6 +655,9 @@ module.exports = {
   getDashboardStats,
   getUsers,
   toggleUserBlock,
+  getUserRestrictions,
+  addUserRestriction,
+  liftUserRestriction,
   verifyProvider,
   getProviders
 };
\ No newline at end of file
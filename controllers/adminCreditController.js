@@ -3,6 +3,7 @@ const User = require('../models/User');
 const CreditActivity = require('../models/CreditActivity');
 const SystemSettings = require('../models/SystemSettings');
 const { success, error } = require('../utils/response');
+const { recordAudit } = require('../utils/auditLog');
 
 // @desc    Get system credit settings
 // @route   GET /api/admin/credits/settings
@@ -141,6 +142,17 @@ const adjustUserCredits = async (req, res) => {
         adjustedAt: new Date()
       }
     });
+
+    await recordAudit(req, {
+      action: 'credits.adjust',
+      targetType: 'User',
+      targetId: user._id,
+      targetLabel: user.email,
+      before: { credits: previousBalance },
+      after: { credits: newBalance },
+      reason,
+      metadata: { creditChange, type }
+    });
     
     return res.status(200).json({
       success: true,
@@ -296,6 +308,17 @@ const bulkAdjustCredits = async (req, res) => {
             bulkOperation: true
           }
         });
+
+        await recordAudit(req, {
+          action: 'credits.bulk_adjust',
+          targetType: 'User',
+          targetId: user._id,
+          targetLabel: user.email,
+          before: { credits: previousBalance },
+          after: { credits: newBalance },
+          reason,
+          metadata: { creditChange }
+        });
         
         results.successful.push({
           userId,
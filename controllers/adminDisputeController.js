@@ -0,0 +1,288 @@
+// controllers/adminDisputeController.js
+const Dispute = require('../models/Dispute');
+const { sendNotification } = require('../socket/notificationHandler');
+const { OPEN_DISPUTE_STATUSES, resolveDispute: applyRuling } = require('../utils/disputes');
+
+// @desc    Get all disputes with filtering
+// @route   GET /api/admin/disputes
+// @access  Private (Admin only)
+const getDisputes = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      source,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (source) filter.source = source;
+
+    const sortOptions = {};
+    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+    const disputes = await Dispute.find(filter)
+      .populate('job', 'title status')
+      .populate('transaction', 'amount status escrow paymentMethod')
+      .populate('client', 'fullName email profilePhoto')
+      .populate('provider', 'fullName email businessName profilePhoto')
+      .select('-timeline')
+      .sort(sortOptions)
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Dispute.countDocuments(filter);
+
+    const statusCounts = await Dispute.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        disputes,
+        statusCounts,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalDisputes: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching disputes',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get dispute details
+// @route   GET /api/admin/disputes/:id
+// @access  Private (Admin only)
+const getDisputeDetails = async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.id)
+      .populate('job', 'title description status location')
+      .populate({
+        path: 'transaction',
+        populate: { path: 'quote', select: 'price description status' }
+      })
+      .populate('client', 'fullName email phone profilePhoto')
+      .populate('provider', 'fullName email phone businessName profilePhoto')
+      .populate('openedBy', 'fullName role')
+      .populate('timeline.sender', 'fullName profilePhoto role')
+      .populate('ruling.decidedBy', 'fullName');
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: dispute
+    });
+
+  } catch (error) {
+    console.error('Get dispute details error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dispute details',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Post an admin message to the dispute timeline
+// @route   POST /api/admin/disputes/:id/messages
+// @access  Private (Admin only)
+const addAdminDisputeMessage = async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    if (!message || !message.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message is required'
+      });
+    }
+
+    const dispute = await Dispute.findById(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found'
+      });
+    }
+
+    await dispute.addTimelineEntry('admin', message.trim(), req.user._id);
+
+    if (req.app.get('io')) {
+      [dispute.client, dispute.provider].forEach(userId => {
+        sendNotification(req.app.get('io'), userId, {
+          type: 'dispute_message',
+          title: 'Message from Support',
+          message: message.trim().substring(0, 100),
+          jobId: dispute.job
+        });
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Message added',
+      data: dispute.timeline[dispute.timeline.length - 1]
+    });
+
+  } catch (error) {
+    console.error('Add admin dispute message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding message',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Move a dispute to review (rulings go through the resolve endpoint)
+// @route   PUT /api/admin/disputes/:id/status
+// @access  Private (Admin only)
+const updateDisputeStatus = async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (status !== 'under_review') {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be under_review. Use the resolve endpoint to issue a ruling.'
+      });
+    }
+
+    const dispute = await Dispute.findById(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found'
+      });
+    }
+
+    if (!OPEN_DISPUTE_STATUSES.includes(dispute.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dispute has already been resolved'
+      });
+    }
+
+    dispute.status = status;
+    await dispute.addTimelineEntry('system', 'Dispute is under review by our team', req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Dispute status updated',
+      data: dispute
+    });
+
+  } catch (error) {
+    console.error('Update dispute status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating dispute status',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Issue a ruling: full refund, partial refund or release to provider
+// @route   PUT /api/admin/disputes/:id/resolve
+// @access  Private (Admin only)
+const resolveDispute = async (req, res) => {
+  try {
+    const { outcome, refundAmount, notes } = req.body;
+
+    if (!['full_refund', 'partial_refund', 'release_to_provider'].includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Outcome must be full_refund, partial_refund or release_to_provider'
+      });
+    }
+
+    const dispute = await Dispute.findById(req.params.id).populate('job', 'title');
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found'
+      });
+    }
+
+    try {
+      await applyRuling(dispute, {
+        outcome,
+        refundAmount,
+        notes,
+        decidedBy: req.user._id
+      });
+    } catch (rulingErr) {
+      if (!rulingErr.statusCode) throw rulingErr;
+      return res.status(rulingErr.statusCode).json({ success: false, message: rulingErr.message });
+    }
+
+    if (req.app.get('io')) {
+      const jobTitle = dispute.job?.title || 'your job';
+      const { refundAmount: refunded, providerAmount } = dispute.ruling;
+
+      sendNotification(req.app.get('io'), dispute.client, {
+        type: 'dispute_resolved',
+        title: 'Dispute Resolved',
+        message: refunded
+          ? `The dispute on "${jobTitle}" was resolved. $${refunded} will be refunded to you.`
+          : `The dispute on "${jobTitle}" was resolved in favour of the provider.`,
+        jobId: dispute.job?._id,
+        reason: notes
+      });
+
+      sendNotification(req.app.get('io'), dispute.provider, {
+        type: 'dispute_resolved',
+        title: 'Dispute Resolved',
+        message: providerAmount
+          ? `The dispute on "${jobTitle}" was resolved. $${providerAmount} has been released to your available balance.`
+          : `The dispute on "${jobTitle}" was resolved with a full refund to the client.`,
+        jobId: dispute.job?._id,
+        reason: notes
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Dispute resolved',
+      data: dispute
+    });
+
+  } catch (error) {
+    console.error('Resolve dispute error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resolving dispute',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getDisputes,
+  getDisputeDetails,
+  addAdminDisputeMessage,
+  updateDisputeStatus,
+  resolveDispute
+};
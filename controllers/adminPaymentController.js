@@ -3,8 +3,27 @@ const Transaction = require('../models/Transaction');
 const Wallet = require('../models/Wallet');
 const User = require('../models/User');
 const Job = require('../models/Job');
-const { transferToProvider, stripe } = require('../config/stripe');
+const { releaseTransactionFunds, releaseDuePayments } = require('../utils/paymentRelease');
+const { refundTransaction } = require('../utils/refunds');
+const { postOpeningBalances, rebuildWalletBalances, findLedgerMismatches } = require('../utils/ledger');
+const { releaseEscrow, processEscrowAutoApprovals } = require('../utils/escrow');
 const { sendNotification, sendAdminNotification } = require('../socket//notificationHandler');
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY, LEGACY_CURRENCY, normalizeCurrency, roundMoney } = require('../utils/currency');
+const { getExchangeRate } = require('../utils/exchangeRates');
+const { REPORTING_CURRENCY } = require('../config/env');
+const { recordAudit } = require('../utils/auditLog');
+
+// Transactions recorded before multi-currency support have no currency stored
+const TRANSACTION_CURRENCY = { $ifNull: ['$currency', LEGACY_CURRENCY] };
+
+// Fields release and refund change, for the audit log
+const transactionSnapshot = (transaction) => ({
+  status: transaction.status,
+  refundedAmount: transaction.refundedAmount || 0,
+  releasedAt: transaction.releasedAt || null,
+  escrowStatus: transaction.escrow?.status || null
+});
+
 // @desc    Get all transactions with filtering
 // @route   GET /api/admin/payments/transactions
 // @access  Private (Admin only)
@@ -185,64 +204,47 @@ const releasePayment = async (req, res) => {
 
     const transaction = await Transaction.findOne({
       _id: id,
-      status: 'completed'
+      status: { $in: ['completed', 'partially_refunded'] }
     }).populate('quote job');
 
     if (!transaction) {
       return res.status(404).json({ success: false, message: 'Transaction not found or not completed' });
     }
 
-    if (transaction.releasedAt) {
-      return res.status(400).json({ success: false, message: 'Payment has already been released' });
-    }
+    const before = transactionSnapshot(transaction);
 
-    const provider = await User.findById(transaction.quote.provider);
-    const wallet = await Wallet.findOne({ user: provider._id });
-    if (!wallet) return res.status(404).json({ success: false, message: 'Provider wallet not found' });
+    let released;
+    try {
+      // Admin override of an open escrow still closes it out properly
+      const release = transaction.escrow?.status && transaction.escrow.status !== 'none'
+        ? releaseEscrow
+        : releaseTransactionFunds;
 
-    const amount = transaction.providerAmount;
-    if (!amount || amount <= 0) {
-      return res.status(400).json({ success: false, message: 'Invalid provider amount' });
-    }
-
-    if (wallet.pendingBalance < amount) {
-      return res.status(400).json({ success: false, message: 'Insufficient pending balance' });
-    }
-
-    // Initialize recentTransactions if undefined
-    if (!Array.isArray(wallet.recentTransactions)) {
-      wallet.recentTransactions = [];
+      released = await release(transaction, {
+        releasedBy: req.user._id,
+        notes
+      });
+    } catch (releaseErr) {
+      return res.status(releaseErr.statusCode || 500).json({ success: false, message: releaseErr.message });
     }
 
-    // Move pending -> available
-    wallet.pendingBalance = parseFloat((wallet.pendingBalance - amount).toFixed(2));
-    wallet.availableBalance = parseFloat((wallet.availableBalance + amount).toFixed(2));
-
-    // Record recent transaction
-    wallet.recentTransactions.push({
-      transaction: transaction._id,
-      type: 'release',
-      amount,
-      notes: notes || 'released-by-admin',
-      date: new Date()
+    const { wallet, amount, providerId } = released;
+
+    await recordAudit(req, {
+      action: 'payments.release',
+      targetType: 'Transaction',
+      targetId: transaction._id,
+      targetLabel: transaction.job?.title,
+      before,
+      after: transactionSnapshot(transaction),
+      reason: notes,
+      metadata: { amount, providerId, currency: transaction.currency }
     });
 
-    // Update transaction metadata
-    transaction.releasedAt = new Date();
-    transaction.metadata = {
-      ...transaction.metadata,
-      releasedBy: req.user._id,
-      releasedAt: new Date(),
-      releaseNotes: notes || 'released-by-admin'
-    };
-
-    await wallet.save();
-    await transaction.save();
-
     // Notify provider via socket
     if (req.app.get('io')) {
 
-      sendNotification(req.app.get('io'), provider._id, {
+      sendNotification(req.app.get('io'), providerId, {
         type: 'payment_released',
         title: 'Payment Released',
         message: `Payment of $${amount} for job "${transaction.job?.title || ''}" has been released to your available balance.`,
@@ -294,7 +296,7 @@ const processRefund = async (req, res) => {
     const { id } = req.params;
     const { reason, amount, notes } = req.body;
 
-    const transaction = await Transaction.findById(id).populate("user job");
+    const transaction = await Transaction.findById(id).populate("user job quote");
 
     if (!transaction) {
       return res.status(404).json({
@@ -303,69 +305,64 @@ const processRefund = async (req, res) => {
       });
     }
 
-    if (!["completed", "pending"].includes(transaction.status)) {
+    if (!["completed", "partially_refunded", "pending"].includes(transaction.status)) {
       return res.status(400).json({
         success: false,
         message: "Transaction is not refundable"
       });
     }
 
-    const refundAmount = Math.round((amount || transaction.amount) * 100);
+    const before = transactionSnapshot(transaction);
 
-    if (refundAmount > transaction.amount * 100) {
-      return res.status(400).json({
+    let result;
+    try {
+      result = await refundTransaction(transaction, {
+        amount,
+        reason,
+        notes,
+        refundedBy: req.user._id
+      });
+    } catch (refundErr) {
+      if (!refundErr.statusCode) throw refundErr;
+      return res.status(refundErr.statusCode).json({
         success: false,
-        message: "Refund amount cannot exceed original amount"
+        message: refundErr.message
       });
     }
 
-    // ---------------------------
-    // REFUND IN STRIPE
-    // ---------------------------
-    if (transaction.paymentMethod === "card") {
-      let refund;
-
-      // 1️⃣ Prefer PaymentIntent
-      if (transaction.stripePaymentIntentId) {
-        refund = await stripe.refunds.create({
-          payment_intent: transaction.stripePaymentIntentId,
-          amount: refundAmount,
-          metadata: {
-            transactionId: transaction._id.toString(),
-            reason,
-            adminNotes: notes
-          }
-        });
-      }
-      // 2️⃣ Fallback to Charge ID
-      else if (transaction.stripeChargeId) {
-        refund = await stripe.refunds.create({
-          charge: transaction.stripeChargeId,
-          amount: refundAmount,
-          metadata: {
-            transactionId: transaction._id.toString(),
-            reason
-          }
-        });
-      } else {
-        return res.status(400).json({
-          success: false,
-          message: "No Stripe payment reference found (paymentIntent or chargeId missing)"
-        });
+    await recordAudit(req, {
+      action: 'payments.refund',
+      targetType: 'Transaction',
+      targetId: transaction._id,
+      targetLabel: transaction.job?.title,
+      before,
+      after: transactionSnapshot(transaction),
+      reason,
+      metadata: {
+        refundAmount: result.refundAmount,
+        tax: result.entry.tax,
+        currency: transaction.currency,
+        notes
       }
+    });
 
-      transaction.stripeRefundId = refund.id;
+    // Let the client know money is on its way back
+    if (req.app.get('io')) {
+      sendNotification(req.app.get('io'), transaction.user._id, {
+        type: 'refund_processed',
+        title: 'Refund Issued',
+        message: `$${(result.refundAmount + result.entry.tax).toFixed(2)} has been refunded for "${transaction.job?.title || 'your payment'}".`,
+        jobId: transaction.job?._id,
+        reason
+      });
     }
 
-    // Update transaction
-    transaction.status = "refunded";
-    transaction.refundedAt = new Date();
-    await transaction.save();
-
     res.json({
       success: true,
-      message: "Refund processed",
-      transaction
+      message: transaction.status === "refunded" ? "Refund processed" : "Partial refund processed",
+      transaction,
+      refund: result.entry,
+      creditNoteId: result.creditNote?.invoiceId
     });
 
   } catch (error) {
@@ -394,6 +391,16 @@ const getProviderWallets = async (req, res) => {
       sortOrder = 'desc'
     } = req.query;
 
+    // Balance filters and sorting apply to one currency
+    const currency = req.query.currency ? normalizeCurrency(req.query.currency) : DEFAULT_CURRENCY;
+    if (!currency) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported currency'
+      });
+    }
+    const balancePath = (field) => `balances.${currency}.${field}`;
+
     // Build filter for providers with wallets
     const userFilter = { role: 'provider' };
     if (search) {
@@ -414,14 +421,15 @@ const getProviderWallets = async (req, res) => {
     const walletFilter = { user: { $in: providerIds } };
     
     if (minBalance) {
-      walletFilter.availableBalance = { $gte: parseFloat(minBalance) };
+      walletFilter[balancePath('availableBalance')] = { $gte: parseFloat(minBalance) };
     }
     if (maxBalance) {
-      walletFilter.availableBalance = { ...walletFilter.availableBalance, $lte: parseFloat(maxBalance) };
+      walletFilter[balancePath('availableBalance')] = { ...walletFilter[balancePath('availableBalance')], $lte: parseFloat(maxBalance) };
     }
 
     const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    const balanceFields = ['availableBalance', 'pendingBalance', 'withdrawnBalance', 'totalEarned'];
+    sortOptions[balanceFields.includes(sortBy) ? balancePath(sortBy) : sortBy] = sortOrder === 'desc' ? -1 : 1;
 
     const wallets = await Wallet.find(walletFilter)
       .populate('user', 'fullName email businessName profilePhoto verificationStatus')
@@ -431,33 +439,35 @@ const getProviderWallets = async (req, res) => {
 
     const total = await Wallet.countDocuments(walletFilter);
 
-    // Calculate total balances
-    const balanceStats = await Wallet.aggregate([
+    // Calculate total balances, per currency
+    const balanceGroup = { _id: null, walletCount: { $sum: 1 } };
+    SUPPORTED_CURRENCIES.forEach(code => {
+      balanceGroup[`${code}_totalAvailable`] = { $sum: `$balances.${code}.availableBalance` };
+      balanceGroup[`${code}_totalPending`] = { $sum: `$balances.${code}.pendingBalance` };
+      balanceGroup[`${code}_totalWithdrawn`] = { $sum: `$balances.${code}.withdrawnBalance` };
+      balanceGroup[`${code}_totalEarned`] = { $sum: `$balances.${code}.totalEarned` };
+    });
+
+    const [balanceStats] = await Wallet.aggregate([
       { $match: walletFilter },
-      {
-        $group: {
-          _id: null,
-          totalAvailable: { $sum: '$availableBalance' },
-          totalPending: { $sum: '$pendingBalance' },
-          totalWithdrawn: { $sum: '$withdrawnBalance' },
-          totalEarned: { $sum: '$totalEarned' },
-          walletCount: { $sum: 1 }
-        }
-      }
+      { $group: balanceGroup }
     ]);
 
-    const stats = balanceStats.length > 0 ? balanceStats[0] : {
-      totalAvailable: 0,
-      totalPending: 0,
-      totalWithdrawn: 0,
-      totalEarned: 0,
-      walletCount: 0
+    const stats = {
+      walletCount: balanceStats?.walletCount || 0,
+      byCurrency: Object.fromEntries(SUPPORTED_CURRENCIES.map(code => [code, {
+        totalAvailable: roundMoney(balanceStats?.[`${code}_totalAvailable`] || 0),
+        totalPending: roundMoney(balanceStats?.[`${code}_totalPending`] || 0),
+        totalWithdrawn: roundMoney(balanceStats?.[`${code}_totalWithdrawn`] || 0),
+        totalEarned: roundMoney(balanceStats?.[`${code}_totalEarned`] || 0)
+      }]))
     };
 
     res.status(200).json({
       success: true,
       data: {
         wallets,
+        currency,
         statistics: stats,
         pagination: {
           current: page,
@@ -477,54 +487,104 @@ const getProviderWallets = async (req, res) => {
   }
 };
 
+// Sum per-currency earnings rows into the reporting currency. Amounts are converted
+// at today's rate; the untouched figures for each currency are kept in `byCurrency`.
+const combineCurrencies = async (rows, reportingCurrency) => {
+  const combined = { totalRevenue: 0, totalCommission: 0, transactionCount: 0, byCurrency: {} };
+  let totalAmount = 0;
+
+  for (const row of rows) {
+    const rate = await getExchangeRate(row.currency, reportingCurrency);
+    combined.totalRevenue += row.totalRevenue * rate;
+    combined.totalCommission += row.totalCommission * rate;
+    combined.transactionCount += row.transactionCount;
+    totalAmount += row.totalAmount * rate;
+    combined.byCurrency[row.currency] = {
+      totalRevenue: roundMoney(row.totalRevenue),
+      totalCommission: roundMoney(row.totalCommission),
+      transactionCount: row.transactionCount
+    };
+  }
+
+  combined.totalRevenue = roundMoney(combined.totalRevenue);
+  combined.totalCommission = roundMoney(combined.totalCommission);
+  combined.avgTransaction = combined.transactionCount ? roundMoney(totalAmount / combined.transactionCount) : 0;
+  return combined;
+};
+
+const earningsTotals = {
+  totalRevenue: { $sum: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } },
+  totalCommission: { $sum: '$platformCommission' },
+  totalAmount: { $sum: '$amount' },
+  transactionCount: { $sum: 1 }
+};
+
+// Earnings between two dates, one row per currency
+const earningsByCurrency = async (startDate, endDate) => {
+  const rows = await Transaction.aggregate([
+    {
+      $match: {
+        status: { $in: ['completed', 'partially_refunded'] },
+        createdAt: { $gte: startDate, $lte: endDate }
+      }
+    },
+    {
+      $group: {
+        _id: TRANSACTION_CURRENCY,
+        ...earningsTotals
+      }
+    }
+  ]);
+  return rows.map(row => ({ ...row, currency: row._id }));
+};
+
 // @desc    Get platform earnings
-// @route   GET /api/admin/payments/earnings
+// @route   GET /api/admin/payments/earnings?period=&groupBy=&currency=
 // @access  Private (Admin only)
 const getPlatformEarnings = async (req, res) => {
   try {
     const { period = 'this_month', groupBy = 'day' } = req.query;
 
+    // Currency every figure is reported in
+    const reportingCurrency = req.query.currency ? normalizeCurrency(req.query.currency) : REPORTING_CURRENCY;
+    if (!reportingCurrency) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported currency'
+      });
+    }
+
     const { startDate, endDate } = calculateDateRange(period);
 
     // Earnings over time
-    const earningsOverTime = await Transaction.aggregate([
+    const earningsRows = await Transaction.aggregate([
       {
         $match: {
-          status: 'completed',
+          status: { $in: ['completed', 'partially_refunded'] },
           createdAt: { $gte: startDate, $lte: endDate }
         }
       },
       {
         $group: {
-          _id: getGroupByExpression(groupBy),
-          totalRevenue: { $sum: '$amount' },
-          totalCommission: { $sum: '$platformCommission' },
-          transactionCount: { $sum: 1 }
+          _id: { period: getGroupByExpression(groupBy), currency: TRANSACTION_CURRENCY },
+          ...earningsTotals
         }
-      },
-      {
-        $sort: { _id: 1 }
       }
     ]);
 
-    // Current period stats
-    const currentStats = await Transaction.aggregate([
-      {
-        $match: {
-          status: 'completed',
-          createdAt: { $gte: startDate, $lte: endDate }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          totalRevenue: { $sum: '$amount' },
-          totalCommission: { $sum: '$platformCommission' },
-          transactionCount: { $sum: 1 },
-          avgTransaction: { $avg: '$amount' }
-        }
-      }
-    ]);
+    const rowsByPeriod = new Map();
+    earningsRows.forEach(row => {
+      const key = JSON.stringify(row._id.period);
+      if (!rowsByPeriod.has(key)) rowsByPeriod.set(key, { _id: row._id.period, rows: [] });
+      rowsByPeriod.get(key).rows.push({ ...row, currency: row._id.currency });
+    });
+
+    const earningsOverTime = [];
+    for (const { _id, rows } of rowsByPeriod.values()) {
+      const { avgTransaction, ...totals } = await combineCurrencies(rows, reportingCurrency);
+      earningsOverTime.push({ _id, ...totals });
+    }
+    earningsOverTime.sort((a, b) => JSON.stringify(a._id).localeCompare(JSON.stringify(b._id), undefined, { numeric: true }));
 
     // Previous period for comparison
     const previousStartDate = new Date(startDate);
@@ -533,35 +593,11 @@ const getPlatformEarnings = async (req, res) => {
     previousStartDate.setTime(previousStartDate.getTime() - timeDiff);
     previousEndDate.setTime(previousEndDate.getTime() - timeDiff);
 
-    const previousStats = await Transaction.aggregate([
-      {
-        $match: {
-          status: 'completed',
-          createdAt: { $gte: previousStartDate, $lte: previousEndDate }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          totalRevenue: { $sum: '$amount' },
-          totalCommission: { $sum: '$platformCommission' },
-          transactionCount: { $sum: 1 }
-        }
-      }
-    ]);
-
-    const current = currentStats.length > 0 ? currentStats[0] : {
-      totalRevenue: 0,
-      totalCommission: 0,
-      transactionCount: 0,
-      avgTransaction: 0
-    };
-
-    const previous = previousStats.length > 0 ? previousStats[0] : {
-      totalRevenue: 0,
-      totalCommission: 0,
-      transactionCount: 0
-    };
+    const current = await combineCurrencies(await earningsByCurrency(startDate, endDate), reportingCurrency);
+    const { avgTransaction, ...previous } = await combineCurrencies(
+      await earningsByCurrency(previousStartDate, previousEndDate),
+      reportingCurrency
+    );
 
     // Calculate growth percentages
     const revenueGrowth = previous.totalRevenue === 0 ? 100 : 
@@ -576,6 +612,7 @@ const getPlatformEarnings = async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
+        currency: reportingCurrency,
         earningsOverTime,
         statistics: {
           current: {
@@ -675,71 +712,95 @@ const processPendingReleases = async (req, res) => {
       return res.status(403).json({ success: false, message: 'Only admins can process pending releases' });
     }
 
-    const now = new Date();
-    const pendingTxs = await Transaction.find({
-      status: 'completed',
-      stripeTransferId: { $exists: false },
-      pendingReleaseAt: { $lte: now }
-    }).populate('quote job');
+    const results = await releaseDuePayments({ releasedBy: req.user._id });
 
-    const results = [];
-
-    for (const tx of pendingTxs) {
-      try {
-        // Reuse release helper by calling releasePayment logic programmatically
-        // Create a temporary request user id for audit ('system' - use admin id if provided)
-        await (async () => {
-          // replicate doRelease logic inline to avoid circular ref
-          const pw = await Wallet.findOne({ user: tx.quote.provider });
-          if (!pw) throw new Error('Provider wallet not found');
-
-          if (pw.stripeAccountId && pw.stripeAccountStatus === 'verified') {
-            const transfer = await transferToProvider(
-              tx.providerAmount,
-              pw.stripeAccountId,
-              {
-                transactionId: tx._id.toString(),
-                jobId: tx.job._id.toString()
-              }
-            );
-
-            tx.stripeTransferId = transfer.id;
-            tx.metadata = {
-              ...tx.metadata,
-              releasedBy: req.user._id,
-              releasedAt: new Date(),
-              releaseNotes: 'auto-release'
-            };
-            await pw.addEarnings(tx.providerAmount);
-            await pw.save();
-            await tx.save();
-          } else {
-            // move pending -> available
-            await pw.releasePendingBalance(tx.providerAmount);
-            tx.metadata = {
-              ...tx.metadata,
-              releasedBy: req.user._id,
-              releasedAt: new Date(),
-              releaseNotes: 'auto-release'
-            };
-            await tx.save();
-          }
-        })();
+    // Escrows whose client approval window has lapsed are approved automatically
+    const escrowResults = await processEscrowAutoApprovals(req.app.get('io'), req.user._id);
 
-        results.push({ id: tx._id, status: 'released' });
-      } catch (err) {
-        console.error('Auto release failed for tx', tx._id, err.message);
-        results.push({ id: tx._id, status: 'failed', error: err.message });
+    res.status(200).json({
+      success: true,
+      data: {
+        processed: results.length + escrowResults.length,
+        results,
+        escrowAutoApprovals: escrowResults
       }
-    }
-
-    res.status(200).json({ success: true, data: { processed: results.length, results } });
+    });
   } catch (error) {
     console.error('Process pending releases error:', error);
     res.status(500).json({ success: false, message: 'Error processing pending releases', error: error.message });
   }
 };
 
+// @desc    Report wallets and transactions that disagree with the ledger
+// @route   GET /api/admin/payments/ledger/mismatches
+// @access  Private (Admin only)
+const getLedgerMismatches = async (req, res) => {
+  try {
+    const report = await findLedgerMismatches();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...report,
+        hasMismatches: report.walletMismatches.length > 0 || report.unpostedTransactions.length > 0 || !report.balanced,
+        checkedAt: new Date()
+      }
+    });
+  } catch (error) {
+    console.error('Get ledger mismatches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reconciling ledger',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Post opening balances for wallets that predate the ledger
+// @route   POST /api/admin/payments/ledger/opening-balances
+// @access  Private (Admin only)
+const postLedgerOpeningBalances = async (req, res) => {
+  try {
+    const posted = await postOpeningBalances(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: `Opening balances posted for ${posted.length} wallet(s)`,
+      data: posted
+    });
+  } catch (error) {
+    console.error('Post opening balances error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error posting opening balances',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Recompute wallet balances, per currency, from the ledger
+// @route   POST /api/admin/payments/ledger/rebuild-wallets
+// @access  Private (Admin only)
+const rebuildLedgerWallets = async (req, res) => {
+  try {
+    const { rebuilt, skipped } = await rebuildWalletBalances();
+
+    res.status(200).json({
+      success: true,
+      message: `Rebuilt ${rebuilt.length} wallet(s)` +
+        (skipped.length ? `, skipped ${skipped.length} without ledger history (post opening balances first)` : ''),
+      data: { rebuilt, skipped }
+    });
+  } catch (error) {
+    console.error('Rebuild wallets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rebuilding wallets',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getTransactions,
   getTransactionDetails,
@@ -747,5 +808,8 @@ module.exports = {
   processRefund,
   getProviderWallets,
   getPlatformEarnings,
-  processPendingReleases
+  processPendingReleases,
+  getLedgerMismatches,
+  postLedgerOpeningBalances,
+  rebuildLedgerWallets
 };
\ No newline at end of file
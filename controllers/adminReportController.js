@@ -3,6 +3,7 @@ const Report = require('../models/Report');
 const User = require('../models/User');
 const Job = require('../models/Job');
 const Review = require('../models/Review');
+const { restrictUser, durationEnd } = require('../utils/restrictions');
 const { sendAdminNotification } = require('./adminNotificationController');
 
 // @desc    Get all reports with filtering
@@ -217,6 +218,13 @@ const resolveReport = async (req, res) => {
       });
     }
 
+    if (action === 'suspension' && duration && !(durationEnd(duration) > new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Suspension duration needs a positive value and a unit of hours, days, weeks or months'
+      });
+    }
+
     const resolutionData = {
       action,
       notes,
@@ -416,22 +424,19 @@ const handleReportAction = async (report, action, adminId) => {
       break;
       
     case 'suspension':
-      // Suspend user account
-      if (report.reportedUser) {
-        await User.findByIdAndUpdate(report.reportedUser, {
-          isBlocked: true,
-          blockedUntil: calculateBlockUntil(report.resolution.duration)
-        });
-      }
-      break;
-      
     case 'ban':
-      // Permanently ban user
+      // Suspend until the chosen duration ends (indefinitely without one), or ban for good
       if (report.reportedUser) {
-        await User.findByIdAndUpdate(report.reportedUser, {
-          isBlocked: true,
-          permanentlyBanned: true
-        });
+        const user = await User.findById(report.reportedUser);
+        if (user && user.role !== 'admin') {
+          await restrictUser(user, {
+            type: action,
+            reason: report.resolution.notes || report.reason,
+            endsAt: action === 'suspension' ? durationEnd(report.resolution.duration) : undefined,
+            imposedBy: adminId,
+            report: report._id
+          });
+        }
       }
       break;
       
@@ -455,29 +460,6 @@ const handleReportAction = async (report, action, adminId) => {
   }
 };
 
-// Helper function to calculate block until date
-const calculateBlockUntil = (duration) => {
-  if (!duration) return null;
-  
-  const blockUntil = new Date();
-  switch (duration.unit) {
-    case 'hours':
-      blockUntil.setHours(blockUntil.getHours() + duration.value);
-      break;
-    case 'days':
-      blockUntil.setDate(blockUntil.getDate() + duration.value);
-      break;
-    case 'weeks':
-      blockUntil.setDate(blockUntil.getDate() + (duration.value * 7));
-      break;
-    case 'months':
-      blockUntil.setMonth(blockUntil.getMonth() + duration.value);
-      break;
-  }
-  
-  return blockUntil;
-};
-
 // Helper function to calculate date ranges
 const calculateDateRange = (period) => {
   const now = new Date();
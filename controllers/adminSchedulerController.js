@@ -0,0 +1,134 @@
+// controllers/adminSchedulerController.js
+const {
+  listTasks,
+  getTaskRuns,
+  runTaskNow,
+  setTaskEnabled
+} = require('../utils/scheduler');
+
+const respondWithError = (res, err) => {
+  if (!err.statusCode) throw err;
+  return res.status(err.statusCode).json({ success: false, message: err.message });
+};
+
+// @desc    List scheduled tasks with their schedule and last run
+// @route   GET /api/admin/scheduled-tasks
+// @access  Private (Admin only)
+const getScheduledTasks = async (req, res) => {
+  try {
+    const tasks = await listTasks();
+
+    res.status(200).json({
+      success: true,
+      data: { tasks }
+    });
+
+  } catch (error) {
+    console.error('Get scheduled tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching scheduled tasks',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Run history of a scheduled task
+// @route   GET /api/admin/scheduled-tasks/:name/runs
+// @access  Private (Admin only)
+const getScheduledTaskRuns = async (req, res) => {
+  try {
+    const { page, limit, status } = req.query;
+
+    let data;
+    try {
+      data = await getTaskRuns(req.params.name, { page, limit, status });
+    } catch (err) {
+      return respondWithError(res, err);
+    }
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get scheduled task runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching task runs',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Run a scheduled task now
+// @route   POST /api/admin/scheduled-tasks/:name/run
+// @access  Private (Admin only)
+const runScheduledTask = async (req, res) => {
+  try {
+    let run;
+    try {
+      run = await runTaskNow(req.params.name, { io: req.app.get('io'), triggeredBy: req.user._id });
+    } catch (err) {
+      return respondWithError(res, err);
+    }
+
+    res.status(200).json({
+      success: run.status === 'succeeded',
+      message: run.status === 'succeeded' ? 'Task completed' : `Task failed: ${run.error}`,
+      data: { run }
+    });
+
+  } catch (error) {
+    console.error('Run scheduled task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running task',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Pause or resume a scheduled task
+// @route   PUT /api/admin/scheduled-tasks/:name
+// @access  Private (Admin only)
+const updateScheduledTask = async (req, res) => {
+  try {
+    const { enabled } = req.body;
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'enabled must be true or false'
+      });
+    }
+
+    let task;
+    try {
+      task = await setTaskEnabled(req.params.name, enabled);
+    } catch (err) {
+      return respondWithError(res, err);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: enabled ? 'Task resumed' : 'Task paused',
+      data: { task }
+    });
+
+  } catch (error) {
+    console.error('Update scheduled task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating task',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getScheduledTasks,
+  getScheduledTaskRuns,
+  runScheduledTask,
+  updateScheduledTask
+};
@@ -23,7 +23,7 @@ const getSubscriptions = async (req, res) => {
     const query = {};
     
     // Filter by status if provided
-    if (status && ['active', 'expired', 'cancelled', 'pending'].includes(status)) {
+    if (status && ['active', 'past_due', 'expired', 'cancelled', 'pending'].includes(status)) {
       query.status = status;
     }
 
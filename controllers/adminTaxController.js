@@ -0,0 +1,216 @@
+// controllers/adminTaxController.js
+const TaxRate = require('../models/TaxRate');
+const Transaction = require('../models/Transaction');
+const { getTaxRates } = require('../utils/tax');
+const { DEFAULT_CURRENCY, normalizeCurrency, roundMoney } = require('../utils/currency');
+
+// Statuses where tax was actually collected
+const TAXED_STATUSES = ['completed', 'partially_refunded', 'refunded', 'disputed'];
+
+// @desc    Get the sales tax rate table
+// @route   GET /api/admin/payments/tax-rates
+// @access  Private (Admin only)
+const getTaxRateTable = async (req, res) => {
+  try {
+    const rates = await getTaxRates();
+
+    res.status(200).json({
+      success: true,
+      data: { rates }
+    });
+  } catch (error) {
+    console.error('Get tax rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tax rates',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update the tax components for a province/territory
+// @route   PUT /api/admin/payments/tax-rates/:region
+// @access  Private (Admin only)
+const updateTaxRate = async (req, res) => {
+  try {
+    const { components, isActive, regionName } = req.body;
+
+    await getTaxRates();
+    const taxRate = await TaxRate.findOne({ country: 'CA', region: req.params.region.toUpperCase() });
+
+    if (!taxRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax region not found'
+      });
+    }
+
+    if (components !== undefined) {
+      if (!Array.isArray(components)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Components must be an array'
+        });
+      }
+      taxRate.components = components;
+    }
+    if (isActive !== undefined) taxRate.isActive = isActive;
+    if (regionName) taxRate.regionName = regionName;
+    taxRate.updatedBy = req.user._id;
+
+    await taxRate.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Tax rate updated successfully',
+      data: { taxRate }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message
+      });
+    }
+    console.error('Update tax rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating tax rate',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Tax collected and refunded by region and tax type
+// @route   GET /api/admin/payments/tax-report?dateFrom=&dateTo=&paymentMethod=&currency=
+// @access  Private (Admin only)
+const getTaxReport = async (req, res) => {
+  try {
+    const { dateFrom, dateTo, paymentMethod } = req.query;
+
+    // Tax is reported in the currency it was collected in, one currency at a time
+    const currency = req.query.currency ? normalizeCurrency(req.query.currency) : DEFAULT_CURRENCY;
+    if (!currency) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported currency'
+      });
+    }
+
+    const match = {
+      status: { $in: TAXED_STATUSES },
+      'tax.total': { $gt: 0 },
+      currency
+    };
+    if (paymentMethod) match.paymentMethod = paymentMethod;
+    if (dateFrom || dateTo) {
+      match.createdAt = {};
+      if (dateFrom) match.createdAt.$gte = new Date(dateFrom);
+      if (dateTo) match.createdAt.$lte = new Date(dateTo);
+    }
+
+    const [collected, refunded, sales] = await Promise.all([
+      Transaction.aggregate([
+        { $match: match },
+        { $unwind: '$tax.lines' },
+        {
+          $group: {
+            _id: { region: '$tax.region', type: '$tax.lines.type' },
+            regionName: { $first: '$tax.regionName' },
+            rate: { $first: '$tax.lines.rate' },
+            collected: { $sum: '$tax.lines.amount' }
+          }
+        }
+      ]),
+      Transaction.aggregate([
+        { $match: match },
+        { $unwind: '$refunds' },
+        { $unwind: '$refunds.taxLines' },
+        {
+          $group: {
+            _id: { region: '$tax.region', type: '$refunds.taxLines.type' },
+            refunded: { $sum: '$refunds.taxLines.amount' }
+          }
+        }
+      ]),
+      Transaction.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$tax.region',
+            transactions: { $sum: 1 },
+            taxableSales: { $sum: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } }
+          }
+        }
+      ])
+    ]);
+
+    const refundedByKey = new Map(
+      refunded.map(row => [`${row._id.region}:${row._id.type}`, row.refunded])
+    );
+
+    // One entry per region, with a line per tax type
+    const regions = new Map();
+    collected.forEach(row => {
+      const { region, type } = row._id;
+      if (!regions.has(region)) {
+        const regionSales = sales.find(s => s._id === region) || {};
+        regions.set(region, {
+          region,
+          regionName: row.regionName,
+          transactions: regionSales.transactions || 0,
+          taxableSales: roundMoney(regionSales.taxableSales || 0),
+          lines: [],
+          netTax: 0
+        });
+      }
+
+      const refundedAmount = refundedByKey.get(`${region}:${type}`) || 0;
+      const entry = regions.get(region);
+      const net = roundMoney(row.collected - refundedAmount);
+
+      entry.lines.push({
+        type,
+        rate: row.rate,
+        collected: roundMoney(row.collected),
+        refunded: roundMoney(refundedAmount),
+        net
+      });
+      entry.netTax = roundMoney(entry.netTax + net);
+    });
+
+    const report = [...regions.values()].sort((a, b) => a.region.localeCompare(b.region));
+
+    // Totals per tax type across all regions (GST is remitted federally)
+    const totalsByType = {};
+    report.forEach(region => {
+      region.lines.forEach(line => {
+        totalsByType[line.type] = roundMoney((totalsByType[line.type] || 0) + line.net);
+      });
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        period: { dateFrom: dateFrom || null, dateTo: dateTo || null },
+        currency,
+        regions: report,
+        totalsByType,
+        totalTax: roundMoney(report.reduce((sum, region) => sum + region.netTax, 0))
+      }
+    });
+  } catch (error) {
+    console.error('Get tax report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating tax report',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTaxRateTable,
+  updateTaxRate,
+  getTaxReport
+};
@@ -0,0 +1,319 @@
+// controllers/adminUserController.js
+const User = require('../models/User');
+const { revokeUserSessions } = require('../utils/sessions');
+const { recordAudit } = require('../utils/auditLog');
+const {
+  PERMISSIONS,
+  ADMIN_ROLES,
+  getPermissions,
+  isSuperAdmin
+} = require('../utils/permissions');
+
+const ADMIN_FIELDS = 'fullName email profilePhoto adminRole adminPermissions isBlocked lastActive twoFactor.enabled createdAt';
+
+const formatAdmin = (admin) => ({
+  _id: admin._id,
+  fullName: admin.fullName,
+  email: admin.email,
+  profilePhoto: admin.profilePhoto,
+  adminRole: admin.adminRole || null,
+  adminPermissions: admin.adminPermissions || [],
+  permissions: getPermissions(admin),
+  twoFactorEnabled: Boolean(admin.twoFactor?.enabled),
+  isBlocked: admin.isBlocked,
+  lastActive: admin.lastActive,
+  createdAt: admin.createdAt
+});
+
+// Returns an error message, or null when the role and permissions are valid
+const validateAccess = ({ adminRole, adminPermissions }) => {
+  if (adminRole !== undefined && !ADMIN_ROLES[adminRole]) {
+    return `Invalid admin role. Use one of: ${Object.keys(ADMIN_ROLES).join(', ')}`;
+  }
+  if (adminPermissions !== undefined) {
+    if (!Array.isArray(adminPermissions)) return 'adminPermissions must be an array';
+    const unknown = adminPermissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length) return `Unknown permissions: ${unknown.join(', ')}`;
+  }
+  return null;
+};
+
+// Keep at least one active super admin so roles can still be managed
+const isLastSuperAdmin = async (admin) => {
+  if (!isSuperAdmin(admin)) return false;
+  const others = await User.countDocuments({
+    _id: { $ne: admin._id },
+    role: 'admin',
+    isBlocked: { $ne: true },
+    adminRole: 'super_admin'
+  });
+  return others === 0;
+};
+
+// @desc    Admin roles and the permissions each includes
+// @route   GET /api/admin/admins/roles
+// @access  Private (Admin only)
+const getAdminRoles = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        roles: Object.entries(ADMIN_ROLES).map(([key, role]) => ({ key, ...role })),
+        permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get admin roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching admin roles',
+      error: error.message
+    });
+  }
+};
+
+// @desc    The signed-in admin's role and permissions
+// @route   GET /api/admin/admins/me
+// @access  Private (Admin only)
+const getMyAdminAccess = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: { admin: formatAdmin(req.user) }
+    });
+
+  } catch (error) {
+    console.error('Get admin access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching admin access',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List admin users
+// @route   GET /api/admin/admins
+// @access  Private (Admin only)
+const getAdmins = async (req, res) => {
+  try {
+    const { adminRole } = req.query;
+
+    const filter = { role: 'admin' };
+    if (adminRole) filter.adminRole = adminRole;
+
+    const admins = await User.find(filter).select(ADMIN_FIELDS).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { admins: admins.map(formatAdmin) }
+    });
+
+  } catch (error) {
+    console.error('Get admins error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching admins',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create an admin user
+// @route   POST /api/admin/admins
+// @access  Private (Admin only)
+const createAdmin = async (req, res) => {
+  try {
+    const { fullName, email, password, adminRole, adminPermissions = [] } = req.body;
+
+    if (!fullName || !email || !password || !adminRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'Full name, email, password and admin role are required'
+      });
+    }
+
+    const invalid = validateAccess({ adminRole, adminPermissions });
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    const existing = await User.findOne({ email: email.toLowerCase() });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A user with this email already exists'
+      });
+    }
+
+    // Two-factor is set up on first login
+    const admin = await User.create({
+      fullName,
+      email,
+      password,
+      role: 'admin',
+      adminRole,
+      adminPermissions,
+      isVerified: true
+    });
+
+    await recordAudit(req, {
+      action: 'admins.create',
+      targetType: 'User',
+      targetId: admin._id,
+      targetLabel: admin.email,
+      after: { adminRole: admin.adminRole, adminPermissions: [...admin.adminPermissions] }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Admin created successfully',
+      data: { admin: formatAdmin(admin) }
+    });
+
+  } catch (error) {
+    console.error('Create admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating admin',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Change an admin's role or extra permissions
+// @route   PUT /api/admin/admins/:id
+// @access  Private (Admin only)
+const updateAdminAccess = async (req, res) => {
+  try {
+    const { adminRole, adminPermissions } = req.body;
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const invalid = validateAccess({ adminRole, adminPermissions });
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    const admin = await User.findOne({ _id: req.params.id, role: 'admin' }).select(ADMIN_FIELDS);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (adminRole && adminRole !== 'super_admin' && await isLastSuperAdmin(admin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one super admin is required'
+      });
+    }
+
+    const access = () => ({
+      adminRole: admin.adminRole || null,
+      adminPermissions: [...(admin.adminPermissions || [])]
+    });
+    const before = access();
+
+    if (adminRole !== undefined) admin.adminRole = adminRole;
+    if (adminPermissions !== undefined) admin.adminPermissions = adminPermissions;
+    await admin.save();
+
+    await recordAudit(req, {
+      action: 'admins.update_access',
+      targetType: 'User',
+      targetId: admin._id,
+      targetLabel: admin.email,
+      before,
+      after: access(),
+      reason: req.body.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Admin access updated',
+      data: { admin: formatAdmin(admin) }
+    });
+
+  } catch (error) {
+    console.error('Update admin access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating admin access',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Deactivate an admin and sign them out
+// @route   DELETE /api/admin/admins/:id
+// @access  Private (Admin only)
+const deactivateAdmin = async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    const admin = await User.findOne({ _id: req.params.id, role: 'admin' }).select(ADMIN_FIELDS);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (await isLastSuperAdmin(admin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one super admin is required'
+      });
+    }
+
+    admin.isBlocked = true;
+    await admin.save();
+    await revokeUserSessions(admin._id, { reason: 'admin' });
+
+    await recordAudit(req, {
+      action: 'admins.deactivate',
+      targetType: 'User',
+      targetId: admin._id,
+      targetLabel: admin.email,
+      before: { isBlocked: false },
+      after: { isBlocked: true },
+      reason: req.body?.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Admin deactivated',
+      data: { admin: formatAdmin(admin) }
+    });
+
+  } catch (error) {
+    console.error('Deactivate admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating admin',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAdminRoles,
+  getMyAdminAccess,
+  getAdmins,
+  createAdmin,
+  updateAdminAccess,
+  deactivateAdmin
+};
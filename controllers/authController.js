@@ -4,7 +4,21 @@ const User = require('../models/User');
 const SystemSettings = require('../models/SystemSettings');
 const mongoose = require('mongoose');
 
-const { generateToken } = require('../utils/generateToken');
+const Session = require('../models/Session');
+const { createSession, rotateSession, revokeSession, revokeUserSessions, listSessions } = require('../utils/sessions');
+const {
+  isTwoFactorRequired,
+  createChallenge,
+  readChallenge,
+  beginSetup,
+  enableTwoFactor,
+  verifySecondFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  getTwoFactorStatus
+} = require('../utils/twoFactor');
+const { getPermissions } = require('../utils/permissions');
+const { checkAccountAccess, activeRestrictions, formatRestriction } = require('../utils/restrictions');
 const { sendOTPEmail } = require('../utils/emailService');
 const { uploadToCloudinary } = require('../utils/cloudinary');
 const { sendAdminNotification } = require('../socket/notificationHandler');
@@ -422,6 +436,60 @@ specializationsData = specializationsData.map(id => {
   }
 };
 
+// Start a session for a user who passed every login step
+const completeLogin = async (user, req, { rememberMe = false } = {}) => {
+  // Update last active and online status
+  user.lastActive = new Date();
+  user.isOnline = true;
+  await user.save();
+
+  // Remember me keeps the session (refresh token) alive longer
+  const tokens = await createSession(user, req, { rememberMe });
+
+  // Prepare response data
+  const userResponse = {
+    _id: user._id,
+    fullName: user.fullName,
+    email: user.email,
+    role: user.role,
+    profilePhoto: user.profilePhoto,
+    isVerified: user.isVerified,
+    phoneNumber: user.phoneNumber,
+    location: user.location,
+    notificationSettings: user.notificationSettings,
+    profileCompletion: user.profileCompletion,
+    isOnline: user.isOnline,
+    lastActive: user.lastActive,
+    twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+    // Partial restrictions still in force, such as no quoting
+    restrictions: activeRestrictions(user).map(formatRestriction)
+  };
+
+  // Add role-specific fields
+  if (user.role === 'admin') {
+    userResponse.adminRole = user.adminRole || null;
+    userResponse.permissions = getPermissions(user);
+  }
+
+  if (user.role === 'provider') {
+    userResponse.businessName = user.businessName;
+    userResponse.bio = user.bio;
+    userResponse.experienceLevel = user.experienceLevel;
+    userResponse.specializations = user.specializations;
+    userResponse.serviceAreas = user.serviceAreas;
+    userResponse.workingHours = user.workingHours;
+    userResponse.credits = user.credits;
+    userResponse.verificationStatus = user.verificationStatus;
+    userResponse.totalCompletedJobs = user.totalCompletedJobs;
+    userResponse.averageRating = user.averageRating;
+  }
+
+  return {
+    user: userResponse,
+    ...tokens
+  };
+};
+
 // @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
@@ -451,65 +519,259 @@ const login = async (req, res) => {
       });
     }
 
-    if (user.isBlocked) {
+    // Tells a suspended or banned user why, and until when
+    const denied = await checkAccountAccess(user);
+    if (denied) {
       return res.status(401).json({
         success: false,
-        message: 'Your account has been blocked. Please contact support.'
+        message: denied.message,
+        data: { restriction: denied.restriction }
       });
     }
 
-    // Update last active and online status
-    user.lastActive = new Date();
-    user.isOnline = true;
-    await user.save();
+    // With two-factor the password only gets the user to the code step
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createChallenge(user, { rememberMe })
+        }
+      });
+    }
 
-    // Generate token with longer expiry if remember me is true
-    const token = generateToken(user);
+    // Admins can't sign in until two-factor is set up
+    if (isTwoFactorRequired(user)) {
+      return res.status(200).json({
+        success: true,
+        message: 'Set up two-factor authentication to continue',
+        data: {
+          twoFactorSetupRequired: true,
+          challengeToken: createChallenge(user, { purpose: 'setup', rememberMe })
+        }
+      });
+    }
 
-    // Prepare response data
-    const userResponse = {
-      _id: user._id,
-      fullName: user.fullName,
-      email: user.email,
-      role: user.role,
-      profilePhoto: user.profilePhoto,
-      isVerified: user.isVerified,
-      phoneNumber: user.phoneNumber,
-      location: user.location,
-      notificationSettings: user.notificationSettings,
-      profileCompletion: user.profileCompletion,
-      isOnline: user.isOnline,
-      lastActive: user.lastActive
-    };
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: await completeLogin(user, req, { rememberMe })
+    });
 
-    // Add role-specific fields
-    if (user.role === 'provider') {
-      userResponse.businessName = user.businessName;
-      userResponse.bio = user.bio;
-      userResponse.experienceLevel = user.experienceLevel;
-      userResponse.specializations = user.specializations;
-      userResponse.serviceAreas = user.serviceAreas;
-      userResponse.workingHours = user.workingHours;
-      userResponse.credits = user.credits;
-      userResponse.verificationStatus = user.verificationStatus;
-      userResponse.totalCompletedJobs = user.totalCompletedJobs;
-      userResponse.averageRating = user.averageRating;
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging in',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Finish logging in with a two-factor code or backup code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (login challenge token)
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    if (!challengeToken || (!code && !backupCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and code are required'
+      });
     }
 
+    let result;
+    let challenge;
+    try {
+      challenge = readChallenge(challengeToken, 'verify');
+      result = await verifySecondFactor(challenge.userId, { code, backupCode });
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    const user = result.account;
+    const denied = await checkAccountAccess(user);
+    if (denied) {
+      return res.status(401).json({
+        success: false,
+        message: denied.message,
+        data: { restriction: denied.restriction }
+      });
+    }
+
+    const data = await completeLogin(user, req, { rememberMe: challenge.rememberMe });
+
     res.status(200).json({
       success: true,
       message: 'Login successful',
       data: {
-        user: userResponse,
-        token
+        ...data,
+        ...(backupCode && { backupCodesRemaining: result.backupCodesRemaining })
       }
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Verify two-factor login error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error logging in',
+      message: 'Error verifying code',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get two-factor status
+// @route   GET /api/auth/2fa
+// @access  Private
+const getTwoFactorSettings = async (req, res) => {
+  try {
+    const twoFactor = await getTwoFactorStatus(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: { twoFactor }
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching two-factor status',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Start two-factor enrolment
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or setup challenge token from login)
+const setupTwoFactor = async (req, res) => {
+  try {
+    let setup;
+    try {
+      setup = await beginSetup(req.user);
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: setup
+    });
+
+  } catch (error) {
+    console.error('Setup two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting two-factor setup',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Confirm enrolment with a code and turn two-factor on
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or setup challenge token from login)
+const confirmTwoFactorSetup = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    let result;
+    try {
+      result = await enableTwoFactor(req.user, code);
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    // Signed-in devices were authenticated without a code
+    if (req.authSession) {
+      await revokeUserSessions(req.user._id, { reason: 'user', except: req.authSession._id });
+    }
+
+    // Enrolment forced at login ends with the user signed in
+    const login = req.twoFactorChallenge
+      ? await completeLogin(req.user, req, { rememberMe: req.twoFactorChallenge.rememberMe })
+      : {};
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      data: {
+        backupCodes: result.backupCodes,
+        ...login
+      }
+    });
+
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Turn two-factor off
+// @route   POST /api/auth/2fa/disable
+// @access  Private (Providers)
+const removeTwoFactor = async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+
+    try {
+      await disableTwoFactor(req.user, { password, code, backupCode });
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Replace backup codes
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+const renewBackupCodes = async (req, res) => {
+  try {
+    let result;
+    try {
+      result = await regenerateBackupCodes(req.user, req.body.code);
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'New backup codes generated. The old ones no longer work.',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating backup codes',
       error: error.message
     });
   }
@@ -598,6 +860,9 @@ const resetPassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out everywhere; whoever knew the old password loses access
+    await revokeUserSessions(user._id, { reason: 'password_reset' });
+
     res.status(200).json({
       success: true,
       message: 'Password reset successfully'
@@ -616,6 +881,9 @@ const resetPassword = async (req, res) => {
 // @access  Private
 const logout = async (req, res) => {
   try {
+    // End this device's session so its tokens stop working
+    await revokeSession(req.authSession, 'logout');
+
     // Update user online status
     await User.findByIdAndUpdate(req.user._id, {
       isOnline: false,
@@ -637,6 +905,128 @@ const logout = async (req, res) => {
   }
 };
 
+// @desc    Exchange a refresh token for new tokens
+// @route   POST /api/auth/refresh-token
+// @access  Public
+const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    let result;
+    try {
+      result = await rotateSession(token, req);
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    const { user, ...tokens } = result;
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed',
+      data: tokens
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing token',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List the devices signed in to this account
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id, req.authSession._id);
+
+    res.status(200).json({
+      success: true,
+      data: { sessions }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Sign out one device
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSessionById = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session, 'user');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Sign out every other device
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id, {
+      reason: 'user',
+      except: req.authSession._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Signed out of ${revoked} other session${revoked === 1 ? '' : 's'}`,
+      data: { revoked }
+    });
+
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking sessions',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   sendOTP,
   verifyOTP,
@@ -644,5 +1034,15 @@ module.exports = {
   login,
   forgotPassword,
   resetPassword,
-  logout
+  logout,
+  refreshToken,
+  getSessions,
+  revokeSessionById,
+  revokeOtherSessions,
+  verifyTwoFactorLogin,
+  getTwoFactorSettings,
+  setupTwoFactor,
+  confirmTwoFactorSetup,
+  removeTwoFactor,
+  renewBackupCodes
 };
\ No newline at end of file
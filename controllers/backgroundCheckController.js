@@ -6,6 +6,7 @@ const { uploadToCloudinary, deleteFromCloudinary } = require('../utils/cloudinar
 const { success: successResponse, error: errorResponse } = require('../utils/response');
 const Notification = require('../models/Notification');
 const { createPaymentIntent, stripe } = require('../config/stripe');
+const { postPlatformSale } = require('../utils/ledger');
 
 // Background check fee
 const BACKGROUND_CHECK_FEE = 30; // $30
@@ -113,6 +114,7 @@ const submitBackgroundCheck = async (req, res) => {
         amount: BACKGROUND_CHECK_FEE,
         platformCommission: BACKGROUND_CHECK_FEE, // Full amount goes to platform for background checks
         providerAmount: 0, // No provider payout for background check fees
+        currency: paymentIntent.currency,
         paymentMethod: 'card',
         stripePaymentIntentId: paymentIntentId,
         stripeChargeId: paymentIntent.latest_charge,
@@ -125,6 +127,8 @@ const submitBackgroundCheck = async (req, res) => {
         }
       });
 
+      await postPlatformSale(existingTransaction, 'background_check_fee');
+
       paymentCompleted = true;
       console.log('[BackgroundCheck] Payment verified and transaction created:', existingTransaction._id);
     }
@@ -0,0 +1,218 @@
+// controllers/calendarController.js
+const crypto = require('crypto');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const Quote = require('../models/Quote');
+const { scheduledSlot } = require('../utils/availability');
+const { buildCalendar } = require('../utils/icalendar');
+const { API_BASE_URL } = require('../config/env');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Finished and cancelled jobs stay in the feed this long so subscribed
+// calendars see the change instead of the event silently disappearing
+const FEED_HISTORY_DAYS = 60;
+
+const FEED_STATUSES = ['in_progress', 'completed', 'cancelled'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const feedUrl = (req, token) => {
+  const base = API_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}/api/calendar/${token}.ics`;
+};
+
+const contactLine = (label, person) => {
+  if (!person) return null;
+  const details = [person.businessName || person.fullName, person.phoneNumber, person.email].filter(Boolean);
+  return details.length ? `${label}: ${details.join(', ')}` : null;
+};
+
+// Scheduled jobs for a user, as calendar events
+const jobEventsFor = async (user) => {
+  const since = new Date(Date.now() - FEED_HISTORY_DAYS * DAY_MS);
+
+  let filter;
+  if (user.role === 'provider') {
+    // Same source as getAcceptedJobs, plus jobs assigned directly
+    const quotes = await Quote.find({ provider: user._id, status: 'accepted' }).select('job');
+    filter = { $or: [{ provider: user._id }, { _id: { $in: quotes.map(q => q.job) } }] };
+  } else {
+    filter = { client: user._id };
+  }
+
+  const jobs = await Job.find({
+    ...filter,
+    acceptedQuote: { $exists: true, $ne: null },
+    status: { $in: FEED_STATUSES },
+    // A recurring series appears through its individual visits
+    'recurrence.frequency': { $exists: false },
+    $and: [{ $or: [{ status: 'in_progress' }, { updatedAt: { $gte: since } }] }]
+  })
+    .populate('client', 'fullName email phoneNumber')
+    .populate({
+      path: 'acceptedQuote',
+      select: 'provider proposedDate proposedTime',
+      populate: { path: 'provider', select: 'fullName businessName email phoneNumber availability workingHours' }
+    })
+    .populate('serviceCategory', 'title');
+
+  return jobs
+    .map(job => {
+      const quote = job.acceptedQuote;
+      const provider = quote?.provider;
+      const slot = quote?.proposedDate
+        ? scheduledSlot(provider, quote.proposedDate, quote.proposedTime || job.preferredTime)
+        : scheduledSlot(provider, job.preferredDate, job.preferredTime);
+      if (!slot) return null;
+
+      const address = job.location?.details?.completeAddress || job.location?.address;
+      const description = [
+        job.serviceCategory?.title && `Service: ${job.serviceCategory.title}`,
+        user.role === 'provider' ? contactLine('Client', job.client) : contactLine('Provider', provider),
+        !slot.start && job.preferredTime && `Time: ${job.preferredTime}`,
+        job.occurrence?.index && `Visit ${job.occurrence.index} of a recurring service`,
+        job.description
+      ].filter(Boolean).join('\n');
+
+      return {
+        uid: `job-${job._id}@homequoteconnect`,
+        summary: job.status === 'cancelled' ? `Cancelled: ${job.title}` : job.title,
+        description,
+        location: address,
+        start: slot.start,
+        end: slot.end,
+        date: slot.date,
+        status: job.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+        updatedAt: job.updatedAt
+      };
+    })
+    .filter(Boolean);
+};
+
+// @desc    Get calendar feed status
+// @route   GET /api/profile/calendar-feed
+// @access  Private
+const getCalendarFeedStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarFeed.tokenHash');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: Boolean(user.calendarFeed?.tokenHash),
+        createdAt: user.calendarFeed?.createdAt || null,
+        lastAccessedAt: user.calendarFeed?.lastAccessedAt || null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching calendar feed',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create or regenerate the calendar feed URL (invalidates the old one)
+// @route   POST /api/profile/calendar-feed
+// @access  Private
+const regenerateCalendarFeed = async (req, res) => {
+  try {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await User.findByIdAndUpdate(req.user._id, {
+      calendarFeed: {
+        tokenHash: hashToken(token),
+        createdAt: new Date()
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed created. Keep this URL private; it is only shown once.',
+      data: { url: feedUrl(req, token) }
+    });
+
+  } catch (error) {
+    console.error('Regenerate calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating calendar feed',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke the calendar feed URL
+// @route   DELETE /api/profile/calendar-feed
+// @access  Private
+const revokeCalendarFeed = async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, { $unset: { calendarFeed: 1 } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking calendar feed',
+      error: error.message
+    });
+  }
+};
+
+// @desc    ICS feed of the user's scheduled jobs
+// @route   GET /api/calendar/:token.ics
+// @access  Public (token in URL)
+const getCalendarFeed = async (req, res) => {
+  try {
+    const token = req.params.token;
+    const user = token && await User.findOne({
+      'calendarFeed.tokenHash': hashToken(token),
+      isBlocked: false
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const events = await jobEventsFor(user);
+
+    await User.updateOne({ _id: user._id }, { 'calendarFeed.lastAccessedAt': new Date() });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="jobs.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(buildCalendar({
+      name: user.role === 'provider' ? 'HomeQuote Jobs' : 'HomeQuote Bookings',
+      events
+    }));
+
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building calendar feed',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getCalendarFeedStatus,
+  regenerateCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeed
+};
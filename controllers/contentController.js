@@ -1,6 +1,16 @@
 // controllers/contentController.js
 const Content = require('../models/Content');
 const { sendAdminNotification } = require('./adminNotificationController');
+const { recordAudit } = require('../utils/auditLog');
+
+// Fields an admin edits, for the audit log
+const contentSnapshot = (doc) => doc ? {
+  title: doc.title,
+  content: doc.content,
+  metaTitle: doc.metaTitle,
+  metaDescription: doc.metaDescription,
+  keywords: doc.keywords
+} : {};
 
 // @desc    Get all content
 // @route   GET /api/admin/content
@@ -78,6 +88,7 @@ const updateContent = async (req, res) => {
     }
 
     let contentDoc = await Content.findOne({ type });
+    const before = contentSnapshot(contentDoc?.toObject());
 
     if (contentDoc) {
       // Update existing content
@@ -102,6 +113,16 @@ const updateContent = async (req, res) => {
 
     await contentDoc.save();
 
+    await recordAudit(req, {
+      action: 'content.edit',
+      targetType: 'Content',
+      targetId: contentDoc._id,
+      targetLabel: type,
+      before,
+      after: contentSnapshot(contentDoc.toObject()),
+      metadata: { version: contentDoc.version }
+    });
+
     const populatedContent = await Content.findById(contentDoc._id)
       .populate('lastUpdatedBy', 'fullName profilePhoto');
 
@@ -0,0 +1,315 @@
+// controllers/disputeController.js
+const Dispute = require('../models/Dispute');
+const Transaction = require('../models/Transaction');
+const { sendNotification, sendAdminNotification } = require('../socket/notificationHandler');
+const { uploadToCloudinary } = require('../utils/cloudinary');
+const { OPEN_DISPUTE_STATUSES, openDispute } = require('../utils/disputes');
+
+// Upload evidence files (Multer) to Cloudinary
+const processEvidence = async (files, uploadedBy) => {
+  if (!files || !Array.isArray(files) || files.length === 0) return [];
+
+  return Promise.all(files.map(async (file) => {
+    const result = await uploadToCloudinary(file.buffer, 'raza-home-quote/disputes');
+
+    return {
+      uploadedBy,
+      type: file.mimetype && file.mimetype.startsWith('image/') ? 'image' : 'document',
+      public_id: result.public_id,
+      url: result.secure_url,
+      filename: file.originalname || file.fieldname
+    };
+  }));
+};
+
+// Load a dispute the user is a party to
+const findDisputeForUser = async (disputeId, user) => {
+  const dispute = await Dispute.findById(disputeId);
+  if (!dispute || !dispute.isParty(user._id)) return null;
+  return dispute;
+};
+
+// @desc    Open a dispute on a paid job
+// @route   POST /api/disputes
+// @access  Private (Client or Provider)
+const createDispute = async (req, res) => {
+  try {
+    const { transactionId, reason, description } = req.body;
+
+    if (!transactionId || !reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transaction and dispute reason are required'
+      });
+    }
+
+    const transaction = await Transaction.findById(transactionId).populate('quote job');
+
+    const isClient = transaction && transaction.user.toString() === req.user._id.toString();
+    const isProvider = transaction?.quote && transaction.quote.provider.toString() === req.user._id.toString();
+
+    if (!transaction || (!isClient && !isProvider)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    const evidence = await processEvidence(req.files, req.user._id);
+
+    let dispute;
+    try {
+      dispute = await openDispute(transaction, {
+        openedBy: req.user._id,
+        source: isClient ? 'client' : 'provider',
+        reason: reason.trim(),
+        description,
+        evidence
+      });
+    } catch (disputeErr) {
+      if (!disputeErr.statusCode) throw disputeErr;
+      return res.status(disputeErr.statusCode).json({ success: false, message: disputeErr.message });
+    }
+
+    const otherParty = isClient ? transaction.quote.provider : transaction.user;
+
+    if (req.app.get('io')) {
+      sendNotification(req.app.get('io'), otherParty, {
+        type: 'dispute_opened',
+        title: 'Dispute Opened',
+        message: `${req.user.fullName} opened a dispute on "${transaction.job?.title || 'the job'}". The payment is on hold until an admin resolves it.`,
+        jobId: transaction.job?._id,
+        reason: reason.trim()
+      });
+
+      await sendAdminNotification(req.app.get('io'), {
+        type: 'dispute_opened',
+        title: 'New Dispute',
+        message: `${req.user.fullName} opened a dispute for "${transaction.job?.title || 'a job'}"`,
+        data: {
+          disputeId: dispute._id,
+          transactionId: transaction._id,
+          jobId: transaction.job?._id
+        },
+        category: 'payment',
+        priority: 'high'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Dispute opened. The payment is frozen until an admin resolves it.',
+      data: dispute
+    });
+
+  } catch (error) {
+    console.error('Create dispute error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error opening dispute',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get disputes the current user is part of
+// @route   GET /api/disputes
+// @access  Private
+const getMyDisputes = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+
+    const filter = {
+      $or: [{ client: req.user._id }, { provider: req.user._id }]
+    };
+    if (status) filter.status = status;
+
+    const disputes = await Dispute.find(filter)
+      .populate('job', 'title')
+      .populate('client', 'fullName profilePhoto')
+      .populate('provider', 'fullName businessName profilePhoto')
+      .select('-timeline')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Dispute.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        disputes,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalDisputes: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my disputes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching disputes',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a dispute with its timeline and evidence
+// @route   GET /api/disputes/:id
+// @access  Private (Parties only)
+const getDispute = async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.id)
+      .populate('job', 'title status')
+      .populate('transaction', 'amount status escrow paymentMethod')
+      .populate('client', 'fullName profilePhoto')
+      .populate('provider', 'fullName businessName profilePhoto')
+      .populate('timeline.sender', 'fullName profilePhoto role');
+
+    if (!dispute || !dispute.isParty(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: dispute
+    });
+
+  } catch (error) {
+    console.error('Get dispute error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dispute',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Add a message to the dispute timeline
+// @route   POST /api/disputes/:id/messages
+// @access  Private (Parties only)
+const addDisputeMessage = async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    if (!message || !message.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message is required'
+      });
+    }
+
+    const dispute = await findDisputeForUser(req.params.id, req.user);
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found'
+      });
+    }
+
+    if (!OPEN_DISPUTE_STATUSES.includes(dispute.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This dispute is closed'
+      });
+    }
+
+    const isClient = dispute.client.toString() === req.user._id.toString();
+    await dispute.addTimelineEntry(isClient ? 'client' : 'provider', message.trim(), req.user._id);
+
+    if (req.app.get('io')) {
+      sendNotification(req.app.get('io'), isClient ? dispute.provider : dispute.client, {
+        type: 'dispute_message',
+        title: 'New Dispute Message',
+        message: `${req.user.fullName}: ${message.trim().substring(0, 100)}`,
+        jobId: dispute.job
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Message added',
+      data: dispute.timeline[dispute.timeline.length - 1]
+    });
+
+  } catch (error) {
+    console.error('Add dispute message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding message',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Upload evidence to a dispute
+// @route   POST /api/disputes/:id/evidence
+// @access  Private (Parties only)
+const addDisputeEvidence = async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload at least one file'
+      });
+    }
+
+    const dispute = await findDisputeForUser(req.params.id, req.user);
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found'
+      });
+    }
+
+    if (!OPEN_DISPUTE_STATUSES.includes(dispute.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This dispute is closed'
+      });
+    }
+
+    const evidence = await processEvidence(req.files, req.user._id);
+    if (req.body.description) {
+      evidence.forEach(item => { item.description = req.body.description; });
+    }
+
+    dispute.evidence.push(...evidence);
+    const isClient = dispute.client.toString() === req.user._id.toString();
+    await dispute.addTimelineEntry(
+      isClient ? 'client' : 'provider',
+      `Uploaded ${evidence.length} evidence file(s)`,
+      req.user._id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Evidence uploaded',
+      data: dispute.evidence
+    });
+
+  } catch (error) {
+    console.error('Add dispute evidence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading evidence',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createDispute,
+  getMyDisputes,
+  getDispute,
+  addDisputeMessage,
+  addDisputeEvidence
+};
@@ -0,0 +1,283 @@
+// controllers/escrowController.js
+const Transaction = require('../models/Transaction');
+const Job = require('../models/Job');
+const { sendNotification, sendAdminNotification } = require('../socket/notificationHandler');
+const { OPEN_ESCROW_STATUSES, releaseEscrow } = require('../utils/escrow');
+const { openDispute } = require('../utils/disputes');
+
+// Load an escrowed transaction and work out the caller's side of it
+const findEscrowForUser = async (transactionId, user) => {
+  const transaction = await Transaction.findById(transactionId).populate('quote job');
+  if (!transaction || !transaction.quote) return { transaction: null };
+
+  const isClient = transaction.user.toString() === user._id.toString();
+  const isProvider = transaction.quote.provider.toString() === user._id.toString();
+
+  return { transaction, isClient, isProvider };
+};
+
+// @desc    Get escrow status for a transaction
+// @route   GET /api/payments/escrow/:transactionId
+// @access  Private (Client or Provider)
+const getEscrowStatus = async (req, res) => {
+  try {
+    const { transaction, isClient, isProvider } = await findEscrowForUser(req.params.transactionId, req.user);
+
+    if (!transaction || (!isClient && !isProvider)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        transactionId: transaction._id,
+        jobId: transaction.job?._id,
+        amount: transaction.amount,
+        providerAmount: transaction.providerAmount,
+        escrow: transaction.escrow
+      }
+    });
+
+  } catch (error) {
+    console.error('Get escrow status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching escrow status',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Approve completed work and release escrowed funds
+// @route   PUT /api/payments/escrow/:transactionId/approve
+// @access  Private (Client only)
+const approveEscrow = async (req, res) => {
+  try {
+    const { transaction, isClient } = await findEscrowForUser(req.params.transactionId, req.user);
+
+    if (!transaction || !isClient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    if (transaction.escrow.status !== 'awaiting_approval') {
+      return res.status(400).json({
+        success: false,
+        message: 'The provider has not submitted this job for approval'
+      });
+    }
+
+    let released;
+    try {
+      released = await releaseEscrow(transaction, {
+        releasedBy: req.user._id,
+        notes: 'escrow-approved-by-client',
+        from: ['awaiting_approval']
+      });
+    } catch (releaseErr) {
+      return res.status(releaseErr.statusCode || 500).json({ success: false, message: releaseErr.message });
+    }
+
+    // Notify provider about the release
+    if (req.app.get('io')) {
+      sendNotification(req.app.get('io'), released.providerId, {
+        type: 'escrow_released',
+        title: 'Work Approved',
+        message: `${req.user.fullName} approved "${transaction.job?.title || 'the job'}". $${released.amount} has been released to your available balance.`,
+        jobId: transaction.job?._id,
+        clientName: req.user.fullName
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Work approved and payment released',
+      data: { escrow: transaction.escrow }
+    });
+
+  } catch (error) {
+    console.error('Approve escrow error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error approving work',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Ask the provider for changes before approving
+// @route   PUT /api/payments/escrow/:transactionId/request-changes
+// @access  Private (Client only)
+const requestEscrowChanges = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please describe the changes you need'
+      });
+    }
+
+    const { transaction, isClient } = await findEscrowForUser(req.params.transactionId, req.user);
+
+    if (!transaction || !isClient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    if (transaction.escrow.status !== 'awaiting_approval') {
+      return res.status(400).json({
+        success: false,
+        message: 'Changes can only be requested while the work is awaiting your approval'
+      });
+    }
+
+    // Stop the auto-approve clock and send the job back to the provider.
+    // Claimed on the status so an approval or auto-release running at the
+    // same time can't be overwritten.
+    const updated = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, 'escrow.status': 'awaiting_approval' },
+      {
+        $set: { 'escrow.status': 'changes_requested' },
+        $unset: { 'escrow.autoApproveAt': 1 },
+        $push: { 'escrow.changeRequests': { reason: reason.trim() } }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'The work is no longer awaiting your approval'
+      });
+    }
+
+    await Job.findByIdAndUpdate(transaction.job._id, { status: 'in_progress' });
+
+    // Notify provider about the requested changes
+    if (req.app.get('io')) {
+      sendNotification(req.app.get('io'), transaction.quote.provider, {
+        type: 'escrow_changes_requested',
+        title: 'Changes Requested',
+        message: `${req.user.fullName} requested changes on "${transaction.job?.title || 'the job'}". Mark the job complete again when done.`,
+        jobId: transaction.job._id,
+        clientName: req.user.fullName,
+        reason: reason.trim()
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Changes requested. Payment stays in escrow until you approve the work.',
+      data: { escrow: updated.escrow }
+    });
+
+  } catch (error) {
+    console.error('Request escrow changes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting changes',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Open a dispute and freeze the escrowed funds
+// @route   PUT /api/payments/escrow/:transactionId/dispute
+// @access  Private (Client or Provider)
+const disputeEscrow = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A dispute reason is required'
+      });
+    }
+
+    const { transaction, isClient, isProvider } = await findEscrowForUser(req.params.transactionId, req.user);
+
+    if (!transaction || (!isClient && !isProvider)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    if (!OPEN_ESCROW_STATUSES.includes(transaction.escrow.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only payments held in escrow can be disputed'
+      });
+    }
+
+    let dispute;
+    try {
+      dispute = await openDispute(transaction, {
+        openedBy: req.user._id,
+        source: isClient ? 'client' : 'provider',
+        reason: reason.trim()
+      });
+    } catch (disputeErr) {
+      if (!disputeErr.statusCode) throw disputeErr;
+      return res.status(disputeErr.statusCode).json({ success: false, message: disputeErr.message });
+    }
+
+    const otherParty = isClient ? transaction.quote.provider : transaction.user;
+
+    if (req.app.get('io')) {
+      sendNotification(req.app.get('io'), otherParty, {
+        type: 'escrow_disputed',
+        title: 'Payment Disputed',
+        message: `${req.user.fullName} opened a dispute on "${transaction.job?.title || 'the job'}". The payment is on hold until it is resolved.`,
+        jobId: transaction.job?._id,
+        reason: reason.trim()
+      });
+
+      await sendAdminNotification(req.app.get('io'), {
+        type: 'escrow_disputed',
+        title: 'Escrow Dispute Opened',
+        message: `${req.user.fullName} disputed the payment for "${transaction.job?.title || 'a job'}"`,
+        data: {
+          disputeId: dispute._id,
+          transactionId: transaction._id,
+          jobId: transaction.job?._id,
+          raisedBy: req.user._id,
+          reason: reason.trim()
+        },
+        category: 'payment',
+        priority: 'high'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Dispute opened. The payment is frozen until an admin resolves it.',
+      data: { escrow: transaction.escrow, disputeId: dispute._id }
+    });
+
+  } catch (error) {
+    console.error('Dispute escrow error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error opening dispute',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getEscrowStatus,
+  approveEscrow,
+  requestEscrowChanges,
+  disputeEscrow
+};
@@ -5,10 +5,16 @@ const Category = require('../models/Category');
 const Specialization = require('../models/Specialization');
 const User = require('../models/User');
 const Review = require('../models/Review');
-const Invoice = require('../models/Invoice');
 const Transaction = require('../models/Transaction');
 const { uploadMultipleImages } = require('../utils/fileUtils');
 const { sendNotification } = require('../socket/notificationHandler');
+const { findCreditNotes, getOrCreateInvoice, formatInvoice } = require('../utils/invoiceUtils');
+const { renderInvoicePdf } = require('../utils/pdfGenerator');
+const { normalizeCurrency, currencyForJob } = require('../utils/currency');
+const { parseRecurrence, cancelOccurrence, cancelSeries, syncSeries } = require('../utils/recurrence');
+const { closeRescheduleRequests } = require('../utils/rescheduling');
+const { extendJobExpiry } = require('../utils/jobExpiry');
+const { httpError } = require('../utils/response');
 
 // @desc    Create a new job post
 // @route   POST /api/jobs
@@ -32,9 +38,26 @@ const createJob = async (req, res) => {
       preferredDate,
       preferredTime,
       priceRange,
-      specificInstructions
+      specificInstructions,
+      currency,
+      recurrence
     } = req.body;
 
+    if (currency && !normalizeCurrency(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported currency'
+      });
+    }
+
+    let recurrenceRule;
+    try {
+      recurrenceRule = parseRecurrence(recurrence);
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
     // Parse location safely
     let locationData;
     if (!location) {
@@ -95,7 +118,10 @@ const createJob = async (req, res) => {
       urgency,
       preferredDate: preferredDate ? new Date(preferredDate) : undefined,
       preferredTime,
-      priceRange: typeof priceRange === 'string' ? JSON.parse(priceRange) : priceRange
+      priceRange: typeof priceRange === 'string' ? JSON.parse(priceRange) : priceRange,
+      // Defaults from the client's country
+      currency: currencyForJob(currency, req.user, locationData),
+      recurrence: recurrenceRule
     };
 
     // Upload photos if provided
@@ -673,9 +699,27 @@ const cancelJob = async (req, res) => {
   });
 }
 
-    job.status = 'cancelled';
-    job.cancellationReason = cancellationReason;
-    await job.save();
+    if (job.series) {
+      // One visit of a recurring job: the rest of the series carries on
+      try {
+        await cancelOccurrence(job);
+      } catch (err) {
+        if (!err.statusCode) throw err;
+        return res.status(err.statusCode).json({ success: false, message: err.message });
+      }
+      await syncSeries(job.series, { io: req.app.get('io') });
+    } else {
+      job.status = 'cancelled';
+      job.cancellationReason = cancellationReason;
+      await job.save();
+
+      // Cancelling a recurring job stops the whole series
+      if (job.recurrence?.status === 'active') {
+        await cancelSeries(job);
+      }
+    }
+
+    await closeRescheduleRequests(job._id);
 
     // Notify providers who quoted on this job
     if (job.quotes.length > 0) {
@@ -710,6 +754,47 @@ const cancelJob = async (req, res) => {
   }
 };
 
+// @desc    Keep a pending job open for quotes longer
+// @route   PUT /api/jobs/:id/extend
+// @access  Private (Client only)
+const extendJob = async (req, res) => {
+  try {
+    const job = await Job.findOne({
+      _id: req.params.id,
+      client: req.user._id
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found or you are not authorized to extend this job'
+      });
+    }
+
+    let updatedJob;
+    try {
+      updatedJob = await extendJobExpiry(job, { days: req.body.days ?? 7 });
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Job extended until ${updatedJob.expiresAt.toDateString()}`,
+      data: { job: updatedJob }
+    });
+
+  } catch (error) {
+    console.error('Extend job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error extending job',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get popular service categories
 // @route   GET /api/jobs/popular-categories
 // @access  Public
@@ -986,172 +1071,93 @@ const deleteJob = async (req, res) => {
   }
 };
 
-  // @desc    Get invoice for completed job
-// @route   GET /api/jobs/:id/invoice
-// @access  Private (Client or Provider)
-const getJobInvoice = async (req, res) => {
-  try {
-    const { id } = req.params;
+// Load (or issue) the invoice for a completed job on behalf of its client or provider
+const loadJobInvoice = async (jobId, user) => {
+  // Find the job
+  const job = await Job.findById(jobId)
+    .populate('client', 'fullName email phoneNumber location')
+    .populate('provider', 'fullName email phoneNumber location businessName')
+    .populate('acceptedQuote')
+    .populate('serviceCategory', 'title');
+
+  if (!job) {
+    throw httpError('Job not found', 404);
+  }
 
-    // Find the job
-    const job = await Job.findById(id)
-      .populate('client', 'fullName email phoneNumber location')
-      .populate('provider', 'fullName email phoneNumber location businessName')
-      .populate('acceptedQuote')
-      .populate('serviceCategory', 'title');
+  // Verify user is either client or provider
+  const isClient = job.client._id.toString() === user._id.toString();
+  const isProvider = job.provider && job.provider._id.toString() === user._id.toString();
 
-    if (!job) {
-      return res.status(404).json({
-        success: false,
-        message: 'Job not found'
-      });
-    }
+  if (!isClient && !isProvider) {
+    throw httpError('Not authorized to view this invoice', 403);
+  }
 
-    // Verify user is either client or provider
-    const isClient = job.client._id.toString() === req.user._id.toString();
-    const isProvider = job.provider && job.provider._id.toString() === req.user._id.toString();
+  // Check if job is completed
+  if (job.status !== 'completed') {
+    throw httpError('Invoice can only be generated for completed jobs', 400);
+  }
 
-    if (!isClient && !isProvider) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to view this invoice'
-      });
-    }
+  // Validate accepted quote exists
+  if (!job.acceptedQuote) {
+    throw httpError('No accepted quote found for this job', 400);
+  }
 
-    // Check if job is completed
-    if (job.status !== 'completed') {
-      return res.status(400).json({
-        success: false,
-        message: 'Invoice can only be generated for completed jobs'
-      });
-    }
+  // Validate provider exists
+  if (!job.provider) {
+    throw httpError('No provider assigned to this job', 400);
+  }
 
-    // Validate accepted quote exists
-    if (!job.acceptedQuote) {
-      return res.status(400).json({
-        success: false,
-        message: 'No accepted quote found for this job'
-      });
-    }
+  // Milestone jobs are invoiced per milestone
+  if (job.paymentType === 'milestone') {
+    throw httpError('This job is paid in milestones. Use the milestone invoices instead.', 400);
+  }
 
-    // Validate provider exists
-    if (!job.provider) {
-      return res.status(400).json({
-        success: false,
-        message: 'No provider assigned to this job'
-      });
-    }
+  // Find the transaction for this job
+  const transaction = await Transaction.findOne({
+    job: job._id,
+    milestone: { $exists: false },
+    status: { $in: ['completed', 'partially_refunded', 'refunded'] }
+  });
 
-    // Find the transaction for this job
-    const transaction = await Transaction.findOne({
-      job: job._id,
-      status: 'completed'
-    });
+  if (!transaction) {
+    throw httpError('No completed transaction found for this job', 404);
+  }
 
-    if (!transaction) {
-      return res.status(404).json({
-        success: false,
-        message: 'No completed transaction found for this job'
-      });
-    }
+  const invoice = await getOrCreateInvoice(transaction, {
+    job,
+    quoteId: job.acceptedQuote._id,
+    providerId: job.provider._id,
+    clientId: job.client._id
+  });
 
-    // Check if invoice already exists
-    let invoice = await Invoice.findOne({ job: job._id })
-      .populate('provider', 'fullName email phoneNumber location businessName')
-      .populate('client', 'fullName email phoneNumber location')
-      .populate('job', 'title description location')
-      .populate('quote', 'price description');
-
-    // If invoice doesn't exist, create it
-    if (!invoice) {
-      invoice = await Invoice.create({
-        job: job._id,
-        quote: job.acceptedQuote._id,
-        transaction: transaction._id,
-        provider: job.provider._id,
-        client: job.client._id,
-        pricing: {
-          subtotal: transaction.amount,
-          platformCommission: transaction.platformCommission,
-          platformCommissionRate: transaction.platformCommission / transaction.amount,
-          total: transaction.providerAmount
-        },
-        payment: {
-          paidAmount: transaction.amount,
-          paymentMethod: transaction.paymentMethod,
-          paymentStatus: transaction.status,
-          paidAt: transaction.paidAt || transaction.completedAt
-        },
-        issuedDate: new Date(),
-        status: 'paid'
-      });
+  // Build invoice response
+  const creditNotes = await findCreditNotes(invoice._id);
+  return {
+    invoiceData: formatInvoice(invoice, job, creditNotes),
+    currency: transaction.currency
+  };
+};
 
-      // Populate the newly created invoice
-      invoice = await Invoice.findById(invoice._id)
-        .populate('provider', 'fullName email phoneNumber location businessName')
-        .populate('client', 'fullName email phoneNumber location')
-        .populate('job', 'title description location')
-        .populate('quote', 'price description');
+// @desc    Get invoice for completed job
+// @route   GET /api/jobs/:id/invoice
+// @access  Private (Client or Provider)
+const getJobInvoice = async (req, res) => {
+  try {
+    let result;
+    try {
+      result = await loadJobInvoice(req.params.id, req.user);
+    } catch (invoiceErr) {
+      if (!invoiceErr.statusCode) throw invoiceErr;
+      return res.status(invoiceErr.statusCode).json({
+        success: false,
+        message: invoiceErr.message
+      });
     }
 
-    // Build invoice response
-    const invoiceData = {
-      invoiceId: invoice.invoiceId,
-      issuedDate: invoice.issuedDate,
-      
-      // Service Provider Information
-      serviceProvider: {
-        name: invoice.provider?.businessName || invoice.provider?.fullName || 'N/A',
-        fullName: invoice.provider?.fullName || 'N/A',
-        email: invoice.provider?.email || 'N/A',
-        phoneNumber: invoice.provider?.phoneNumber || 'N/A',
-        address: invoice.provider?.location?.address || 
-                 `${invoice.provider?.location?.city || ''}, ${invoice.provider?.location?.state || ''}, ${invoice.provider?.location?.zipCode || ''}`.trim() || 'N/A'
-      },
-      
-      // Customer Information
-      customer: {
-        name: invoice.client?.fullName || 'N/A',
-        email: invoice.client?.email || 'N/A',
-        phoneNumber: invoice.client?.phoneNumber || 'N/A',
-        address: invoice.client?.location?.address || 
-                 `${invoice.client?.location?.city || ''}, ${invoice.client?.location?.state || ''}, ${invoice.client?.location?.zipCode || ''}`.trim() || 'N/A'
-      },
-      
-      // Job Information
-      jobDetails: {
-        jobTitle: invoice.job?.title || job.title || 'N/A',
-        jobDescription: invoice.job?.description || job.description || 'N/A',
-        jobLocation: invoice.job?.location?.address || job.location?.address ||
-                    `${invoice.job?.location?.details?.completeAddress || job.location?.details?.completeAddress || ''}, ${invoice.job?.location?.details?.city || job.location?.details?.city || ''}, ${invoice.job?.location?.details?.state || job.location?.details?.state || ''}`.trim() || 'N/A',
-        serviceCategory: job.serviceCategory?.title || 'N/A'
-      },
-      
-      // Pricing Breakdown
-      pricing: {
-        subtotal: invoice.pricing.subtotal,
-        platformCommission: invoice.pricing.platformCommission,
-        platformCommissionRate: `${(invoice.pricing.platformCommissionRate * 100).toFixed(0)}%`,
-        total: invoice.pricing.total
-      },
-      
-      // Payment Information
-      payment: {
-        paidAmount: invoice.payment.paidAmount,
-        paymentMethod: invoice.payment.paymentMethod,
-        paymentStatus: invoice.payment.paymentStatus,
-        paidAt: invoice.payment.paidAt
-      },
-      
-      // Metadata
-      createdAt: invoice.createdAt,
-      updatedAt: invoice.updatedAt
-    };
-
     res.status(200).json({
       success: true,
       message: 'Invoice retrieved successfully',
-      data: invoiceData
+      data: result.invoiceData
     });
 
   } catch (error) {
@@ -1164,6 +1170,41 @@ const getJobInvoice = async (req, res) => {
   }
 };
 
+// @desc    Download invoice for completed job as a PDF
+// @route   GET /api/jobs/:id/invoice.pdf
+// @access  Private (Client or Provider)
+const getJobInvoicePdf = async (req, res) => {
+  try {
+    let result;
+    try {
+      result = await loadJobInvoice(req.params.id, req.user);
+    } catch (invoiceErr) {
+      if (!invoiceErr.statusCode) throw invoiceErr;
+      return res.status(invoiceErr.statusCode).json({
+        success: false,
+        message: invoiceErr.message
+      });
+    }
+
+    const pdf = await renderInvoicePdf(result.invoiceData, { currency: result.currency });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="invoice-${result.invoiceData.invoiceId}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.status(200).send(pdf);
+
+  } catch (error) {
+    console.error('Get job invoice PDF error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating invoice PDF',
+      error: error.message
+    });
+  }
+};
+
   module.exports = {
     createJob,
     getJobs,
@@ -1172,9 +1213,11 @@ const getJobInvoice = async (req, res) => {
     getJob,
     getMyJobs,
     cancelJob,
+    extendJob,
     getPopularCategories,
     getJobsByCategory,
     updateJob,
     deleteJob,
-    getJobInvoice
+    getJobInvoice,
+    getJobInvoicePdf
   };
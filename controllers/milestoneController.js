@@ -0,0 +1,498 @@
+// controllers/milestoneController.js
+const Milestone = require('../models/Milestone');
+const Job = require('../models/Job');
+const Transaction = require('../models/Transaction');
+const { sendNotification } = require('../socket/notificationHandler');
+const { releaseTransactionFunds } = require('../utils/paymentRelease');
+const { findCreditNotes, getOrCreateInvoice, formatInvoice } = require('../utils/invoiceUtils');
+const { renderInvoicePdf } = require('../utils/pdfGenerator');
+const { httpError } = require('../utils/response');
+
+// Milestone amounts may differ from the quote price by rounding only
+const AMOUNT_TOLERANCE = 0.01;
+
+// Load a job with its accepted quote and check the user is the client or provider
+const findJobForUser = async (jobId, user) => {
+  const job = await Job.findById(jobId).populate('acceptedQuote');
+  if (!job || !job.acceptedQuote) return { job: null };
+
+  const isClient = job.client.toString() === user._id.toString();
+  const isProvider = job.acceptedQuote.provider.toString() === user._id.toString();
+
+  return { job, isClient, isProvider };
+};
+
+// @desc    Propose a milestone schedule for a job
+// @route   POST /api/milestones/job/:jobId
+// @access  Private (Provider only - accepted quote owner)
+const proposeMilestones = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { milestones } = req.body;
+
+    const { job, isProvider } = await findJobForUser(jobId, req.user);
+
+    if (!job || !isProvider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found or you are not the accepted provider'
+      });
+    }
+
+    if (job.status !== 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'Milestones can only be proposed for jobs in progress'
+      });
+    }
+
+    if (job.recurrence?.frequency) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recurring jobs are paid per visit and cannot be split into milestones'
+      });
+    }
+
+    if (!Array.isArray(milestones) || milestones.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'A milestone schedule needs at least two milestones'
+      });
+    }
+
+    // A job that was already paid in full cannot be split afterwards
+    const fullPayment = await Transaction.findOne({
+      job: job._id,
+      milestone: { $exists: false },
+      status: 'completed'
+    });
+
+    if (fullPayment) {
+      return res.status(400).json({
+        success: false,
+        message: 'This job has already been paid in full'
+      });
+    }
+
+    // Once money has moved the schedule is locked
+    const existing = await Milestone.getSchedule(job._id);
+    if (existing.some(m => !['proposed', 'approved'].includes(m.status))) {
+      return res.status(400).json({
+        success: false,
+        message: 'The milestone schedule cannot be changed after a milestone has been paid'
+      });
+    }
+
+    const total = milestones.reduce((sum, m) => sum + Number(m.amount || 0), 0);
+    if (Math.abs(total - job.acceptedQuote.price) > AMOUNT_TOLERANCE) {
+      return res.status(400).json({
+        success: false,
+        message: `Milestone amounts must add up to the accepted quote price (${job.acceptedQuote.price})`
+      });
+    }
+
+    // Replace any previous proposal
+    await Milestone.updateMany(
+      { job: job._id, status: { $in: ['proposed', 'approved'] } },
+      { status: 'cancelled', cancelledAt: new Date() }
+    );
+
+    const created = await Milestone.create(milestones.map((m, index) => ({
+      job: job._id,
+      quote: job.acceptedQuote._id,
+      client: job.client,
+      provider: req.user._id,
+      title: m.title,
+      description: m.description,
+      order: index + 1,
+      amount: parseFloat(Number(m.amount).toFixed(2)),
+      dueCondition: m.dueCondition,
+      dueDate: m.dueDate ? new Date(m.dueDate) : undefined
+    })));
+
+    job.paymentType = 'milestone';
+    await job.save();
+
+    // Notify client about the proposed schedule
+    if (req.app.get('io')) {
+      sendNotification(req.app.get('io'), job.client, {
+        type: 'milestone_proposed',
+        title: 'Payment Milestones Proposed',
+        message: `${req.user.fullName} proposed ${created.length} payment milestones for "${job.title}"`,
+        jobId: job._id,
+        providerName: req.user.fullName
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Milestone schedule proposed successfully',
+      data: { milestones: created }
+    });
+
+  } catch (error) {
+    console.error('Propose milestones error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error proposing milestones',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get milestone schedule for a job
+// @route   GET /api/milestones/job/:jobId
+// @access  Private (Client or Provider)
+const getJobMilestones = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const { job, isClient, isProvider } = await findJobForUser(jobId, req.user);
+
+    if (!job || (!isClient && !isProvider)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found or you are not authorized to view its milestones'
+      });
+    }
+
+    const milestones = await Milestone.getSchedule(job._id)
+      .populate('transaction', 'status paymentMethod amount paidAt releasedAt');
+
+    const summary = milestones.reduce((acc, m) => {
+      acc.total += m.amount;
+      if (['paid', 'released'].includes(m.status)) acc.paid += m.amount;
+      if (m.status === 'released') acc.released += m.amount;
+      return acc;
+    }, { total: 0, paid: 0, released: 0 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        paymentType: job.paymentType,
+        milestones,
+        summary
+      }
+    });
+
+  } catch (error) {
+    console.error('Get job milestones error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching milestones',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Approve proposed milestone schedule
+// @route   PUT /api/milestones/job/:jobId/approve
+// @access  Private (Client only - job owner)
+const approveMilestones = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const { job, isClient } = await findJobForUser(jobId, req.user);
+
+    if (!job || !isClient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found or you are not authorized to approve its milestones'
+      });
+    }
+
+    const result = await Milestone.updateMany(
+      { job: job._id, status: 'proposed' },
+      { status: 'approved', approvedAt: new Date() }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No proposed milestones to approve'
+      });
+    }
+
+    const milestones = await Milestone.getSchedule(job._id);
+
+    // Notify provider about the approval
+    if (req.app.get('io')) {
+      sendNotification(req.app.get('io'), job.acceptedQuote.provider, {
+        type: 'milestone_approved',
+        title: 'Payment Milestones Approved',
+        message: `The milestone schedule for "${job.title}" has been approved`,
+        jobId: job._id,
+        clientName: req.user.fullName
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Milestone schedule approved successfully',
+      data: { milestones }
+    });
+
+  } catch (error) {
+    console.error('Approve milestones error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error approving milestones',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Decline proposed milestone schedule (job falls back to a single payment)
+// @route   PUT /api/milestones/job/:jobId/decline
+// @access  Private (Client only - job owner)
+const declineMilestones = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { reason } = req.body;
+
+    const { job, isClient } = await findJobForUser(jobId, req.user);
+
+    if (!job || !isClient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found or you are not authorized to decline its milestones'
+      });
+    }
+
+    const result = await Milestone.updateMany(
+      { job: job._id, status: 'proposed' },
+      { status: 'cancelled', cancelledAt: new Date() }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No proposed milestones to decline'
+      });
+    }
+
+    job.paymentType = 'single';
+    await job.save();
+
+    // Notify provider about the declined schedule
+    if (req.app.get('io')) {
+      sendNotification(req.app.get('io'), job.acceptedQuote.provider, {
+        type: 'milestone_declined',
+        title: 'Payment Milestones Declined',
+        message: `The milestone schedule for "${job.title}" was declined`,
+        jobId: job._id,
+        clientName: req.user.fullName,
+        reason
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Milestone schedule declined'
+    });
+
+  } catch (error) {
+    console.error('Decline milestones error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error declining milestones',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Release a paid milestone to the provider
+// @route   PUT /api/milestones/:id/release
+// @access  Private (Client only - job owner)
+const releaseMilestone = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { notes } = req.body;
+
+    const milestone = await Milestone.findOne({
+      _id: id,
+      client: req.user._id
+    }).populate('job', 'title');
+
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found'
+      });
+    }
+
+    if (milestone.status !== 'paid') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only paid milestones can be released'
+      });
+    }
+
+    const transaction = await Transaction.findOne({
+      _id: milestone.transaction,
+      status: 'completed'
+    }).populate('quote');
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'No completed payment found for this milestone'
+      });
+    }
+
+    let released;
+    try {
+      released = await releaseTransactionFunds(transaction, {
+        releasedBy: req.user._id,
+        notes: notes || 'released-by-client'
+      });
+    } catch (releaseErr) {
+      return res.status(releaseErr.statusCode || 500).json({ success: false, message: releaseErr.message });
+    }
+
+    const updatedMilestone = await Milestone.findById(milestone._id);
+
+    // Notify provider about the release
+    if (req.app.get('io')) {
+      sendNotification(req.app.get('io'), milestone.provider, {
+        type: 'milestone_released',
+        title: 'Milestone Payment Released',
+        message: `Payment of $${released.amount} for "${milestone.title}" (${milestone.job?.title || 'job'}) has been released to your available balance.`,
+        jobId: milestone.job?._id,
+        clientName: req.user.fullName
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Milestone payment released successfully',
+      data: { milestone: updatedMilestone, transaction: released.transaction }
+    });
+
+  } catch (error) {
+    console.error('Release milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error releasing milestone',
+      error: error.message
+    });
+  }
+};
+
+// Load (or issue) the invoice for a paid milestone on behalf of its client or provider
+const loadMilestoneInvoice = async (milestoneId, user) => {
+  const milestone = await Milestone.findOne({
+    _id: milestoneId,
+    $or: [{ client: user._id }, { provider: user._id }]
+  });
+
+  if (!milestone) {
+    throw httpError('Milestone not found', 404);
+  }
+
+  if (!['paid', 'released'].includes(milestone.status)) {
+    throw httpError('Invoice can only be generated for paid milestones', 400);
+  }
+
+  const transaction = await Transaction.findOne({
+    _id: milestone.transaction,
+    status: { $in: ['completed', 'partially_refunded', 'refunded'] }
+  });
+
+  if (!transaction) {
+    throw httpError('No completed transaction found for this milestone', 404);
+  }
+
+  const job = await Job.findById(milestone.job).populate('serviceCategory', 'title');
+
+  const invoice = await getOrCreateInvoice(transaction, {
+    job,
+    quoteId: milestone.quote,
+    providerId: milestone.provider,
+    clientId: milestone.client,
+    milestoneId: milestone._id
+  });
+
+  const creditNotes = await findCreditNotes(invoice._id);
+  return {
+    invoiceData: formatInvoice(invoice, job, creditNotes),
+    currency: transaction.currency
+  };
+};
+
+// @desc    Get invoice for a paid milestone
+// @route   GET /api/milestones/:id/invoice
+// @access  Private (Client or Provider)
+const getMilestoneInvoice = async (req, res) => {
+  try {
+    let result;
+    try {
+      result = await loadMilestoneInvoice(req.params.id, req.user);
+    } catch (invoiceErr) {
+      if (!invoiceErr.statusCode) throw invoiceErr;
+      return res.status(invoiceErr.statusCode).json({
+        success: false,
+        message: invoiceErr.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invoice retrieved successfully',
+      data: result.invoiceData
+    });
+
+  } catch (error) {
+    console.error('Get milestone invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving invoice',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Download invoice for a paid milestone as a PDF
+// @route   GET /api/milestones/:id/invoice.pdf
+// @access  Private (Client or Provider)
+const getMilestoneInvoicePdf = async (req, res) => {
+  try {
+    let result;
+    try {
+      result = await loadMilestoneInvoice(req.params.id, req.user);
+    } catch (invoiceErr) {
+      if (!invoiceErr.statusCode) throw invoiceErr;
+      return res.status(invoiceErr.statusCode).json({
+        success: false,
+        message: invoiceErr.message
+      });
+    }
+
+    const pdf = await renderInvoicePdf(result.invoiceData, { currency: result.currency });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="invoice-${result.invoiceData.invoiceId}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.status(200).send(pdf);
+
+  } catch (error) {
+    console.error('Get milestone invoice PDF error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating invoice PDF',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  proposeMilestones,
+  getJobMilestones,
+  approveMilestones,
+  declineMilestones,
+  releaseMilestone,
+  getMilestoneInvoice,
+  getMilestoneInvoicePdf
+};
@@ -4,6 +4,7 @@ const Wallet = require('../models/Wallet');
 const Job = require('../models/Job');
 const Quote = require('../models/Quote');
 const User = require('../models/User');
+const Milestone = require('../models/Milestone');
 const { 
   createPaymentIntent, 
   createConnectAccount, 
@@ -12,9 +13,29 @@ const {
   stripe 
 } = require('../config/stripe');
 const { sendNotification, sendAdminNotification } = require('../socket/notificationHandler');
+const { holdInEscrow } = require('../utils/escrow');
+const {
+  postPayment,
+  postCashPayment,
+  postWithdrawal,
+  postWithdrawalReversal
+} = require('../utils/ledger');
+const { calculateCommission } = require('../utils/commission');
+const { calculateTax } = require('../utils/tax');
+const { emailInvoice } = require('../utils/paymentDocuments');
+const { normalizeCurrency, LEGACY_CURRENCY, roundMoney } = require('../utils/currency');
+const { convertAmount } = require('../utils/exchangeRates');
+
+// Total of per-currency aggregate rows ({ _id: currency, total }) in one currency
+const totalInCurrency = async (rows, currency) => {
+  let total = 0;
+  for (const row of rows) {
+    total += await convertAmount(row.total, row._id, currency);
+  }
+  return roundMoney(total);
+};
 
-// Platform commission rate (10%)
-const PLATFORM_COMMISSION_RATE = 0.10;
+const byCurrency = (rows) => Object.fromEntries(rows.map(row => [row._id, roundMoney(row.total)]));
 
 // @desc    Create payment intent for job
 // @route   POST /api/payments/create-payment-intent
@@ -51,10 +72,28 @@ const createPayment = async (req, res) => {
       });
     }
 
+    if (job.paymentType === 'milestone') {
+      return res.status(400).json({
+        success: false,
+        message: 'This job is paid in milestones. Pay each milestone instead.'
+      });
+    }
+
+    if (job.recurrence?.frequency) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is a recurring job. Pay for each visit instead.'
+      });
+    }
+
     const quote = job.acceptedQuote;
     const amount = quote.price;
-    const platformCommission = amount * PLATFORM_COMMISSION_RATE;
-    const providerAmount = amount - platformCommission;
+    const { platformCommission, providerAmount, commission } = await calculateCommission(amount, {
+      providerId: quote.provider,
+      categoryId: job.serviceCategory
+    });
+    const tax = await calculateTax(amount, job.location);
+    const totalAmount = parseFloat((amount + tax.total).toFixed(2));
 
     // For cash payments, create transaction record directly
     if (paymentMethod === 'cash') {
@@ -65,6 +104,9 @@ const createPayment = async (req, res) => {
         amount,
         platformCommission,
         providerAmount,
+        commission,
+        tax,
+        currency: job.currency,
         paymentMethod: 'cash',
         status: 'pending'
       });
@@ -79,12 +121,15 @@ const createPayment = async (req, res) => {
       });
     }
 
-    // For card payments, create Stripe payment intent
-    const paymentIntent = await createPaymentIntent(amount, 'usd', {
+    // For card payments, create Stripe payment intent for the tax-inclusive total
+    const paymentIntent = await createPaymentIntent(totalAmount, job.currency, {
       jobId: jobId.toString(),
       quoteId: quote._id.toString(),
       clientId: req.user._id.toString(),
-      providerId: quote.provider.toString()
+      providerId: quote.provider.toString(),
+      subtotal: amount.toString(),
+      tax: tax.total.toString(),
+      taxRegion: tax.region || ''
     });
 
     // Create transaction record
@@ -95,6 +140,9 @@ const createPayment = async (req, res) => {
       amount,
       platformCommission,
       providerAmount,
+      commission,
+      tax,
+      currency: job.currency,
       paymentMethod: 'card',
       stripePaymentIntentId: paymentIntent.id,
       status: 'pending'
@@ -107,7 +155,9 @@ const createPayment = async (req, res) => {
         clientSecret: paymentIntent.client_secret,
         transaction,
         amount,
-        currency: 'usd'
+        tax,
+        totalAmount,
+        currency: transaction.currency
       }
     });
 
@@ -121,6 +171,167 @@ const createPayment = async (req, res) => {
   }
 };
 
+// @desc    Create payment for a single milestone
+// @route   POST /api/payments/milestones/:milestoneId/pay
+// @access  Private (Client only)
+const createMilestonePayment = async (req, res) => {
+  try {
+    if (req.user.role !== 'client') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only clients can make payments'
+      });
+    }
+
+    const { milestoneId } = req.params;
+    const { paymentMethod = 'card' } = req.body;
+
+    const milestone = await Milestone.findOne({
+      _id: milestoneId,
+      client: req.user._id
+    }).populate('job', 'title status serviceCategory location currency');
+
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found'
+      });
+    }
+
+    if (!milestone.job || milestone.job.status !== 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'Job is not ready for payment'
+      });
+    }
+
+    if (!['approved', 'payment_pending'].includes(milestone.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Milestone must be approved and unpaid before it can be paid'
+      });
+    }
+
+    // Retrying a payment supersedes the previous attempt. Its PaymentIntent is
+    // cancelled first so it can't be confirmed later and charge twice.
+    if (milestone.transaction) {
+      const previous = await Transaction.findOne({ _id: milestone.transaction, status: 'pending' });
+
+      if (previous?.stripePaymentIntentId) {
+        try {
+          await stripe.paymentIntents.cancel(previous.stripePaymentIntentId);
+        } catch (err) {
+          if (err.code !== 'payment_intent_unexpected_state') throw err;
+          // Already cancelled is fine; succeeded or processing means the client paid
+          const intent = await stripe.paymentIntents.retrieve(previous.stripePaymentIntentId);
+          if (intent.status !== 'canceled') {
+            return res.status(409).json({
+              success: false,
+              message: 'The previous payment for this milestone is already being processed'
+            });
+          }
+        }
+      }
+
+      if (previous) {
+        await Transaction.updateOne(
+          { _id: previous._id, status: 'pending' },
+          { status: 'failed', 'metadata.supersededAt': new Date() }
+        );
+      }
+    }
+
+    const amount = milestone.amount;
+    const { platformCommission, providerAmount, commission } = await calculateCommission(amount, {
+      providerId: milestone.provider,
+      categoryId: milestone.job.serviceCategory
+    });
+    const tax = await calculateTax(amount, milestone.job.location);
+    const totalAmount = parseFloat((amount + tax.total).toFixed(2));
+
+    const transactionData = {
+      user: req.user._id,
+      job: milestone.job._id,
+      quote: milestone.quote,
+      milestone: milestone._id,
+      amount,
+      platformCommission,
+      providerAmount,
+      commission,
+      tax,
+      currency: milestone.job.currency,
+      status: 'pending'
+    };
+
+    // For cash payments, create transaction record directly
+    if (paymentMethod === 'cash') {
+      const transaction = await Transaction.create({
+        ...transactionData,
+        paymentMethod: 'cash'
+      });
+
+      milestone.status = 'payment_pending';
+      milestone.transaction = transaction._id;
+      await milestone.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Cash payment recorded. Please pay the provider directly.',
+        data: {
+          transaction,
+          milestone,
+          paymentMethod: 'cash'
+        }
+      });
+    }
+
+    // For card payments, create Stripe payment intent
+    const paymentIntent = await createPaymentIntent(totalAmount, milestone.job.currency, {
+      type: 'milestone',
+      jobId: milestone.job._id.toString(),
+      quoteId: milestone.quote.toString(),
+      milestoneId: milestone._id.toString(),
+      clientId: req.user._id.toString(),
+      providerId: milestone.provider.toString(),
+      subtotal: amount.toString(),
+      tax: tax.total.toString(),
+      taxRegion: tax.region || ''
+    });
+
+    const transaction = await Transaction.create({
+      ...transactionData,
+      paymentMethod: 'card',
+      stripePaymentIntentId: paymentIntent.id
+    });
+
+    milestone.status = 'payment_pending';
+    milestone.transaction = transaction._id;
+    await milestone.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment intent created successfully',
+      data: {
+        clientSecret: paymentIntent.client_secret,
+        transaction,
+        milestone,
+        amount,
+        tax,
+        totalAmount,
+        currency: transaction.currency
+      }
+    });
+
+  } catch (error) {
+    console.error('Create milestone payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating milestone payment',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Confirm cash payment received (Provider)
 // @route   PUT /api/payments/cash/:transactionId/confirm
 // @access  Private (Provider only)
@@ -163,23 +374,31 @@ const confirmCashPayment = async (req, res) => {
     transaction.completedAt = new Date();
     await transaction.save();
 
-    // Update job status
-    await Job.findByIdAndUpdate(transaction.job._id, {
-      status: 'completed'
-    });
-
-    // Update provider's wallet
-const providerWallet = await Wallet.getOrCreate(transaction.quote.provider);
+    // Cash never reaches the platform: record the earnings and the commission owed
+    await postCashPayment(transaction, transaction.quote.provider);
 
-// Only update totalEarned (do not touch availableBalance)
-providerWallet.totalEarned = providerWallet.totalEarned + transaction.providerAmount;
+    if (transaction.milestone) {
+      // Cash goes straight to the provider, so the milestone is released on confirmation
+      await Milestone.findByIdAndUpdate(transaction.milestone, {
+        status: 'released',
+        paidAt: new Date(),
+        releasedAt: new Date()
+      });
+      await Milestone.syncJobCompletion(transaction.job._id);
+    } else {
+      // Update job status
+      await Job.findByIdAndUpdate(transaction.job._id, {
+        status: 'completed'
+      });
 
-await providerWallet.save();
+      // Update provider stats
+      await User.findByIdAndUpdate(transaction.quote.provider, {
+        $inc: { totalCompletedJobs: 1 }
+      });
+    }
 
-    // Update provider stats
-    await User.findByIdAndUpdate(transaction.quote.provider, {
-      $inc: { totalCompletedJobs: 1 }
-    });
+    // Invoice PDF goes out in the background
+    emailInvoice(transaction);
 
     // Notify client
     if (req.app.get('io')) {
@@ -249,10 +468,14 @@ const handleWebhook = async (req, res) => {
 
 // Handle successful payment
 const handlePaymentIntentSucceeded = async (paymentIntent) => {
-  const { jobId, quoteId, clientId, providerId } = paymentIntent.metadata;
+  const { jobId, clientId, providerId, milestoneId } = paymentIntent.metadata;
 
   console.log('💳 PaymentIntent succeeded:', paymentIntent.id);
 
+  if (milestoneId) {
+    return handleMilestonePaymentSucceeded(paymentIntent);
+  }
+
   // Find related transaction
   const transaction = await Transaction.findOne({
     stripePaymentIntentId: paymentIntent.id
@@ -263,62 +486,40 @@ const handlePaymentIntentSucceeded = async (paymentIntent) => {
     return;
   }
 
-  // Mark transaction completed
+  // Stripe may deliver the same event more than once, and may redeliver it
+  // after a refund: claim the transaction atomically so only one delivery
+  // marks it completed and posts the payment
+  const claimed = await Transaction.updateOne(
+    { _id: transaction._id, status: { $in: ['pending', 'processing', 'failed'] } },
+    {
+      status: 'completed',
+      stripeChargeId: paymentIntent.latest_charge,
+      paidAt: new Date(),
+      completedAt: new Date()
+    }
+  );
+  if (!claimed.modifiedCount) {
+    console.log(`Payment ${paymentIntent.id} already processed`);
+    return;
+  }
   transaction.status = 'completed';
   transaction.stripeChargeId = paymentIntent.latest_charge;
   transaction.paidAt = new Date();
-  transaction.completedAt = new Date();
-  await transaction.save();
+  transaction.completedAt = transaction.paidAt;
 
-  // Mark job completed
-  const job = await Job.findByIdAndUpdate(
-    jobId,
-    { status: 'completed' },
-    { new: true }
-  );
+  const job = await Job.findById(jobId);
 
   if (!job) {
     console.error(`⚠️ Job not found for ID: ${jobId}`);
   }
 
-  // ✅ Ensure provider wallet exists
-  const providerWallet = await Wallet.getOrCreate(providerId);
-
-  // ✅ Decide where to add funds
-  if (providerWallet.stripeAccountId && providerWallet.stripeAccountStatus === 'verified') {
-    // Send payout directly to provider’s Stripe Connect account
-    try {
-      await transferToProvider(
-        transaction.providerAmount,
-        providerWallet.stripeAccountId,
-        {
-          transactionId: transaction._id.toString(),
-          jobId,
-          quoteId,
-        }
-      );
-
-      // Funds are transferred instantly
-      await providerWallet.addEarnings(transaction.providerAmount);
-      console.log(`✅ Funds transferred directly to provider ${providerId}`);
-    } catch (transferErr) {
-      console.error('⚠️ Transfer to provider failed:', transferErr.message);
-      // Add to pending balance if direct transfer fails
-      await providerWallet.addEarnings(transaction.providerAmount, true);
-    }
-  } else {
-    // Provider hasn’t verified Stripe account yet → keep in pending
-    await providerWallet.addEarnings(transaction.providerAmount, true);
-    // schedule for automatic release after 24 hours
-    transaction.pendingReleaseAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
-    await transaction.save();
-    console.log(`💰 Added to pending balance for provider ${providerId}; scheduled release at ${transaction.pendingReleaseAt.toISOString()}`);
-  }
+  // ✅ Post to the ledger: provider share goes to pending (escrow) until the client approves the finished work
+  await postPayment(transaction, providerId);
+  await holdInEscrow(transaction, job);
+  console.log(`💰 Added to pending balance for provider ${providerId}; escrow ${transaction.escrow.status}`);
 
-  // ✅ Update provider performance stats
-  await User.findByIdAndUpdate(providerId, {
-    $inc: { totalCompletedJobs: 1 }
-  });
+  // Invoice PDF goes out in the background
+  emailInvoice(transaction);
 
   // ✅ Send real-time notifications
   if (global.io) {
@@ -326,7 +527,7 @@ const handlePaymentIntentSucceeded = async (paymentIntent) => {
     sendNotification(global.io, clientId, {
       type: 'payment_successful',
       title: 'Payment Successful',
-      message: `Your payment for "${transaction.job?.title || 'the job'}" has been successfully processed.`,
+      message: `Your payment for "${transaction.job?.title || 'the job'}" has been successfully processed and is held securely until you approve the work.`,
       jobId,
       amount: transaction.amount,
     });
@@ -335,7 +536,7 @@ const handlePaymentIntentSucceeded = async (paymentIntent) => {
     sendNotification(global.io, providerId, {
       type: 'payment_received',
       title: 'Payment Received',
-      message: `You’ve received payment for "${transaction.job?.title || 'the job'}".`,
+      message: `You’ve received payment for "${transaction.job?.title || 'the job'}". It will be released once the client approves the work.`,
       jobId,
       amount: transaction.providerAmount,
     });
@@ -344,6 +545,114 @@ const handlePaymentIntentSucceeded = async (paymentIntent) => {
   console.log(`✅ Payment successfully recorded for provider ${providerId}`);
 };
 
+// Refund a superseded milestone attempt whose PaymentIntent was confirmed
+// anyway. Nothing was posted to the ledger for it, so only Stripe is involved.
+const refundSupersededPayment = async (transaction, paymentIntent) => {
+  const refund = await stripe.refunds.create({
+    payment_intent: paymentIntent.id,
+    metadata: {
+      transactionId: transaction._id.toString(),
+      reason: 'Superseded payment attempt'
+    }
+  }, { idempotencyKey: `superseded-${paymentIntent.id}` });
+
+  await Transaction.updateOne(
+    { _id: transaction._id },
+    {
+      status: 'refunded',
+      stripeChargeId: paymentIntent.latest_charge,
+      stripeRefundId: refund.id,
+      refundedAt: new Date()
+    }
+  );
+
+  if (global.io && transaction.user) {
+    sendNotification(global.io, transaction.user, {
+      type: 'refund_processed',
+      title: 'Duplicate Payment Refunded',
+      message: `An earlier payment attempt for "${transaction.job?.title || 'your job'}" went through after it was replaced, so it has been refunded in full.`,
+      jobId: transaction.job?._id?.toString()
+    });
+  }
+
+  console.log(`↩️ Refunded superseded milestone payment ${paymentIntent.id} (refund ${refund.id})`);
+};
+
+// Handle successful milestone payment: funds are held as pending until the client releases the milestone
+const handleMilestonePaymentSucceeded = async (paymentIntent) => {
+  const { jobId, clientId, providerId, milestoneId } = paymentIntent.metadata;
+
+  const transaction = await Transaction.findOne({
+    stripePaymentIntentId: paymentIntent.id
+  }).populate('job');
+
+  if (!transaction) {
+    console.error(`❌ Transaction not found for PaymentIntent ${paymentIntent.id}`);
+    return;
+  }
+
+  if (['completed', 'refunded'].includes(transaction.status)) {
+    console.log(`Milestone payment ${paymentIntent.id} already processed`);
+    return;
+  }
+
+  // An attempt a retry replaced (or one for a milestone that is already paid)
+  // must not post a second payment: send the money back instead
+  const current = await Milestone.findById(milestoneId).select('status transaction');
+  const superseded = transaction.metadata?.supersededAt ||
+    !current || current.status === 'paid' || String(current.transaction) !== String(transaction._id);
+  if (superseded) {
+    await refundSupersededPayment(transaction, paymentIntent);
+    return;
+  }
+
+  // Claimed atomically so a redelivered event can't post the payment twice
+  const claimed = await Transaction.updateOne(
+    { _id: transaction._id, status: { $in: ['pending', 'processing', 'failed'] } },
+    {
+      status: 'completed',
+      stripeChargeId: paymentIntent.latest_charge,
+      paidAt: new Date(),
+      completedAt: new Date()
+    }
+  );
+  if (!claimed.modifiedCount) {
+    console.log(`Milestone payment ${paymentIntent.id} already processed`);
+    return;
+  }
+  transaction.status = 'completed';
+  transaction.stripeChargeId = paymentIntent.latest_charge;
+  transaction.paidAt = new Date();
+  transaction.completedAt = transaction.paidAt;
+
+  const milestone = await Milestone.findByIdAndUpdate(
+    milestoneId,
+    { status: 'paid', paidAt: new Date() },
+    { new: true }
+  );
+
+  await postPayment(transaction, providerId);
+  emailInvoice(transaction);
+
+  if (global.io) {
+    sendNotification(global.io, clientId, {
+      type: 'milestone_paid',
+      title: 'Milestone Paid',
+      message: `Your payment for "${milestone?.title || 'the milestone'}" has been processed. Release it once the work is done.`,
+      jobId
+    });
+
+    sendNotification(global.io, providerId, {
+      type: 'milestone_paid',
+      title: 'Milestone Funded',
+      message: `The client has paid "${milestone?.title || 'a milestone'}" for "${transaction.job?.title || 'the job'}". Funds are pending until released.`,
+      jobId
+    });
+  }
+
+  console.log(`✅ Milestone ${milestoneId} paid; $${transaction.providerAmount} pending for provider ${providerId}`);
+};
+
 // Handle failed payment
 const handlePaymentIntentFailed = async (paymentIntent) => {
   const transaction = await Transaction.findOne({
@@ -354,6 +663,14 @@ const handlePaymentIntentFailed = async (paymentIntent) => {
     transaction.status = 'failed';
     await transaction.save();
 
+    // Let the client try the milestone again
+    if (transaction.milestone) {
+      await Milestone.updateOne(
+        { _id: transaction.milestone, status: 'payment_pending' },
+        { status: 'approved' }
+      );
+    }
+
     // Notify client about payment failure
     if (global.io && transaction.user) {
       sendNotification(global.io, transaction.user, {
@@ -545,11 +862,15 @@ const getWallet = async (req, res) => {
           $match: { 'quoteDoc.provider': req.user._id }
         },
         {
-          $group: { _id: null, total: { $sum: '$providerAmount' } }
+          $group: {
+            _id: { $ifNull: ['$currency', LEGACY_CURRENCY] },
+            total: { $sum: '$providerAmount' }
+          }
         }
       ]);
 
-      const totalEarnings = earningsAgg.length > 0 ? earningsAgg[0].total : 0;
+      // Earnings can be in several currencies: report each, plus a total in the wallet's currency
+      const totalEarnings = await totalInCurrency(earningsAgg, wallet.currency);
 
       // Trend: compare to previous equal-length period
       const ms = end.getTime() - start.getTime();
@@ -581,10 +902,15 @@ const getWallet = async (req, res) => {
         },
         { $unwind: '$quoteDoc' },
         { $match: { 'quoteDoc.provider': req.user._id } },
-        { $group: { _id: null, total: { $sum: '$providerAmount' } } }
+        {
+          $group: {
+            _id: { $ifNull: ['$currency', LEGACY_CURRENCY] },
+            total: { $sum: '$providerAmount' }
+          }
+        }
       ]);
 
-      const prevEarnings = prevEarningsAgg.length > 0 ? prevEarningsAgg[0].total : 0;
+      const prevEarnings = await totalInCurrency(prevEarningsAgg, wallet.currency);
 
       const bookingTrend = prevBookings === 0 ? 100 : Math.round(((totalBookings - prevBookings) / prevBookings) * 100);
       const earningsTrend = prevEarnings === 0 ? 100 : Math.round(((totalEarnings - prevEarnings) / prevEarnings) * 100);
@@ -593,6 +919,8 @@ const getWallet = async (req, res) => {
         period,
         totalBookings,
         totalEarnings,
+        earningsByCurrency: byCurrency(earningsAgg),
+        currency: wallet.currency,
         bookingTrend,
         earningsTrend
       };
@@ -650,8 +978,15 @@ const requestWithdrawal = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Wallet not found' });
     }
 
-    if (wallet.availableBalance < amount) {
-      return res.status(400).json({ success: false, message: 'Insufficient available balance' });
+    // Withdraw from one currency balance, by default the provider's payout currency
+    const currency = req.body.currency ? normalizeCurrency(req.body.currency) : wallet.currency;
+    if (!currency) {
+      return res.status(400).json({ success: false, message: 'Unsupported currency' });
+    }
+
+    // Early answer only; postWithdrawal re-checks the balance when it debits it
+    if (wallet.balanceFor(currency).availableBalance < amount) {
+      return res.status(400).json({ success: false, message: `Insufficient available ${currency} balance` });
     }
 
     if (amount < 10) {
@@ -684,34 +1019,34 @@ const requestWithdrawal = async (req, res) => {
       });
     }
 
-    // Deduct from wallet first (atomically)
-    await wallet.processWithdrawal(amount); // this will throw if insufficient
+    // Deduct from wallet first through the ledger
+    let withdrawal;
+    try {
+      withdrawal = await postWithdrawal(req.user._id, amount, { currency, postedBy: req.user._id });
+    } catch (ledgerErr) {
+      if (!ledgerErr.statusCode) throw ledgerErr;
+      return res.status(ledgerErr.statusCode).json({ success: false, message: ledgerErr.message });
+    }
 
     // Try to transfer funds to connected account (platform -> connected)
     // Using transferToProvider helper (which uses stripe.transfers.create)
     try {
       const transfer = await transferToProvider(amount, wallet.stripeAccountId, {
         reason: 'withdrawal',
-        provider: wallet.user.toString()
-      });
+        provider: wallet.user.toString(),
+        ledgerEntryId: withdrawal._id.toString()
+      }, currency);
 
-      // Optionally save transfer id somewhere — here we'll push into recentTransactions
-      wallet.recentTransactions = wallet.recentTransactions || [];
-      wallet.recentTransactions.push({
-        type: 'withdrawal',
-        amount,
-        date: new Date(),
-        stripeTransferId: transfer.id
-      });
-      await wallet.save();
+      const updatedWallet = await Wallet.findById(wallet._id);
 
       // Notify provider through socket if available
       if (req.app.get('io')) {
         sendNotification(req.app.get('io'), req.user._id, {
           type: 'withdrawal_processed',
           title: 'Withdrawal Processed',
-          message: `Your withdrawal of $${amount} has been transferred to your Stripe account.`,
+          message: `Your withdrawal of $${amount} ${currency} has been transferred to your Stripe account.`,
           amount,
+          currency,
           transferId: transfer.id
         });
       }
@@ -721,11 +1056,12 @@ const requestWithdrawal = async (req, res) => {
         await sendAdminNotification(req.app.get('io'), {
           type: 'withdrawal_requested',
           title: 'Withdrawal Requested',
-          message: `${req.user.fullName} requested a withdrawal of $${amount}`,
+          message: `${req.user.fullName} requested a withdrawal of $${amount} ${currency}`,
           data: {
             providerId: req.user._id,
             providerName: req.user.fullName,
             amount,
+            currency,
             transferId: transfer.id,
             requestedAt: new Date()
           },
@@ -737,19 +1073,14 @@ const requestWithdrawal = async (req, res) => {
       return res.status(200).json({
         success: true,
         message: 'Withdrawal initiated successfully',
-        data: { wallet, transferId: transfer.id }
+        data: { wallet: updatedWallet, transferId: transfer.id }
       });
 
     } catch (stripeErr) {
       console.error('Stripe transfer/payout error:', stripeErr);
 
       // Revert wallet changes when transfer failed
-      await Wallet.findByIdAndUpdate(wallet._id, {
-        $inc: {
-          availableBalance: amount,
-          withdrawnBalance: -amount
-        }
-      });
+      await postWithdrawalReversal(withdrawal, { memo: `Stripe transfer failed: ${stripeErr.message}` });
 
       // Provide actionable error message for debugging
       const stripeMessage = stripeErr && stripeErr.message ? stripeErr.message : 'Stripe error';
@@ -833,10 +1164,13 @@ const getTransactionByJob = async (req, res) => {
 module.exports = {
   checkStripeAccountStatus,
   createPayment,
+  createMilestonePayment,
   confirmCashPayment,
   handleWebhook,
   setupStripeConnect,
   getWallet,
   requestWithdrawal,
-  getTransactionByJob
+  getTransactionByJob,
+  handlePaymentIntentSucceeded,
+  handleMilestonePaymentSucceeded
 };
\ No newline at end of file
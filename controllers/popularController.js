@@ -3,6 +3,9 @@ const { getPopularProviders } = require('../utils/popularProviders');
 const User = require('../models/User');
 const Job = require('../models/Job');
 const Review = require('../models/Review');
+const { normalizeCurrency, currencyForJob } = require('../utils/currency');
+const { parseRecurrence } = require('../utils/recurrence');
+const { assertProviderAvailable, withBookingLock } = require('../utils/availability');
 
 // @desc    Get popular service providers
 // @route   GET /api/popular/providers
@@ -180,9 +183,26 @@ const bookProviderDirectly = async (req, res) => {
       preferredDate,
       preferredTime,
       priceRange,
-      specificInstructions
+      specificInstructions,
+      currency,
+      recurrence
     } = req.body;
 
+    if (currency && !normalizeCurrency(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported currency'
+      });
+    }
+
+    let recurrenceRule;
+    try {
+      recurrenceRule = parseRecurrence(recurrence);
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
     // Verify provider exists and is available
     const provider = await User.findOne({
       _id: id,
@@ -200,6 +220,7 @@ const bookProviderDirectly = async (req, res) => {
 
     // Create job with direct provider assignment
     const Job = require('../models/Job');
+    const parsedLocation = typeof location === 'string' ? JSON.parse(location) : location;
     const jobData = {
       title,
       description: specificInstructions || description,
@@ -210,11 +231,13 @@ const bookProviderDirectly = async (req, res) => {
 
 
       specializations: Array.isArray(specializations) ? specializations : JSON.parse(specializations || '[]'),
-      location: typeof location === 'string' ? JSON.parse(location) : location,
+      location: parsedLocation,
       urgency,
       preferredDate: preferredDate ? new Date(preferredDate) : undefined,
       preferredTime,
       priceRange: typeof priceRange === 'string' ? JSON.parse(priceRange) : priceRange,
+      currency: currencyForJob(currency, req.user, parsedLocation),
+      recurrence: recurrenceRule,
       status: 'pending'
     };
 
@@ -224,7 +247,17 @@ const bookProviderDirectly = async (req, res) => {
       jobData.photos = await uploadMultipleImages(req.files);
     }
 
-    const job = await Job.create(jobData);
+    // Checked under the provider's booking lock so two requests can't take the same slot
+    let job;
+    try {
+      job = await withBookingLock(provider._id, async () => {
+        await assertProviderAvailable(provider, { date: preferredDate, time: preferredTime });
+        return Job.create(jobData);
+      });
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
 
     // Create direct quote from provider
     const Quote = require('../models/Quote');
@@ -232,9 +265,12 @@ const bookProviderDirectly = async (req, res) => {
       job: job._id,
       provider: id,
       price: priceRange && priceRange.isPersonalized ? 0 : (priceRange?.from || 0),
+      currency: job.currency,
       description: 'Direct booking - quote to be provided',
       // Description: 'Direct booking - quote to be provided',
-      status: 'pending'
+      status: 'pending',
+      // Requested by the client, so the provider pays nothing for it
+      creditsSpent: 0
     });
 
     // Update job with the quote
@@ -2,6 +2,8 @@
 const User = require('../models/User');
 const { uploadToCloudinary, deleteFromCloudinary } = require('../utils/cloudinary');
 const { generateToken } = require('../utils/generateToken');
+const { revokeUserSessions } = require('../utils/sessions');
+const { parseAvailability } = require('../utils/availability');
 
 // @desc    Get user profile
 // @route   GET /api/profile/me
@@ -47,6 +49,7 @@ const updateProfile = async (req, res) => {
       location,
       bio,
       businessName,
+      taxRegistrationNumber,
       experienceLevel,
       specializations,
       serviceAreas,
@@ -59,6 +62,7 @@ console.log(fullName)
       phoneNumber,
       bio,
       businessName,
+      taxRegistrationNumber,
       experienceLevel,
       specializations,
       serviceAreas,
@@ -273,7 +277,7 @@ const uploadVerificationDocuments = async (req, res) => {
 // @access  Private
 const updateNotificationSettings = async (req, res) => {
   try {
-    const { general, sound, vibrate, newService, payment } = req.body;
+    const { general, sound, vibrate, newService, payment, emailReceipts } = req.body;
 
     const user = await User.findByIdAndUpdate(
       req.user._id,
@@ -283,7 +287,8 @@ const updateNotificationSettings = async (req, res) => {
           sound: sound !== undefined ? sound : req.user.notificationSettings.sound,
           vibrate: vibrate !== undefined ? vibrate : req.user.notificationSettings.vibrate,
           newService: newService !== undefined ? newService : req.user.notificationSettings.newService,
-          payment: payment !== undefined ? payment : req.user.notificationSettings.payment
+          payment: payment !== undefined ? payment : req.user.notificationSettings.payment,
+          emailReceipts: emailReceipts !== undefined ? emailReceipts : req.user.notificationSettings.emailReceipts
         }
       },
       { new: true }
@@ -338,8 +343,9 @@ const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
-    // Generate new token
-    const token = generateToken(user._id);
+    // Sign out other devices; this one gets a fresh token
+    await revokeUserSessions(user._id, { reason: 'password_changed', except: req.authSession._id });
+    const token = generateToken(user, req.authSession);
 
     res.status(200).json({
       success: true,
@@ -451,6 +457,49 @@ const updateOnlineStatus = async (req, res) => {
   }
 };
 
+// @desc    Update bookable availability (weekly hours, blackouts)
+// @route   PUT /api/profile/availability
+// @access  Private (Providers only)
+const updateAvailability = async (req, res) => {
+  try {
+    if (req.user.role !== 'provider') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only providers can set availability'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    let update;
+    try {
+      update = parseAvailability(req.body, { timezone: user.availability?.timezone });
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    Object.entries(update).forEach(([key, value]) => {
+      user.set(`availability.${key}`, value);
+    });
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Availability updated successfully',
+      data: { availability: user.availability }
+    });
+
+  } catch (error) {
+    console.error('Update availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating availability',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getMyProfile,
   updateProfile,
@@ -459,5 +508,6 @@ module.exports = {
   updateNotificationSettings,
   changePassword,
   deleteAccount,
-  updateOnlineStatus
-};
\ No newline at end of file
+  updateOnlineStatus,
+  updateAvailability
+};
@@ -3,6 +3,7 @@ const ProjectGallery = require('../models/ProjectGallery');
 const Category = require('../models/Category');
 const User = require('../models/User');
 const { uploadMultipleImages, deleteMultipleFiles } = require('../utils/fileUtils');
+const { featureProject, unfeatureProject } = require('../utils/entitlements');
 
 // @desc    Create project gallery
 // @route   POST /api/project-gallery
@@ -358,7 +359,14 @@ const updateProjectGallery = async (req, res) => {
     if (clientRating !== undefined) project.clientRating = clientRating === '' ? null : parseInt(clientRating);
     if (clientReview !== undefined) project.clientReview = clientReview;
     if (isPublic !== undefined) project.isPublic = isPublic;
-    if (featured !== undefined) project.featured = featured;
+    if (featured !== undefined) {
+      try {
+        await setProjectFeatured(project, req.user, featured);
+      } catch (err) {
+        if (!err.statusCode) throw err;
+        return res.status(err.statusCode).json({ success: false, message: err.message });
+      }
+    }
 
     // Handle image deletions
     if (deletedImageIndexes && Array.isArray(deletedImageIndexes)) {
@@ -656,6 +664,13 @@ const updateProjectVisibility = async (req, res) => {
   }
 };
 
+// Featuring uses a plan slot when one is free, otherwise credits
+const setProjectFeatured = async (project, user, featured) => {
+  const wantsFeatured = featured === true || featured === 'true';
+  if (wantsFeatured) return featureProject(project, user);
+  if (project.featured) unfeatureProject(project);
+  return project;
+};
 
 const toggleProjectFeatured = async (req, res) => {
   try {
@@ -674,14 +689,23 @@ const toggleProjectFeatured = async (req, res) => {
       });
     }
 
-    project.featured = featured;
+    try {
+      await setProjectFeatured(project, req.user, featured);
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
     project.updatedAt = new Date();
     await project.save();
 
     res.status(200).json({
       success: true,
-      message: `Project ${featured ? 'featured' : 'unfeatured'} successfully`,
-      data: { featured: project.featured }
+      message: `Project ${project.featured ? 'featured' : 'unfeatured'} successfully`,
+      data: {
+        featured: project.featured,
+        featuredVia: project.featuredVia,
+        featuredUntil: project.featuredUntil
+      }
     });
 
   } catch (error) {
@@ -6,6 +6,11 @@ const User = require('../models/User');
 const Review = require('../models/Review');
 const Wallet = require('../models/Wallet');
 const Portfolio = require('../models/ProjectGallery'); // Assuming you have a Portfolio model
+const { sendNotification } = require('../socket/notificationHandler');
+const { submitWorkForApproval } = require('../utils/escrow');
+const { syncSeries } = require('../utils/recurrence');
+const { getProviderCalendar } = require('../utils/availability');
+const { closeRescheduleRequests } = require('../utils/rescheduling');
 
 // @desc    Get nearby jobs for providers
 // @route   GET /api/provider/nearby-jobs
@@ -77,7 +82,7 @@ const getNearbyJobs = async (req, res) => {
     // Exclude jobs where provider has already quoted
     const providerQuotes = await Quote.find({
       provider: req.user._id,
-      status: { $in: ['pending', 'updated', 'accepted'] }
+      status: { $in: ['pending', 'updated', 'countered', 'agreed', 'accepted'] }
     }).select('job');
 
     const quotedJobIds = providerQuotes.map(quote => quote.job.toString());
@@ -263,17 +268,34 @@ const markJobAsComplete = async (req, res) => {
       });
     }
 
+    if (job.recurrence?.frequency) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recurring jobs complete on their own. Mark each visit as complete instead.'
+      });
+    }
+
     // Update job status
     job.status = 'completed';
     await job.save();
+    await closeRescheduleRequests(job._id);
+
+    // If the client already paid, their approval window starts now
+    const escrowTransaction = await submitWorkForApproval(job._id);
+
+    // A finished visit may be the last one of its recurring series
+    if (job.series) {
+      await syncSeries(job.series, { io: req.app.get('io') });
+    }
 
     // Notify client about job completion
     if (req.app.get('io')) {
-      const { sendNotificationToUser } = require('../socket/socketHandler');
-      sendNotificationToUser(req.app.get('io'), job.client, {
-        type: 'job_completed',
+      sendNotification(req.app.get('io'), job.client, {
+        type: escrowTransaction ? 'escrow_awaiting_approval' : 'job_completed',
         title: 'Job Completed',
-        message: `Your job "${job.title}" has been marked as completed by the provider`,
+        message: escrowTransaction
+          ? `Your job "${job.title}" has been marked as completed. Please approve the work or request changes by ${escrowTransaction.escrow.autoApproveAt.toDateString()}, after which the payment is released automatically.`
+          : `Your job "${job.title}" has been marked as completed by the provider`,
         jobId: job._id
       });
     }
@@ -281,7 +303,10 @@ const markJobAsComplete = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Job marked as completed successfully',
-      data: { job }
+      data: {
+        job,
+        escrow: escrowTransaction ? escrowTransaction.escrow : null
+      }
     });
 
   } catch (error) {
@@ -502,12 +527,60 @@ const getProviderDetails = async (req, res) => {
     });
   }
 };
+// @desc    Get a provider's bookable slots
+// @route   GET /api/providers/:id/availability
+// @access  Public
+const getProviderAvailability = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, days } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid provider ID',
+      });
+    }
+
+    const provider = await User.findOne({ _id: id, role: 'provider', isBlocked: false })
+      .select('availability workingHours');
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Provider not found',
+      });
+    }
+
+    let calendar;
+    try {
+      calendar = await getProviderCalendar(provider, { from, days });
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: calendar
+    });
+
+  } catch (error) {
+    console.error('Get provider availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching availability',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getNearbyJobs,
   getAcceptedJobs,
   getTodayJobs,
   markJobAsComplete,
   getProviderDashboard,
-  getProviderDetails
+  getProviderDetails,
+  getProviderAvailability
 };
-
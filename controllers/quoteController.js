@@ -4,6 +4,14 @@ const Job = require('../models/Job');
 const User = require('../models/User');
 const { sendNotification } = require('../socket/notificationHandler');
 const Transaction = require('../models/Transaction');
+const { calculateCommission } = require('../utils/commission');
+const { calculateTax } = require('../utils/tax');
+const { startSeries } = require('../utils/recurrence');
+const { assertProviderAvailable, withBookingLock } = require('../utils/availability');
+const { parseLineItems, priceLineItems, selectAddons, adjustToPrice } = require('../utils/quoteItems');
+const { compareQuotes } = require('../utils/quoteComparison');
+const BackgroundCheck = require('../models/BackgroundCheck');
+const { consumeQuoteEntitlement, releaseQuoteEntitlement } = require('../utils/entitlements');
 
 // @desc    Submit a quote for a job
 // @route   POST /api/quotes
@@ -20,6 +28,7 @@ const submitQuote = async (req, res) => {
     const {
       jobId,
       price,
+      lineItems,
       description,
       isAvailable,
       proposedDate,
@@ -28,11 +37,20 @@ const submitQuote = async (req, res) => {
       guarantee
     } = req.body;
 
-    // Check if provider has enough credits
-    if (req.user.credits < 1) {
+    // Itemized quotes are priced from their line items
+    let itemized;
+    try {
+      const items = parseLineItems(lineItems);
+      itemized = items?.length ? priceLineItems(items) : undefined;
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    if (!itemized && (price === undefined || Number.isNaN(parseFloat(price)))) {
       return res.status(400).json({
         success: false,
-        message: 'Insufficient credits. Please purchase more credits to submit quotes.'
+        message: 'Price or line items are required'
       });
     }
 
@@ -54,7 +72,7 @@ const submitQuote = async (req, res) => {
     const existingQuote = await Quote.findOne({
       job: jobId,
       provider: req.user._id,
-      status: { $in: ['pending', 'updated'] }
+      status: { $in: ['pending', 'updated', 'countered', 'agreed'] }
     });
 
     if (existingQuote) {
@@ -64,6 +82,17 @@ const submitQuote = async (req, res) => {
       });
     }
 
+    // Without a proposed date the provider is committing to the client's
+    try {
+      await assertProviderAvailable(req.user, {
+        date: proposedDate || job.preferredDate,
+        time: proposedTime || job.preferredTime
+      });
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
     // Parse warranty and guarantee data
     let warrantyData = {};
     let guaranteeData = {};
@@ -76,23 +105,37 @@ const submitQuote = async (req, res) => {
       guaranteeData = typeof guarantee === 'string' ? JSON.parse(guarantee) : guarantee;
     }
 
-    // Create quote
-    const quote = await Quote.create({
-      job: jobId,
-      provider: req.user._id,
-      price: parseFloat(price),
-      description,
-      isAvailable,
-      proposedDate: proposedDate ? new Date(proposedDate) : undefined,
-      proposedTime,
-      warranty: warrantyData,
-      guarantee: guaranteeData
-    });
+    // Covered by the plan's quote allowance, otherwise paid with credits
+    let grant;
+    try {
+      grant = await consumeQuoteEntitlement(req.user, { job });
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
 
-    // Deduct credit from provider
-    await User.findByIdAndUpdate(req.user._id, {
-      $inc: { credits: -5 }
-    });
+    // Create quote
+    let quote;
+    try {
+      quote = await Quote.create({
+        job: jobId,
+        provider: req.user._id,
+        price: itemized ? itemized.totals.total : parseFloat(price),
+        lineItems: itemized?.lineItems,
+        breakdown: itemized?.totals,
+        currency: job.currency,
+        description,
+        isAvailable,
+        proposedDate: proposedDate ? new Date(proposedDate) : undefined,
+        proposedTime,
+        warranty: warrantyData,
+        guarantee: guaranteeData,
+        creditsSpent: grant.creditsSpent
+      });
+    } catch (err) {
+      await releaseQuoteEntitlement(grant);
+      throw err;
+    }
 
     // Populate the quote with provider and job details
     const populatedQuote = await Quote.findById(quote._id)
@@ -111,9 +154,6 @@ if (req.app.get('io')) {
   });
 }
 
-    // Add credit usage to recent activity (we'll implement this later)
-    await addCreditActivity(req.user._id, -1, `Quote submitted for job: ${job.title}`, job._id);
-
     res.status(201).json({
       success: true,
       message: 'Quote submitted successfully',
@@ -141,6 +181,7 @@ const updateQuote = async (req, res) => {
     const { id } = req.params;
     const {
       price,
+      lineItems,
       description,
       isAvailable,
       proposedDate,
@@ -159,13 +200,51 @@ const updateQuote = async (req, res) => {
       });
     }
 
+    if (proposedDate || proposedTime) {
+      try {
+        await assertProviderAvailable(req.user, {
+          date: proposedDate || quote.proposedDate || quote.job.preferredDate,
+          time: proposedTime || quote.proposedTime || quote.job.preferredTime,
+          excludeJob: quote.job._id
+        });
+      } catch (err) {
+        if (!err.statusCode) throw err;
+        return res.status(err.statusCode).json({ success: false, message: err.message });
+      }
+    }
+
+    // New line items reprice the quote; a bare price change on an itemized
+    // quote is recorded as an adjustment line so the items still add up
+    let itemized;
+    try {
+      const items = parseLineItems(lineItems);
+      if (items?.length) {
+        itemized = priceLineItems(items);
+      } else if (items) {
+        itemized = { lineItems: [], totals: undefined };
+      } else if (price !== undefined && quote.lineItems?.length) {
+        itemized = adjustToPrice(quote.lineItems, parseFloat(price));
+      }
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    const newPrice = itemized?.totals
+      ? itemized.totals.total
+      : price !== undefined ? parseFloat(price) : quote.price;
+
     // Save current status to restore later
     const originalStatus = quote.status;
 
     // --- CASE 1: Update same quote (pending / updated) ---
     if (quote.status === 'pending' || quote.status === 'updated') {
 
-      quote.price = price !== undefined ? parseFloat(price) : quote.price;
+      quote.price = newPrice;
+      if (itemized) {
+        quote.lineItems = itemized.lineItems;
+        quote.breakdown = itemized.totals;
+      }
       quote.description = description || quote.description;
       quote.isAvailable = isAvailable !== undefined ? isAvailable : quote.isAvailable;
       quote.proposedDate = proposedDate ? new Date(proposedDate) : quote.proposedDate;
@@ -195,7 +274,8 @@ const updateQuote = async (req, res) => {
     if (['accepted'].includes(quote.status)) {
 
       const updateData = {
-        price: price !== undefined ? parseFloat(price) : quote.price,
+        price: newPrice,
+        ...(itemized && { lineItems: itemized.lineItems, breakdown: itemized.totals }),
         description: description || quote.description,
         isAvailable: isAvailable !== undefined ? isAvailable : quote.isAvailable,
         proposedDate: proposedDate ? new Date(proposedDate) : quote.proposedDate,
@@ -251,8 +331,11 @@ const acceptQuote = async (req, res) => {
   try {
     const { id } = req.params;
 
+    // Accept the newest version of the negotiation, whichever version was opened
+    const latest = await Quote.latestVersion(id);
+
     // Find the quote and populate job & provider
-    const quote = await Quote.findById(id)
+    const quote = latest && await Quote.findById(latest._id)
       .populate('job')
       .populate('provider');
 
@@ -271,57 +354,89 @@ const acceptQuote = async (req, res) => {
       });
     }
 
-    if (!['pending', 'updated'].includes(quote.status)) {
+    if (quote.status === 'countered') {
       return res.status(400).json({
         success: false,
-        message: 'Quote cannot be accepted in its current status'
+        message: 'Waiting for the provider to respond to your counter-offer'
       });
     }
 
-
-
-    // If there is an already accepted quote, decline it automatically
-    if (quote.job.acceptedQuote && quote.job.acceptedQuote.toString() !== quote._id.toString()) {
-      await Quote.findByIdAndUpdate(quote.job.acceptedQuote, { status: 'declined' });
+    if (!['pending', 'updated', 'agreed'].includes(quote.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quote cannot be accepted in its current status'
+      });
     }
 
-    // Update the quote status to accepted
-    quote.status = 'accepted';
-    await quote.save();
 
-    // Update job to set accepted quote and in-progress
-    const job = await Job.findByIdAndUpdate(
-      quote.job._id,
-      {
-        status: 'in_progress',
-        acceptedQuote: quote._id,
-        provider: quote.provider._id
-      },
-      { new: true }
-    );
 
-    // Create initial transaction record on acceptance (no payment captured yet)
+    let job;
     try {
-      const amount = Number(quote.price) || 0;
-      const commissionRate = 0.1; // 10% platform commission
-      const platformCommission = Math.round(amount * commissionRate);
-      const providerAmount = amount - platformCommission;
+      job = await withBookingLock(quote.provider._id, async () => {
+        // Another job may have taken the slot since this quote was sent
+        await assertProviderAvailable(quote.provider, {
+          date: quote.proposedDate || quote.job.preferredDate,
+          time: quote.proposedTime || quote.job.preferredTime,
+          excludeJob: quote.job._id
+        });
 
-      await Transaction.create({
-        user: quote.job.client, // payer (client)
-        job: quote.job._id,
-        quote: quote._id,
-        amount,
-        platformCommission,
-        providerAmount,
-        paymentMethod: 'cash', // default flow: cash on completion unless payment captured elsewhere
-        status: 'pending',
-        metadata: {
-          createdReason: 'quote_accepted_by_client'
+        // If there is an already accepted quote, decline it automatically
+        if (quote.job.acceptedQuote && quote.job.acceptedQuote.toString() !== quote._id.toString()) {
+          await Quote.findByIdAndUpdate(quote.job.acceptedQuote, { status: 'declined' });
         }
+
+        // Update the quote status to accepted
+        quote.status = 'accepted';
+        await quote.save();
+
+        // Update job to set accepted quote and in-progress
+        return Job.findByIdAndUpdate(
+          quote.job._id,
+          {
+            status: 'in_progress',
+            acceptedQuote: quote._id,
+            provider: quote.provider._id
+          },
+          { new: true }
+        );
       });
-    } catch (e) {
-      console.warn('Transaction create warning (client accept):', e.message);
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    if (job.recurrence?.frequency) {
+      // Recurring jobs are billed per occurrence: start generating them instead
+      await startSeries(job, { io: req.app.get('io') });
+    } else {
+      // Create initial transaction record on acceptance (no payment captured yet)
+      try {
+        const amount = Number(quote.price) || 0;
+        const { platformCommission, providerAmount, commission } = await calculateCommission(amount, {
+          providerId: quote.provider._id,
+          categoryId: job.serviceCategory
+        });
+        const tax = await calculateTax(amount, job.location);
+
+        await Transaction.create({
+          user: quote.job.client, // payer (client)
+          job: quote.job._id,
+          quote: quote._id,
+          amount,
+          platformCommission,
+          providerAmount,
+          commission,
+          tax,
+          currency: job.currency,
+          paymentMethod: 'cash', // default flow: cash on completion unless payment captured elsewhere
+          status: 'pending',
+          metadata: {
+            createdReason: 'quote_accepted_by_client'
+          }
+        });
+      } catch (e) {
+        console.warn('Transaction create warning (client accept):', e.message);
+      }
     }
 
     // Decline all other quotes for this job except the accepted one
@@ -329,7 +444,7 @@ const acceptQuote = async (req, res) => {
       {
         job: quote.job._id,
         _id: { $ne: quote._id },
-        status: { $in: ['pending', 'updated'] }
+        status: { $in: ['pending', 'updated', 'countered', 'agreed'] }
       },
       { status: 'declined' }
     );
@@ -402,7 +517,7 @@ const declineQuote = async (req, res) => {
       });
     }
 
-    if (quote.status !== 'pending' && quote.status !== 'updated') {
+    if (!['pending', 'updated', 'countered', 'agreed'].includes(quote.status)) {
       return res.status(400).json({
         success: false,
         message: 'Quote cannot be declined in its current status'
@@ -460,7 +575,7 @@ const cancelQuote = async (req, res) => {
       });
     }
 
-    if (quote.status !== 'pending' && quote.status !== 'updated') {
+    if (!['pending', 'updated', 'countered', 'agreed'].includes(quote.status)) {
       return res.status(400).json({
         success: false,
         message: 'Cannot cancel quote that has been accepted or declined'
@@ -623,6 +738,360 @@ const getQuotesByJob = async (req, res) => {
   }
 };
 
+// Load the newest version of a quote with the job, and work out the caller's side
+const loadNegotiation = async (quoteId, user) => {
+  const latest = await Quote.latestVersion(quoteId);
+  if (!latest) return {};
+
+  const quote = await Quote.findById(latest._id).populate('job');
+  const isClient = quote.job.client.toString() === user._id.toString();
+  const isProvider = quote.provider.toString() === user._id.toString();
+
+  return { quote, isClient, isProvider };
+};
+
+// @desc    Counter-offer on a quote (price, scope or date)
+// @route   PUT /api/quotes/:id/counter
+// @access  Private (Client or Provider, on their turn)
+const counterQuote = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { price, lineItems, description, proposedDate, proposedTime, message } = req.body;
+
+    const { quote, isClient, isProvider } = await loadNegotiation(id, req.user);
+
+    if (!quote || (!isClient && !isProvider)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found or you are not authorized to negotiate it'
+      });
+    }
+
+    if (quote.job.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'This job is no longer open for negotiation'
+      });
+    }
+
+    // Clients respond to the provider's terms; providers respond to a client counter
+    const clientTurn = ['pending', 'updated', 'agreed'].includes(quote.status);
+    const providerTurn = quote.status === 'countered';
+    if ((isClient && !clientTurn) || (isProvider && !providerTurn)) {
+      return res.status(400).json({
+        success: false,
+        message: providerTurn || clientTurn
+          ? 'Waiting for the other party to respond'
+          : `Cannot negotiate a quote with status "${quote.status}"`
+      });
+    }
+
+    if (price === undefined && !lineItems && !description && !proposedDate && !proposedTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'A counter-offer must change the price, scope or date'
+      });
+    }
+
+    // Scope changes come as new line items; a price-only counter on an
+    // itemized quote keeps the items and records the difference
+    let itemized;
+    try {
+      const items = parseLineItems(lineItems);
+      if (items?.length) {
+        itemized = priceLineItems(items);
+      } else if (price !== undefined && quote.lineItems?.length) {
+        itemized = adjustToPrice(quote.lineItems, parseFloat(price));
+      }
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    const newPrice = itemized ? itemized.totals.total : price !== undefined ? parseFloat(price) : quote.price;
+    if (Number.isNaN(newPrice) || newPrice < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Price must be a positive number'
+      });
+    }
+
+    const newDate = proposedDate ? new Date(proposedDate) : quote.proposedDate;
+    const newTime = proposedTime || quote.proposedTime;
+    if (proposedDate || proposedTime) {
+      try {
+        const provider = isProvider ? req.user : await User.findById(quote.provider).select('availability workingHours');
+        await assertProviderAvailable(provider, {
+          date: newDate || quote.job.preferredDate,
+          time: newTime || quote.job.preferredTime,
+          excludeJob: quote.job._id
+        });
+      } catch (err) {
+        if (!err.statusCode) throw err;
+        return res.status(err.statusCode).json({ success: false, message: err.message });
+      }
+    }
+
+    const role = isClient ? 'client' : 'provider';
+    const counter = await quote.createUpdatedQuote({
+      price: newPrice,
+      ...(itemized && { lineItems: itemized.lineItems, breakdown: itemized.totals }),
+      description: description || quote.description,
+      proposedDate: newDate,
+      proposedTime: newTime,
+      updateReason: message,
+      // A provider's reply goes back to the client like any other revision
+      status: isClient ? 'countered' : 'updated',
+      negotiation: { proposedBy: role, message }
+    });
+
+    if (req.app.get('io')) {
+      sendNotification(req.app.get('io'), isClient ? quote.provider : quote.job.client, {
+        type: 'quote_countered',
+        title: 'Counter-Offer Received',
+        message: `${req.user.fullName} sent a counter-offer of ${newPrice} ${counter.currency} for "${quote.job.title}"`,
+        jobId: quote.job._id,
+        quoteId: counter._id,
+        previousQuoteId: quote._id
+      });
+    }
+
+    const populatedQuote = await Quote.findById(counter._id)
+      .populate('provider', 'fullName profilePhoto businessName averageRating totalReviews experienceLevel')
+      .populate('job', 'title client serviceCategory');
+
+    res.status(201).json({
+      success: true,
+      message: 'Counter-offer sent successfully',
+      data: { quote: populatedQuote }
+    });
+
+  } catch (error) {
+    console.error('Counter quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending counter-offer',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Agree to the client's counter-offer
+// @route   PUT /api/quotes/:id/accept-counter
+// @access  Private (Provider only)
+const acceptCounterOffer = async (req, res) => {
+  try {
+    const { quote, isProvider } = await loadNegotiation(req.params.id, req.user);
+
+    if (!quote || !isProvider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found or you are not authorized to respond to it'
+      });
+    }
+
+    if (quote.status !== 'countered') {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no counter-offer waiting for your response'
+      });
+    }
+
+    // The client books the agreed terms through the normal accept flow
+    quote.status = 'agreed';
+    await quote.save();
+
+    if (req.app.get('io')) {
+      sendNotification(req.app.get('io'), quote.job.client, {
+        type: 'quote_updated',
+        title: 'Counter-Offer Accepted',
+        message: `${req.user.fullName} agreed to your counter-offer for "${quote.job.title}". Accept the quote to book.`,
+        jobId: quote.job._id,
+        quoteId: quote._id
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Counter-offer accepted. The client can now book these terms.',
+      data: { quote }
+    });
+
+  } catch (error) {
+    console.error('Accept counter-offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting counter-offer',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Choose which optional add-ons to include in an itemized quote
+// @route   PUT /api/quotes/:id/addons
+// @access  Private (Client only - job owner)
+const selectQuoteAddons = async (req, res) => {
+  try {
+    const { selected = [] } = req.body;
+
+    const { quote, isClient } = await loadNegotiation(req.params.id, req.user);
+
+    if (!quote || !isClient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found or you are not authorized to change it'
+      });
+    }
+
+    if (!['pending', 'updated', 'agreed'].includes(quote.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change add-ons on a quote with status "${quote.status}"`
+      });
+    }
+
+    if (!Array.isArray(selected)) {
+      return res.status(400).json({
+        success: false,
+        message: 'selected must be an array of line item IDs'
+      });
+    }
+
+    let itemized;
+    try {
+      itemized = selectAddons(quote.lineItems, selected);
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    quote.lineItems = itemized.lineItems;
+    quote.breakdown = itemized.totals;
+    quote.price = itemized.totals.total;
+    await quote.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Add-ons updated',
+      data: { quote }
+    });
+
+  } catch (error) {
+    console.error('Select quote add-ons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating add-ons',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the negotiation thread (every version) of a quote
+// @route   GET /api/quotes/:id/thread
+// @access  Private (Client or Provider)
+const getQuoteThread = async (req, res) => {
+  try {
+    const { quote, isClient, isProvider } = await loadNegotiation(req.params.id, req.user);
+
+    if (!quote || (!isClient && !isProvider)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found or you are not authorized to view it'
+      });
+    }
+
+    const chain = await Quote.revisionChain(quote._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        latest: quote,
+        thread: chain.map((version, index) => ({
+          _id: version._id,
+          version: index + 1,
+          proposedBy: version.negotiation?.proposedBy || 'provider',
+          message: version.negotiation?.message || version.updateReason,
+          price: version.price,
+          lineItems: version.lineItems,
+          currency: version.currency,
+          description: version.description,
+          proposedDate: version.proposedDate,
+          proposedTime: version.proposedTime,
+          status: version.status,
+          superseded: index < chain.length - 1,
+          createdAt: version.createdAt
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get quote thread error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching quote thread',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Compare the live quotes on a job side by side
+// @route   GET /api/quotes/job/:jobId/compare
+// @access  Private (Client only - job owner)
+const compareQuotesForJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { sortBy, order } = req.query;
+
+    const job = await Job.findOne({
+      _id: jobId,
+      client: req.user._id
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found or you are not authorized to view its quotes'
+      });
+    }
+
+    // Superseded versions are cancelled, so these are the latest of each negotiation
+    const quotes = await Quote.find({
+      job: jobId,
+      status: { $in: ['pending', 'updated', 'countered', 'agreed', 'accepted'] }
+    }).populate('provider', 'fullName profilePhoto businessName averageRating totalReviews totalCompletedJobs verificationStatus location');
+
+    // Oldest first, so each provider's latest check is the one kept in the map
+    const checks = await BackgroundCheck.find({
+      provider: { $in: quotes.map(q => q.provider?._id).filter(Boolean) }
+    }).select('provider status').sort({ createdAt: 1 });
+    const backgroundChecks = new Map(checks.map(c => [c.provider.toString(), c.status]));
+
+    const comparison = compareQuotes(job, quotes, backgroundChecks, { sortBy, order });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        job: {
+          _id: job._id,
+          title: job.title,
+          priceRange: job.priceRange,
+          preferredDate: job.preferredDate,
+          currency: job.currency
+        },
+        ...comparison
+      }
+    });
+
+  } catch (error) {
+    console.error('Compare quotes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error comparing quotes',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Accept a quote (Provider accepts direct booking)
 // @route   PUT /api/quotes/:id/accept-as-provider
 // @access  Private (Provider only)
@@ -637,8 +1106,11 @@ const acceptQuoteAsProvider = async (req, res) => {
       });
     }
 
+    // A client counter-offer on a direct booking is accepted as the latest version
+    const latest = await Quote.latestVersion(id);
+
     // Find the quote and populate job & client
-    const quote = await Quote.findById(id)
+    const quote = latest && await Quote.findById(latest._id)
       .populate('job')
       .populate({
         path: 'job',
@@ -660,49 +1132,73 @@ const acceptQuoteAsProvider = async (req, res) => {
       });
     }
 
-    if (!['pending', 'updated'].includes(quote.status)) {
+    if (!['pending', 'updated', 'countered', 'agreed'].includes(quote.status)) {
       return res.status(400).json({
         success: false,
         message: 'Quote cannot be accepted in its current status'
       });
     }
 
-    // Update the quote status to accepted
-    quote.status = 'accepted';
-    await quote.save();
-
-    // Update job to set accepted quote and in-progress
-    const job = await Job.findByIdAndUpdate(
-      quote.job._id,
-      {
-        status: 'in_progress',
-        acceptedQuote: quote._id
-      },
-      { new: true }
-    ).populate('client');
-
-    // Create initial transaction record on acceptance by provider (direct booking acceptance)
+    let job;
     try {
-      const amount = Number(quote.price) || 0;
-      const commissionRate = 0.1; // 10% platform commission
-      const platformCommission = Math.round(amount * commissionRate);
-      const providerAmount = amount - platformCommission;
+      job = await withBookingLock(req.user._id, async () => {
+        await assertProviderAvailable(req.user, {
+          date: quote.proposedDate || quote.job.preferredDate,
+          time: quote.proposedTime || quote.job.preferredTime,
+          excludeJob: quote.job._id
+        });
 
-      await Transaction.create({
-        user: job.client?._id || quote.job.client, // payer (client)
-        job: quote.job._id,
-        quote: quote._id,
-        amount,
-        platformCommission,
-        providerAmount,
-        paymentMethod: 'cash',
-        status: 'pending',
-        metadata: {
-          createdReason: 'quote_accepted_by_provider'
-        }
+        // Update the quote status to accepted
+        quote.status = 'accepted';
+        await quote.save();
+
+        // Update job to set accepted quote and in-progress
+        return Job.findByIdAndUpdate(
+          quote.job._id,
+          {
+            status: 'in_progress',
+            acceptedQuote: quote._id
+          },
+          { new: true }
+        ).populate('client');
       });
-    } catch (e) {
-      console.warn('Transaction create warning (provider accept):', e.message);
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    if (job.recurrence?.frequency) {
+      // Recurring jobs are billed per occurrence: start generating them instead
+      await startSeries(job, { io: req.app.get('io') });
+    } else {
+      // Create initial transaction record on acceptance by provider (direct booking acceptance)
+      try {
+        const amount = Number(quote.price) || 0;
+        const { platformCommission, providerAmount, commission } = await calculateCommission(amount, {
+          providerId: quote.provider._id,
+          categoryId: job.serviceCategory
+        });
+        const tax = await calculateTax(amount, job.location);
+
+        await Transaction.create({
+          user: job.client?._id || quote.job.client, // payer (client)
+          job: quote.job._id,
+          quote: quote._id,
+          amount,
+          platformCommission,
+          providerAmount,
+          commission,
+          tax,
+          currency: job.currency,
+          paymentMethod: 'cash',
+          status: 'pending',
+          metadata: {
+            createdReason: 'quote_accepted_by_provider'
+          }
+        });
+      } catch (e) {
+        console.warn('Transaction create warning (provider accept):', e.message);
+      }
     }
 
     // Decline all other quotes for this job except the accepted one
@@ -710,7 +1206,7 @@ const acceptQuoteAsProvider = async (req, res) => {
       {
         job: quote.job._id,
         _id: { $ne: quote._id },
-        status: { $in: ['pending', 'updated'] }
+        status: { $in: ['pending', 'updated', 'countered', 'agreed'] }
       },
       { status: 'declined' }
     );
@@ -759,12 +1255,6 @@ const acceptQuoteAsProvider = async (req, res) => {
   }
 };
 
-// Helper function to add credit activity (to be implemented in User model)
-const addCreditActivity = async (userId, creditChange, description, jobId = null) => {
-  // This will be implemented when we create the CreditActivity model
-  console.log(`Credit activity: User ${userId}, Change: ${creditChange}, Desc: ${description}, Job: ${jobId}`);
-};
-
 module.exports = {
   submitQuote,
   updateQuote,
@@ -773,5 +1263,10 @@ module.exports = {
   declineQuote,
   cancelQuote,
   getMyQuotes,
-  getQuotesByJob
+  getQuotesByJob,
+  compareQuotesForJob,
+  counterQuote,
+  acceptCounterOffer,
+  selectQuoteAddons,
+  getQuoteThread
 };
\ No newline at end of file
@@ -0,0 +1,284 @@
+// controllers/recurringJobController.js
+const Job = require('../models/Job');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { sendNotification } = require('../socket/notificationHandler');
+const {
+  occurrenceDate,
+  syncSeries,
+  cancelOccurrence,
+  rescheduleOccurrence,
+  processRecurringJobs
+} = require('../utils/recurrence');
+const { assertProviderAvailable, withBookingLock } = require('../utils/availability');
+
+// Load a job with its accepted quote and check the user is the client or provider
+const findJobForUser = async (jobId, user) => {
+  const job = await Job.findById(jobId).populate('acceptedQuote');
+  if (!job || !job.acceptedQuote) return { job: null };
+
+  const isClient = job.client.toString() === user._id.toString();
+  const isProvider = job.acceptedQuote.provider.toString() === user._id.toString();
+
+  return { job, isClient, isProvider };
+};
+
+// Tell the other side of the job what changed
+const notifyOtherParty = (req, job, isClient, notification) => {
+  if (!req.app.get('io')) return;
+  const recipient = isClient ? job.acceptedQuote.provider : job.client;
+  sendNotification(req.app.get('io'), recipient, {
+    ...notification,
+    jobId: job._id,
+    seriesId: job.series
+  });
+};
+
+// @desc    Get the occurrences of a recurring job
+// @route   GET /api/jobs/:id/occurrences
+// @access  Private (Client or Provider)
+const getJobOccurrences = async (req, res) => {
+  try {
+    const { job, isClient, isProvider } = await findJobForUser(req.params.id, req.user);
+
+    if (!job || (!isClient && !isProvider)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found or you are not authorized to view it'
+      });
+    }
+
+    if (!job.recurrence?.frequency) {
+      return res.status(400).json({
+        success: false,
+        message: 'This job is not recurring'
+      });
+    }
+
+    // Catch up on anything that fell due since the series was last processed
+    await syncSeries(job, { io: req.app.get('io') });
+
+    const occurrences = await Job.find({ series: job._id })
+      .select('title status preferredDate preferredTime occurrence acceptedQuote currency')
+      .populate('acceptedQuote', 'price currency')
+      .sort({ 'occurrence.index': 1 });
+
+    const transactions = await Transaction.find({
+      job: { $in: occurrences.map(o => o._id) },
+      status: { $ne: 'failed' }
+    }).select('job status paymentMethod amount paidAt releasedAt').sort({ createdAt: -1 });
+
+    // Latest payment attempt per occurrence
+    const paymentFor = new Map();
+    transactions.forEach(tx => {
+      if (!paymentFor.has(tx.job.toString())) paymentFor.set(tx.job.toString(), tx);
+    });
+
+    const { recurrence } = job;
+    const nextIndex = (recurrence.generatedCount || 0) + 1;
+    const hasMore = recurrence.status === 'active' &&
+      (!recurrence.count || nextIndex <= recurrence.count) &&
+      (!recurrence.endDate || occurrenceDate(recurrence, nextIndex) <= recurrence.endDate);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        recurrence,
+        nextOccurrenceAt: hasMore ? occurrenceDate(recurrence, nextIndex) : null,
+        occurrences: occurrences.map(o => ({
+          ...o.toObject(),
+          payment: paymentFor.get(o._id.toString()) || null
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get job occurrences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching occurrences',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Skip one occurrence of a recurring job
+// @route   PUT /api/jobs/:id/occurrence/skip
+// @access  Private (Client only)
+const skipJobOccurrence = async (req, res) => {
+  try {
+    const { job, isClient } = await findJobForUser(req.params.id, req.user);
+
+    if (!job || !isClient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found or you are not authorized to skip it'
+      });
+    }
+
+    try {
+      await cancelOccurrence(job, { skipped: true });
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    await syncSeries(job.series, { io: req.app.get('io') });
+
+    notifyOtherParty(req, job, true, {
+      type: 'occurrence_skipped',
+      title: 'Visit Skipped',
+      message: `The client skipped the ${job.preferredDate.toDateString()} visit for "${job.title}"`,
+      reason: req.body.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Visit skipped successfully',
+      data: { job }
+    });
+
+  } catch (error) {
+    console.error('Skip occurrence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error skipping visit',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Move one occurrence of a recurring job to another date
+// @route   PUT /api/jobs/:id/occurrence/reschedule
+// @access  Private (Client or Provider)
+const rescheduleJobOccurrence = async (req, res) => {
+  try {
+    const { date, time } = req.body;
+
+    const { job, isClient, isProvider } = await findJobForUser(req.params.id, req.user);
+
+    if (!job || (!isClient && !isProvider)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found or you are not authorized to reschedule it'
+      });
+    }
+
+    const previousDate = job.preferredDate;
+    try {
+      const provider = await User.findById(job.acceptedQuote.provider).select('availability workingHours');
+      if (provider && date) {
+        await withBookingLock(provider._id, async () => {
+          await assertProviderAvailable(provider, { date, time: time || job.preferredTime, excludeJob: job._id });
+          await rescheduleOccurrence(job, { date, time });
+        });
+      } else {
+        await rescheduleOccurrence(job, { date, time });
+      }
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    notifyOtherParty(req, job, isClient, {
+      type: 'occurrence_rescheduled',
+      title: 'Visit Rescheduled',
+      message: `${req.user.fullName} moved the ${previousDate.toDateString()} visit for "${job.title}" to ${job.preferredDate.toDateString()}${job.preferredTime ? ` (${job.preferredTime})` : ''}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Visit rescheduled successfully',
+      data: { job }
+    });
+
+  } catch (error) {
+    console.error('Reschedule occurrence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rescheduling visit',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Cancel one occurrence of a recurring job
+// @route   PUT /api/jobs/:id/occurrence/cancel
+// @access  Private (Client or Provider)
+const cancelJobOccurrence = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const { job, isClient, isProvider } = await findJobForUser(req.params.id, req.user);
+
+    if (!job || (!isClient && !isProvider)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found or you are not authorized to cancel it'
+      });
+    }
+
+    try {
+      await cancelOccurrence(job);
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    await syncSeries(job.series, { io: req.app.get('io') });
+
+    notifyOtherParty(req, job, isClient, {
+      type: 'occurrence_cancelled',
+      title: 'Visit Cancelled',
+      message: `${req.user.fullName} cancelled the ${job.preferredDate.toDateString()} visit for "${job.title}"`,
+      reason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Visit cancelled successfully',
+      data: { job }
+    });
+
+  } catch (error) {
+    console.error('Cancel occurrence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling visit',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Generate due occurrences for every active recurring job
+// @route   POST /api/admin/jobs/recurring/process
+// @access  Private (Admin only)
+const processRecurringJobsNow = async (req, res) => {
+  try {
+    const results = await processRecurringJobs(req.app.get('io'));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        processed: results.length,
+        results
+      }
+    });
+
+  } catch (error) {
+    console.error('Process recurring jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing recurring jobs',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getJobOccurrences,
+  skipJobOccurrence,
+  rescheduleJobOccurrence,
+  cancelJobOccurrence,
+  processRecurringJobsNow
+};
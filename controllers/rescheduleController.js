@@ -0,0 +1,207 @@
+// controllers/rescheduleController.js
+const RescheduleRequest = require('../models/RescheduleRequest');
+const {
+  loadJobParties,
+  proposeReschedule,
+  acceptReschedule,
+  declineReschedule,
+  counterReschedule,
+  cancelReschedule
+} = require('../utils/rescheduling');
+
+// Send helper errors (which carry a statusCode) back as-is
+const respondWithError = (res, err) => {
+  if (!err.statusCode) throw err;
+  return res.status(err.statusCode).json({ success: false, message: err.message });
+};
+
+// @desc    Get reschedule requests for a job
+// @route   GET /api/jobs/:id/reschedule-requests
+// @access  Private (Client or Provider)
+const getRescheduleRequests = async (req, res) => {
+  try {
+    try {
+      await loadJobParties(req.params.id, req.user);
+    } catch (err) {
+      return respondWithError(res, err);
+    }
+
+    const requests = await RescheduleRequest.find({ job: req.params.id })
+      .populate('requestedBy', 'fullName profilePhoto role')
+      .populate('respondedBy', 'fullName profilePhoto role')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        requests,
+        pending: requests.find(r => r.status === 'pending') || null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reschedule requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reschedule requests',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Propose new dates for a job
+// @route   POST /api/jobs/:id/reschedule-requests
+// @access  Private (Client or Provider)
+const requestReschedule = async (req, res) => {
+  try {
+    const { options, reason } = req.body;
+
+    let request;
+    try {
+      request = await proposeReschedule(req.params.id, req.user, { options, reason }, { io: req.app.get('io') });
+    } catch (err) {
+      return respondWithError(res, err);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Reschedule request sent',
+      data: { request }
+    });
+
+  } catch (error) {
+    console.error('Request reschedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting reschedule',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Accept one of the proposed dates
+// @route   PUT /api/jobs/:id/reschedule-requests/:requestId/accept
+// @access  Private (Other party)
+const acceptRescheduleRequest = async (req, res) => {
+  try {
+    const { optionIndex } = req.body;
+
+    let result;
+    try {
+      result = await acceptReschedule(req.params.id, req.params.requestId, req.user, { optionIndex }, { io: req.app.get('io') });
+    } catch (err) {
+      return respondWithError(res, err);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Job rescheduled successfully',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Accept reschedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting reschedule',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Decline a reschedule request
+// @route   PUT /api/jobs/:id/reschedule-requests/:requestId/decline
+// @access  Private (Other party)
+const declineRescheduleRequest = async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    let result;
+    try {
+      result = await declineReschedule(req.params.id, req.params.requestId, req.user, { note }, { io: req.app.get('io') });
+    } catch (err) {
+      return respondWithError(res, err);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Reschedule request declined',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Decline reschedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error declining reschedule',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Counter a reschedule request with different dates
+// @route   PUT /api/jobs/:id/reschedule-requests/:requestId/counter
+// @access  Private (Other party)
+const counterRescheduleRequest = async (req, res) => {
+  try {
+    const { options, reason } = req.body;
+
+    let result;
+    try {
+      result = await counterReschedule(req.params.id, req.params.requestId, req.user, { options, reason }, { io: req.app.get('io') });
+    } catch (err) {
+      return respondWithError(res, err);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Counter-proposal sent',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Counter reschedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error countering reschedule',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Withdraw your own reschedule request
+// @route   PUT /api/jobs/:id/reschedule-requests/:requestId/cancel
+// @access  Private (Requester)
+const cancelRescheduleRequest = async (req, res) => {
+  try {
+    let result;
+    try {
+      result = await cancelReschedule(req.params.id, req.params.requestId, req.user, { io: req.app.get('io') });
+    } catch (err) {
+      return respondWithError(res, err);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Reschedule request withdrawn',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Cancel reschedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error withdrawing reschedule request',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getRescheduleRequests,
+  requestReschedule,
+  acceptRescheduleRequest,
+  declineRescheduleRequest,
+  counterRescheduleRequest,
+  cancelRescheduleRequest
+};
@@ -7,7 +7,20 @@ const CreditActivity = require('../models/CreditActivity');
 const Transaction = require('../models/Transaction');
 const User = require('../models/User');
 const { createPaymentIntent } = require('../config/stripe');
+const { postPlatformSale } = require('../utils/ledger');
+const { emailReceipt } = require('../utils/paymentDocuments');
+const { formatPurchaseReceipt } = require('../utils/invoiceUtils');
+const { renderReceiptPdf } = require('../utils/pdfGenerator');
 const { sendNotificationToUser } = require('../socket/socketHandler');
+const {
+  findCurrentSubscription,
+  syncUserSubscription,
+  startSubscription,
+  cancelAtPeriodEnd,
+  resumeSubscription,
+  changePlan
+} = require('../utils/subscriptions');
+const { getEntitlements, purchasePriorityListing } = require('../utils/entitlements');
 
 // @desc    Get all active subscriptions
 // @route   GET /api/subscriptions
@@ -55,81 +68,39 @@ const purchaseSubscription = async (req, res) => {
     }
 
     // Check if user already has an active subscription
-    const activeSubscription = await UserSubscription.findOne({
-      user: req.user._id,
-      status: 'active',
-      endDate: { $gt: new Date() }
-    });
+    const activeSubscription = await findCurrentSubscription(req.user._id);
 
     if (activeSubscription) {
       return res.status(400).json({
         success: false,
-        message: 'You already have an active subscription'
+        message: activeSubscription.billingMode === 'recurring'
+          ? 'You already have an active subscription. Change your plan instead.'
+          : 'You already have an active subscription'
       });
     }
 
-    const amount = subscription.discountedPrice;
-
-    // For card payments, create Stripe payment intent
-    if (paymentMethod === 'card') {
-      const paymentIntent = await createPaymentIntent(
-        amount,
-        'usd', 
-        {
-          type: 'subscription',
-          subscriptionId: subscription._id.toString(),
-          userId: req.user._id.toString(),
-          email: req.user.email
-        }
-      );
-
-      // Create pending user subscription
-      const userSubscription = await UserSubscription.create({
-        user: req.user._id,
-        subscription: subscriptionId,
-        email: req.user.email,
-        startDate: new Date(),
-        endDate: calculateEndDate(subscription.duration),
-        status: 'pending',
-        stripeSubscriptionId: paymentIntent.id
-      });
-
-      // Create pending transaction
-      const transaction = await Transaction.create({
-        user: req.user._id,
-        amount,
-        platformCommission: 0, // No commission on subscriptions
-        providerAmount: amount,
-        paymentMethod: 'card',
-        stripePaymentIntentId: paymentIntent.id,
-  job: null,
-  quote: null,
-        type: 'subscription', // ✅ Add type to differentiate 
-        status: 'pending',
-        metadata: {
-          type: 'subscription',
-          subscriptionId: subscription._id,
-          subscriptionType: subscription.type
-        }
-      });
-
-      res.status(200).json({
-        success: true,
-        message: 'Subscription purchase initiated',
-        data: {
-          clientSecret: paymentIntent.client_secret,
-          subscription: userSubscription,
-          amount,
-          currency: 'usd'
-        }
-      });
-    } else {
+    if (paymentMethod !== 'card') {
       return res.status(400).json({
         success: false,
         message: 'Only card payments are supported for subscriptions'
       });
     }
 
+    // Recurring Stripe subscription: the first invoice is paid with the
+    // returned client secret and the card is kept for renewals
+    const { userSubscription, clientSecret } = await startSubscription(req.user, subscription);
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription purchase initiated',
+      data: {
+        clientSecret,
+        subscription: userSubscription,
+        amount: subscription.discountedPrice,
+        currency: 'usd'
+      }
+    });
+
   } catch (error) {
     console.error('Purchase subscription error:', error);
     res.status(500).json({
@@ -152,34 +123,45 @@ const getMySubscription = async (req, res) => {
       });
     }
 
-    const subscription = await UserSubscription.findOne({
-      user: req.user._id,
-      status: 'active',
-      endDate: { $gt: new Date() }
-    })
-    .populate('subscription')
-    .sort({ createdAt: -1 });
+    // Rolls the quote count over first if a new usage period has started
+    const entitlements = await getEntitlements(req.user);
+    const subscription = await findCurrentSubscription(req.user._id);
 
     // Get subscription usage statistics
     let usage = null;
     if (subscription) {
-      const quotesUsed = subscription.quotesUsed;
+      const { used: quotesUsed, limit, remaining } = entitlements.quotes;
       const quoteLimit = subscription.subscription.quoteLimit;
-      const quotesRemaining = quoteLimit === 0 ? 'Unlimited' : quoteLimit - quotesUsed;
 
       usage = {
         quotesUsed,
         quoteLimit,
-        quotesRemaining,
-        usagePercentage: quoteLimit === 0 ? 0 : (quotesUsed / quoteLimit) * 100
+        quotesRemaining: limit === null ? 'Unlimited' : remaining,
+        usagePercentage: limit === null ? 0 : (quotesUsed / quoteLimit) * 100,
+        periodStart: entitlements.period.start,
+        periodEnd: entitlements.period.end
       };
     }
 
+    // Renewal state for the billing screen
+    const billing = subscription && {
+      mode: subscription.billingMode,
+      autoRenew: subscription.autoRenew,
+      cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+      renewsAt: subscription.billingMode === 'recurring' && !subscription.cancelAtPeriodEnd ? subscription.endDate : null,
+      pastDue: subscription.status === 'past_due',
+      gracePeriodEndsAt: subscription.gracePeriodEndsAt || null,
+      nextPaymentAttemptAt: subscription.nextPaymentAttemptAt || null,
+      paymentUpdateUrl: subscription.paymentUpdateUrl || null
+    };
+
     res.status(200).json({
       success: true,
       data: {
         subscription,
-        usage
+        usage,
+        billing,
+        entitlements
       }
     });
 
@@ -193,6 +175,186 @@ const getMySubscription = async (req, res) => {
   }
 };
 
+// @desc    Buy priority listing with credits
+// @route   POST /api/subscriptions/priority-listing
+// @access  Private (Providers only)
+const buyPriorityListing = async (req, res) => {
+  try {
+    if (req.user.role !== 'provider') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only providers can buy priority listing'
+      });
+    }
+
+    let result;
+    try {
+      result = await purchasePriorityListing(req.user);
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Priority listing active until ${result.priorityListingUntil.toDateString()}`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Buy priority listing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error purchasing priority listing',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Cancel the current subscription at the end of its period
+// @route   POST /api/subscriptions/cancel
+// @access  Private (Providers only)
+const cancelSubscription = async (req, res) => {
+  try {
+    if (req.user.role !== 'provider') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only providers can manage subscriptions'
+      });
+    }
+
+    const current = await findCurrentSubscription(req.user._id);
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: 'You do not have an active subscription'
+      });
+    }
+
+    let userSubscription;
+    try {
+      userSubscription = await cancelAtPeriodEnd(current);
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Your subscription will end on ${userSubscription.endDate.toDateString()} and will not renew`,
+      data: { subscription: userSubscription }
+    });
+
+  } catch (error) {
+    console.error('Cancel subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling subscription',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Keep renewing a subscription that was set to cancel
+// @route   POST /api/subscriptions/resume
+// @access  Private (Providers only)
+const reactivateSubscription = async (req, res) => {
+  try {
+    if (req.user.role !== 'provider') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only providers can manage subscriptions'
+      });
+    }
+
+    const current = await findCurrentSubscription(req.user._id);
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: 'You do not have an active subscription'
+      });
+    }
+
+    let userSubscription;
+    try {
+      userSubscription = await resumeSubscription(current);
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Your subscription will renew on ${userSubscription.endDate.toDateString()}`,
+      data: { subscription: userSubscription }
+    });
+
+  } catch (error) {
+    console.error('Resume subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resuming subscription',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Upgrade or downgrade the current subscription (prorated)
+// @route   PUT /api/subscriptions/change-plan
+// @access  Private (Providers only)
+const changeSubscriptionPlan = async (req, res) => {
+  try {
+    if (req.user.role !== 'provider') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only providers can manage subscriptions'
+      });
+    }
+
+    const { subscriptionId } = req.body;
+
+    const newPlan = await Subscription.findById(subscriptionId);
+    if (!newPlan || !newPlan.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found or inactive'
+      });
+    }
+
+    const current = await findCurrentSubscription(req.user._id);
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: 'You do not have an active subscription'
+      });
+    }
+
+    let result;
+    try {
+      result = await changePlan(current, newPlan, { io: req.app.get('io') });
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.upgrade
+        ? `Upgraded to ${newPlan.name}. The prorated difference has been charged.`
+        : `Switched to ${newPlan.name}. Unused time is credited against your next renewal.`,
+      data: { subscription: result.userSubscription }
+    });
+
+  } catch (error) {
+    console.error('Change subscription plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing subscription plan',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get credit packages
 // @route   GET /api/subscriptions/credits/packages
 // @access  Public
@@ -249,6 +411,7 @@ const purchaseCredits = async (req, res) => {
         amount,
         platformCommission: 0, // No commission on credit purchases
         providerAmount: amount,
+        currency: 'USD', // Credit packages are priced in USD
         paymentMethod: 'card',
         stripePaymentIntentId: paymentIntent.id,
         status: 'pending',
@@ -264,6 +427,7 @@ const purchaseCredits = async (req, res) => {
         message: 'Credit purchase initiated',
         data: {
           clientSecret: paymentIntent.client_secret,
+          transactionId: transaction._id,
           credits,
           amount,
           currency: 'usd'
@@ -323,25 +487,43 @@ const getCreditActivity = async (req, res) => {
   }
 };
 
-// Helper function to calculate subscription end date
-const calculateEndDate = (subscriptionType) => {
-  const endDate = new Date();
-  
-  switch (subscriptionType) {
-    case 'monthly':
-      endDate.setMonth(endDate.getMonth() + 1);
-      break;
-    case '6months':
-      endDate.setMonth(endDate.getMonth() + 6);
-      break;
-    case 'yearly':
-      endDate.setFullYear(endDate.getFullYear() + 1);
-      break;
-    default:
-      endDate.setMonth(endDate.getMonth() + 1);
+// @desc    Download the receipt for a credit or subscription purchase
+// @route   GET /api/subscriptions/receipts/:transactionId.pdf
+// @access  Private
+const getPurchaseReceiptPdf = async (req, res) => {
+  try {
+    const transaction = await Transaction.findOne({
+      _id: req.params.transactionId,
+      user: req.user._id,
+      'metadata.type': { $in: ['credits', 'subscription'] },
+      status: { $in: ['completed', 'partially_refunded', 'refunded'] }
+    });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receipt not found'
+      });
+    }
+
+    const receipt = formatPurchaseReceipt(transaction, req.user);
+    const pdf = await renderReceiptPdf(receipt);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="receipt-${receipt.receiptNumber}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.status(200).send(pdf);
+
+  } catch (error) {
+    console.error('Get purchase receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating receipt',
+      error: error.message
+    });
   }
-  
-  return endDate;
 };
 
 // Webhook handler for subscription payments (add to paymentController)
@@ -355,10 +537,18 @@ const handleSubscriptionPayment = async (paymentIntent) => {
 
     if (userSubscription) {
       userSubscription.status = 'active';
-      userSubscription.transaction = await Transaction.findOne({
-        stripePaymentIntentId: paymentIntent.id
-      });
+      userSubscription.transaction = await Transaction.findOneAndUpdate(
+        { stripePaymentIntentId: paymentIntent.id },
+        { status: 'completed', paidAt: new Date(), completedAt: new Date() },
+        { new: true }
+      );
       await userSubscription.save();
+      await syncUserSubscription(userId);
+
+      if (userSubscription.transaction) {
+        await postPlatformSale(userSubscription.transaction, 'subscription_payment');
+        emailReceipt(userSubscription.transaction);
+      }
 
       // Notify user
       if (global.io) {
@@ -390,11 +580,17 @@ const handleSubscriptionPayment = async (paymentIntent) => {
     );
 
     // Update transaction status
-    await Transaction.findOneAndUpdate(
+    const transaction = await Transaction.findOneAndUpdate(
       { stripePaymentIntentId: paymentIntent.id },
-      { status: 'completed' }
+      { status: 'completed', paidAt: new Date(), completedAt: new Date() },
+      { new: true }
     );
 
+    if (transaction) {
+      await postPlatformSale(transaction, 'credit_purchase');
+      emailReceipt(transaction);
+    }
+
     // Notify user
     if (global.io) {
       sendNotificationToUser(global.io, userId, {
@@ -411,8 +607,13 @@ module.exports = {
   getSubscriptions,
   purchaseSubscription,
   getMySubscription,
+  buyPriorityListing,
+  cancelSubscription,
+  reactivateSubscription,
+  changeSubscriptionPlan,
   getCreditPackages,
   purchaseCredits,
   getCreditActivity,
+  getPurchaseReceiptPdf,
   handleSubscriptionPayment
 };
\ No newline at end of file
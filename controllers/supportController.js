@@ -3,6 +3,19 @@ const SupportTicket = require('../models/SupportTicket');
 const SupportMessage = require('../models/SupportMessage');
 const User = require('../models/User');
 const { sendNotification } = require('../socket/notificationHandler');
+const { hasPermission } = require('../utils/permissions');
+const { recordAudit } = require('../utils/auditLog');
+
+// Tickets the user raised or was assigned; support staff can open any ticket
+const findAccessibleTicket = (id, user, canManage) => (canManage
+  ? SupportTicket.findById(id)
+  : SupportTicket.findOne({
+    _id: id,
+    $or: [
+      { user: user._id },
+      { assignedTo: user._id }
+    ]
+  }));
 
 // @desc    Create support ticket
 // @route   POST /api/support/tickets
@@ -150,16 +163,11 @@ const getTicketMessages = async (req, res) => {
     const { id } = req.params;
     const { page = 1, limit = 50 } = req.query;
 
-    // Verify user owns the ticket or is admin
-    const ticket = await SupportTicket.findOne({
-      _id: id,
-      $or: [
-        { user: req.user._id },
-        { assignedTo: req.user._id }
-      ]
-    });
+    // Verify user owns the ticket or can view support tickets
+    const canView = hasPermission(req.user, 'support.view');
+    const ticket = await findAccessibleTicket(id, req.user, canView);
 
-    if (!ticket && req.user.role !== 'admin') {
+    if (!ticket) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this ticket'
@@ -173,7 +181,7 @@ const getTicketMessages = async (req, res) => {
       .skip((page - 1) * limit);
 
     // Mark admin messages as read for user
-    if (req.user.role !== 'admin') {
+    if (!canView) {
       await SupportMessage.updateMany(
         {
           ticket: id,
@@ -226,15 +234,10 @@ const sendSupportMessage = async (req, res) => {
     const { content, messageType = 'text', attachments } = req.body;
 
     // Verify user has access to the ticket
-    const ticket = await SupportTicket.findOne({
-      _id: id,
-      $or: [
-        { user: req.user._id },
-        { assignedTo: req.user._id }
-      ]
-    });
+    const canReply = hasPermission(req.user, 'support.reply');
+    const ticket = await findAccessibleTicket(id, req.user, canReply);
 
-    if (!ticket && req.user.role !== 'admin') {
+    if (!ticket) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to send messages in this ticket'
@@ -242,7 +245,7 @@ const sendSupportMessage = async (req, res) => {
     }
 
     // Auto-assign to admin if not assigned and user is admin
-    if (req.user.role === 'admin' && !ticket.assignedTo) {
+    if (canReply && !ticket.assignedTo) {
       ticket.assignedTo = req.user._id;
       ticket.status = 'in_progress';
       await ticket.save();
@@ -255,12 +258,20 @@ const sendSupportMessage = async (req, res) => {
         content: { text: 'Ticket has been assigned to support agent' },
         systemMessageType: 'assigned'
       });
+
+      await recordAudit(req, {
+        action: 'support.assign',
+        targetType: 'SupportTicket',
+        targetId: ticket._id,
+        targetLabel: ticket.title,
+        after: { assignedTo: req.user._id.toString(), status: ticket.status }
+      });
     }
 
     const message = await SupportMessage.create({
       ticket: id,
       sender: req.user._id,
-      senderRole: req.user.role === 'admin' ? 'admin' : 'user',
+      senderRole: canReply ? 'admin' : 'user',
       content: {
         text: content,
         attachments: attachments || []
@@ -271,6 +282,17 @@ const sendSupportMessage = async (req, res) => {
     // Update ticket updatedAt
     await SupportTicket.findByIdAndUpdate(id, { updatedAt: new Date() });
 
+    // Replies from support staff are admin actions
+    if (canReply) {
+      await recordAudit(req, {
+        action: 'support.reply',
+        targetType: 'SupportTicket',
+        targetId: ticket._id,
+        targetLabel: ticket.title,
+        metadata: { messageId: message._id.toString() }
+      });
+    }
+
     // Populate message for response
     const populatedMessage = await SupportMessage.findById(message._id)
       .populate('sender', 'fullName profilePhoto role');
@@ -281,7 +303,7 @@ const sendSupportMessage = async (req, res) => {
       req.app.get('io').to(roomId).emit('new_support_message', populatedMessage);
 
       // Notify the other party
-      if (req.user.role === 'admin') {
+      if (canReply) {
         // Notify user
         sendNotification(req.app.get('io'), ticket.user, {
           type: 'support_message',
@@ -299,9 +321,9 @@ const sendSupportMessage = async (req, res) => {
             ticketId: id
           });
         } else {
-          // Notify all admins
+          // Notify all support staff
           const admins = await User.find({ role: 'admin', isActive: true });
-          admins.forEach(admin => {
+          admins.filter(admin => hasPermission(admin, 'support.reply')).forEach(admin => {
             sendNotification(req.app.get('io'), admin._id, {
               type: 'support_message',
               title: 'New Support Message',
@@ -336,15 +358,10 @@ const joinLiveChat = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const ticket = await SupportTicket.findOne({
-      _id: id,
-      $or: [
-        { user: req.user._id },
-        { assignedTo: req.user._id }
-      ]
-    });
+    const canReply = hasPermission(req.user, 'support.reply');
+    const ticket = await findAccessibleTicket(id, req.user, canReply);
 
-    if (!ticket && req.user.role !== 'admin') {
+    if (!ticket) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to join this chat'
@@ -363,11 +380,21 @@ const joinLiveChat = async (req, res) => {
     await SupportMessage.create({
       ticket: id,
       sender: req.user._id,
-      senderRole: req.user.role === 'admin' ? 'admin' : 'user',
+      senderRole: canReply ? 'admin' : 'user',
       content: { text: 'joined the live chat' },
       systemMessageType: 'status_changed'
     });
 
+    if (canReply) {
+      await recordAudit(req, {
+        action: 'support.join_chat',
+        targetType: 'SupportTicket',
+        targetId: ticket._id,
+        targetLabel: ticket.title,
+        metadata: { sessionId: ticket.chatSession.sessionId }
+      });
+    }
+
     // Emit socket event for chat join
     if (req.app.get('io')) {
       const roomId = `support_ticket_${id}`;
@@ -402,10 +429,10 @@ const joinLiveChat = async (req, res) => {
 // @access  Private (Admin only)
 const getSupportStatistics = async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
+    if (!hasPermission(req.user, 'support.view')) {
       return res.status(403).json({
         success: false,
-        message: 'Only admins can access support statistics'
+        message: 'You do not have permission to access support statistics'
       });
     }
 
@@ -7,7 +7,18 @@ const UserSubscription = require('../models/UserSubscription');
 const CreditActivity = require('../models/CreditActivity');
 const Wallet = require('../models/Wallet');
 const { handleSubscriptionPayment } = require('./subscriptionController');
+const { handlePaymentIntentSucceeded: handleJobPaymentSucceeded } = require('./paymentController');
 const Job = require('../models/Job');  
+const Dispute = require('../models/Dispute');
+const { OPEN_DISPUTE_STATUSES, openDispute, resolveDispute } = require('../utils/disputes');
+const { refundTransaction, completeRefund } = require('../utils/refunds');
+const { sendAdminNotification } = require('../socket/notificationHandler');
+const {
+  applyStripeSubscription,
+  applyInvoicePaid,
+  applyInvoicePaymentFailed,
+  applyInvoiceUpcoming
+} = require('../utils/subscriptions');
 const { sendNotificationToUser } = require('../socket/socketHandler'); // ✅ Import notifications if used
 
 // Handle payment_intent.created
@@ -95,6 +106,36 @@ const handleStripeWebhook = async (req, res) => {
       case 'charge.refunded':
         await handleChargeRefunded(event.data.object);
         break;
+
+      case 'charge.dispute.created':
+        await handleChargeDisputeCreated(event.data.object);
+        break;
+
+      case 'charge.dispute.updated':
+        await handleChargeDisputeUpdated(event.data.object);
+        break;
+
+      case 'charge.dispute.closed':
+        await handleChargeDisputeClosed(event.data.object);
+        break;
+
+      case 'invoice.paid':
+        await handleInvoicePaid(event.data.object);
+        break;
+
+      case 'invoice.payment_failed':
+        await handleInvoicePaymentFailed(event.data.object);
+        break;
+
+      case 'invoice.upcoming':
+        await handleInvoiceUpcoming(event.data.object);
+        break;
+
+      case 'customer.subscription.created':
+      case 'customer.subscription.updated':
+      case 'customer.subscription.deleted':
+        await handleCustomerSubscriptionChanged(event.data.object);
+        break;
       
       default:
         console.log(`Unhandled event type: ${event.type}`);
@@ -114,106 +155,11 @@ const handlePaymentIntentSucceeded = async (paymentIntent) => {
   if (type === 'subscription' || type === 'credits') {
     await handleSubscriptionPayment(paymentIntent);
   } else {
-    // Handle regular job payments
+    // Handle regular job and milestone payments
     await handleJobPaymentSucceeded(paymentIntent);
   }
 };
 
-// Handle job payment success
-const handleJobPaymentSucceeded = async (paymentIntent) => {
-  const { jobId, clientId, providerId } = paymentIntent.metadata;
-  const totalAmount = paymentIntent.amount_received / 100; // cents to dollars
-
-  console.log(`✅ Payment succeeded for Job: ${jobId} — Total $${totalAmount}`);
-
-  // Find related transaction
-  const transaction = await Transaction.findOne({ stripePaymentIntentId: paymentIntent.id }).populate('job');
-  if (!transaction) {
-    throw new Error(`Transaction not found for payment intent: ${paymentIntent.id}`);
-  }
-
-  // 💰 Calculate commission (10%) and provider share
-  const platformCommission = parseFloat((totalAmount * 0.10).toFixed(2));
-  const providerAmount = parseFloat((totalAmount - platformCommission).toFixed(2));
-
-  // 1️⃣ Update transaction details
-  transaction.status = 'completed';
-  transaction.stripeChargeId = paymentIntent.latest_charge;
-  transaction.paidAt = new Date();
-  transaction.completedAt = new Date();
-  transaction.amount = totalAmount;
-  transaction.platformCommission = platformCommission;
-  transaction.providerAmount = providerAmount;
-  await transaction.save();
-
-  // 2️⃣ Update job status
-  await Job.findByIdAndUpdate(jobId, { status: 'completed', isPaid: true });
-
-// 3️⃣ Update provider wallet (add to pending balance)
-let providerWallet = await Wallet.findOne({ user: providerId });
-if (!providerWallet) {
-  providerWallet = await Wallet.create({
-    user: providerId,
-    pendingBalance: 0,
-    totalEarned: 0,
-    recentTransactions: [] // ✅ Make sure it's initialized
-  });
-}
-
-// ✅ Ensure recentTransactions always exists as an array
-if (!Array.isArray(providerWallet.recentTransactions)) {
-  providerWallet.recentTransactions = [];
-}
-
-providerWallet.pendingBalance += providerAmount;
-providerWallet.totalEarned += providerAmount;
-
-providerWallet.recentTransactions.push({
-  transaction: transaction._id,
-  amount: providerAmount,
-  type: 'pending',
-  date: new Date(),
-});
-
-await providerWallet.save();
-
-  // 4️⃣ Update admin overview totals
-  // (Assuming your Overview collection has a single document that tracks totals)
-  let overview = await Overview.findOne();
-  if (!overview) {
-    overview = await Overview.create({
-      totalRevenue: 0,
-      totalCommission: 0,
-      completedTransactions: 0,
-    });
-  }
-
-  overview.totalRevenue += totalAmount;
-  overview.totalCommission += platformCommission;
-  overview.completedTransactions += 1;
-  await overview.save();
-
-  // 5️⃣ Send notifications (client + provider)
-  if (global.io) {
-    sendNotificationToUser(global.io, clientId, {
-      type: 'payment_successful',
-      title: 'Payment Successful',
-      message: `You paid $${totalAmount} for job "${transaction.job?.title || ''}".`,
-      amount: totalAmount,
-    });
-
-    sendNotificationToUser(global.io, providerId, {
-      type: 'payment_received',
-      title: 'Payment Received',
-      message: `You received $${providerAmount} for job "${transaction.job?.title || ''}". Pending for approval.`,
-      amount: providerAmount,
-    });
-  }
-
-  console.log(`🎉 Job payment processed → Total: $${totalAmount}, Commission: $${platformCommission}, Provider: $${providerAmount}`);
-};
-
-
 // Handle Stripe Connect account updates (account.updated Event)
 const handleAccountUpdated = async (account) => {
   try {
@@ -265,15 +211,179 @@ const handleTransferCreated = async (transfer) => {
   }
 };
 
-// Handle charge refunds
+// Handle charge refunds. Stripe sends this for partial refunds too, including
+// the ones refundTransaction makes (and records itself), so the event is
+// reconciled against the transaction's refund ledger. Refunds made outside the
+// platform, e.g. in the Stripe dashboard, are recorded here.
 const handleChargeRefunded = async (charge) => {
-  const transaction = await Transaction.findOne({ stripeChargeId: charge.id });
-  if (transaction) {
-    transaction.status = 'refunded';
-    transaction.refundedAt = new Date();
-    await transaction.save();
-    
-    console.log(`Charge ${charge.id} refunded for transaction: ${transaction._id}`);
+  const transaction = await Transaction.findOne({
+    $or: [
+      { stripeChargeId: charge.id },
+      ...(charge.payment_intent ? [{ stripePaymentIntentId: charge.payment_intent }] : [])
+    ]
+  }).populate('quote');
+  if (!transaction) return;
+
+  const { data: stripeRefunds } = await stripe.refunds.list({ charge: charge.id, limit: 100 });
+
+  // Refunds the platform asked for but never heard back about are completed here
+  const pending = new Set(transaction.refunds.filter(entry => entry.status === 'pending').map(entry => entry._id.toString()));
+  for (const refund of stripeRefunds) {
+    if (refund.status === 'succeeded' && pending.has(refund.metadata?.refundEntryId)) {
+      await completeRefund(transaction, refund.metadata.refundEntryId, { stripeRefundId: refund.id });
+      console.log(`Completed pending refund ${refund.id} for transaction: ${transaction._id}`);
+    }
+  }
+
+  const recorded = new Set(transaction.refunds.map(entry => entry.stripeRefundId).filter(Boolean));
+  const external = stripeRefunds
+    .filter(refund => refund.status === 'succeeded' && !recorded.has(refund.id) && !refund.metadata?.transactionId)
+    .sort((a, b) => a.created - b.created);
+
+  for (const refund of external) {
+    const refundable = transaction.refundableAmount;
+    if (refundable <= 0) break;
+
+    // Stripe amounts include sales tax; refunds are recorded against the pre-tax price
+    const preTax = parseFloat(((refund.amount / 100) * transaction.amount / transaction.totalCharged).toFixed(2));
+    await refundTransaction(transaction, {
+      amount: Math.min(preTax, refundable),
+      reason: 'Refunded in Stripe',
+      skipStripe: true,
+      stripeRefundId: refund.id
+    });
+    console.log(`Recorded Stripe refund ${refund.id} for transaction: ${transaction._id}`);
+  }
+
+  // Stripe's running total decides whether anything is left to refund
+  if (['completed', 'partially_refunded'].includes(transaction.status)) {
+    const status = charge.amount_refunded >= charge.amount ? 'refunded' : 'partially_refunded';
+    if (transaction.status !== status) {
+      transaction.status = status;
+      transaction.refundedAt = transaction.refundedAt || new Date();
+      await transaction.save();
+    }
+  }
+
+  console.log(`Charge ${charge.id} refunded ${charge.amount_refunded / 100} of ${charge.amount / 100} for transaction: ${transaction._id}`);
+};
+
+// Handle chargebacks opened by the client's bank
+const handleChargeDisputeCreated = async (stripeDispute) => {
+  if (await Dispute.exists({ stripeDisputeId: stripeDispute.id })) return;
+
+  const transaction = await Transaction.findOne({
+    $or: [
+      { stripeChargeId: stripeDispute.charge },
+      { stripePaymentIntentId: stripeDispute.payment_intent }
+    ]
+  }).populate('quote job');
+
+  if (!transaction || !transaction.quote) {
+    console.log(`No job payment found for Stripe dispute ${stripeDispute.id}`);
+    return;
+  }
+
+  let dispute;
+  try {
+    dispute = await openDispute(transaction, {
+      source: 'stripe',
+      reason: `Chargeback: ${stripeDispute.reason}`,
+      stripeDispute
+    });
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    // A client/provider dispute is already open: attach the chargeback to it
+    dispute = await Dispute.findOne({ transaction: transaction._id, status: { $in: OPEN_DISPUTE_STATUSES } });
+    if (!dispute) throw err;
+    dispute.stripeDisputeId = stripeDispute.id;
+    dispute.stripeDisputeStatus = stripeDispute.status;
+    dispute.stripeDisputeReason = stripeDispute.reason;
+    await dispute.addTimelineEntry('system', `Chargeback opened by the client's bank: ${stripeDispute.reason}`);
+  }
+
+  if (global.io) {
+    await sendAdminNotification(global.io, {
+      type: 'dispute_opened',
+      title: 'Chargeback Received',
+      message: `A $${stripeDispute.amount / 100} chargeback was opened for "${transaction.job?.title || 'a job'}"`,
+      data: {
+        disputeId: dispute._id,
+        transactionId: transaction._id,
+        stripeDisputeId: stripeDispute.id
+      },
+      category: 'payment',
+      priority: 'high'
+    });
+  }
+
+  console.log(`Stripe dispute ${stripeDispute.id} opened for transaction: ${transaction._id}`);
+};
+
+// Handle chargeback status changes (evidence due, under review, ...)
+const handleChargeDisputeUpdated = async (stripeDispute) => {
+  const dispute = await Dispute.findOne({ stripeDisputeId: stripeDispute.id });
+  if (!dispute || dispute.stripeDisputeStatus === stripeDispute.status) return;
+
+  dispute.stripeDisputeStatus = stripeDispute.status;
+  await dispute.addTimelineEntry('system', `Chargeback status changed to ${stripeDispute.status.replace(/_/g, ' ')}`);
+};
+
+// Handle chargeback outcome: a lost chargeback has already returned the money to the client
+const handleChargeDisputeClosed = async (stripeDispute) => {
+  const dispute = await Dispute.findOne({ stripeDisputeId: stripeDispute.id });
+  if (!dispute) return;
+
+  dispute.stripeDisputeStatus = stripeDispute.status;
+
+  if (!OPEN_DISPUTE_STATUSES.includes(dispute.status)) {
+    await dispute.save();
+    return;
+  }
+
+  if (stripeDispute.status === 'lost') {
+    await resolveDispute(dispute, {
+      outcome: 'full_refund',
+      notes: 'Chargeback lost',
+      skipStripe: true
+    });
+  } else if (stripeDispute.status === 'won') {
+    await resolveDispute(dispute, {
+      outcome: 'release_to_provider',
+      notes: 'Chargeback won'
+    });
+  } else {
+    await dispute.save();
+  }
+
+  console.log(`Stripe dispute ${stripeDispute.id} closed as ${stripeDispute.status}`);
+};
+
+// Subscription invoice paid: first payment, renewal or upgrade
+const handleInvoicePaid = async (invoice) => {
+  const userSubscription = await applyInvoicePaid(invoice, { io: global.io });
+  if (userSubscription) {
+    console.log(`Invoice ${invoice.id} paid (${invoice.billing_reason}) for subscription: ${userSubscription._id}`);
+  }
+};
+
+// Renewal charge failed; Stripe retries it during the grace period
+const handleInvoicePaymentFailed = async (invoice) => {
+  const userSubscription = await applyInvoicePaymentFailed(invoice, { io: global.io });
+  if (userSubscription) {
+    console.log(`Invoice ${invoice.id} payment failed (attempt ${invoice.attempt_count}) for subscription: ${userSubscription._id}`);
+  }
+};
+
+const handleInvoiceUpcoming = async (invoice) => {
+  await applyInvoiceUpcoming(invoice, { io: global.io });
+};
+
+// Status, plan, period and cancellation changes made in Stripe or by us
+const handleCustomerSubscriptionChanged = async (stripeSubscription) => {
+  const userSubscription = await applyStripeSubscription(stripeSubscription, { io: global.io });
+  if (userSubscription) {
+    console.log(`Stripe subscription ${stripeSubscription.id} is ${stripeSubscription.status} → ${userSubscription.status}`);
   }
 };
 
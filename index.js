@@ -5,6 +5,9 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const connectDB = require('./config/database');
+const { startScheduler } = require('./utils/scheduler');
+require('./utils/scheduledTasks');
+const { auditAdminRequests } = require('./middleware/audit');
 const { NODE_ENV } = require('./config/env');
 
 
@@ -62,8 +65,13 @@ app.use(morgan(NODE_ENV === 'development' ? 'dev' : 'combined'));
 
 // ✅ Attach socket globally
 app.set('io', io);
+// Webhook handlers notify users through global.io
+global.io = io;
 require('./socket/initializeSockets')(io);
 
+// ✅ Background tasks (payment releases, job expiry, recurring jobs...)
+startScheduler(io);
+
 app.get('/', (req, res) => {
   res.json({ message: 'MyQuote API is live! Use /api/health' });
 });
@@ -73,10 +81,17 @@ app.get('/api/health', (req, res) => {
 });
 
 // ✅ Routes
+// Record admin mutations in the audit log, including support staff working
+// tickets through the shared support routes
+app.use('/api/admin', auditAdminRequests);
+app.use('/api/support', auditAdminRequests);
 app.use('/api/admin/credits', require('./routes/api/adminCreditRoutes.js'));
 app.use('/api/admin/subscriptions', require('./routes/api/adminSubscriptionRoutes'));
 app.use('/api/admin/categories', require('./routes/api/adminCategoryRoutes'));
 app.use('/api/admin/background-checks', require('./routes/api/adminBackgroundCheckRoutes'));
+app.use('/api/admin/scheduled-tasks', require('./routes/api/adminSchedulerRoutes'));
+app.use('/api/admin/admins', require('./routes/api/adminUserRoutes'));
+app.use('/api/admin/audit-logs', require('./routes/api/adminAuditLogRoutes'));
 
 app.use('/api/reports', require('./routes/api/reportRoutes'));
 // app.use('/api/health', require('./routes/api/healthRoutes'));
@@ -97,6 +112,7 @@ app.use('/api/api/background-check', require('./routes/api/backgroundCheckRoutes
 app.use('/api/admin', require('./routes/api/adminRoutes'));
 // Admin payment routes (separate file for payment management)
 app.use('/api/admin', require('./routes/api/adminPaymentRoutes'));
+app.use('/api/admin', require('./routes/api/adminDisputeRoutes'));
 app.use('/api/webhooks', require('./routes/api/webhookRoutes'));
 app.use('/api/admin', require('./routes/api/adminNotificationRoutes'));
 app.use('/api/admin', require('./routes/api/adminReportRoutes'));
@@ -105,8 +121,11 @@ app.use('/api/profile', require('./routes/api/profileRoutes'));
 app.use('/api/notifications', require('./routes/api/notificationRoutes'));
 app.use('/api/jobs', require('./routes/api/jobRoutes'));
 app.use('/api/quotes', require('./routes/api/quoteRoutes'));
+app.use('/api/milestones', require('./routes/api/milestoneRoutes'));
+app.use('/api/disputes', require('./routes/api/disputeRoutes'));
 app.use('/api/provider', require('./routes/api/providerRoutes'));
 app.use('/api/providers', require('./routes/api/publicProviderRoutes.js'));
+app.use('/api/calendar', require('./routes/api/calendarRoutes'));
 app.use('/api/chats', require('./routes/api/chatRoutes'));
 app.use('/api/payments', require('./routes/api/paymentRoutes'));
 app.use('/api/reviews', require('./routes/api/reviewRoutes'));
@@ -0,0 +1,22 @@
+// middleware/audit.js
+const { recordRequestAudit } = require('../utils/auditLog');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Log every successful admin mutation. Handlers that call recordAudit with a
+// detailed entry set req.auditRecorded and are skipped here.
+const auditAdminRequests = (req, res, next) => {
+  if (READ_METHODS.includes(req.method) || req.auditListening) return next();
+  req.auditListening = true;
+
+  res.on('finish', () => {
+    if (req.auditRecorded || req.user?.role !== 'admin' || res.statusCode >= 400) return;
+    recordRequestAudit(req, res);
+  });
+
+  next();
+};
+
+module.exports = {
+  auditAdminRequests
+};
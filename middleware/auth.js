@@ -1,6 +1,10 @@
 // middleware/auth.js
 const { verifyToken } = require('../utils/generateToken');
 const User = require('../models/User');
+const { findActiveSession } = require('../utils/sessions');
+const { readChallenge } = require('../utils/twoFactor');
+const { hasPermission, PERMISSIONS } = require('../utils/permissions');
+const { checkAccountAccess, findRestriction, formatRestriction, restrictionMessage } = require('../utils/restrictions');
 
 const protect = async (req, res, next) => {
   try {
@@ -18,6 +22,16 @@ const protect = async (req, res, next) => {
     }
 
     const decoded = verifyToken(token);
+
+    // Tokens stop working as soon as their session is revoked
+    const session = await findActiveSession(decoded.sid, decoded.userId);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired. Please log in again.'
+      });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
 
     if (!user) {
@@ -27,14 +41,18 @@ const protect = async (req, res, next) => {
       });
     }
 
-    if (user.isBlocked) {
+    // Suspensions that have ended are lifted on the way through
+    const denied = await checkAccountAccess(user);
+    if (denied) {
       return res.status(401).json({
         success: false,
-        message: 'Your account has been blocked. Please contact support.'
+        message: denied.message,
+        restriction: denied.restriction
       });
     }
 
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -44,6 +62,33 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Two-factor enrolment: a signed-in user, or an admin holding the setup
+// challenge token login hands out before two-factor is configured
+const protectTwoFactorSetup = async (req, res, next) => {
+  if (!req.body?.challengeToken) return protect(req, res, next);
+
+  try {
+    const challenge = readChallenge(req.body.challengeToken, 'setup');
+    const user = await User.findById(challenge.userId).select('-password');
+
+    if (!user || user.isBlocked) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this route'
+      });
+    }
+
+    req.user = user;
+    req.twoFactorChallenge = challenge;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Not authorized to access this route'
+    });
+  }
+};
+
 const authorize = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -56,7 +101,42 @@ const authorize = (...roles) => {
   };
 };
 
+// Admin-only routes: the admin's role (or individual grants) must include
+// every listed permission
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.find(permission => !hasPermission(req.user, permission));
+    if (missing) {
+      return res.status(403).json({
+        success: false,
+        message: `You do not have permission to ${PERMISSIONS[missing].charAt(0).toLowerCase()}${PERMISSIONS[missing].slice(1)}`,
+        requiredPermission: missing
+      });
+    }
+    next();
+  };
+};
+
+// Partial account restrictions (e.g. 'no_quoting'): refuse the action while
+// the user has an active restriction of that type
+const rejectRestricted = (type) => {
+  return (req, res, next) => {
+    const restriction = findRestriction(req.user, type);
+    if (restriction) {
+      return res.status(403).json({
+        success: false,
+        message: restrictionMessage(restriction),
+        restriction: formatRestriction(restriction)
+      });
+    }
+    next();
+  };
+};
+
 module.exports = {
   protect,
-  authorize
+  protectTwoFactorSetup,
+  authorize,
+  requirePermission,
+  rejectRestricted
 };
\ No newline at end of file
@@ -0,0 +1,61 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+
+// Record of an admin action. Entries are append-only: they can be created
+// and read, never changed or deleted.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Copied so the entry still reads correctly if the admin changes or is removed
+  actorName: String,
+  actorEmail: String,
+  actorRole: String,
+  // e.g. 'credits.adjust', 'payments.refund'; 'admin.request' for actions
+  // recorded generically from the request
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: String,
+  targetId: String,
+  targetLabel: String,
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  reason: String,
+  ip: String,
+  userAgent: String,
+  method: String,
+  path: String,
+  statusCode: Number,
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+const immutable = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return immutable(next);
+  next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  auditLogSchema.pre(operation, immutable);
+});
+
+// Indexes
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,94 @@
+// models/CommissionRule.js
+const mongoose = require('mongoose');
+
+const commissionRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot be more than 100 characters']
+  },
+
+  // What the rule applies to
+  scope: {
+    type: String,
+    enum: ['category', 'plan', 'provider', 'promotion'],
+    required: true
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  planType: {
+    type: String,
+    enum: ['monthly', '6months', 'yearly']
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Commission rate in percent, same unit as SystemSettings.platformSettings.commissionRate
+  rate: {
+    type: Number,
+    required: [true, 'Commission rate is required'],
+    min: [0, 'Commission rate cannot be negative'],
+    max: [100, 'Commission rate cannot exceed 100']
+  },
+
+  // Optional validity window (required for promotions)
+  startsAt: Date,
+  endsAt: Date,
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: String,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+commissionRuleSchema.index({ scope: 1, isActive: 1 });
+commissionRuleSchema.index({ category: 1 });
+commissionRuleSchema.index({ provider: 1 });
+
+// Each scope needs its target; promotions need a window
+commissionRuleSchema.pre('validate', function(next) {
+  if (this.scope === 'category' && !this.category) {
+    this.invalidate('category', 'Category is required for category rules');
+  }
+  if (this.scope === 'plan' && !this.planType) {
+    this.invalidate('planType', 'Plan type is required for plan rules');
+  }
+  if (this.scope === 'provider' && !this.provider) {
+    this.invalidate('provider', 'Provider is required for provider rules');
+  }
+  if (this.scope === 'promotion' && (!this.startsAt || !this.endsAt)) {
+    this.invalidate('endsAt', 'Promotions need a start and end date');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after the start date');
+  }
+  next();
+});
+
+// Whether the rule is in effect at the given time
+commissionRuleSchema.methods.isInEffect = function(at = new Date()) {
+  if (!this.isActive) return false;
+  if (this.startsAt && this.startsAt > at) return false;
+  if (this.endsAt && this.endsAt <= at) return false;
+  return true;
+};
+
+module.exports = mongoose.model('CommissionRule', commissionRuleSchema);
@@ -22,7 +22,7 @@ const creditActivitySchema = new mongoose.Schema({
   // Activity Details
   type: {
     type: String,
-    enum: ['purchase', 'quote_submission', 'refund', 'bonus', 'subscription', 'adjustment'],
+    enum: ['purchase', 'quote_submission', 'priority_listing', 'featured_project', 'refund', 'bonus', 'subscription', 'adjustment'],
     required: true
   },
   description: {
@@ -37,7 +37,7 @@ const creditActivitySchema = new mongoose.Schema({
   },
   referenceModel: {
     type: String,
-    enum: ['Job', 'CreditPackage', 'UserSubscription', 'Transaction']
+    enum: ['Job', 'CreditPackage', 'UserSubscription', 'Transaction', 'ProjectGallery']
   },
   
   // Metadata
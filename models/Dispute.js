@@ -0,0 +1,152 @@
+// models/Dispute.js
+const mongoose = require('mongoose');
+
+const disputeSchema = new mongoose.Schema({
+  // Related Documents
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+
+  // Parties
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Empty when opened by a Stripe chargeback
+  },
+  source: {
+    type: String,
+    enum: ['client', 'provider', 'stripe'],
+    required: true
+  },
+
+  // Dispute Details
+  reason: {
+    type: String,
+    required: [true, 'Dispute reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [2000, 'Description cannot be more than 2000 characters']
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Escrow state before the dispute froze it, restored if the dispute is dropped
+  escrowStatusBefore: String,
+
+  // Evidence
+  evidence: [{
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    type: {
+      type: String,
+      enum: ['image', 'document'],
+      required: true
+    },
+    public_id: String,
+    url: String,
+    filename: String,
+    description: String,
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Timeline of messages between client, provider and admin
+  timeline: [{
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    senderRole: {
+      type: String,
+      enum: ['client', 'provider', 'admin', 'system'],
+      required: true
+    },
+    message: {
+      type: String,
+      required: true,
+      maxlength: [2000, 'Message cannot be more than 2000 characters']
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Status
+  status: {
+    type: String,
+    enum: ['open', 'under_review', 'resolved', 'closed'],
+    default: 'open'
+  },
+
+  // Admin Ruling
+  ruling: {
+    outcome: {
+      type: String,
+      enum: ['full_refund', 'partial_refund', 'release_to_provider']
+    },
+    refundAmount: Number,
+    providerAmount: Number,
+    notes: String,
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date
+  },
+
+  // Stripe chargeback details
+  stripeDisputeId: String,
+  stripeDisputeStatus: String,
+  stripeDisputeReason: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+disputeSchema.index({ transaction: 1 });
+disputeSchema.index({ status: 1, createdAt: -1 });
+disputeSchema.index({ client: 1 });
+disputeSchema.index({ provider: 1 });
+disputeSchema.index({ stripeDisputeId: 1 }, { sparse: true });
+
+// Whether the user is one of the two parties
+disputeSchema.methods.isParty = function(userId) {
+  const id = userId.toString();
+  return this.client.toString() === id || this.provider.toString() === id;
+};
+
+// Method to add a timeline entry
+disputeSchema.methods.addTimelineEntry = function(senderRole, message, sender) {
+  this.timeline.push({ sender, senderRole, message });
+  return this.save();
+};
+
+module.exports = mongoose.model('Dispute', disputeSchema);
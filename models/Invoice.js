@@ -1,5 +1,6 @@
 // models/Invoice.js
 const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, LEGACY_CURRENCY } = require('../utils/currency');
 
 const invoiceSchema = new mongoose.Schema({
   // Unique 6-digit invoice ID
@@ -9,6 +10,18 @@ const invoiceSchema = new mongoose.Schema({
     // Note: Not marked as required because it's auto-generated in pre-save hook
   },
   
+  // Credit notes are issued against an invoice for each refund
+  type: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    default: 'invoice'
+  },
+  originalInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  creditReason: String,
+  
   // Related Documents
   job: {
     type: mongoose.Schema.Types.ObjectId,
@@ -25,6 +38,11 @@ const invoiceSchema = new mongoose.Schema({
     ref: 'Transaction',
     required: true
   },
+  // Set when the invoice covers a single milestone of a milestone-based job
+  milestone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Milestone'
+  },
   
   // Service Provider Information
   provider: {
@@ -40,6 +58,18 @@ const invoiceSchema = new mongoose.Schema({
     required: true
   },
   
+  // Itemized charges copied from the accepted quote (full-job invoices only)
+  lineItems: [{
+    _id: false,
+    type: { type: String },
+    description: String,
+    quantity: Number,
+    unit: String,
+    unitPrice: Number,
+    percent: Number,
+    amount: Number
+  }],
+
   // Pricing Breakdown
   pricing: {
     subtotal: {
@@ -55,12 +85,39 @@ const invoiceSchema = new mongoose.Schema({
       required: true,
       default: 0.10
     },
+    commissionSource: String,
+    commissionRuleName: String,
     total: {
       type: Number,
       required: true
     }
   },
   
+  // Same as the transaction; invoices issued before multi-currency support were USD
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: LEGACY_CURRENCY
+  },
+
+  // Sales tax charged on top of the subtotal
+  tax: {
+    region: String,
+    regionName: String,
+    lines: [{
+      _id: false,
+      type: { type: String },
+      label: String,
+      rate: Number,
+      amount: Number
+    }],
+    total: {
+      type: Number,
+      default: 0
+    },
+    providerTaxNumber: String
+  },
+  
   // Payment Information
   payment: {
     paidAmount: {
@@ -74,7 +131,7 @@ const invoiceSchema = new mongoose.Schema({
     },
     paymentStatus: {
       type: String,
-      enum: ['pending', 'processing', 'completed', 'failed', 'refunded', 'disputed'],
+      enum: ['pending', 'processing', 'completed', 'failed', 'partially_refunded', 'refunded', 'disputed'],
       required: true
     },
     paidAt: Date
@@ -123,5 +180,6 @@ invoiceSchema.index({ job: 1 });
 invoiceSchema.index({ client: 1 });
 invoiceSchema.index({ provider: 1 });
 invoiceSchema.index({ createdAt: -1 });
+invoiceSchema.index({ originalInvoice: 1 });
 
 module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -1,5 +1,8 @@
 // models/Job.js
 const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, LEGACY_CURRENCY } = require('../utils/currency');
+
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
 
 const jobSchema = new mongoose.Schema({
   // Basic Information
@@ -77,6 +80,46 @@ provider: {
   },
   preferredDate: Date,
   preferredTime: String,
+
+  // Recurring service (e.g. weekly lawn care). The job itself is the series:
+  // once a quote is accepted, occurrence jobs are generated from this rule
+  // and each one is billed on its own at the accepted quote price.
+  // Left unset (no defaults) on one-off jobs.
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: RECURRENCE_FREQUENCIES
+    },
+    interval: {
+      type: Number,
+      min: [1, 'Recurrence interval must be at least 1']
+    },
+    startDate: Date, // First occurrence; defaults to preferredDate, else the acceptance date
+    endDate: Date,
+    count: {
+      type: Number,
+      min: [1, 'Recurrence count must be at least 1']
+    },
+    generatedCount: Number,
+    status: {
+      type: String,
+      enum: ['active', 'ended', 'cancelled']
+    },
+    endedAt: Date
+  },
+
+  // Set on occurrence jobs generated from a recurring series
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  },
+  occurrence: {
+    index: Number, // 1-based position in the series
+    scheduledFor: Date, // Date given by the recurrence rule
+    rescheduledFrom: Date,
+    skipped: Boolean
+  },
   
   // Price Information
   priceRange: {
@@ -93,6 +136,13 @@ provider: {
       default: false
     }
   },
+  // Currency the job is quoted and paid in. Jobs posted before
+  // multi-currency support have no value stored and were all USD.
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: LEGACY_CURRENCY
+  },
   
   // Media
   photos: [{
@@ -120,6 +170,13 @@ provider: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Quote'
   },
+
+  // Payment Schedule
+  paymentType: {
+    type: String,
+    enum: ['single', 'milestone'],
+    default: 'single'
+  },
   
   // Statistics
   viewCount: {
@@ -131,10 +188,14 @@ provider: {
     default: 0
   },
   
-  // Expiry
-  expiresAt: {
-    type: Date,
-    index: { expires: 0 } // TTL index for auto-expiry
+  // Expiry. Pending jobs are marked expired by the expiry scheduler once this
+  // passes (a TTL index used to delete them outright).
+  expiresAt: Date,
+  expiredAt: Date,
+  expiryReminderSentAt: Date,
+  extensionCount: {
+    type: Number,
+    default: 0
   },
   
   // Timestamps
@@ -160,6 +221,9 @@ jobSchema.index({ status: 1 });
 jobSchema.index({ urgency: 1 });
 jobSchema.index({ createdAt: -1 });
 jobSchema.index({ 'location.coordinates': '2dsphere' });
+jobSchema.index({ series: 1, 'occurrence.index': 1 });
+jobSchema.index({ 'recurrence.status': 1 });
+jobSchema.index({ status: 1, expiresAt: 1 });
 
 // Virtual for time ago
 jobSchema.virtual('timeAgo').get(function() {
@@ -172,6 +236,10 @@ jobSchema.virtual('timeAgo').get(function() {
   return `${Math.floor(diffInSeconds / 86400)}d ago`;
 });
 
+jobSchema.virtual('isRecurring').get(function() {
+  return Boolean(this.recurrence?.frequency);
+});
+
 // Virtual for isExpired
 jobSchema.virtual('isExpired').get(function() {
   return this.expiresAt && this.expiresAt < new Date();
@@ -179,8 +247,12 @@ jobSchema.virtual('isExpired').get(function() {
 
 // Pre-save middleware to set expiry based on urgency
 jobSchema.pre('save', function(next) {
+  // Occurrences are created already accepted and never expire
+  if (this.series) return next();
+
   if (this.isModified('urgency') || this.isNew) {
     const now = new Date();
+    this.expiryReminderSentAt = undefined;
     switch (this.urgency) {
       case 'urgent':
         this.expiresAt = new Date(now.setDate(now.getDate() + 1)); // 1 day
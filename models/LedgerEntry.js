@@ -0,0 +1,145 @@
+// models/LedgerEntry.js
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, LEGACY_CURRENCY } = require('../utils/currency');
+
+// Chart of accounts. Provider and client accounts are sub-ledgers keyed by `owner`.
+const LEDGER_ACCOUNTS = [
+  'stripe_clearing',            // Money held at Stripe (asset)
+  'client_receivable',          // Owed by a client for a charge (asset)
+  'provider_receivable',        // Owed by a provider, e.g. commission on cash jobs (asset)
+  'platform_revenue',           // Commission, subscriptions and credit sales (revenue)
+  'provider_payable_pending',   // Provider earnings held in escrow (liability)
+  'provider_payable_available', // Provider earnings they can withdraw (liability)
+  'sales_tax_payable',          // GST/HST/PST collected on a provider's behalf (liability)
+  'opening_balance_equity'      // Balances that existed before the ledger
+];
+
+const LEDGER_ENTRY_TYPES = [
+  'payment',
+  'cash_payment',
+  'release',
+  'refund',
+  'withdrawal',
+  'withdrawal_reversal',
+  'credit_purchase',
+  'subscription_payment',
+  'background_check_fee',
+  'opening_balance'
+];
+
+const ledgerLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: LEDGER_ACCOUNTS,
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const ledgerEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: LEDGER_ENTRY_TYPES,
+    required: true
+  },
+  lines: {
+    type: [ledgerLineSchema],
+    validate: {
+      // Opening balances may only carry earnings/withdrawn figures
+      validator: function(lines) {
+        return lines.length >= 2 || this.type === 'opening_balance';
+      },
+      message: 'A ledger entry needs at least two lines'
+    }
+  },
+
+  // Every line of an entry is in this currency. Entries posted before
+  // multi-currency support have no value stored and were all USD.
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: LEGACY_CURRENCY
+  },
+
+  // Provider whose wallet this entry moves
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Wallet figures that are not balances: lifetime earnings and payouts
+  providerEarnings: {
+    type: Number,
+    default: 0
+  },
+  providerWithdrawn: {
+    type: Number,
+    default: 0
+  },
+
+  // Source Documents
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  reference: String, // Stripe payment intent, refund or transfer ID
+  memo: String,
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  postedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ledgerEntrySchema.index({ provider: 1, postedAt: -1 });
+ledgerEntrySchema.index({ transaction: 1 });
+ledgerEntrySchema.index({ type: 1, postedAt: -1 });
+ledgerEntrySchema.index({ reference: 1 }, { sparse: true });
+
+// Debits must equal credits (compared in cents)
+ledgerEntrySchema.pre('validate', function(next) {
+  const toCents = (value) => Math.round(value * 100);
+  const debits = this.lines.reduce((sum, line) => sum + toCents(line.debit), 0);
+  const credits = this.lines.reduce((sum, line) => sum + toCents(line.credit), 0);
+
+  if (debits !== credits) {
+    return next(new Error(`Unbalanced ledger entry: debits ${debits / 100} != credits ${credits / 100}`));
+  }
+  next();
+});
+
+// Entries are immutable: mistakes are corrected with a new entry
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Ledger entries cannot be modified'));
+  next();
+});
+
+const rejectChange = function(next) {
+  next(new Error('Ledger entries cannot be modified or deleted'));
+};
+
+ledgerEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
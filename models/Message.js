@@ -50,7 +50,10 @@ const messageSchema = new mongoose.Schema({
   // For system messages (job updates, quote changes, etc.)
   systemMessageType: {
     type: String,
-    enum: ['job_created', 'quote_submitted', 'quote_accepted', 'quote_declined', 'job_completed', 'payment_made']
+    enum: [
+      'job_created', 'quote_submitted', 'quote_accepted', 'quote_declined', 'job_completed', 'payment_made',
+      'reschedule_requested', 'reschedule_countered', 'reschedule_accepted', 'reschedule_declined', 'reschedule_cancelled'
+    ]
   },
   metadata: mongoose.Schema.Types.Mixed
 }, {
@@ -0,0 +1,118 @@
+// models/Milestone.js
+const mongoose = require('mongoose');
+
+const milestoneSchema = new mongoose.Schema({
+  // Related Documents
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  quote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote',
+    required: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Milestone Details
+  title: {
+    type: String,
+    required: [true, 'Milestone title is required'],
+    trim: true,
+    maxlength: [100, 'Milestone title cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Milestone description cannot be more than 500 characters']
+  },
+  order: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Milestone amount is required'],
+    min: [0.5, 'Milestone amount must be at least 0.50']
+  },
+
+  // When the milestone becomes payable
+  dueCondition: {
+    type: String,
+    enum: ['on_acceptance', 'on_start', 'mid_point', 'on_completion', 'on_date'],
+    default: 'on_completion'
+  },
+  dueDate: Date,
+
+  // Status
+  status: {
+    type: String,
+    enum: ['proposed', 'approved', 'payment_pending', 'paid', 'released', 'cancelled'],
+    default: 'proposed'
+  },
+
+  // Payment
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+
+  // Timeline
+  approvedAt: Date,
+  paidAt: Date,
+  releasedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+milestoneSchema.index({ job: 1, order: 1 });
+milestoneSchema.index({ provider: 1, status: 1 });
+milestoneSchema.index({ client: 1, status: 1 });
+
+// Get the active (non-cancelled) schedule for a job
+milestoneSchema.statics.getSchedule = function(jobId) {
+  return this.find({ job: jobId, status: { $ne: 'cancelled' } }).sort({ order: 1 });
+};
+
+// Mark the job completed once every milestone in the schedule is released
+milestoneSchema.statics.syncJobCompletion = async function(jobId) {
+  const Job = require('./Job');
+  const schedule = await this.getSchedule(jobId);
+
+  if (schedule.length === 0 || schedule.some(m => m.status !== 'released')) {
+    return false;
+  }
+
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: { $ne: 'completed' } },
+    { status: 'completed' }
+  );
+
+  // Only count the job once, on the transition to completed
+  if (job) {
+    const User = require('./User');
+    await User.findByIdAndUpdate(schedule[0].provider, {
+      $inc: { totalCompletedJobs: 1 }
+    });
+  }
+
+  return true;
+};
+
+module.exports = mongoose.model('Milestone', milestoneSchema);
@@ -16,8 +16,12 @@ const notificationSchema = new mongoose.Schema({
       'quote_declined',
       'quote_updated',
       'quote_cancelled',
+      'quote_countered',
       "new_job",
       'job_cancelled',
+      'job_expiring',
+      'job_expired',
+      'quote_expired',
       "payment_released_by_admin",
       'payment_successful',
       'payment_received',
@@ -33,11 +37,40 @@ const notificationSchema = new mongoose.Schema({
       "job_updated",
       'account_blocked',
       'account_unblocked',
+      'account_restricted',
+      'account_restriction_lifted',
       'stripe_account_verified',
       'subscription_activated',
+      'subscription_expired',
+      'subscription_renewed',
+      'subscription_renewing',
+      'subscription_payment_failed',
+      'subscription_cancelled',
+      'subscription_plan_changed',
       'credits_added',
       'payment_released',
+      'milestone_proposed',
+      'milestone_approved',
+      'milestone_declined',
+      'milestone_paid',
+      'milestone_released',
+      'escrow_awaiting_approval',
+      'escrow_changes_requested',
+      'escrow_disputed',
+      'escrow_released',
+      'dispute_opened',
+      'dispute_message',
+      'dispute_resolved',
       'job_completed',
+      'occurrence_scheduled',
+      'occurrence_skipped',
+      'occurrence_rescheduled',
+      'occurrence_cancelled',
+      'reschedule_requested',
+      'reschedule_countered',
+      'reschedule_accepted',
+      'reschedule_declined',
+      'reschedule_cancelled',
       'new_user_registered',        // New user joined
       'profile_report_received',    // Profile report
       'new_payment_request',        // Payment request
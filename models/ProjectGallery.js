@@ -98,6 +98,13 @@ const projectGallerySchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // How the feature slot was paid for: a plan slot, or credits until featuredUntil
+  featuredVia: {
+    type: String,
+    enum: ['plan', 'credits']
+  },
+  featuredAt: Date,
+  featuredUntil: Date,
   
   // Statistics
   viewCount: {
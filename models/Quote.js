@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, LEGACY_CURRENCY } = require('../utils/currency');
+const { LINE_ITEM_TYPES } = require('../utils/quoteItems');
 
 const quoteSchema = new mongoose.Schema({
   job: {
@@ -16,6 +18,35 @@ const quoteSchema = new mongoose.Schema({
     required: [true, 'Price is required'],
     min: [0, 'Price cannot be negative']
   },
+  // Always the job's currency
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: LEGACY_CURRENCY
+  },
+  // Itemized quotes: price is always the total of these, computed on the server.
+  // Quotes without line items are a single lump-sum price.
+  lineItems: [{
+    type: { type: String, enum: LINE_ITEM_TYPES, required: true },
+    description: { type: String, required: true, maxlength: 200 },
+    quantity: Number, // Hours for labour
+    unit: String,
+    unitPrice: Number, // Hourly rate for labour
+    percent: Number, // Percentage discounts
+    optional: { type: Boolean, default: false }, // Add-ons the client can toggle
+    selected: Boolean,
+    amount: Number
+  }],
+  breakdown: {
+    labour: Number,
+    materials: Number,
+    fees: Number,
+    addons: Number,
+    discounts: Number,
+    adjustments: Number,
+    subtotal: Number,
+    total: Number
+  },
   description: {
     type: String,
     required: [true, 'Quote description is required'],
@@ -46,10 +77,24 @@ const quoteSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'declined', 'updated', 'cancelled', 'expired'],
+    // countered: client proposed new terms, waiting on the provider
+    // agreed: provider accepted the client's counter, waiting on the client to book
+    enum: ['pending', 'accepted', 'declined', 'updated', 'countered', 'agreed', 'cancelled', 'expired'],
     default: 'pending'
   },
+  // Previous version of this quote; each revision or counter-offer links back
   originalQuote: { type: mongoose.Schema.Types.ObjectId, ref: 'Quote' },
+  // Credits the provider paid to submit this quote, refunded if the job expires unhired
+  creditsSpent: Number,
+  creditsRefundedAt: Date,
+  // Who proposed this version's terms during negotiation
+  negotiation: {
+    proposedBy: { type: String, enum: ['client', 'provider'] },
+    message: {
+      type: String,
+      maxlength: [1000, 'Message cannot be more than 1000 characters']
+    }
+  },
   isUpdated: { type: Boolean, default: false },
   updateReason: String,
   createdAt: { type: Date, default: Date.now },
@@ -117,7 +162,8 @@ quoteSchema.methods.createUpdatedQuote = async function(updateData) {
     _id: undefined,           // Generate new ID
     originalQuote: this._id,
     isUpdated: true,
-    status: 'updated',
+    status: updateData.status || 'updated',
+    negotiation: updateData.negotiation,
     createdAt: new Date(),
     updatedAt: new Date()
   });
@@ -129,4 +175,34 @@ quoteSchema.methods.createUpdatedQuote = async function(updateData) {
   return await newQuote.save();
 };
 
+// Follow the revision chain forward to the newest version of a quote
+quoteSchema.statics.latestVersion = async function(quoteId) {
+  let current = await this.findById(quoteId);
+  while (current) {
+    const next = await this.findOne({ originalQuote: current._id }).sort({ createdAt: -1 });
+    if (!next) break;
+    current = next;
+  }
+  return current;
+};
+
+// Every version of a quote, oldest first
+quoteSchema.statics.revisionChain = async function(quoteId) {
+  let root = await this.findById(quoteId);
+  while (root?.originalQuote) {
+    const previous = await this.findById(root.originalQuote);
+    if (!previous) break;
+    root = previous;
+  }
+  if (!root) return [];
+
+  const chain = [root];
+  let next = await this.findOne({ originalQuote: root._id }).sort({ createdAt: -1 });
+  while (next) {
+    chain.push(next);
+    next = await this.findOne({ originalQuote: next._id }).sort({ createdAt: -1 });
+  }
+  return chain;
+};
+
 module.exports = mongoose.model('Quote', quoteSchema);
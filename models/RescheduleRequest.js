@@ -0,0 +1,78 @@
+// models/RescheduleRequest.js
+const mongoose = require('mongoose');
+
+// A proposal to move an in-progress job. The other party accepts one of the
+// options, declines, or counters with a new request of their own.
+const rescheduleRequestSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requestedByRole: {
+    type: String,
+    enum: ['client', 'provider'],
+    required: true
+  },
+
+  // Proposed slots, in order of preference
+  options: [{
+    date: {
+      type: Date,
+      required: true
+    },
+    time: String
+  }],
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+
+  // Schedule at the time of the request
+  previousDate: Date,
+  previousTime: String,
+
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'countered', 'cancelled'],
+    default: 'pending'
+  },
+  acceptedOption: {
+    date: Date,
+    time: String
+  },
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  respondedAt: Date,
+  responseNote: String,
+
+  // Counter-proposal chain
+  counterTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RescheduleRequest',
+    default: null
+  },
+  counteredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RescheduleRequest'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+rescheduleRequestSchema.index({ job: 1, createdAt: -1 });
+// Only one open proposal per job at a time
+rescheduleRequestSchema.index(
+  { job: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+module.exports = mongoose.model('RescheduleRequest', rescheduleRequestSchema);
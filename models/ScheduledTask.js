@@ -0,0 +1,65 @@
+// models/ScheduledTask.js
+const mongoose = require('mongoose');
+
+// One document per background task. The handler lives in code (utils/scheduledTasks.js);
+// this holds the schedule, the lock shared between instances and the latest outcome.
+const scheduledTaskSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: String,
+
+  // Five-field cron expression, evaluated in UTC
+  schedule: {
+    type: String,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  nextRunAt: Date,
+
+  // Retries
+  maxRetries: {
+    type: Number,
+    default: 3
+  },
+  retryDelayMinutes: {
+    type: Number,
+    default: 5
+  },
+  // Failed attempts of the current run, reset once it succeeds or gives up
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  // Lock held by the instance running the task; expires so a crashed
+  // instance cannot block the task forever
+  lockedBy: String,
+  lockedUntil: Date,
+  lockMinutes: {
+    type: Number,
+    default: 15
+  },
+
+  // Latest run
+  lastRunAt: Date,
+  lastFinishedAt: Date,
+  lastStatus: {
+    type: String,
+    enum: ['succeeded', 'failed', 'retrying']
+  },
+  lastResult: mongoose.Schema.Types.Mixed,
+  lastError: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+scheduledTaskSchema.index({ enabled: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('ScheduledTask', scheduledTaskSchema);
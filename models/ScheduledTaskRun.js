@@ -0,0 +1,46 @@
+// models/ScheduledTaskRun.js
+const mongoose = require('mongoose');
+
+// Run history for scheduled tasks
+const scheduledTaskRunSchema = new mongoose.Schema({
+  task: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'retry', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  attempt: {
+    type: Number,
+    default: 1
+  },
+  instance: String,
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  result: mongoose.Schema.Types.Mixed,
+  error: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+scheduledTaskRunSchema.index({ task: 1, startedAt: -1 });
+// Keep 30 days of history
+scheduledTaskRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ScheduledTaskRun', scheduledTaskRunSchema);
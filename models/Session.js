@@ -0,0 +1,54 @@
+// models/Session.js
+const mongoose = require('mongoose');
+
+// A signed-in device. Access tokens carry the session id; the refresh token
+// secret is stored hashed and replaced on every refresh.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  device: String,
+  userAgent: String,
+  ip: String,
+  rememberMe: {
+    type: Boolean,
+    default: false
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user', 'password_changed', 'password_reset', 'blocked', 'token_reuse', 'admin']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Drop sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
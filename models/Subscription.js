@@ -1,5 +1,6 @@
 // models/Subscription.js
 const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, LEGACY_CURRENCY } = require('../utils/currency');
 
 const subscriptionSchema = new mongoose.Schema({
   // Subscription Information
@@ -34,6 +35,13 @@ const subscriptionSchema = new mongoose.Schema({
     min: 0,
     max: 100
   },
+  // Currency the plan is billed in. Plans created before multi-currency
+  // support have no value stored and were all billed in USD.
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: LEGACY_CURRENCY
+  },
   
   // Features
   features: [{
@@ -53,6 +61,18 @@ const subscriptionSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Gallery projects that can be featured at once without spending credits
+  featuredProjectLimit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  // Stripe Billing. The price is recreated when the plan's price changes;
+  // existing subscribers stay on the price they signed up with.
+  stripeProductId: String,
+  stripePriceId: String,
+  stripePriceAmount: Number,
   
   // Status
   isActive: {
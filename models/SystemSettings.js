@@ -37,6 +37,20 @@ const systemSettingsSchema = new mongoose.Schema({
     maintenanceMode: {
       type: Boolean,
       default: false
+    },
+    // Days a client has to confirm finished work before escrow auto-approves
+    escrowAutoApproveDays: {
+      type: Number,
+      default: 3,
+      min: [1, 'Escrow auto-approve period must be at least 1 day'],
+      max: [30, 'Escrow auto-approve period cannot exceed 30 days']
+    },
+    // Days a provider keeps subscription benefits after a renewal payment fails
+    subscriptionGraceDays: {
+      type: Number,
+      default: 7,
+      min: [0, 'Subscription grace period cannot be negative'],
+      max: [30, 'Subscription grace period cannot exceed 30 days']
     }
   },
   
@@ -91,6 +105,12 @@ systemSettingsSchema.statics.updateSettings = async function(updates, adminId) {
     if (updates.platformSettings.maintenanceMode !== undefined) {
       settings.platformSettings.maintenanceMode = updates.platformSettings.maintenanceMode;
     }
+    if (updates.platformSettings.escrowAutoApproveDays !== undefined) {
+      settings.platformSettings.escrowAutoApproveDays = updates.platformSettings.escrowAutoApproveDays;
+    }
+    if (updates.platformSettings.subscriptionGraceDays !== undefined) {
+      settings.platformSettings.subscriptionGraceDays = updates.platformSettings.subscriptionGraceDays;
+    }
   }
   
   settings.updatedBy = adminId;
@@ -0,0 +1,61 @@
+// models/TaxRate.js
+const mongoose = require('mongoose');
+
+const taxComponentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['GST', 'HST', 'PST', 'QST'],
+    required: true
+  },
+  label: String, // Printed on invoices, e.g. "RST" for Manitoba's PST
+  // Rate in percent, e.g. 13 for Ontario HST
+  rate: {
+    type: Number,
+    required: true,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot exceed 100']
+  }
+}, { _id: false });
+
+const taxRateSchema = new mongoose.Schema({
+  country: {
+    type: String,
+    default: 'CA',
+    uppercase: true
+  },
+  // Province or territory code, e.g. "ON"
+  region: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  regionName: {
+    type: String,
+    required: true
+  },
+  components: [taxComponentSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+taxRateSchema.index({ country: 1, region: 1 }, { unique: true });
+
+// Combined rate in percent
+taxRateSchema.virtual('totalRate').get(function() {
+  return this.components.reduce((sum, component) => sum + component.rate, 0);
+});
+
+taxRateSchema.set('toJSON', { virtuals: true });
+taxRateSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
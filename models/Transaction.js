@@ -1,5 +1,6 @@
 // models/Transaction.js
 const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, LEGACY_CURRENCY } = require('../utils/currency');
 
 const transactionSchema = new mongoose.Schema({
   // Basic Information
@@ -18,6 +19,10 @@ const transactionSchema = new mongoose.Schema({
     ref: 'Quote',
  
   },
+  milestone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Milestone'
+  },
   
   
   // Payment Information
@@ -36,9 +41,41 @@ const transactionSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Commission rule in force when the transaction was created
+  commission: {
+    rate: Number, // Fraction, e.g. 0.1 for 10%
+    source: {
+      type: String,
+      enum: ['default', 'provider', 'category', 'plan', 'promotion']
+    },
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CommissionRule'
+    },
+    ruleName: String
+  },
+  // Sales tax charged on top of `amount` (the pre-tax price)
+  tax: {
+    region: String, // Province/territory code, e.g. "ON"
+    regionName: String,
+    lines: [{
+      _id: false,
+      type: { type: String },
+      label: String,
+      rate: Number, // Percent
+      amount: Number
+    }],
+    total: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Transactions recorded before multi-currency support were all USD
   currency: {
     type: String,
-    default: 'USD'
+    enum: SUPPORTED_CURRENCIES,
+    uppercase: true,
+    default: LEGACY_CURRENCY
   },
   
   // Stripe Information
@@ -46,11 +83,12 @@ const transactionSchema = new mongoose.Schema({
   stripeChargeId: String,
   stripeTransferId: String,
   stripePayoutId: String,
+  stripeRefundId: String,
   
   // Status
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'refunded', 'disputed'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'partially_refunded', 'refunded', 'disputed'],
     default: 'pending'
   },
   
@@ -74,12 +112,107 @@ const transactionSchema = new mongoose.Schema({
     }
   },
   
+  // Escrow (card payments held until the client approves the work)
+  escrow: {
+    status: {
+      type: String,
+      // 'releasing' only while a release is in progress
+      enum: ['none', 'held', 'awaiting_approval', 'changes_requested', 'disputed', 'releasing', 'released', 'refunded'],
+      default: 'none'
+    },
+    heldAt: Date,
+    workSubmittedAt: Date,
+    autoApproveAt: Date,
+    approvedAt: Date,
+    autoApproved: {
+      type: Boolean,
+      default: false
+    },
+    changeRequests: [{
+      reason: String,
+      requestedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    dispute: {
+      raisedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reason: String,
+      raisedAt: Date
+    }
+  },
+  
+  // Refund ledger: one entry per refund. platformCommission and providerAmount
+  // above are reduced by each entry's share, `amount` stays what was charged.
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refunds: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    platformCommission: {
+      type: Number,
+      default: 0
+    },
+    providerAmount: {
+      type: Number,
+      default: 0
+    },
+    // Sales tax returned on top of `amount`
+    tax: {
+      type: Number,
+      default: 0
+    },
+    taxLines: [{
+      _id: false,
+      type: { type: String },
+      amount: Number
+    }],
+    reason: String,
+    notes: String,
+    stripeRefundId: String,
+    // Recorded as pending before the money is sent back, so a refund whose
+    // outcome is unknown is never lost
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded'],
+      default: 'succeeded'
+    },
+    // Provider balance the refund was clawed back from; 'receivable' when the
+    // share had already been paid out and is owed by the provider
+    walletSource: {
+      type: String,
+      enum: ['pending', 'available', 'receivable', 'none'],
+      default: 'none'
+    },
+    creditNote: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice'
+    },
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    refundedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
   // Timeline
   paidAt: Date,
   completedAt: Date,
   refundedAt: Date,
   // Pending release timestamp (for platform-held funds)
   pendingReleaseAt: Date,
+  releasedAt: Date,
   
   // Metadata
   metadata: mongoose.Schema.Types.Mixed
@@ -90,15 +223,29 @@ const transactionSchema = new mongoose.Schema({
 // Indexes
 transactionSchema.index({ user: 1 });
 transactionSchema.index({ job: 1 });
+transactionSchema.index({ milestone: 1 });
 transactionSchema.index({ status: 1 });
 transactionSchema.index({ createdAt: -1 });
 transactionSchema.index({ stripePaymentIntentId: 1 });
+// One transaction per paid subscription invoice
+transactionSchema.index({ 'metadata.stripeInvoiceId': 1 }, { unique: true, sparse: true });
+transactionSchema.index({ 'escrow.status': 1, 'escrow.autoApproveAt': 1 });
 
 // Virtual for net amount after commission
 transactionSchema.virtual('netAmount').get(function() {
   return this.amount - this.platformCommission;
 });
 
+// Virtual for what can still be refunded
+transactionSchema.virtual('refundableAmount').get(function() {
+  return parseFloat((this.amount - (this.refundedAmount || 0)).toFixed(2));
+});
+
+// Virtual for what the client is charged, tax included
+transactionSchema.virtual('totalCharged').get(function() {
+  return parseFloat((this.amount + (this.tax?.total || 0)).toFixed(2));
+});
+
 // Method to mark as completed
 transactionSchema.methods.markAsCompleted = function() {
   this.status = 'completed';
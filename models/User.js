@@ -1,6 +1,7 @@
 // models/User.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ADMIN_ROLES, PERMISSIONS } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   // Basic Information
@@ -82,7 +83,9 @@ const userSchema = new mongoose.Schema({
     sound: { type: Boolean, default: true },
     vibrate: { type: Boolean, default: true },
     newService: { type: Boolean, default: true },
-    payment: { type: Boolean, default: true }
+    payment: { type: Boolean, default: true },
+    // Email invoices and receipts as PDFs when a payment completes
+    emailReceipts: { type: Boolean, default: true }
   },
   
   // Timestamps
@@ -104,6 +107,11 @@ const userSchema = new mongoose.Schema({
 userSchema.add({
   // Professional Information
   businessName: String,
+  // GST/HST registration number printed on invoices
+  taxRegistrationNumber: {
+    type: String,
+    trim: true
+  },
   bio: String,
   experienceLevel: {
     type: String,
@@ -118,7 +126,32 @@ userSchema.add({
     from: String, // Format: "09:00"
     to: String    // Format: "17:00"
   },
-  
+  // Bookable calendar. Without weekly windows, workingHours applies every day.
+  availability: {
+    timezone: String, // IANA zone, e.g. "America/Toronto"
+    slotMinutes: {
+      type: Number,
+      min: [15, 'Slots must be at least 15 minutes'],
+      max: [480, 'Slots cannot be longer than 8 hours']
+    },
+    weekly: [{
+      _id: false,
+      day: { type: Number, min: 0, max: 6 }, // 0 = Sunday
+      from: String, // Format: "09:00"
+      to: String    // Format: "17:00"
+    }],
+    blackouts: [{
+      from: Date,
+      to: Date,
+      reason: String
+    }],
+    // Held while a booking is checked and saved, so two can't take the same slot
+    bookingLock: {
+      token: { type: String, select: false },
+      until: { type: Date, select: false }
+    }
+  },
+
   // Verification
   verificationStatus: {
     type: String,
@@ -164,6 +197,10 @@ userSchema.add({
       default: false
     }
   },
+  // Stripe customer holding the saved card for subscription renewals
+  stripeCustomerId: String,
+  // Priority listing bought with credits (plans with priorityListing don't need it)
+  priorityListingUntil: Date,
   
   // Statistics
   totalCompletedJobs: {
@@ -180,6 +217,106 @@ userSchema.add({
   }
 });
 
+// Calendar subscription (ICS) feed. Only a hash of the token is stored;
+// the full URL is shown once when the feed is created.
+userSchema.add({
+  calendarFeed: {
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    createdAt: Date,
+    lastAccessedAt: Date
+  }
+});
+
+// Admin Specific Fields (only for admins)
+userSchema.add({
+  // Predefined role deciding what the admin can do; unset grants nothing
+  adminRole: {
+    type: String,
+    enum: Object.keys(ADMIN_ROLES)
+  },
+  // Extra permissions on top of the role
+  adminPermissions: [{
+    type: String,
+    enum: Object.keys(PERMISSIONS)
+  }]
+});
+
+// Two-factor authentication (TOTP). The secret is stored encrypted and
+// backup codes only as hashes.
+userSchema.add({
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Set during enrolment until the first code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date,
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date
+  }
+});
+
+// Account restrictions. Suspensions and bans lock the account (isBlocked);
+// no_quoting and no_chatting only limit that feature. A restriction applies
+// until endsAt (indefinitely when unset) or until it is lifted.
+const restrictionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['suspension', 'ban', 'no_quoting', 'no_chatting'],
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  endsAt: Date,
+  imposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  },
+  liftedAt: Date,
+  liftedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // 'expired', or the admin's note when lifted early
+  liftReason: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+userSchema.add({
+  restrictions: [restrictionSchema]
+});
+
 // Client Specific Fields (only for clients)
 userSchema.add({
   // Client preferences can be added here
@@ -194,6 +331,8 @@ userSchema.index({ location: '2dsphere' });
 // `email` field is declared with `unique: true` above which creates a unique index.
 // Avoid declaring the same index again to prevent duplicate-index warnings.
 userSchema.index({ role: 1 });
+userSchema.index({ 'calendarFeed.tokenHash': 1 }, { sparse: true });
+userSchema.index({ 'restrictions.endsAt': 1 }, { sparse: true });
 
 // Virtual for profile completion
 userSchema.virtual('profileCompletion').get(function() {
@@ -210,7 +349,7 @@ userSchema.virtual('profileCompletion').get(function() {
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   
   const salt = await bcrypt.genSalt(10);
@@ -31,26 +31,55 @@ const userSubscriptionSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // one_time: paid once up front and simply ends (older purchases).
+  // recurring: a Stripe subscription that renews with the saved card.
+  billingMode: {
+    type: String,
+    enum: ['one_time', 'recurring'],
+    default: 'one_time'
+  },
+  // Cancelled by the provider; benefits last until endDate
+  cancelAtPeriodEnd: {
+    type: Boolean,
+    default: false
+  },
+  cancelledAt: Date,
+  endedAt: Date,
   
   // Payment Information
   transaction: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Transaction'
   },
+  // Stripe subscription id for recurring billing (payment intent id for one-time purchases)
   stripeSubscriptionId: String,
+  stripeCustomerId: String,
+  
+  // Failed renewals. The provider keeps their benefits while Stripe retries
+  // the card, until the grace period ends.
+  gracePeriodEndsAt: Date,
+  failedPaymentAttempts: {
+    type: Number,
+    default: 0
+  },
+  nextPaymentAttemptAt: Date,
+  // Stripe page where the provider can pay the outstanding invoice with another card
+  paymentUpdateUrl: String,
   
   // Status
   status: {
     type: String,
-    enum: ['active', 'expired', 'cancelled', 'pending'],
+    // past_due: a renewal payment failed and is being retried
+    enum: ['active', 'past_due', 'expired', 'cancelled', 'pending'],
     default: 'active'
   },
   
-  // Usage Tracking
+  // Usage Tracking (reset at the start of each billing period)
   quotesUsed: {
     type: Number,
     default: 0
   },
+  usagePeriodStart: Date,
   
   // Timestamps
   createdAt: {
@@ -69,10 +98,11 @@ const userSubscriptionSchema = new mongoose.Schema({
 userSubscriptionSchema.index({ user: 1 });
 userSubscriptionSchema.index({ status: 1 });
 userSubscriptionSchema.index({ endDate: 1 });
+userSubscriptionSchema.index({ stripeSubscriptionId: 1 });
 
-// Virtual for isActive
+// Virtual for isActive (benefits continue while a failed renewal is retried)
 userSubscriptionSchema.virtual('isActive').get(function() {
-  return this.status === 'active' && this.endDate > new Date();
+  return ['active', 'past_due'].includes(this.status) && this.endDate > new Date();
 });
 
 // Virtual for daysRemaining
@@ -1,15 +1,8 @@
 // models/Wallet.js
 const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require('../utils/currency');
 
-const walletSchema = new mongoose.Schema({
-  user: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true,
-    unique: true
-  },
-  
-  // Balances
+const balanceSchema = () => ({
   totalEarned: {
     type: Number,
     default: 0
@@ -25,6 +18,24 @@ const walletSchema = new mongoose.Schema({
   withdrawnBalance: {
     type: Number,
     default: 0
+  }
+});
+
+const walletSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  
+  // Balances, kept separately for every currency we pay out in
+  balances: Object.fromEntries(SUPPORTED_CURRENCIES.map(currency => [currency, balanceSchema()])),
+  // Currency the provider prefers to withdraw in
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: DEFAULT_CURRENCY
   },
   
   // Stripe Connect for providers
@@ -61,43 +72,21 @@ const walletSchema = new mongoose.Schema({
 // Indexes
 // `user` field is declared with `unique: true` above which creates the index,
 // so we avoid declaring the same index again to prevent duplicate-index warnings.
-walletSchema.index({ availableBalance: -1 });
-
-// Method to add earnings
-walletSchema.methods.addEarnings = async function(amount, isPending = false) {
-  this.totalEarned += amount;
-  
-  if (isPending) {
-    this.pendingBalance += amount;
-  } else {
-    this.availableBalance += amount;
-  }
-  
-  return this.save();
-};
+SUPPORTED_CURRENCIES.forEach(currency => {
+  walletSchema.index({ [`balances.${currency}.availableBalance`]: -1 });
+});
 
-// Method to release pending balance
-walletSchema.methods.releasePendingBalance = async function(amount) {
-  if (this.pendingBalance < amount) {
-    throw new Error('Insufficient pending balance');
-  }
-  
-  this.pendingBalance -= amount;
-  this.availableBalance += amount;
-  
-  return this.save();
-};
+// Balances are only changed by posting to the ledger (utils/ledger.js)
 
-// Method to process withdrawal
-walletSchema.methods.processWithdrawal = async function(amount) {
-  if (this.availableBalance < amount) {
-    throw new Error('Insufficient available balance');
-  }
-  
-  this.availableBalance -= amount;
-  this.withdrawnBalance += amount;
-  
-  return this.save();
+// Balances held in one currency
+walletSchema.methods.balanceFor = function(currency) {
+  const balance = this.balances?.[currency];
+  return {
+    totalEarned: balance?.totalEarned || 0,
+    availableBalance: balance?.availableBalance || 0,
+    pendingBalance: balance?.pendingBalance || 0,
+    withdrawnBalance: balance?.withdrawnBalance || 0
+  };
 };
 
 // Static method to get or create wallet
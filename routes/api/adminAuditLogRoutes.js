@@ -0,0 +1,25 @@
+// routes/api/adminAuditLogRoutes.js
+const express = require('express');
+const router = express.Router();
+const { protect, authorize, requirePermission } = require('../../middleware/auth');
+const {
+  getAuditLogs,
+  exportAuditLogs
+} = require('../../controllers/adminAuditLogController');
+
+// All routes are admin only
+router.use(protect);
+router.use(authorize('admin'));
+router.use(requirePermission('audit.view'));
+
+// @route   GET /api/admin/audit-logs/export
+// @desc    Export filtered audit log entries as CSV
+// @access  Private (Admin only)
+router.get('/export', exportAuditLogs);
+
+// @route   GET /api/admin/audit-logs
+// @desc    List audit log entries (filters: actor, action, targetType, targetId, from, to, search)
+// @access  Private (Admin only)
+router.get('/', getAuditLogs);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 // routes/api/adminBackgroundCheckRoutes.js
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../../middleware/auth');
+const { protect, authorize, requirePermission } = require('../../middleware/auth');
 const {
   getAllBackgroundChecks,
   getBackgroundCheckById,
@@ -12,8 +12,9 @@ const {
 } = require('../../controllers/adminBackgroundCheckController');
 
 // All routes are admin only
-// router.use(protect);
+router.use(protect);
 router.use(authorize('admin'));
+router.use(requirePermission('providers.verify'));
 
 // @route   GET /api/admin/background-checks/stats
 // @desc    Get background check statistics
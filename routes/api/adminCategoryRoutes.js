@@ -10,7 +10,7 @@ const {
   updateSpecialization,
   deleteSpecialization
 } = require('../../controllers/adminCategoryController');
-const { protect, authorize } = require('../../middleware/auth');
+const { protect, authorize, requirePermission } = require('../../middleware/auth');
 const { uploadSingle, handleUploadErrors } = require('../../config/multer');
 
 const router = express.Router();
@@ -18,6 +18,7 @@ const router = express.Router();
 // All routes are protected and admin only
 router.use(protect);
 router.use(authorize('admin'));
+router.use(requirePermission('content.edit'));
 
 // Category routes
 router.get('/', getCategories);
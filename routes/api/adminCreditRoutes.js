@@ -1,5 +1,5 @@
 const express = require('express');
-const { protect, authorize } = require('../../middleware/auth');
+const { protect, authorize, requirePermission } = require('../../middleware/auth');
 const { getCredits } = require('../../controllers/adminSubscriptionController');
 const {
   getCreditSettings,
@@ -16,18 +16,18 @@ router.use(protect);
 router.use(authorize('admin'));
 
 // Credit activity history
-router.get('/', getCredits);
+router.get('/', requirePermission('credits.view'), getCredits);
 
 // System credit settings
-router.get('/settings', getCreditSettings);
-router.put('/settings', updateCreditSettings);
+router.get('/settings', requirePermission('credits.view'), getCreditSettings);
+router.put('/settings', requirePermission('credits.settings'), updateCreditSettings);
 
 // User credit management
-router.get('/user/:userId', getUserCredits);
-router.post('/adjust', adjustUserCredits);
-router.post('/bulk-adjust', bulkAdjustCredits);
+router.get('/user/:userId', requirePermission('credits.view'), getUserCredits);
+router.post('/adjust', requirePermission('credits.adjust'), adjustUserCredits);
+router.post('/bulk-adjust', requirePermission('credits.adjust'), bulkAdjustCredits);
 
 // Credit statistics
-router.get('/statistics', getCreditStatistics);
+router.get('/statistics', requirePermission('credits.view'), getCreditStatistics);
 
 module.exports = router;
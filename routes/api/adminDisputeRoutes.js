@@ -0,0 +1,24 @@
+// routes/adminDisputeRoutes.js
+const express = require('express');
+const {
+  getDisputes,
+  getDisputeDetails,
+  addAdminDisputeMessage,
+  updateDisputeStatus,
+  resolveDispute
+} = require('../../controllers/adminDisputeController');
+const { protect, authorize, requirePermission } = require('../../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected and admin only
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/disputes', requirePermission('disputes.view'), getDisputes);
+router.get('/disputes/:id', requirePermission('disputes.view'), getDisputeDetails);
+router.post('/disputes/:id/messages', requirePermission('disputes.resolve'), addAdminDisputeMessage);
+router.put('/disputes/:id/status', requirePermission('disputes.resolve'), updateDisputeStatus);
+router.put('/disputes/:id/resolve', requirePermission('disputes.resolve'), resolveDispute);
+
+module.exports = router;
@@ -7,14 +7,29 @@ const {
   processPendingReleases,
   processRefund,
   getProviderWallets,
-  getPlatformEarnings
+  getPlatformEarnings,
+  getLedgerMismatches,
+  postLedgerOpeningBalances,
+  rebuildLedgerWallets
 } = require('../../controllers/adminPaymentController');
+const {
+  getCommissionRules,
+  createCommissionRule,
+  updateCommissionRule,
+  deleteCommissionRule,
+  previewCommission
+} = require('../../controllers/adminCommissionController');
+const {
+  getTaxRateTable,
+  updateTaxRate,
+  getTaxReport
+} = require('../../controllers/adminTaxController');
 const {
   updateSubscriptionPlans,
   updateCreditPackages,
   getSubscriptionAnalytics
 } = require('../../controllers/adminSubscriptionController');
-const { protect, authorize } = require('../../middleware/auth');
+const { protect, authorize, requirePermission } = require('../../middleware/auth');
 
 const router = express.Router();
 
@@ -23,21 +38,38 @@ router.use(protect);
 router.use(authorize('admin'));
 
 // Transaction management
-router.get('/payments/transactions', getTransactions);
-router.get('/payments/transactions/:id', getTransactionDetails);
-router.put('/payments/transactions/:id/release', releasePayment);
-router.put('/payments/transactions/:id/refund', processRefund);
-router.post('/payments/release-pending', processPendingReleases);
+router.get('/payments/transactions', requirePermission('payments.view'), getTransactions);
+router.get('/payments/transactions/:id', requirePermission('payments.view'), getTransactionDetails);
+router.put('/payments/transactions/:id/release', requirePermission('payments.release'), releasePayment);
+router.put('/payments/transactions/:id/refund', requirePermission('payments.refund'), processRefund);
+router.post('/payments/release-pending', requirePermission('payments.release'), processPendingReleases);
 
 // Wallet management
-router.get('/payments/wallets', getProviderWallets);
+router.get('/payments/wallets', requirePermission('payments.view'), getProviderWallets);
+
+// Ledger reconciliation
+router.get('/payments/ledger/mismatches', requirePermission('payments.view'), getLedgerMismatches);
+router.post('/payments/ledger/opening-balances', requirePermission('payments.settings'), postLedgerOpeningBalances);
+router.post('/payments/ledger/rebuild-wallets', requirePermission('payments.settings'), rebuildLedgerWallets);
+
+// Commission rules
+router.get('/payments/commission-rules', requirePermission('payments.view'), getCommissionRules);
+router.post('/payments/commission-rules', requirePermission('payments.settings'), createCommissionRule);
+router.get('/payments/commission-rules/preview', requirePermission('payments.view'), previewCommission);
+router.put('/payments/commission-rules/:id', requirePermission('payments.settings'), updateCommissionRule);
+router.delete('/payments/commission-rules/:id', requirePermission('payments.settings'), deleteCommissionRule);
+
+// Sales tax
+router.get('/payments/tax-rates', requirePermission('payments.view'), getTaxRateTable);
+router.put('/payments/tax-rates/:region', requirePermission('payments.settings'), updateTaxRate);
+router.get('/payments/tax-report', requirePermission('payments.view'), getTaxReport);
 
 // Earnings and analytics
-router.get('/payments/earnings', getPlatformEarnings);
+router.get('/payments/earnings', requirePermission('payments.view'), getPlatformEarnings);
 
 // Subscription and credit management
-router.put('/subscriptions/plans', updateSubscriptionPlans);
-router.put('/subscriptions/credit-packages', updateCreditPackages);
-router.get('/subscriptions/analytics', getSubscriptionAnalytics);
+router.put('/subscriptions/plans', requirePermission('subscriptions.manage'), updateSubscriptionPlans);
+router.put('/subscriptions/credit-packages', requirePermission('subscriptions.manage'), updateCreditPackages);
+router.get('/subscriptions/analytics', requirePermission('subscriptions.view'), getSubscriptionAnalytics);
 
 module.exports = router;
\ No newline at end of file
@@ -8,7 +8,7 @@ const {
   updateReportStatus,
   getReportStatistics
 } = require('../../controllers/adminReportController');
-const { protect, authorize } = require('../../middleware/auth');
+const { protect, authorize, requirePermission } = require('../../middleware/auth');
 
 const router = express.Router();
 
@@ -16,11 +16,11 @@ const router = express.Router();
 router.use(protect);
 router.use(authorize('admin'));
 
-router.get('/reports', getReports);
-router.get('/reports/statistics', getReportStatistics);
-router.get('/reports/:id', getReportDetails);
-router.post('/reports/:id/notes', addReportNote);
-router.put('/reports/:id/resolve', resolveReport);
-router.put('/reports/:id/status', updateReportStatus);
+router.get('/reports', requirePermission('reports.view'), getReports);
+router.get('/reports/statistics', requirePermission('reports.view'), getReportStatistics);
+router.get('/reports/:id', requirePermission('reports.view'), getReportDetails);
+router.post('/reports/:id/notes', requirePermission('reports.resolve'), addReportNote);
+router.put('/reports/:id/resolve', requirePermission('reports.resolve'), resolveReport);
+router.put('/reports/:id/status', requirePermission('reports.resolve'), updateReportStatus);
 
 module.exports = router;
\ No newline at end of file
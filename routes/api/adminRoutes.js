@@ -4,11 +4,15 @@ const {
   getDashboardStats,
   getUsers,
   toggleUserBlock,
+  getUserRestrictions,
+  addUserRestriction,
+  liftUserRestriction,
   verifyProvider,
   getProviders
 } = require('../../controllers/adminController');
 const { adminGetUserChats } = require('../../controllers/chatController');
-const { protect, authorize } = require('../../middleware/auth');
+const { processRecurringJobsNow } = require('../../controllers/recurringJobController');
+const { protect, authorize, requirePermission } = require('../../middleware/auth');
 
 const router = express.Router();
 
@@ -17,11 +21,15 @@ router.use(protect);
 router.use(authorize('admin'));
 
 // Admin routes
-router.get('/dashboard', getDashboardStats);
-router.get('/users', getUsers);
-router.get('/users/:id/chats', adminGetUserChats);
-router.get('/providers', getProviders);
-router.put('/users/:id/block', toggleUserBlock);
-router.put('/providers/:id/verify', verifyProvider);
+router.get('/dashboard', requirePermission('dashboard.view'), getDashboardStats);
+router.get('/users', requirePermission('users.view'), getUsers);
+router.get('/users/:id/chats', requirePermission('users.view'), adminGetUserChats);
+router.get('/providers', requirePermission('users.view'), getProviders);
+router.put('/users/:id/block', requirePermission('users.block'), toggleUserBlock);
+router.get('/users/:id/restrictions', requirePermission('users.view'), getUserRestrictions);
+router.post('/users/:id/restrictions', requirePermission('users.block'), addUserRestriction);
+router.delete('/users/:id/restrictions/:restrictionId', requirePermission('users.block'), liftUserRestriction);
+router.put('/providers/:id/verify', requirePermission('providers.verify'), verifyProvider);
+router.post('/jobs/recurring/process', requirePermission('jobs.manage'), processRecurringJobsNow);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,37 @@
+// routes/api/adminSchedulerRoutes.js
+const express = require('express');
+const router = express.Router();
+const { protect, authorize, requirePermission } = require('../../middleware/auth');
+const {
+  getScheduledTasks,
+  getScheduledTaskRuns,
+  runScheduledTask,
+  updateScheduledTask
+} = require('../../controllers/adminSchedulerController');
+
+// All routes are admin only
+router.use(protect);
+router.use(authorize('admin'));
+router.use(requirePermission('system.manage'));
+
+// @route   GET /api/admin/scheduled-tasks
+// @desc    List scheduled tasks and their last run
+// @access  Private (Admin only)
+router.get('/', getScheduledTasks);
+
+// @route   GET /api/admin/scheduled-tasks/:name/runs
+// @desc    Run history of a task
+// @access  Private (Admin only)
+router.get('/:name/runs', getScheduledTaskRuns);
+
+// @route   POST /api/admin/scheduled-tasks/:name/run
+// @desc    Run a task now
+// @access  Private (Admin only)
+router.post('/:name/run', runScheduledTask);
+
+// @route   PUT /api/admin/scheduled-tasks/:name
+// @desc    Pause or resume a task
+// @access  Private (Admin only)
+router.put('/:name', updateScheduledTask);
+
+module.exports = router;
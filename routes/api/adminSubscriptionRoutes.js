@@ -1,5 +1,5 @@
 const express = require('express');
-const { protect, authorize } = require('../../middleware/auth');
+const { protect, authorize, requirePermission } = require('../../middleware/auth');
 const { getSubscriptions } = require('../../controllers/adminSubscriptionController');
 
 const router = express.Router();
@@ -9,6 +9,6 @@ router.use(protect);
 router.use(authorize('admin'));
 
 // Get all subscriptions with user details
-router.get('/', getSubscriptions);
+router.get('/', requirePermission('subscriptions.view'), getSubscriptions);
 
 module.exports = router;
\ No newline at end of file
@@ -8,7 +8,7 @@ const {
   getSupportStatistics,
   getTicketMessages
 } = require('../../controllers/adminSupportController');
-const { protect, authorize } = require('../../middleware/auth');
+const { protect, authorize, requirePermission } = require('../../middleware/auth');
 const { uploadMultiple, handleUploadErrors } = require('../../config/multer');
 
 const router = express.Router();
@@ -17,13 +17,14 @@ const router = express.Router();
 router.use(protect);
 router.use(authorize('admin'));
 
-router.get('/support/statistics', getSupportStatistics);
-router.get('/support/tickets/:id/messages', getTicketMessages);
-router.get('/support/tickets', getAdminTickets);
-router.put('/support/tickets/:id/assign', assignTicketToAdmin);
-router.put('/support/tickets/:id/resolve', resolveSupportTicket);
+router.get('/support/statistics', requirePermission('support.view'), getSupportStatistics);
+router.get('/support/tickets/:id/messages', requirePermission('support.view'), getTicketMessages);
+router.get('/support/tickets', requirePermission('support.view'), getAdminTickets);
+router.put('/support/tickets/:id/assign', requirePermission('support.reply'), assignTicketToAdmin);
+router.put('/support/tickets/:id/resolve', requirePermission('support.reply'), resolveSupportTicket);
 router.post(
   '/support/tickets/:id/messages',
+  requirePermission('support.reply'),
   uploadMultiple('attachments', 5),
   handleUploadErrors,
   adminSendMessage
@@ -0,0 +1,48 @@
+// routes/api/adminUserRoutes.js
+const express = require('express');
+const router = express.Router();
+const { protect, authorize, requirePermission } = require('../../middleware/auth');
+const {
+  getAdminRoles,
+  getMyAdminAccess,
+  getAdmins,
+  createAdmin,
+  updateAdminAccess,
+  deactivateAdmin
+} = require('../../controllers/adminUserController');
+
+// All routes are admin only
+router.use(protect);
+router.use(authorize('admin'));
+
+// @route   GET /api/admin/admins/me
+// @desc    The signed-in admin's role and permissions
+// @access  Private (Admin only)
+router.get('/me', getMyAdminAccess);
+
+// @route   GET /api/admin/admins/roles
+// @desc    Admin roles and permissions
+// @access  Private (Admin only)
+router.get('/roles', requirePermission('admins.manage'), getAdminRoles);
+
+// @route   GET /api/admin/admins
+// @desc    List admin users
+// @access  Private (Admin only)
+router.get('/', requirePermission('admins.manage'), getAdmins);
+
+// @route   POST /api/admin/admins
+// @desc    Create an admin user
+// @access  Private (Admin only)
+router.post('/', requirePermission('admins.manage'), createAdmin);
+
+// @route   PUT /api/admin/admins/:id
+// @desc    Change an admin's role or extra permissions
+// @access  Private (Admin only)
+router.put('/:id', requirePermission('admins.manage'), updateAdminAccess);
+
+// @route   DELETE /api/admin/admins/:id
+// @desc    Deactivate an admin
+// @access  Private (Admin only)
+router.delete('/:id', requirePermission('admins.manage'), deactivateAdmin);
+
+module.exports = router;
@@ -7,9 +7,19 @@ const {
   login,
   forgotPassword,
   resetPassword,
-  logout
+  logout,
+  refreshToken,
+  getSessions,
+  revokeSessionById,
+  revokeOtherSessions,
+  verifyTwoFactorLogin,
+  getTwoFactorSettings,
+  setupTwoFactor,
+  confirmTwoFactorSetup,
+  removeTwoFactor,
+  renewBackupCodes
 } = require('../../controllers/authController');
-const { protect } = require('../../middleware/auth');
+const { protect, protectTwoFactorSetup } = require('../../middleware/auth');
 const { uploadSingle, handleUploadErrors } = require('../../config/multer');
 
 const router = express.Router();
@@ -21,8 +31,21 @@ router.post('/register', uploadSingle('profilePhoto'), handleUploadErrors, regis
 router.post('/login', login);
 router.post('/forgot-password', forgotPassword);
 router.post('/reset-password', resetPassword);
+router.post('/refresh-token', refreshToken);
+router.post('/2fa/verify', verifyTwoFactorLogin);
 
 // Protected routes
 router.post('/logout', protect, logout);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeOtherSessions);
+router.delete('/sessions/:id', protect, revokeSessionById);
+
+// Two-factor authentication. Setup also accepts the challenge token an
+// admin without two-factor gets from login.
+router.get('/2fa', protect, getTwoFactorSettings);
+router.post('/2fa/setup', protectTwoFactorSetup, setupTwoFactor);
+router.post('/2fa/enable', protectTwoFactorSetup, confirmTwoFactorSetup);
+router.post('/2fa/disable', protect, removeTwoFactor);
+router.post('/2fa/backup-codes', protect, renewBackupCodes);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,10 @@
+// routes/calendarRoutes.js
+const express = require('express');
+const { getCalendarFeed } = require('../../controllers/calendarController');
+
+const router = express.Router();
+
+// Public: calendar apps fetch this without auth, the token is the credential
+router.get('/:token.ics', getCalendarFeed);
+
+module.exports = router;
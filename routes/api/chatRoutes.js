@@ -10,7 +10,7 @@ const {
   blockUser,
   unblockUser
 } = require('../../controllers/chatController');
-const { protect } = require('../../middleware/auth');
+const { protect, rejectRestricted } = require('../../middleware/auth');
 const { uploadMultiple, handleUploadErrors } = require('../../config/multer');
 
 const router = express.Router();
@@ -21,10 +21,10 @@ router.use(protect);
 // Chat routes
 router.get('/', getChats);
 router.post('/', getOrCreateChat);
-router.post('/direct', uploadMultiple('media', 5), handleUploadErrors, sendDirectMessageToProvider);
+router.post('/direct', rejectRestricted('no_chatting'), uploadMultiple('media', 5), handleUploadErrors, sendDirectMessageToProvider);
 router.get('/unread/count', getUnreadCount);
 router.get('/:id/messages', getChatMessages);
-router.post('/:id/messages', uploadMultiple('media', 5), handleUploadErrors, sendMessage);
+router.post('/:id/messages', rejectRestricted('no_chatting'), uploadMultiple('media', 5), handleUploadErrors, sendMessage);
 router.post('/:id/block', blockUser);
 router.post('/:id/unblock', unblockUser);
 
@@ -6,7 +6,7 @@ const {
   updateContent,
   getContentHistory
 } = require('../../controllers/contentController');
-const { protect, authorize } = require('../../middleware/auth');
+const { protect, authorize, requirePermission } = require('../../middleware/auth');
 
 const router = express.Router();
 
@@ -17,8 +17,8 @@ router.get('/content/:type', getContentByType);
 router.use(protect);
 router.use(authorize('admin'));
 
-router.get('/admin/content', getContent);
-router.put('/admin/content/:type', updateContent);
-router.get('/admin/content/:type/history', getContentHistory);
+router.get('/admin/content', requirePermission('content.edit'), getContent);
+router.put('/admin/content/:type', requirePermission('content.edit'), updateContent);
+router.get('/admin/content/:type/history', requirePermission('content.edit'), getContentHistory);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,24 @@
+// routes/disputeRoutes.js
+const express = require('express');
+const {
+  createDispute,
+  getMyDisputes,
+  getDispute,
+  addDisputeMessage,
+  addDisputeEvidence
+} = require('../../controllers/disputeController');
+const { protect } = require('../../middleware/auth');
+const { uploadMultiple, handleUploadErrors } = require('../../config/multer');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.post('/', uploadMultiple('evidence', 5), handleUploadErrors, createDispute);
+router.get('/', getMyDisputes);
+router.get('/:id', getDispute);
+router.post('/:id/messages', addDisputeMessage);
+router.post('/:id/evidence', uploadMultiple('evidence', 5), handleUploadErrors, addDisputeEvidence);
+
+module.exports = router;
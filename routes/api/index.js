@@ -4,9 +4,11 @@ const authRouter = require("./authRoutes.js");
 const profileRoutes = require("./profileRoutes.js")
 const jobRoutes = require("./jobRoutes.js")
 const quoteRoutes = require("./quoteRoutes.js")
+const milestoneRoutes = require('./milestoneRoutes.js');
 const providerRoutes = require("./profileRoutes.js");
 const publicProviders = require('./publicProviderRoutes.js');
 const payments = require('./paymentRoutes.js');
+const disputes = require('./disputeRoutes.js');
 const reviews = require('./reviewRoutes.js');
 const support = require('./supportRoutes.js');
 const admin = require('./adminRoutes.js');
@@ -17,17 +19,20 @@ const categories = require('./categoryRoutes.js');
 const adminPaymentRoutes = require('./adminPaymentRoutes.js');
 const adminSubscriptionRoutes = require('./adminSubscriptionRoutes.js');
 const adminCreditRoutes = require('./adminCreditRoutes.js');
+const adminDisputeRoutes = require('./adminDisputeRoutes.js');
 const notifications = require('./notificationRoutes.js');
 
 _.use("/auth", authRouter);
 _.use('/profile', profileRoutes);
 _.use('/jobs', jobRoutes);
 _.use('/quotes', quoteRoutes);
+_.use('/milestones', milestoneRoutes);
 _.use('/provider', providerRoutes);
 // Public provider profiles (e.g. GET /api/providers/:id)
 _.use('/providers', publicProviders);
 _.use('/payments', payments);
 _.use('/payments/webhook', express.raw({type: 'application/json'}));
+_.use('/disputes', disputes);
 _.use('/reviews', reviews);
 _.use('/support', support);
 _.use('/subscriptions', subscriptions);
@@ -37,6 +42,7 @@ _.use('/admin/categories', adminCategoryRoutes);
 _.use('/admin/payments', adminPaymentRoutes);
 _.use('/admin/subscriptions', adminSubscriptionRoutes);
 _.use('/admin/credits', adminCreditRoutes);
+_.use('/admin', adminDisputeRoutes);
 
 _.use('/admin', admin);
 
@@ -8,12 +8,28 @@ const {
   getJob,
   getMyJobs,
   cancelJob,
+  extendJob,
   getPopularCategories,
   getJobsByCategory,
   updateJob,
   deleteJob,
-  getJobInvoice
+  getJobInvoice,
+  getJobInvoicePdf
 } = require('../../controllers/jobController');
+const {
+  getJobOccurrences,
+  skipJobOccurrence,
+  rescheduleJobOccurrence,
+  cancelJobOccurrence
+} = require('../../controllers/recurringJobController');
+const {
+  getRescheduleRequests,
+  requestReschedule,
+  acceptRescheduleRequest,
+  declineRescheduleRequest,
+  counterRescheduleRequest,
+  cancelRescheduleRequest
+} = require('../../controllers/rescheduleController');
 const { protect } = require('../../middleware/auth');
 const { uploadMultiple, handleUploadErrors } = require('../../config/multer');
 
@@ -41,6 +57,7 @@ router.get('/:id', getJob);
 router.get('/:id', protect, getJob);
 
 router.put('/:id/cancel', protect, cancelJob);
+router.put('/:id/extend', protect, extendJob);
 // Update job (client only)
 router.put(
   '/:id',
@@ -50,7 +67,22 @@ router.put(
   updateJob
 );
 
+// Recurring jobs
+router.get('/:id/occurrences', protect, getJobOccurrences);
+router.put('/:id/occurrence/skip', protect, skipJobOccurrence);
+router.put('/:id/occurrence/reschedule', protect, rescheduleJobOccurrence);
+router.put('/:id/occurrence/cancel', protect, cancelJobOccurrence);
+
+// Rescheduling negotiation
+router.get('/:id/reschedule-requests', protect, getRescheduleRequests);
+router.post('/:id/reschedule-requests', protect, requestReschedule);
+router.put('/:id/reschedule-requests/:requestId/accept', protect, acceptRescheduleRequest);
+router.put('/:id/reschedule-requests/:requestId/decline', protect, declineRescheduleRequest);
+router.put('/:id/reschedule-requests/:requestId/counter', protect, counterRescheduleRequest);
+router.put('/:id/reschedule-requests/:requestId/cancel', protect, cancelRescheduleRequest);
+
 router.get('/:id/invoice', protect, getJobInvoice);
+router.get('/:id/invoice.pdf', protect, getJobInvoicePdf);
 // Delete job
 router.delete('/:id', protect, deleteJob);
 
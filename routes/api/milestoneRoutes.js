@@ -0,0 +1,30 @@
+// routes/milestoneRoutes.js
+const express = require('express');
+const {
+  proposeMilestones,
+  getJobMilestones,
+  approveMilestones,
+  declineMilestones,
+  releaseMilestone,
+  getMilestoneInvoice,
+  getMilestoneInvoicePdf
+} = require('../../controllers/milestoneController');
+const { protect } = require('../../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Milestone schedule for a job
+router.post('/job/:jobId', proposeMilestones);
+router.get('/job/:jobId', getJobMilestones);
+router.put('/job/:jobId/approve', approveMilestones);
+router.put('/job/:jobId/decline', declineMilestones);
+
+// Single milestone
+router.put('/:id/release', releaseMilestone);
+router.get('/:id/invoice', getMilestoneInvoice);
+router.get('/:id/invoice.pdf', getMilestoneInvoicePdf);
+
+module.exports = router;
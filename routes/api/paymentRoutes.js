@@ -2,6 +2,7 @@
 const express = require('express');
 const {
   createPayment,
+  createMilestonePayment,
   confirmCashPayment,
   handleWebhook,
   setupStripeConnect,
@@ -9,6 +10,12 @@ const {
   requestWithdrawal,
   getTransactionByJob
 } = require('../../controllers/paymentController');
+const {
+  getEscrowStatus,
+  approveEscrow,
+  requestEscrowChanges,
+  disputeEscrow
+} = require('../../controllers/escrowController');
 const { protect } = require('../../middleware/auth');
 
 const router = express.Router();
@@ -20,10 +27,17 @@ router.post('/webhook', express.raw({type: 'application/json'}), handleWebhook);
 router.use(protect);
 
 router.post('/create-payment-intent', createPayment);
+router.post('/milestones/:milestoneId/pay', createMilestonePayment);
 router.put('/cash/:transactionId/confirm', confirmCashPayment);
 router.post('/setup-connect', setupStripeConnect);
 router.get('/wallet', getWallet);
 router.post('/withdraw', requestWithdrawal);
 router.get('/transaction/by-job/:jobId', getTransactionByJob);
 
+// Escrow
+router.get('/escrow/:transactionId', getEscrowStatus);
+router.put('/escrow/:transactionId/approve', approveEscrow);
+router.put('/escrow/:transactionId/request-changes', requestEscrowChanges);
+router.put('/escrow/:transactionId/dispute', disputeEscrow);
+
 module.exports = router;
\ No newline at end of file
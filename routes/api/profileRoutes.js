@@ -8,8 +8,14 @@ const {
   updateNotificationSettings,
   changePassword,
   deleteAccount,
-  updateOnlineStatus
+  updateOnlineStatus,
+  updateAvailability
 } = require('../../controllers/profileController');
+const {
+  getCalendarFeedStatus,
+  regenerateCalendarFeed,
+  revokeCalendarFeed
+} = require('../../controllers/calendarController');
 const { protect } = require('../../middleware/auth');
 const { uploadSingle, uploadFields, handleUploadErrors } = require('../../config/multer');
 
@@ -22,6 +28,12 @@ router.use(protect);
 router.get('/me', getMyProfile);
 router.put('/update', updateProfile);
 router.put('/online-status', updateOnlineStatus);
+router.put('/availability', updateAvailability);
+
+// Calendar (ICS) feed
+router.get('/calendar-feed', getCalendarFeedStatus);
+router.post('/calendar-feed', regenerateCalendarFeed);
+router.delete('/calendar-feed', revokeCalendarFeed);
 
 // File upload routes
 router.put(
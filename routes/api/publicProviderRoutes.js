@@ -1,10 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const { getProviderDetails } = require('../../controllers/providerController');
+const { getProviderDetails, getProviderAvailability } = require('../../controllers/providerController');
 
 
 
 
+router.get('/:id/availability', getProviderAvailability);
 router.get('/:id', getProviderDetails);
 
 module.exports = router;
@@ -8,9 +8,14 @@ const {
   declineQuote,
   cancelQuote,
   getMyQuotes,
-  getQuotesByJob
+  getQuotesByJob,
+  compareQuotesForJob,
+  counterQuote,
+  acceptCounterOffer,
+  selectQuoteAddons,
+  getQuoteThread
 } = require('../../controllers/quoteController');
-const { protect } = require('../../middleware/auth');
+const { protect, rejectRestricted } = require('../../middleware/auth');
 
 const router = express.Router();
 
@@ -18,13 +23,20 @@ const router = express.Router();
 router.use(protect);
 
 // Quote management
-router.post('/', submitQuote);
+router.post('/', rejectRestricted('no_quoting'), submitQuote);
 router.get('/my-quotes', getMyQuotes);
 router.get('/job/:jobId', getQuotesByJob);
-router.put('/:id', updateQuote);
+router.get('/job/:jobId/compare', compareQuotesForJob);
+router.put('/:id', rejectRestricted('no_quoting'), updateQuote);
 router.put('/:id/accept', acceptQuote);
 router.put('/:id/accept-as-provider', acceptQuoteAsProvider);
 router.put('/:id/decline', declineQuote);
 router.put('/:id/cancel', cancelQuote);
 
+// Negotiation
+router.get('/:id/thread', getQuoteThread);
+router.put('/:id/counter', rejectRestricted('no_quoting'), counterQuote);
+router.put('/:id/accept-counter', acceptCounterOffer);
+router.put('/:id/addons', selectQuoteAddons);
+
 module.exports = router;
\ No newline at end of file
@@ -4,9 +4,14 @@ const {
   getSubscriptions,
   purchaseSubscription,
   getMySubscription,
+  buyPriorityListing,
+  cancelSubscription,
+  reactivateSubscription,
+  changeSubscriptionPlan,
   getCreditPackages,
   purchaseCredits,
-  getCreditActivity
+  getCreditActivity,
+  getPurchaseReceiptPdf
 } = require('../../controllers/subscriptionController');
 const { protect } = require('../../middleware/auth');
 
@@ -21,7 +26,12 @@ router.use(protect);
 
 router.post('/purchase', purchaseSubscription);
 router.get('/my-subscription', getMySubscription);
+router.post('/priority-listing', buyPriorityListing);
+router.post('/cancel', cancelSubscription);
+router.post('/resume', reactivateSubscription);
+router.put('/change-plan', changeSubscriptionPlan);
 router.post('/credits/purchase', purchaseCredits);
 router.get('/credits/activity', getCreditActivity);
+router.get('/receipts/:transactionId.pdf', getPurchaseReceiptPdf);
 
 module.exports = router;
\ No newline at end of file
@@ -8,7 +8,7 @@ const {
   joinLiveChat,
   getSupportStatistics
 } = require('../../controllers/supportController');
-const { protect, authorize } = require('../../middleware/auth');
+const { protect, authorize, requirePermission } = require('../../middleware/auth');
 const { uploadMultiple } = require('../../config/multer');
 
 const router = express.Router();
@@ -28,6 +28,6 @@ router.post(
 router.post('/tickets/:id/join-live', joinLiveChat);
 
 // Admin only routes
-router.get('/statistics', authorize('admin'), getSupportStatistics);
+router.get('/statistics', authorize('admin'), requirePermission('support.view'), getSupportStatistics);
 
 module.exports = router;
\ No newline at end of file
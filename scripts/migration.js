@@ -0,0 +1,38 @@
+// scripts/migration.js
+// One-off data migrations. Run with `npm run migrate`; each step is safe to run again.
+const mongoose = require('mongoose');
+const { MONGODB_URI } = require('../config/env');
+const User = require('../models/User');
+
+const migrations = [
+  {
+    // Admins without a role used to get every permission. They now get none,
+    // so the admins that existed before roles keep their access explicitly.
+    name: 'Give admins created before roles the super_admin role',
+    run: async () => {
+      const result = await User.updateMany(
+        { role: 'admin', $or: [{ adminRole: { $exists: false } }, { adminRole: null }] },
+        { $set: { adminRole: 'super_admin' } }
+      );
+      return `${result.modifiedCount} admin(s) updated`;
+    }
+  }
+];
+
+const migrate = async () => {
+  await mongoose.connect(MONGODB_URI);
+
+  try {
+    for (const migration of migrations) {
+      const summary = await migration.run();
+      console.log(`✅ ${migration.name}: ${summary}`);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+migrate().catch((error) => {
+  console.error('❌ Migration failed:', error);
+  process.exit(1);
+});
@@ -2,6 +2,7 @@
 const Chat = require('../models/Chat');
 const Message = require('../models/Message');
 const User = require('../models/User');
+const { findRestriction, formatRestriction, restrictionMessage } = require('../utils/restrictions');
 
 const chatHandler = (io) => {
   io.on('connection', (socket) => {
@@ -49,6 +50,17 @@ const chatHandler = (io) => {
       try {
         const { chatId, content, messageType = 'text' } = data;
         console.log('send-message triggered with:', data);
+
+        // Restrictions can start after the socket connected, so check each time
+        const sender = await User.findById(socket.userId).select('restrictions');
+        const restriction = sender && findRestriction(sender, 'no_chatting');
+        if (restriction) {
+          socket.emit('error', {
+            message: restrictionMessage(restriction),
+            restriction: formatRestriction(restriction)
+          });
+          return;
+        }
         
         // Verify user is part of the chat
         const chat = await Chat.findById(chatId).populate('participants.user');
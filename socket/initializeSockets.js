@@ -2,6 +2,9 @@
 const { socketHandler } = require('./socketHandler');
 const chatHandler = require('./chatHandler');
 const { verifyToken } = require('../utils/generateToken');
+const { findActiveSession } = require('../utils/sessions');
+const { checkAccountAccess } = require('../utils/restrictions');
+const User = require('../models/User');
 const { notificationHandler } = require('./notificationHandler');
 const supportHandler = require('./supportHandler');
 
@@ -32,8 +35,34 @@ const initializeSocket = (io) => {
       }
 
       const decoded = verifyToken(token);
+      if (!decoded) {
+        return next(new Error('Authentication error: Invalid token'));
+      }
+
+      // Same checks as the REST API: a live session and an unblocked account
+      const session = await findActiveSession(decoded.sid, decoded.userId);
+      if (!session) {
+        return next(new Error('Authentication error: Session expired'));
+      }
+
+      const user = await User.findById(decoded.userId).select('isBlocked restrictions');
+      if (!user) {
+        return next(new Error('Authentication error: Account unavailable'));
+      }
+
+      const denied = await checkAccountAccess(user);
+      if (denied) {
+        const error = new Error(`Authentication error: ${denied.message}`);
+        error.data = { restriction: denied.restriction };
+        return next(error);
+      }
+
       socket.userId = decoded.userId;
       socket.userRole = decoded.role;
+      socket.sessionId = decoded.sid;
+      // socket.data is what fetchSockets() exposes, used to close revoked sessions
+      socket.data.userId = decoded.userId;
+      socket.data.sessionId = decoded.sid;
 
       console.log(`Socket authenticated: ${decoded.userId} (${decoded.role})`);
       next();
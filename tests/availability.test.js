@@ -0,0 +1,50 @@
+// tests/availability.test.js
+const { parseClock, zonedDate } = require('../utils/availability');
+
+describe('Provider availability', () => {
+  describe('parseClock', () => {
+    it('should read 24-hour times as minutes after midnight', () => {
+      expect(parseClock('09:00')).toBe(540);
+      expect(parseClock(' 17:45 ')).toBe(1065);
+      expect(parseClock('24:00')).toBe(1440);
+    });
+
+    it('should read 12-hour times', () => {
+      expect(parseClock('9am')).toBe(540);
+      expect(parseClock('5:30 PM')).toBe(1050);
+      expect(parseClock('12am')).toBe(0);
+      expect(parseClock('12pm')).toBe(720);
+    });
+
+    it('should reject anything that is not a time of day', () => {
+      expect(parseClock('9')).toBeNull();
+      expect(parseClock('13pm')).toBeNull();
+      expect(parseClock('24:30')).toBeNull();
+      expect(parseClock('10:75')).toBeNull();
+      expect(parseClock('noon')).toBeNull();
+      expect(parseClock(900)).toBeNull();
+    });
+  });
+
+  describe('zonedDate', () => {
+    it('should convert a wall-clock time in the zone to an instant', () => {
+      expect(zonedDate({ year: 2026, month: 1, day: 15 }, 540, 'America/Toronto').toISOString())
+        .toBe('2026-01-15T14:00:00.000Z');
+      expect(zonedDate({ year: 2026, month: 7, day: 1 }, 540, 'America/Vancouver').toISOString())
+        .toBe('2026-07-01T16:00:00.000Z');
+    });
+
+    it('should follow daylight saving changes', () => {
+      const toronto = (day, minutes) => zonedDate({ year: 2026, ...day }, minutes, 'America/Toronto').toISOString();
+
+      expect(toronto({ month: 3, day: 7 }, 540)).toBe('2026-03-07T14:00:00.000Z');
+      expect(toronto({ month: 3, day: 8 }, 540)).toBe('2026-03-08T13:00:00.000Z');
+      expect(toronto({ month: 11, day: 1 }, 540)).toBe('2026-11-01T14:00:00.000Z');
+    });
+
+    it('should treat UTC as no offset', () => {
+      expect(zonedDate({ year: 2026, month: 12, day: 31 }, 1439, 'UTC').toISOString())
+        .toBe('2026-12-31T23:59:00.000Z');
+    });
+  });
+});
@@ -0,0 +1,57 @@
+// tests/commission.test.js
+jest.mock('../utils/subscriptions', () => ({ findCurrentSubscription: jest.fn() }));
+
+const { pickCommissionRule, applyCommission } = require('../utils/commission');
+
+const rule = (scope, rate, name = `${scope} rule`) => ({ _id: `${scope}-${rate}`, scope, rate, name });
+
+describe('Commission rules', () => {
+  describe('pickCommissionRule', () => {
+    it('should use the default rate when no rule matches', () => {
+      expect(pickCommissionRule([], 10)).toEqual({ ratePercent: 10, source: 'default', rule: null });
+    });
+
+    it('should prefer provider over category over plan rules', () => {
+      const plan = rule('plan', 8);
+      const category = rule('category', 12);
+      const provider = rule('provider', 15);
+
+      expect(pickCommissionRule([plan, category, provider], 10).source).toBe('provider');
+      expect(pickCommissionRule([plan, category], 10).source).toBe('category');
+      expect(pickCommissionRule([plan], 10)).toEqual({ ratePercent: 8, source: 'plan', rule: plan });
+    });
+
+    it('should take the first rule of a scope, which is the newest', () => {
+      const newest = rule('category', 12, 'newest');
+      const older = rule('category', 6, 'older');
+
+      expect(pickCommissionRule([newest, older], 10).rule).toBe(newest);
+    });
+
+    it('should apply the cheapest promotion when it lowers the rate', () => {
+      const promotions = [rule('promotion', 7), rule('promotion', 5)];
+
+      expect(pickCommissionRule([rule('provider', 9), ...promotions], 10)).toMatchObject({
+        ratePercent: 5,
+        source: 'promotion'
+      });
+    });
+
+    it('should never let a promotion raise the rate', () => {
+      expect(pickCommissionRule([rule('category', 4), rule('promotion', 6)], 10)).toMatchObject({
+        ratePercent: 4,
+        source: 'category'
+      });
+    });
+  });
+
+  describe('applyCommission', () => {
+    it('should split the amount and round to cents', () => {
+      const split = applyCommission(99.99, { rate: 0.125, source: 'category', rule: 'r1', ruleName: 'Plumbing' });
+
+      expect(split.platformCommission).toBe(12.5);
+      expect(split.providerAmount).toBe(87.49);
+      expect(split.commission).toEqual({ rate: 0.125, source: 'category', rule: 'r1', ruleName: 'Plumbing' });
+    });
+  });
+});
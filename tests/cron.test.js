@@ -0,0 +1,79 @@
+// tests/cron.test.js
+const { parseCron, nextCronDate } = require('../utils/cron');
+
+const next = (expression, from) => nextCronDate(expression, new Date(from)).toISOString();
+
+describe('Cron schedules', () => {
+  describe('parseCron', () => {
+    it('should expand lists, ranges and steps', () => {
+      const cron = parseCron('*/15 9-11 1,15 * 1-5');
+
+      expect([...cron.minutes]).toEqual([0, 15, 30, 45]);
+      expect([...cron.hours]).toEqual([9, 10, 11]);
+      expect([...cron.days]).toEqual([1, 15]);
+      expect(cron.months.size).toBe(12);
+      expect([...cron.weekdays]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should run a start/step field to the end of its range', () => {
+      expect([...parseCron('5/20 * * * *').minutes]).toEqual([5, 25, 45]);
+    });
+
+    it('should treat 7 as Sunday', () => {
+      expect(parseCron('0 0 * * 7').weekdays.has(0)).toBe(true);
+    });
+
+    it('should reject malformed expressions with a 400', () => {
+      const reject = (expression, message) => {
+        let error;
+        try {
+          parseCron(expression);
+        } catch (err) {
+          error = err;
+        }
+        expect(error.message).toBe(message);
+        expect(error.statusCode).toBe(400);
+      };
+
+      reject('* * * *', 'A schedule needs five fields: minute hour day month weekday');
+      reject('60 * * * *', 'Invalid minute: 60');
+      reject('* 5-2 * * *', 'Invalid hour: 5-2');
+      reject('* * 0 * *', 'Invalid day of month: 0');
+      reject('*/0 * * * *', 'Invalid step in minute: */0');
+      reject('* * * jan *', 'Invalid month: jan');
+    });
+  });
+
+  describe('nextCronDate', () => {
+    it('should return the first matching minute strictly after the start', () => {
+      expect(next('*/15 * * * *', '2026-05-01T10:15:00Z')).toBe('2026-05-01T10:30:00.000Z');
+      expect(next('*/15 * * * *', '2026-05-01T10:14:59.999Z')).toBe('2026-05-01T10:15:00.000Z');
+    });
+
+    it('should roll over into the next day, month and year', () => {
+      expect(next('30 2 * * *', '2026-05-01T03:00:00Z')).toBe('2026-05-02T02:30:00.000Z');
+      expect(next('0 0 1 * *', '2026-05-15T00:00:00Z')).toBe('2026-06-01T00:00:00.000Z');
+      expect(next('0 12 25 12 *', '2026-12-25T12:00:00Z')).toBe('2027-12-25T12:00:00.000Z');
+    });
+
+    it('should match weekdays', () => {
+      // 2026-05-01 is a Friday
+      expect(next('0 9 * * 1', '2026-05-01T00:00:00Z')).toBe('2026-05-04T09:00:00.000Z');
+    });
+
+    it('should match either day field when both are restricted', () => {
+      // The 10th, or any Monday, whichever comes first
+      expect(next('0 0 10 * 1', '2026-05-01T00:00:00Z')).toBe('2026-05-04T00:00:00.000Z');
+      expect(next('0 0 10 * 1', '2026-05-08T00:00:00Z')).toBe('2026-05-10T00:00:00.000Z');
+    });
+
+    it('should find leap days', () => {
+      expect(next('0 0 29 2 *', '2026-03-01T00:00:00Z')).toBe('2028-02-29T00:00:00.000Z');
+    });
+
+    it('should reject schedules that never run', () => {
+      expect(() => nextCronDate('0 0 31 2 *', new Date('2026-01-01T00:00:00Z')))
+        .toThrow('Schedule "0 0 31 2 *" never runs');
+    });
+  });
+});
@@ -0,0 +1,62 @@
+// tests/currency.test.js
+const { normalizeCurrency, currencyForCountry, currencyForJob } = require('../utils/currency');
+const { createStaticProvider, setExchangeRateProvider, convertAmount } = require('../utils/exchangeRates');
+
+describe('Currencies', () => {
+  describe('normalizeCurrency', () => {
+    it('should accept supported codes in any case', () => {
+      expect(normalizeCurrency(' usd ')).toBe('USD');
+      expect(normalizeCurrency('CAD')).toBe('CAD');
+    });
+
+    it('should drop unsupported codes', () => {
+      expect(normalizeCurrency('EUR')).toBeUndefined();
+      expect(normalizeCurrency(undefined)).toBeUndefined();
+    });
+  });
+
+  describe('currencyForJob', () => {
+    it('should prefer the currency the client asked for', () => {
+      expect(currencyForJob('usd', { location: { country: 'Canada' } })).toBe('USD');
+    });
+
+    it('should fall back to the client country, then the job country', () => {
+      expect(currencyForJob(undefined, { location: { country: 'US' } })).toBe('USD');
+      expect(currencyForJob('EUR', {}, { details: { country: 'United States' } })).toBe('USD');
+    });
+
+    it('should price jobs from unknown countries in the default currency', () => {
+      expect(currencyForCountry('France')).toBe('CAD');
+      expect(currencyForJob(undefined, null, null)).toBe('CAD');
+    });
+  });
+
+  describe('convertAmount', () => {
+    beforeEach(() => {
+      setExchangeRateProvider(createStaticProvider({ USD_CAD: 1.37 }));
+    });
+
+    it('should convert with the quoted rate', async () => {
+      await expect(convertAmount(100, 'USD', 'CAD')).resolves.toBe(137);
+    });
+
+    it('should convert the other way with the inverse rate, rounded to the cent', async () => {
+      await expect(convertAmount(100, 'CAD', 'USD')).resolves.toBe(72.99);
+    });
+
+    it('should leave amounts in the same currency unchanged', async () => {
+      await expect(convertAmount(12.5, 'CAD', 'CAD')).resolves.toBe(12.5);
+    });
+
+    it('should refuse unsupported currencies', async () => {
+      await expect(convertAmount(100, 'EUR', 'CAD')).rejects.toThrow('Unsupported currency pair EUR/CAD');
+    });
+
+    it('should use the new provider once it is swapped in', async () => {
+      await convertAmount(100, 'USD', 'CAD');
+      setExchangeRateProvider(createStaticProvider({ USD_CAD: 1.4 }));
+
+      await expect(convertAmount(100, 'USD', 'CAD')).resolves.toBe(140);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+// tests/disputes.test.js
+jest.mock('../config/stripe', () => ({ stripe: { refunds: { create: jest.fn() } } }));
+jest.mock('../utils/ledger', () => ({ postRefund: jest.fn() }));
+jest.mock('../utils/invoiceUtils', () => ({ createCreditNote: jest.fn() }));
+jest.mock('../utils/paymentRelease', () => ({ releaseTransactionFunds: jest.fn() }));
+jest.mock('../socket/notificationHandler', () => ({ sendNotification: jest.fn() }));
+
+const Transaction = require('../models/Transaction');
+const Dispute = require('../models/Dispute');
+const Invoice = require('../models/Invoice');
+const Quote = require('../models/Quote');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { stripe } = require('../config/stripe');
+const { postRefund } = require('../utils/ledger');
+const { releaseTransactionFunds } = require('../utils/paymentRelease');
+const { openDispute, resolveDispute } = require('../utils/disputes');
+const { memoryStore } = require('./memoryStore');
+
+const CLIENT_ID = '64b000000000000000000003';
+const PROVIDER_ID = '64b000000000000000000002';
+const ADMIN_ID = '64b000000000000000000009';
+
+const escrowedTransaction = {
+  _id: '64b000000000000000000001',
+  user: CLIENT_ID,
+  amount: 100,
+  platformCommission: 10,
+  providerAmount: 90,
+  currency: 'CAD',
+  paymentMethod: 'card',
+  stripePaymentIntentId: 'pi_123',
+  status: 'completed',
+  escrow: { status: 'awaiting_approval', autoApproveAt: '2026-06-04T12:00:00.000Z' },
+  refundedAmount: 0,
+  refunds: []
+};
+
+// A copy of the stored transaction with quote and job populated
+const load = (store) => {
+  const transaction = store.hydrate();
+  transaction.quote = new Quote({ provider: PROVIDER_ID });
+  transaction.job = new Job({ title: 'Fix sink' });
+  return transaction;
+};
+
+const openedDispute = () => ({
+  transaction: escrowedTransaction._id,
+  status: 'under_review',
+  escrowStatusBefore: 'awaiting_approval',
+  timeline: [],
+  save: jest.fn()
+});
+
+describe('Disputes', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store = memoryStore(Transaction, escrowedTransaction);
+    jest.spyOn(Transaction, 'findById').mockReturnValue({ populate: async () => load(store) });
+    jest.spyOn(Dispute, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Dispute, 'create').mockImplementation(async (fields) => fields);
+    jest.spyOn(Invoice, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Job, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(null);
+    stripe.refunds.create.mockResolvedValue({ id: 're_123' });
+    postRefund.mockResolvedValue({ lines: [] });
+    releaseTransactionFunds.mockImplementation(async (transaction) => ({ amount: transaction.providerAmount, providerId: PROVIDER_ID }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('openDispute', () => {
+    it('should freeze the escrow and stop the approval clock', async () => {
+      const dispute = await openDispute(load(store), { openedBy: CLIENT_ID, source: 'client', reason: 'Leak is back' });
+
+      expect(store.doc.status).toBe('disputed');
+      expect(store.doc.escrow.status).toBe('disputed');
+      expect(store.doc.escrow.autoApproveAt).toBeUndefined();
+      expect(dispute).toMatchObject({ amount: 100, escrowStatusBefore: 'awaiting_approval', source: 'client' });
+    });
+
+    it('should refuse a second dispute while one is open', async () => {
+      Dispute.findOne.mockResolvedValue({ _id: 'dispute1' });
+
+      await expect(openDispute(load(store), { openedBy: CLIENT_ID, source: 'client', reason: 'Again' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(store.doc.status).toBe('completed');
+    });
+  });
+
+  describe('resolveDispute', () => {
+    beforeEach(async () => {
+      await openDispute(load(store), { openedBy: CLIENT_ID, source: 'client', reason: 'Leak is back' });
+    });
+
+    it('should refund the whole payment and release nothing', async () => {
+      const dispute = openedDispute();
+
+      await resolveDispute(dispute, { outcome: 'full_refund', decidedBy: ADMIN_ID });
+
+      expect(stripe.refunds.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 10000 }), expect.anything());
+      expect(releaseTransactionFunds).not.toHaveBeenCalled();
+      expect(store.doc).toMatchObject({ status: 'refunded', refundedAmount: 100, providerAmount: 0, escrow: { status: 'refunded' } });
+      expect(dispute.ruling).toMatchObject({ outcome: 'full_refund', refundAmount: 100, providerAmount: 0 });
+      expect(dispute.status).toBe('resolved');
+    });
+
+    it('should refund part and release the rest to the provider', async () => {
+      const dispute = openedDispute();
+
+      await resolveDispute(dispute, { outcome: 'partial_refund', refundAmount: 40, decidedBy: ADMIN_ID });
+
+      expect(store.doc).toMatchObject({ status: 'partially_refunded', refundedAmount: 40, providerAmount: 54 });
+      expect(releaseTransactionFunds).toHaveBeenCalledTimes(1);
+      expect(store.doc.escrow.status).toBe('released');
+      expect(dispute.ruling).toMatchObject({ refundAmount: 40, providerAmount: 54 });
+    });
+
+    it('should release the payment when the provider wins', async () => {
+      const dispute = openedDispute();
+
+      await resolveDispute(dispute, { outcome: 'release_to_provider', decidedBy: ADMIN_ID });
+
+      expect(stripe.refunds.create).not.toHaveBeenCalled();
+      expect(releaseTransactionFunds).toHaveBeenCalledTimes(1);
+      expect(store.doc).toMatchObject({ status: 'completed', escrow: { status: 'released' } });
+      expect(dispute.ruling).toMatchObject({ refundAmount: 0, providerAmount: 90 });
+    });
+
+    it('should refuse a partial refund of everything that is left', async () => {
+      await expect(resolveDispute(openedDispute(), { outcome: 'partial_refund', refundAmount: 100, decidedBy: ADMIN_ID }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(store.doc.status).toBe('disputed');
+    });
+
+    it('should not rule twice on the same dispute', async () => {
+      const dispute = { ...openedDispute(), status: 'resolved' };
+
+      await expect(resolveDispute(dispute, { outcome: 'full_refund', decidedBy: ADMIN_ID })).rejects.toMatchObject({ statusCode: 400 });
+      expect(stripe.refunds.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,129 @@
+// tests/escrow.test.js
+jest.mock('../config/stripe', () => ({ stripe: {} }));
+jest.mock('../utils/paymentRelease', () => ({ releaseTransactionFunds: jest.fn() }));
+jest.mock('../utils/disputes', () => ({ openDispute: jest.fn() }));
+jest.mock('../socket/notificationHandler', () => ({ sendNotification: jest.fn(), sendAdminNotification: jest.fn() }));
+
+const Transaction = require('../models/Transaction');
+const Quote = require('../models/Quote');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { releaseTransactionFunds } = require('../utils/paymentRelease');
+const { releaseEscrow } = require('../utils/escrow');
+const { requestEscrowChanges } = require('../controllers/escrowController');
+const { memoryStore } = require('./memoryStore');
+
+const CLIENT_ID = '64b000000000000000000003';
+const PROVIDER_ID = '64b000000000000000000002';
+
+const escrowedTransaction = {
+  _id: '64b000000000000000000001',
+  user: CLIENT_ID,
+  amount: 100,
+  platformCommission: 10,
+  providerAmount: 90,
+  status: 'completed',
+  escrow: { status: 'awaiting_approval', autoApproveAt: '2026-06-04T12:00:00.000Z', changeRequests: [] }
+};
+
+// A copy of the stored transaction with quote and job populated
+const load = (store) => {
+  const transaction = store.hydrate();
+  transaction.quote = new Quote({ provider: PROVIDER_ID });
+  transaction.job = new Job({ title: 'Fix sink' });
+  return transaction;
+};
+
+const mockResponse = () => {
+  const res = { status: jest.fn(), json: jest.fn() };
+  res.status.mockReturnValue(res);
+  return res;
+};
+
+describe('Escrow', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store = memoryStore(Transaction, escrowedTransaction);
+    jest.spyOn(Job, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('requestEscrowChanges', () => {
+    const request = () => ({
+      params: { transactionId: escrowedTransaction._id },
+      body: { reason: ' Grout is missing ' },
+      user: { _id: CLIENT_ID, fullName: 'Client' },
+      app: { get: () => null }
+    });
+
+    it('should stop the approval clock and record the requested changes', async () => {
+      jest.spyOn(Transaction, 'findById').mockReturnValue({ populate: async () => load(store) });
+      const res = mockResponse();
+
+      await requestEscrowChanges(request(), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(store.doc.escrow.status).toBe('changes_requested');
+      expect(store.doc.escrow.autoApproveAt).toBeUndefined();
+      expect(store.doc.escrow.changeRequests).toEqual([expect.objectContaining({ reason: 'Grout is missing' })]);
+      expect(Job.findByIdAndUpdate).toHaveBeenCalledWith(expect.anything(), { status: 'in_progress' });
+    });
+
+    it('should answer 409 when the escrow was released after it was loaded', async () => {
+      jest.spyOn(Transaction, 'findById').mockReturnValue({
+        populate: async () => {
+          const transaction = load(store);
+          // The auto-approval releases it in the meantime
+          store.doc.escrow.status = 'released';
+          return transaction;
+        }
+      });
+      const res = mockResponse();
+
+      await requestEscrowChanges(request(), res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(store.doc.escrow).toMatchObject({ status: 'released', changeRequests: [] });
+      expect(Job.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseEscrow', () => {
+    beforeEach(() => {
+      releaseTransactionFunds.mockResolvedValue({ amount: 90, providerId: PROVIDER_ID });
+    });
+
+    it('should release the funds once when the client approves as the deadline passes', async () => {
+      const results = await Promise.allSettled([
+        releaseEscrow(load(store), { notes: 'escrow-approved-by-client', from: ['awaiting_approval'] }),
+        releaseEscrow(load(store), { notes: 'escrow-auto-approved', autoApproved: true, from: ['awaiting_approval'] })
+      ]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find(result => result.status === 'rejected').reason.statusCode).toBe(409);
+      expect(releaseTransactionFunds).toHaveBeenCalledTimes(1);
+      expect(store.doc.escrow.status).toBe('released');
+    });
+
+    it('should hand the escrow back when releasing the funds fails', async () => {
+      releaseTransactionFunds.mockRejectedValue(new Error('Ledger unavailable'));
+
+      await expect(releaseEscrow(load(store), { from: ['awaiting_approval'] })).rejects.toThrow('Ledger unavailable');
+
+      expect(store.doc.escrow.status).toBe('awaiting_approval');
+    });
+
+    it('should not release funds frozen by a dispute', async () => {
+      store.doc.escrow.status = 'disputed';
+
+      await expect(releaseEscrow(load(store))).rejects.toMatchObject({ statusCode: 409 });
+      expect(releaseTransactionFunds).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,78 @@
+// tests/icalendar.test.js
+const { buildCalendar } = require('../utils/icalendar');
+
+const now = new Date('2026-05-01T12:00:00Z');
+
+describe('Calendar feeds', () => {
+  describe('buildCalendar', () => {
+    it('should write an empty calendar with CRLF line endings', () => {
+      const ics = buildCalendar({ name: 'My jobs', now });
+
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(ics).toContain('X-WR-CALNAME:My jobs\r\n');
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(ics).not.toContain('BEGIN:VEVENT');
+    });
+
+    it('should write timed events in UTC', () => {
+      const ics = buildCalendar({
+        name: 'My jobs',
+        now,
+        events: [{
+          uid: 'job-1@homequoteconnect',
+          summary: 'Fix sink',
+          start: new Date('2026-05-04T13:00:00Z'),
+          end: new Date('2026-05-04T14:30:00Z'),
+          updatedAt: new Date('2026-05-02T08:00:00Z')
+        }]
+      });
+
+      expect(ics).toContain('UID:job-1@homequoteconnect\r\n');
+      expect(ics).toContain('DTSTAMP:20260501T120000Z\r\n');
+      expect(ics).toContain('DTSTART:20260504T130000Z\r\nDTEND:20260504T143000Z\r\n');
+      expect(ics).toContain('STATUS:CONFIRMED\r\n');
+      expect(ics).toContain('LAST-MODIFIED:20260502T080000Z\r\n');
+      expect(ics).toContain(`SEQUENCE:${Date.parse('2026-05-02T08:00:00Z') / 1000}\r\n`);
+    });
+
+    it('should write all-day events ending the next day', () => {
+      const ics = buildCalendar({
+        name: 'My jobs',
+        now,
+        events: [{ uid: 'job-2', summary: 'Paint fence', date: '2026-12-31', status: 'CANCELLED' }]
+      });
+
+      expect(ics).toContain('DTSTART;VALUE=DATE:20261231\r\nDTEND;VALUE=DATE:20270101\r\n');
+      expect(ics).toContain('STATUS:CANCELLED\r\n');
+    });
+
+    it('should escape text values', () => {
+      const ics = buildCalendar({
+        name: 'Jobs; mine',
+        now,
+        events: [{ uid: 'job-3', summary: 'Tiles, grout', description: 'Line one\nC:\\path', date: '2026-06-01' }]
+      });
+
+      expect(ics).toContain('X-WR-CALNAME:Jobs\\; mine\r\n');
+      expect(ics).toContain('SUMMARY:Tiles\\, grout\r\n');
+      expect(ics).toContain('DESCRIPTION:Line one\\nC:\\\\path\r\n');
+    });
+
+    it('should fold lines longer than 75 octets', () => {
+      const ics = buildCalendar({
+        name: 'My jobs',
+        now,
+        events: [{ uid: 'job-4', summary: 'é'.repeat(100), date: '2026-06-01' }]
+      });
+
+      const lines = ics.split('\r\n');
+      const start = lines.findIndex(line => line.startsWith('SUMMARY:'));
+      const folded = [lines[start]];
+      for (let i = start + 1; lines[i].startsWith(' '); i++) folded.push(lines[i]);
+
+      expect(folded.length).toBeGreaterThan(1);
+      folded.forEach(line => expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75));
+      expect(folded.map((line, i) => (i ? line.slice(1) : line)).join('')).toBe(`SUMMARY:${'é'.repeat(100)}`);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+// tests/jobExpiry.test.js
+jest.mock('../utils/credits', () => ({ QUOTE_CREDIT_COST: 5, refundCredits: jest.fn() }));
+jest.mock('../socket/notificationHandler', () => ({ sendNotification: jest.fn() }));
+
+const Job = require('../models/Job');
+const Quote = require('../models/Quote');
+const { refundCredits } = require('../utils/credits');
+const { processJobExpiry } = require('../utils/jobExpiry');
+
+const now = new Date('2026-06-01T12:00:00Z');
+
+// One due job with a single open quote; `paid` is the root quote as claimed
+// for its refund, or null when it was refunded before
+const expireJobWithQuote = async (job, paid) => {
+  jest.spyOn(Job, 'find').mockImplementation((filter) => (filter.expiryReminderSentAt
+    ? Promise.resolve([])
+    : { select: async () => [{ _id: 'job1' }] }));
+  jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValue({ _id: 'job1', title: 'Fix sink', status: 'expired', ...job });
+  jest.spyOn(Quote, 'find').mockResolvedValue([{ _id: 'quote1', provider: 'provider1', status: 'pending', save: jest.fn() }]);
+  jest.spyOn(Quote, 'findOneAndUpdate').mockResolvedValue(paid && { _id: 'quote1', ...paid });
+
+  const { expired } = await processJobExpiry(null, { now });
+  return expired[0];
+};
+
+describe('Job expiry', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should refund the credits a quote was paid with', async () => {
+    await expireJobWithQuote({ isDirectBooking: false }, { creditsSpent: 5 });
+
+    expect(refundCredits).toHaveBeenCalledWith('provider1', 5, expect.objectContaining({ jobId: 'job1' }));
+  });
+
+  it('should refund nothing for quotes covered by the plan', async () => {
+    await expireJobWithQuote({ isDirectBooking: false }, { creditsSpent: 0 });
+
+    expect(refundCredits).not.toHaveBeenCalled();
+  });
+
+  it('should refund nothing when a direct-booked job expires', async () => {
+    const result = await expireJobWithQuote({ isDirectBooking: true }, { creditsSpent: 0 });
+
+    expect(refundCredits).not.toHaveBeenCalled();
+    expect(result).toEqual({ job: 'job1', quotes: 1 });
+  });
+
+  it('should refund nothing for direct-booking quotes saved without creditsSpent', async () => {
+    await expireJobWithQuote({ isDirectBooking: true }, {});
+
+    expect(refundCredits).not.toHaveBeenCalled();
+  });
+
+  it('should refund the flat cost for older paid quotes saved without creditsSpent', async () => {
+    await expireJobWithQuote({ isDirectBooking: false }, {});
+
+    expect(refundCredits).toHaveBeenCalledWith('provider1', 5, expect.anything());
+  });
+
+  it('should refund nothing when the negotiation was already refunded', async () => {
+    await expireJobWithQuote({ isDirectBooking: false }, null);
+
+    expect(refundCredits).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,97 @@
+// tests/ledger.test.js
+const LedgerEntry = require('../models/LedgerEntry');
+const Wallet = require('../models/Wallet');
+const { postRefund, postWithdrawal } = require('../utils/ledger');
+
+const PROVIDER_ID = '64b000000000000000000002';
+
+const releasedTransaction = { _id: '64b000000000000000000001', currency: 'CAD' };
+
+const refund = {
+  amount: 50,
+  platformCommission: 5,
+  providerAmount: 45,
+  walletSource: 'available',
+  providerId: PROVIDER_ID,
+  reference: 're_123'
+};
+
+const accountsOf = (entry) => entry.lines.filter(line => line.debit).map(line => line.account);
+
+describe('Ledger', () => {
+  beforeEach(() => {
+    jest.spyOn(LedgerEntry, 'create').mockImplementation(async (fields) => fields);
+    jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('postRefund', () => {
+    it('should take a released share back from the available balance when it covers it', async () => {
+      jest.spyOn(Wallet, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const entry = await postRefund(releasedTransaction, refund);
+
+      expect(Wallet.updateOne).toHaveBeenCalledWith(
+        { user: PROVIDER_ID, 'balances.CAD.availableBalance': { $gte: 45 } },
+        { $inc: { 'balances.CAD.availableBalance': -45, 'balances.CAD.totalEarned': -45 } }
+      );
+      expect(accountsOf(entry)).toContain('provider_payable_available');
+      // Applied by the guarded update already
+      expect(Wallet.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should book the share as owed by the provider once it was paid out', async () => {
+      jest.spyOn(Wallet, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      const entry = await postRefund(releasedTransaction, refund);
+
+      expect(accountsOf(entry)).toContain('provider_receivable');
+      expect(accountsOf(entry)).not.toContain('provider_payable_available');
+      // Only lifetime earnings move; the balance the provider withdrew is left alone
+      expect(Wallet.findOneAndUpdate).toHaveBeenCalledWith(
+        { user: PROVIDER_ID },
+        { $inc: { 'balances.CAD.totalEarned': -45 } },
+        expect.anything()
+      );
+    });
+
+    it('should put the wallet back when the entry cannot be recorded', async () => {
+      jest.spyOn(Wallet, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      LedgerEntry.create.mockRejectedValue(new Error('Write failed'));
+
+      await expect(postRefund(releasedTransaction, refund)).rejects.toThrow('Write failed');
+
+      expect(Wallet.updateOne).toHaveBeenLastCalledWith(
+        { user: PROVIDER_ID },
+        { $inc: { 'balances.CAD.availableBalance': 45, 'balances.CAD.totalEarned': 45 } }
+      );
+    });
+  });
+
+  describe('postWithdrawal', () => {
+    it('should debit the available balance in the same update that checks it', async () => {
+      jest.spyOn(Wallet, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await postWithdrawal(PROVIDER_ID, 80, { currency: 'CAD' });
+
+      expect(Wallet.updateOne).toHaveBeenCalledWith(
+        { user: PROVIDER_ID, 'balances.CAD.availableBalance': { $gte: 80 } },
+        { $inc: { 'balances.CAD.availableBalance': -80, 'balances.CAD.withdrawnBalance': 80 } }
+      );
+      expect(LedgerEntry.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse a withdrawal the balance no longer covers', async () => {
+      jest.spyOn(Wallet, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(postWithdrawal(PROVIDER_ID, 80, { currency: 'CAD' })).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Insufficient available CAD balance'
+      });
+      expect(LedgerEntry.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,118 @@
+// tests/memoryStore.js
+// Stands in for MongoDB in unit tests: keeps one document of a model in memory
+// and applies the conditional updates the code under test sends, so races
+// between two callers can be tested without a database.
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (target[key] === undefined) target[key] = {};
+    return target[key];
+  }, object);
+  if (value === undefined) delete parent[last];
+  else parent[last] = value;
+};
+
+const sameId = (a, b) => String(a) === String(b);
+
+// ObjectIds become strings and Dates ISO strings; the model casts them back
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Array element a positional ($) update refers to
+const matchedElement = (doc, filter) => {
+  for (const [key, condition] of Object.entries(filter)) {
+    if (condition?.$elemMatch) {
+      return { path: key, element: (doc[key] || []).find(item => elementMatches(item, condition.$elemMatch)) };
+    }
+    if (key.endsWith('._id')) {
+      const path = key.slice(0, -4);
+      return { path, element: (doc[path] || []).find(item => sameId(item._id, condition)) };
+    }
+  }
+  return {};
+};
+
+const elementMatches = (item, criteria) => {
+  if (criteria === null || typeof criteria !== 'object') return item === criteria;
+  return Object.entries(criteria).every(([key, value]) => (key === '_id' ? sameId(item._id, value) : item[key] === value));
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(option => matches(doc, option));
+  if (key === '_id') return sameId(doc._id, condition);
+  if (condition?.$elemMatch) return (doc[key] || []).some(item => elementMatches(item, condition.$elemMatch));
+  if (key.endsWith('._id') && Array.isArray(doc[key.slice(0, -4)])) return !!matchedElement(doc, { [key]: condition }).element;
+
+  const value = getPath(doc, key);
+  if (condition && typeof condition === 'object' && !Array.isArray(condition) && !condition._bsontype) {
+    if ('$exists' in condition && (value !== undefined) !== condition.$exists) return false;
+    if ('$ne' in condition && value === condition.$ne) return false;
+    if ('$in' in condition && !condition.$in.includes(value)) return false;
+    if ('$gte' in condition && !(value >= condition.$gte)) return false;
+    if ('$lt' in condition && !(value < condition.$lt)) return false;
+    return true;
+  }
+  // null matches missing fields too; a plain value matches arrays containing it
+  if (condition === null) return value === undefined || value === null;
+  if (Array.isArray(value)) return value.some(item => sameId(item, condition));
+  return sameId(value, condition);
+});
+
+const apply = (doc, filter, update) => {
+  const { element } = matchedElement(doc, filter);
+  const target = (path) => (path.includes('.$.') ? [element, path.split('.$.')[1]] : [doc, path]);
+
+  const { $inc = {}, $set = {}, $unset = {}, $push = {}, $pull = {}, ...fields } = update;
+  Object.entries($inc).forEach(([path, value]) => setPath(doc, path, (getPath(doc, path) || 0) + value));
+  Object.entries({ ...fields, ...$set }).forEach(([path, value]) => setPath(...target(path), value));
+  Object.keys($unset).forEach(path => setPath(...target(path), undefined));
+  Object.entries($push).forEach(([path, value]) => setPath(doc, path, [...(getPath(doc, path) || []), clone(value)]));
+  Object.entries($pull).forEach(([path, criteria]) => {
+    setPath(doc, path, (getPath(doc, path) || []).filter(item => !elementMatches(item, criteria)));
+  });
+};
+
+// Replace the model's query statics with ones backed by a single document.
+// Call jest.restoreAllMocks() afterwards. `doc` is the stored plain object and
+// `hydrate()` loads it as a model document.
+const memoryStore = (Model, initial) => {
+  const doc = clone(initial);
+  const hydrate = () => Model.hydrate(clone(doc));
+  const query = (result) => Object.assign(Promise.resolve(result), {
+    populate: async () => result,
+    select: () => query(result)
+  });
+
+  jest.spyOn(Model, 'findById').mockImplementation(() => query(hydrate()));
+  jest.spyOn(Model, 'findOne').mockImplementation((filter) => query(matches(doc, filter) ? hydrate() : null));
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation((filter, update, options = {}) => {
+    if (!matches(doc, filter)) return query(null);
+    const before = hydrate();
+    apply(doc, filter, update);
+    return query(options.new ? hydrate() : before);
+  });
+  jest.spyOn(Model, 'updateOne').mockImplementation(async (filter, update) => {
+    if (!matches(doc, filter)) return { matchedCount: 0, modifiedCount: 0 };
+    apply(doc, filter, update);
+    return { matchedCount: 1, modifiedCount: 1 };
+  });
+  // save() inserts a new document, or writes only the paths changed on a loaded one
+  jest.spyOn(Model.prototype, 'save').mockImplementation(async function save() {
+    if (this.isNew) {
+      Object.assign(doc, clone(this.toObject()));
+      this.isNew = false;
+    } else {
+      this.directModifiedPaths().forEach(path => setPath(doc, path, clone(this.get(path))));
+    }
+    return this;
+  });
+
+  return { doc, hydrate };
+};
+
+module.exports = {
+  memoryStore
+};
@@ -0,0 +1,152 @@
+// tests/paymentRelease.test.js
+jest.mock('../config/stripe', () => ({ transferToProvider: jest.fn() }));
+jest.mock('../utils/ledger', () => ({ postRelease: jest.fn(), postWithdrawal: jest.fn() }));
+
+const Transaction = require('../models/Transaction');
+const Wallet = require('../models/Wallet');
+const Milestone = require('../models/Milestone');
+const Quote = require('../models/Quote');
+const Job = require('../models/Job');
+const { transferToProvider } = require('../config/stripe');
+const { postRelease, postWithdrawal } = require('../utils/ledger');
+const { releaseTransactionFunds, releaseDuePayments } = require('../utils/paymentRelease');
+const { memoryStore } = require('./memoryStore');
+
+const PROVIDER_ID = '64b000000000000000000002';
+const MILESTONE_ID = '64b000000000000000000005';
+const JOB_ID = '64b000000000000000000006';
+
+const milestonePayment = {
+  _id: '64b000000000000000000001',
+  user: '64b000000000000000000003',
+  job: JOB_ID,
+  milestone: MILESTONE_ID,
+  amount: 500,
+  platformCommission: 50,
+  providerAmount: 450,
+  currency: 'USD',
+  paymentMethod: 'card',
+  status: 'completed',
+  pendingReleaseAt: '2026-06-01T00:00:00.000Z',
+  escrow: { status: 'none' }
+};
+
+// A copy of the stored transaction with quote and job populated
+const load = (store) => {
+  const transaction = store.hydrate();
+  transaction.quote = new Quote({ provider: PROVIDER_ID });
+  transaction.job = new Job({ _id: JOB_ID, title: 'Kitchen remodel' });
+  return transaction;
+};
+
+const walletWith = (balances, account = {}) => Wallet.hydrate({ _id: '64b000000000000000000007', user: PROVIDER_ID, balances, ...account });
+
+describe('Payment release', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store = memoryStore(Transaction, milestonePayment);
+    jest.spyOn(Wallet, 'findOne').mockResolvedValue(walletWith({ USD: { pendingBalance: 450 } }));
+    jest.spyOn(Wallet, 'findById').mockResolvedValue(null);
+    jest.spyOn(Milestone, 'findByIdAndUpdate').mockResolvedValue({ _id: MILESTONE_ID, job: JOB_ID });
+    jest.spyOn(Milestone, 'syncJobCompletion').mockResolvedValue(null);
+    postRelease.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('releaseTransactionFunds', () => {
+    it('should release a milestone payment and mark the milestone released', async () => {
+      const { amount } = await releaseTransactionFunds(load(store), { notes: 'milestone-approved' });
+
+      expect(amount).toBe(450);
+      expect(store.doc.releasedAt).toBeDefined();
+      expect(postRelease).toHaveBeenCalledWith(expect.anything(), expect.anything(), 450, expect.objectContaining({ memo: 'milestone-approved' }));
+      expect(Milestone.findByIdAndUpdate).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ status: 'released' }),
+        { new: true }
+      );
+      expect(Milestone.syncJobCompletion).toHaveBeenCalledWith(JOB_ID);
+    });
+
+    it('should check the pending balance in the payment currency', async () => {
+      Wallet.findOne.mockResolvedValue(walletWith({ CAD: { pendingBalance: 1000 }, USD: { pendingBalance: 100 } }));
+
+      await expect(releaseTransactionFunds(load(store))).rejects.toMatchObject({ statusCode: 400, message: 'Insufficient pending balance' });
+      expect(postRelease).not.toHaveBeenCalled();
+    });
+
+    it('should release once when two releases race', async () => {
+      const results = await Promise.allSettled([
+        releaseTransactionFunds(load(store)),
+        releaseTransactionFunds(load(store))
+      ]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find(result => result.status === 'rejected').reason.statusCode).toBe(409);
+      expect(postRelease).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not release a payment disputed after it was loaded', async () => {
+      const transaction = load(store);
+      store.doc.escrow.status = 'disputed';
+
+      await expect(releaseTransactionFunds(transaction)).rejects.toMatchObject({ statusCode: 409 });
+      expect(postRelease).not.toHaveBeenCalled();
+    });
+
+    it('should undo the claim when the ledger post fails', async () => {
+      postRelease.mockRejectedValue(new Error('Ledger unavailable'));
+
+      await expect(releaseTransactionFunds(load(store))).rejects.toThrow('Ledger unavailable');
+
+      expect(store.doc.releasedAt).toBeUndefined();
+      expect(Milestone.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseDuePayments', () => {
+    const now = new Date('2026-06-02T00:00:00Z');
+
+    beforeEach(() => {
+      jest.spyOn(Transaction, 'find').mockReturnValue({ populate: async () => [load(store)] });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('should pay verified providers out in the payment currency', async () => {
+      Wallet.findOne.mockResolvedValue(walletWith({}, { stripeAccountId: 'acct_123', stripeAccountStatus: 'verified' }));
+      transferToProvider.mockResolvedValue({ id: 'tr_123' });
+
+      const [result] = await releaseDuePayments({ now });
+
+      expect(result.status).toBe('released');
+      expect(transferToProvider).toHaveBeenCalledWith(450, 'acct_123', expect.anything(), 'USD');
+      expect(store.doc.stripeTransferId).toBe('tr_123');
+      expect(postWithdrawal).toHaveBeenCalledWith(expect.anything(), 450, expect.objectContaining({ currency: 'USD', reference: 'tr_123' }));
+    });
+
+    it('should leave the payment to retry when the transfer fails', async () => {
+      Wallet.findOne.mockResolvedValue(walletWith({}, { stripeAccountId: 'acct_123', stripeAccountStatus: 'verified' }));
+      transferToProvider.mockRejectedValue(new Error('Transfer declined'));
+
+      const [result] = await releaseDuePayments({ now });
+
+      expect(result).toMatchObject({ status: 'failed', error: 'Transfer declined' });
+      expect(store.doc.releasedAt).toBeUndefined();
+      expect(postRelease).not.toHaveBeenCalled();
+    });
+
+    it('should skip payments released since the batch was loaded', async () => {
+      store.doc.releasedAt = new Date().toISOString();
+
+      const [result] = await releaseDuePayments({ now });
+
+      expect(result.status).toBe('skipped');
+      expect(postRelease).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,80 @@
+// tests/paymentWebhook.test.js
+jest.mock('../config/stripe', () => ({ stripe: {} }));
+jest.mock('../utils/ledger', () => ({ postPayment: jest.fn() }));
+jest.mock('../utils/escrow', () => ({ holdInEscrow: jest.fn() }));
+jest.mock('../utils/paymentDocuments', () => ({ emailInvoice: jest.fn() }));
+jest.mock('../socket/notificationHandler', () => ({ sendNotification: jest.fn() }));
+
+const Transaction = require('../models/Transaction');
+const Job = require('../models/Job');
+const { postPayment } = require('../utils/ledger');
+const { holdInEscrow } = require('../utils/escrow');
+const { handlePaymentIntentSucceeded } = require('../controllers/paymentController');
+
+const paymentIntent = {
+  id: 'pi_123',
+  latest_charge: 'ch_123',
+  metadata: { jobId: 'job1', clientId: 'client1', providerId: 'provider1' }
+};
+
+// One stored transaction; updateOne applies the status filter the way MongoDB would
+const storeTransaction = (status) => {
+  const stored = { _id: 'tx1', status, amount: 100, providerAmount: 90, escrow: {} };
+
+  jest.spyOn(Transaction, 'findOne').mockImplementation(() => ({
+    populate: async () => ({ ...stored, escrow: {}, save: jest.fn() })
+  }));
+  jest.spyOn(Transaction, 'updateOne').mockImplementation(async (filter, update) => {
+    if (!filter.status.$in.includes(stored.status)) return { modifiedCount: 0 };
+    Object.assign(stored, update);
+    return { modifiedCount: 1 };
+  });
+
+  return stored;
+};
+
+describe('Job payment webhook', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(Job, 'findById').mockResolvedValue({ _id: 'job1', status: 'in_progress' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should complete the transaction and post the payment once', async () => {
+    const stored = storeTransaction('pending');
+
+    await handlePaymentIntentSucceeded(paymentIntent);
+
+    expect(stored.status).toBe('completed');
+    expect(stored.stripeChargeId).toBe('ch_123');
+    expect(postPayment).toHaveBeenCalledTimes(1);
+    expect(postPayment).toHaveBeenCalledWith(expect.objectContaining({ status: 'completed' }), 'provider1');
+    expect(holdInEscrow).toHaveBeenCalledTimes(1);
+  });
+
+  it('should ignore a duplicate event delivered at the same time', async () => {
+    storeTransaction('pending');
+
+    await Promise.all([
+      handlePaymentIntentSucceeded(paymentIntent),
+      handlePaymentIntentSucceeded(paymentIntent)
+    ]);
+
+    expect(postPayment).toHaveBeenCalledTimes(1);
+    expect(holdInEscrow).toHaveBeenCalledTimes(1);
+  });
+
+  it.each(['completed', 'partially_refunded', 'refunded'])('should ignore a redelivery once the transaction is %s', async (status) => {
+    const stored = storeTransaction(status);
+
+    await handlePaymentIntentSucceeded(paymentIntent);
+
+    expect(stored.status).toBe(status);
+    expect(postPayment).not.toHaveBeenCalled();
+    expect(holdInEscrow).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,67 @@
+// tests/permissions.test.js
+const { PERMISSIONS, getPermissions, hasPermission, isSuperAdmin } = require('../utils/permissions');
+const { requirePermission } = require('../middleware/auth');
+
+const mockResponse = () => {
+  const res = { status: jest.fn(), json: jest.fn() };
+  res.status.mockReturnValue(res);
+  return res;
+};
+
+describe('Admin permissions', () => {
+  it('should give super admins every permission', () => {
+    const admin = { role: 'admin', adminRole: 'super_admin' };
+
+    expect(getPermissions(admin)).toEqual(expect.arrayContaining(Object.keys(PERMISSIONS)));
+    expect(isSuperAdmin(admin)).toBe(true);
+  });
+
+  it('should add individual grants to the role', () => {
+    const admin = { role: 'admin', adminRole: 'moderator', adminPermissions: ['support.view'] };
+
+    expect(hasPermission(admin, 'reports.resolve')).toBe(true);
+    expect(hasPermission(admin, 'support.view')).toBe(true);
+    expect(hasPermission(admin, 'payments.refund')).toBe(false);
+  });
+
+  it('should give an admin without a role nothing', () => {
+    const admin = { role: 'admin' };
+
+    expect(getPermissions(admin)).toEqual([]);
+    expect(isSuperAdmin(admin)).toBe(false);
+  });
+
+  it('should give an admin without a role only what was granted individually', () => {
+    const admin = { role: 'admin', adminPermissions: ['support.view'] };
+
+    expect(getPermissions(admin)).toEqual(['support.view']);
+  });
+
+  it('should give non-admins nothing, whatever is stored on them', () => {
+    const provider = { role: 'provider', adminRole: 'super_admin', adminPermissions: ['payments.refund'] };
+
+    expect(getPermissions(provider)).toEqual([]);
+    expect(isSuperAdmin(provider)).toBe(false);
+  });
+
+  describe('requirePermission', () => {
+    it('should let admins with the permission through', () => {
+      const next = jest.fn();
+
+      requirePermission('payments.refund')({ user: { role: 'admin', adminRole: 'finance' } }, mockResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should refuse admins without a role', () => {
+      const next = jest.fn();
+      const res = mockResponse();
+
+      requirePermission('payments.refund')({ user: { role: 'admin' } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ requiredPermission: 'payments.refund' }));
+    });
+  });
+});
@@ -0,0 +1,123 @@
+// tests/quoteItems.test.js
+const {
+  parseLineItems,
+  priceLineItems,
+  selectAddons,
+  adjustToPrice,
+  billedLineItems
+} = require('../utils/quoteItems');
+
+const items = () => parseLineItems([
+  { type: 'labour', description: 'Install', hours: 3, rate: 60 },
+  { type: 'material', description: 'Pipe', quantity: 4, unitPrice: 12.5, unit: 'm' },
+  { type: 'fee', description: 'Call-out', amount: 40 },
+  { type: 'addon', description: 'Haul away', unitPrice: 30 },
+  { type: 'discount', description: 'Spring sale', percent: 10 }
+]).map((line, index) => (line.type === 'addon' ? { ...line, _id: `addon-${index}` } : line));
+
+describe('Quote line items', () => {
+  describe('parseLineItems', () => {
+    it('should normalise labour, materials and add-ons', () => {
+      const [labour, material, , addon] = items();
+
+      expect(labour).toEqual({ type: 'labour', description: 'Install', quantity: 3, unitPrice: 60, unit: 'hour' });
+      expect(material).toEqual({ type: 'material', description: 'Pipe', quantity: 4, unitPrice: 12.5, unit: 'm' });
+      expect(addon).toMatchObject({ optional: true, selected: false });
+    });
+
+    it('should accept a JSON string and treat empty input as no items', () => {
+      expect(parseLineItems('[{"description":"Paint","amount":20}]')).toEqual([
+        { type: 'material', description: 'Paint', quantity: 1, unitPrice: 20 }
+      ]);
+      expect(parseLineItems('')).toBeUndefined();
+    });
+
+    it('should reject invalid items with a 400', () => {
+      const reject = (input, message) => {
+        let error;
+        try {
+          parseLineItems(input);
+        } catch (err) {
+          error = err;
+        }
+        expect(error.message).toContain(message);
+        expect(error.statusCode).toBe(400);
+      };
+
+      reject('not json', 'Invalid line items format');
+      reject({ description: 'Paint' }, 'Line items must be an array');
+      reject([{ type: 'bonus', description: 'Tip', amount: 5 }], 'Line item 1: type must be one of');
+      reject([{ description: ' ', amount: 5 }], 'Line item 1: description is required');
+      reject([{ description: 'Paint', amount: -5 }], 'Line item 1 price must be a number of at least 0');
+      reject([{ type: 'discount', description: 'Too much', percent: 150 }], 'percent cannot be more than 100');
+    });
+  });
+
+  describe('priceLineItems', () => {
+    it('should leave unselected add-ons out of the total', () => {
+      const { lineItems, totals } = priceLineItems(items());
+
+      expect(lineItems.map(line => line.amount)).toEqual([180, 50, 40, 30, 27]);
+      expect(totals).toEqual({
+        labour: 180,
+        materials: 50,
+        fees: 40,
+        addons: 0,
+        discounts: 27,
+        adjustments: 0,
+        subtotal: 270,
+        total: 243
+      });
+    });
+
+    it('should never price a quote below zero', () => {
+      const lines = parseLineItems([
+        { description: 'Paint', amount: 20 },
+        { type: 'discount', description: 'Goodwill', amount: 50 }
+      ]);
+
+      expect(priceLineItems(lines).totals.total).toBe(0);
+    });
+  });
+
+  describe('selectAddons', () => {
+    it('should include the chosen add-ons and percent discounts on them', () => {
+      const { totals } = selectAddons(items(), ['addon-3']);
+
+      expect(totals.addons).toBe(30);
+      expect(totals.discounts).toBe(30);
+      expect(totals.total).toBe(270);
+    });
+
+    it('should reject add-ons that are not on the quote', () => {
+      expect(() => selectAddons(items(), ['addon-9'])).toThrow('Some selected add-ons are not on this quote');
+    });
+  });
+
+  describe('adjustToPrice', () => {
+    it('should add one adjustment line for a negotiated price', () => {
+      const first = adjustToPrice(items(), 225);
+      expect(first.totals.total).toBe(225);
+      expect(first.totals.adjustments).toBe(-18);
+
+      const second = adjustToPrice(first.lineItems, 250);
+      expect(second.lineItems.filter(line => line.type === 'adjustment')).toHaveLength(1);
+      expect(second.totals.total).toBe(250);
+    });
+
+    it('should leave the items alone when the price already matches', () => {
+      const { lineItems } = adjustToPrice(items(), 243);
+
+      expect(lineItems.some(line => line.type === 'adjustment')).toBe(false);
+    });
+  });
+
+  describe('billedLineItems', () => {
+    it('should bill included lines with discounts as negative amounts', () => {
+      const billed = billedLineItems(priceLineItems(items()).lineItems);
+
+      expect(billed.map(line => line.type)).toEqual(['labour', 'material', 'fee', 'discount']);
+      expect(billed[3]).toMatchObject({ percent: 10, amount: -27 });
+    });
+  });
+});
@@ -0,0 +1,43 @@
+// tests/recurrence.test.js
+const { occurrenceDate } = require('../utils/recurrence');
+
+const day = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+describe('Recurring jobs', () => {
+  describe('occurrenceDate', () => {
+    it('should start the series on its start date', () => {
+      const startDate = new Date(2026, 2, 10, 9, 30);
+      const first = occurrenceDate({ frequency: 'weekly', interval: 1, startDate }, 1);
+
+      expect(first.getTime()).toBe(startDate.getTime());
+    });
+
+    it('should step daily and weekly by the interval', () => {
+      const startDate = new Date(2026, 0, 30);
+
+      expect(day(occurrenceDate({ frequency: 'daily', interval: 3, startDate }, 2))).toEqual([2026, 2, 2]);
+      expect(day(occurrenceDate({ frequency: 'weekly', interval: 2, startDate }, 3))).toEqual([2026, 2, 27]);
+    });
+
+    it('should keep the time of day', () => {
+      const startDate = new Date(2026, 4, 4, 14, 15);
+      const next = occurrenceDate({ frequency: 'weekly', interval: 1, startDate }, 2);
+
+      expect([next.getHours(), next.getMinutes()]).toEqual([14, 15]);
+    });
+
+    it('should use the last day of shorter months', () => {
+      const recurrence = { frequency: 'monthly', interval: 1, startDate: new Date(2026, 0, 31) };
+
+      expect(day(occurrenceDate(recurrence, 2))).toEqual([2026, 2, 28]);
+      expect(day(occurrenceDate(recurrence, 3))).toEqual([2026, 3, 31]);
+      expect(day(occurrenceDate(recurrence, 4))).toEqual([2026, 4, 30]);
+    });
+
+    it('should carry monthly steps into the next year', () => {
+      const recurrence = { frequency: 'monthly', interval: 5, startDate: new Date(2026, 9, 15) };
+
+      expect(day(occurrenceDate(recurrence, 2))).toEqual([2027, 3, 15]);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+// tests/refunds.test.js
+jest.mock('../config/stripe', () => ({ stripe: { refunds: { create: jest.fn() } } }));
+jest.mock('../utils/ledger', () => ({ postRefund: jest.fn() }));
+jest.mock('../utils/escrow', () => ({ OPEN_ESCROW_STATUSES: ['held', 'awaiting_approval', 'changes_requested'] }));
+jest.mock('../utils/invoiceUtils', () => ({ createCreditNote: jest.fn() }));
+
+const Transaction = require('../models/Transaction');
+const Invoice = require('../models/Invoice');
+const Quote = require('../models/Quote');
+const { stripe } = require('../config/stripe');
+const { postRefund } = require('../utils/ledger');
+const { refundTransaction, completeRefund } = require('../utils/refunds');
+const { memoryStore } = require('./memoryStore');
+
+const PROVIDER_ID = '64b000000000000000000002';
+
+const paidTransaction = {
+  _id: '64b000000000000000000001',
+  user: '64b000000000000000000003',
+  amount: 100,
+  platformCommission: 10,
+  providerAmount: 90,
+  currency: 'CAD',
+  paymentMethod: 'card',
+  stripePaymentIntentId: 'pi_123',
+  status: 'completed',
+  escrow: { status: 'held' },
+  refundedAmount: 0,
+  refunds: []
+};
+
+// A copy of the stored transaction as a caller would load it, quote populated
+const load = (store) => {
+  const transaction = store.hydrate();
+  transaction.quote = new Quote({ provider: PROVIDER_ID });
+  return transaction;
+};
+
+const stripeError = (type) => Object.assign(new Error('Stripe error'), { type });
+
+describe('Refunds', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store = memoryStore(Transaction, paidTransaction);
+    jest.spyOn(Invoice, 'findOne').mockResolvedValue(null);
+    stripe.refunds.create.mockResolvedValue({ id: 're_123' });
+    postRefund.mockResolvedValue({ lines: [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should refund in full, post the clawback once and close the escrow', async () => {
+    const transaction = load(store);
+
+    const result = await refundTransaction(transaction, { reason: 'Work not done' });
+
+    expect(result.refundAmount).toBe(100);
+    expect(store.doc).toMatchObject({
+      status: 'refunded',
+      refundedAmount: 100,
+      platformCommission: 0,
+      providerAmount: 0,
+      stripeRefundId: 're_123',
+      escrow: { status: 'refunded' }
+    });
+    expect(store.doc.refunds).toHaveLength(1);
+    expect(store.doc.refunds[0]).toMatchObject({ status: 'succeeded', stripeRefundId: 're_123', walletSource: 'pending' });
+    expect(postRefund).toHaveBeenCalledTimes(1);
+    expect(postRefund).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      amount: 100,
+      platformCommission: 10,
+      providerAmount: 90,
+      walletSource: 'pending',
+      reference: 're_123'
+    }));
+    expect(String(postRefund.mock.calls[0][1].providerId)).toBe(PROVIDER_ID);
+
+    // The caller's copy matches what was stored, without pending changes to save
+    expect(transaction.status).toBe('refunded');
+    expect(transaction.providerAmount).toBe(0);
+    expect(transaction.isModified('refundedAmount')).toBe(false);
+    expect(transaction.isModified('refunds')).toBe(false);
+  });
+
+  it('should record the refund as pending before asking Stripe, with an idempotency key', async () => {
+    stripe.refunds.create.mockImplementation(async () => {
+      expect(store.doc.refundedAmount).toBe(40);
+      expect(store.doc.refunds[0]).toMatchObject({ amount: 40, status: 'pending' });
+      return { id: 're_123' };
+    });
+
+    await refundTransaction(load(store), { amount: 40 });
+
+    const entryId = store.doc.refunds[0]._id;
+    expect(stripe.refunds.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        payment_intent: 'pi_123',
+        amount: 4000,
+        metadata: expect.objectContaining({ refundEntryId: entryId })
+      }),
+      { idempotencyKey: `refund-${entryId}` }
+    );
+    expect(store.doc).toMatchObject({ status: 'partially_refunded', refundedAmount: 40, providerAmount: 54 });
+  });
+
+  it('should let only one of two concurrent refunds through', async () => {
+    const first = load(store);
+    const second = load(store);
+
+    const results = await Promise.allSettled([
+      refundTransaction(first, { reason: 'Duplicate request' }),
+      refundTransaction(second, { reason: 'Duplicate request' })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.statusCode).toBe(409);
+    expect(stripe.refunds.create).toHaveBeenCalledTimes(1);
+    expect(postRefund).toHaveBeenCalledTimes(1);
+    expect(store.doc.refundedAmount).toBe(100);
+  });
+
+  it('should undo the reservation when Stripe turns the refund down', async () => {
+    stripe.refunds.create.mockRejectedValue(stripeError('StripeInvalidRequestError'));
+    const transaction = load(store);
+
+    await expect(refundTransaction(transaction, {})).rejects.toThrow('Stripe error');
+
+    expect(store.doc).toMatchObject({
+      status: 'completed',
+      refundedAmount: 0,
+      platformCommission: 10,
+      providerAmount: 90,
+      refunds: [],
+      escrow: { status: 'held' }
+    });
+    expect(transaction.refundedAmount).toBe(0);
+    expect(postRefund).not.toHaveBeenCalled();
+  });
+
+  it('should keep the refund pending when Stripe may have made it, and complete it once', async () => {
+    stripe.refunds.create.mockRejectedValue(stripeError('StripeConnectionError'));
+
+    const error = await refundTransaction(load(store), { amount: 30 }).catch(err => err);
+
+    expect(error.statusCode).toBe(502);
+    expect(store.doc.refundedAmount).toBe(30);
+    expect(store.doc.refunds[0].status).toBe('pending');
+    expect(postRefund).not.toHaveBeenCalled();
+
+    // charge.refunded reports the refund went through
+    const entryId = store.doc.refunds[0]._id;
+    await completeRefund(load(store), entryId, { stripeRefundId: 're_late' });
+    expect(await completeRefund(load(store), entryId, { stripeRefundId: 're_late' })).toBeNull();
+
+    expect(postRefund).toHaveBeenCalledTimes(1);
+    expect(store.doc.refunds[0]).toMatchObject({ status: 'succeeded', stripeRefundId: 're_late' });
+    expect(store.doc.status).toBe('partially_refunded');
+  });
+
+  it('should leave the refund pending when the ledger post fails after Stripe refunded', async () => {
+    postRefund.mockRejectedValue(new Error('Ledger unavailable'));
+
+    await expect(refundTransaction(load(store), { amount: 25 })).rejects.toThrow('Ledger unavailable');
+
+    expect(stripe.refunds.create).toHaveBeenCalledTimes(1);
+    expect(store.doc.refundedAmount).toBe(25);
+    expect(store.doc.refunds[0]).toMatchObject({ status: 'pending', stripeRefundId: 're_123' });
+  });
+
+  it('should record a clawback the provider owes once the funds were paid out', async () => {
+    store = memoryStore(Transaction, { ...paidTransaction, releasedAt: new Date(), escrow: { status: 'released' } });
+    postRefund.mockResolvedValue({ lines: [{ account: 'provider_receivable' }] });
+
+    await refundTransaction(load(store), { amount: 50 });
+
+    expect(postRefund).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ walletSource: 'available' }));
+    expect(store.doc.refunds[0].walletSource).toBe('receivable');
+    expect(store.doc.escrow.status).toBe('released');
+  });
+
+  it('should reject refunds above what is left', async () => {
+    store = memoryStore(Transaction, { ...paidTransaction, refundedAmount: 80, status: 'partially_refunded' });
+
+    await expect(refundTransaction(load(store), { amount: 30 })).rejects.toMatchObject({ statusCode: 400 });
+    expect(stripe.refunds.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,96 @@
+// tests/sessions.test.js
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { createSession, rotateSession } = require('../utils/sessions');
+const { memoryStore } = require('./memoryStore');
+
+const provider = { _id: '64b000000000000000000002', role: 'provider', email: 'provider@example.com' };
+
+const request = { headers: { 'user-agent': 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0' }, ip: '10.0.0.1' };
+
+describe('Sessions', () => {
+  let store;
+  let account;
+
+  beforeEach(() => {
+    store = memoryStore(Session, {});
+    account = User.hydrate({ ...provider });
+    // rotateSession loads the session with its user populated
+    jest.spyOn(Session, 'findById').mockImplementation(() => ({
+      select: () => ({
+        populate: async () => {
+          const session = store.hydrate();
+          session.user = account;
+          return session;
+        }
+      })
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should store only a hash of the refresh token', async () => {
+    const { refreshToken, sessionId } = await createSession(provider, request);
+
+    const [id, secret] = refreshToken.split('.');
+    expect(id).toBe(String(sessionId));
+    expect(store.doc.refreshTokenHash).toMatch(/^[a-f0-9]{64}$/);
+    expect(store.doc.refreshTokenHash).not.toBe(secret);
+    expect(store.doc.device).toBe('Chrome on Windows');
+  });
+
+  it('should swap a refresh token for a new one', async () => {
+    const { refreshToken } = await createSession(provider, request);
+
+    const rotated = await rotateSession(refreshToken, request);
+
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    expect(rotated.token).toEqual(expect.any(String));
+    expect(store.doc.rotationCount).toBe(1);
+    await expect(rotateSession(rotated.refreshToken, request)).resolves.toEqual(expect.objectContaining({ refreshToken: expect.any(String) }));
+  });
+
+  it('should end the session when a used refresh token comes back', async () => {
+    const { refreshToken } = await createSession(provider, request);
+    await rotateSession(refreshToken, request);
+
+    await expect(rotateSession(refreshToken, request)).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(store.doc.revokedReason).toBe('token_reuse');
+    expect(store.doc.revokedAt).toBeDefined();
+  });
+
+  it('should let only one of two refreshes with the same token through', async () => {
+    const { refreshToken } = await createSession(provider, request);
+
+    const results = await Promise.allSettled([
+      rotateSession(refreshToken, request),
+      rotateSession(refreshToken, request)
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(store.doc.rotationCount).toBe(1);
+  });
+
+  it('should not refresh a revoked session', async () => {
+    const { refreshToken } = await createSession(provider, request);
+    store.doc.revokedAt = new Date().toISOString();
+
+    await expect(rotateSession(refreshToken, request)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('should end the session of a blocked user', async () => {
+    const { refreshToken } = await createSession(provider, request);
+    account.isBlocked = true;
+
+    await expect(rotateSession(refreshToken, request)).rejects.toMatchObject({ statusCode: 401 });
+    expect(store.doc.revokedReason).toBe('blocked');
+  });
+
+  it('should reject malformed refresh tokens without a lookup', async () => {
+    await expect(rotateSession('not-a-token', request)).rejects.toMatchObject({ statusCode: 401 });
+    expect(Session.findById).not.toHaveBeenCalled();
+  });
+});
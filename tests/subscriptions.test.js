@@ -0,0 +1,130 @@
+// tests/subscriptions.test.js
+const mockStripe = {
+  products: { create: jest.fn() },
+  prices: { create: jest.fn() }
+};
+jest.mock('stripe', () => () => mockStripe);
+jest.mock('../utils/ledger', () => ({ postPlatformSale: jest.fn() }));
+jest.mock('../utils/paymentDocuments', () => ({ emailReceipt: jest.fn() }));
+jest.mock('../socket/notificationHandler', () => ({ sendNotification: jest.fn() }));
+
+const Transaction = require('../models/Transaction');
+const Subscription = require('../models/Subscription');
+const UserSubscription = require('../models/UserSubscription');
+const CreditActivity = require('../models/CreditActivity');
+const User = require('../models/User');
+const { postPlatformSale } = require('../utils/ledger');
+const { emailReceipt } = require('../utils/paymentDocuments');
+const { createPlanPrice } = require('../config/stripe');
+const { applyInvoicePaid } = require('../utils/subscriptions');
+
+const invoice = {
+  id: 'in_123',
+  subscription: 'sub_123',
+  amount_paid: 2999,
+  currency: 'cad',
+  billing_reason: 'subscription_cycle',
+  payment_intent: 'pi_123',
+  lines: { data: [{ period: { start: 1780000000, end: 1782592000 } }] }
+};
+
+// Transactions keyed by invoice id; upserts insert only when none matches,
+// the way the unique index on metadata.stripeInvoiceId makes MongoDB behave
+const storeTransactions = () => {
+  const stored = new Map();
+
+  jest.spyOn(Transaction, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const invoiceId = filter['metadata.stripeInvoiceId'];
+    if (stored.has(invoiceId)) {
+      return { value: stored.get(invoiceId), lastErrorObject: { updatedExisting: true } };
+    }
+    const transaction = { _id: `tx-${invoiceId}`, ...update.$setOnInsert };
+    stored.set(invoiceId, transaction);
+    return { value: transaction, lastErrorObject: { updatedExisting: false, upserted: transaction._id } };
+  });
+
+  return stored;
+};
+
+describe('Subscription billing', () => {
+  let userSubscription;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    userSubscription = {
+      _id: 'usub1',
+      user: 'provider1',
+      status: 'active',
+      quotesUsed: 4,
+      subscription: { _id: 'plan1', name: 'Pro', type: 'monthly' },
+      save: jest.fn()
+    };
+    jest.spyOn(UserSubscription, 'findOne').mockImplementation((filter) => (filter.stripeSubscriptionId
+      ? { populate: async () => userSubscription }
+      : { populate: () => ({ sort: async () => null }) }));
+    jest.spyOn(CreditActivity, 'logActivity').mockResolvedValue(null);
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('applyInvoicePaid', () => {
+    it('should record the invoice, post the sale and renew the period', async () => {
+      storeTransactions();
+
+      await applyInvoicePaid(invoice);
+
+      expect(Transaction.findOneAndUpdate).toHaveBeenCalledWith(
+        { 'metadata.stripeInvoiceId': 'in_123' },
+        { $setOnInsert: expect.objectContaining({ amount: 29.99, currency: 'CAD', 'metadata.type': 'subscription' }) },
+        expect.objectContaining({ upsert: true })
+      );
+      expect(postPlatformSale).toHaveBeenCalledTimes(1);
+      expect(emailReceipt).toHaveBeenCalledTimes(1);
+      expect(userSubscription.quotesUsed).toBe(0);
+    });
+
+    it('should apply a redelivered invoice only once', async () => {
+      storeTransactions();
+
+      await Promise.all([applyInvoicePaid(invoice), applyInvoicePaid(invoice)]);
+
+      expect(postPlatformSale).toHaveBeenCalledTimes(1);
+      expect(emailReceipt).toHaveBeenCalledTimes(1);
+      expect(CreditActivity.logActivity).toHaveBeenCalledTimes(1);
+    });
+
+    it('should treat losing the insert race as already recorded', async () => {
+      const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      jest.spyOn(Transaction, 'findOneAndUpdate').mockRejectedValue(duplicate);
+      jest.spyOn(Transaction, 'findOne').mockResolvedValue({ _id: 'tx-in_123' });
+
+      expect(await applyInvoicePaid(invoice)).toBeNull();
+      expect(postPlatformSale).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createPlanPrice', () => {
+    it('should price the plan in its own currency', async () => {
+      const plan = new Subscription({ name: 'Pro', type: 'yearly', currency: 'CAD' });
+
+      await createPlanPrice(plan, 299, 'prod_123');
+
+      expect(mockStripe.prices.create).toHaveBeenCalledWith(expect.objectContaining({
+        product: 'prod_123',
+        unit_amount: 29900,
+        currency: 'cad'
+      }));
+    });
+
+    it('should keep billing older plans in USD', async () => {
+      const plan = new Subscription({ name: 'Basic', type: 'monthly' });
+
+      await createPlanPrice(plan, 9.99, 'prod_123');
+
+      expect(mockStripe.prices.create).toHaveBeenCalledWith(expect.objectContaining({ currency: 'usd' }));
+    });
+  });
+});
@@ -0,0 +1,91 @@
+// tests/supportAudit.test.js
+const { EventEmitter } = require('events');
+
+jest.mock('../utils/auditLog', () => ({ recordAudit: jest.fn(), recordRequestAudit: jest.fn() }));
+jest.mock('../socket/notificationHandler', () => ({ sendNotification: jest.fn() }));
+
+const SupportTicket = require('../models/SupportTicket');
+const SupportMessage = require('../models/SupportMessage');
+const { recordAudit, recordRequestAudit } = require('../utils/auditLog');
+const { auditAdminRequests } = require('../middleware/audit');
+const { sendSupportMessage } = require('../controllers/supportController');
+
+const TICKET_ID = '64b000000000000000000001';
+const staff = { _id: '64b000000000000000000009', role: 'admin', adminRole: 'support', fullName: 'Agent' };
+const owner = { _id: '64b000000000000000000003', role: 'client', fullName: 'Client' };
+
+const mockResponse = () => {
+  const res = { status: jest.fn(), json: jest.fn() };
+  res.status.mockReturnValue(res);
+  return res;
+};
+
+describe('Support audit trail', () => {
+  let ticket;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ticket = { _id: TICKET_ID, title: 'Refund question', user: owner._id, save: jest.fn() };
+    jest.spyOn(SupportTicket, 'findById').mockResolvedValue(ticket);
+    jest.spyOn(SupportTicket, 'findOne').mockResolvedValue(ticket);
+    jest.spyOn(SupportTicket, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(SupportMessage, 'create').mockImplementation(async (fields) => ({ _id: '64b000000000000000000010', ...fields }));
+    jest.spyOn(SupportMessage, 'findById').mockReturnValue({ populate: async () => ({}) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const reply = (user) => sendSupportMessage({
+    params: { id: TICKET_ID },
+    body: { content: 'Hello' },
+    user,
+    app: { get: () => null }
+  }, mockResponse());
+
+  it('should record support staff taking and answering a ticket', async () => {
+    await reply(staff);
+
+    expect(recordAudit).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ action: 'support.assign', targetId: TICKET_ID }));
+    expect(recordAudit).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ action: 'support.reply', targetId: TICKET_ID }));
+  });
+
+  it('should record only the reply once the ticket is assigned', async () => {
+    ticket.assignedTo = staff._id;
+
+    await reply(staff);
+
+    expect(recordAudit).toHaveBeenCalledTimes(1);
+    expect(recordAudit).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ action: 'support.reply' }));
+  });
+
+  it('should not audit the ticket owner writing to support', async () => {
+    await reply(owner);
+
+    expect(recordAudit).not.toHaveBeenCalled();
+  });
+
+  describe('auditAdminRequests', () => {
+    const finish = (req, statusCode) => {
+      const res = Object.assign(new EventEmitter(), { statusCode });
+      auditAdminRequests(req, res, () => {});
+      res.emit('finish');
+    };
+
+    it('should record admin changes no handler recorded itself', () => {
+      finish({ method: 'POST', user: staff }, 200);
+
+      expect(recordRequestAudit).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip reads, failures, non-admins and requests already recorded', () => {
+      finish({ method: 'GET', user: staff }, 200);
+      finish({ method: 'POST', user: staff }, 403);
+      finish({ method: 'POST', user: owner }, 201);
+      finish({ method: 'POST', user: staff, auditRecorded: true }, 201);
+
+      expect(recordRequestAudit).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,70 @@
+// tests/tax.test.js
+const { resolveRegion, calculateTaxRefund } = require('../utils/tax');
+
+describe('Sales tax', () => {
+  describe('resolveRegion', () => {
+    it('should accept province codes and names in any case', () => {
+      expect(resolveRegion({ state: 'on', country: 'Canada' })).toBe('ON');
+      expect(resolveRegion({ state: 'British Columbia' })).toBe('BC');
+      expect(resolveRegion({ state: 'Q.C.' })).toBe('QC');
+    });
+
+    it('should map common aliases', () => {
+      expect(resolveRegion({ state: 'PEI' })).toBe('PE');
+      expect(resolveRegion({ state: 'Québec' })).toBe('QC');
+    });
+
+    it('should read job locations that keep the address under details', () => {
+      expect(resolveRegion({ details: { state: 'NS', country: 'CA' } })).toBe('NS');
+    });
+
+    it('should not tax locations outside Canada or without a province', () => {
+      expect(resolveRegion({ state: 'NY', country: 'USA' })).toBeUndefined();
+      expect(resolveRegion({ country: 'Canada' })).toBeUndefined();
+      expect(resolveRegion({ state: 'Atlantis' })).toBeUndefined();
+      expect(resolveRegion(undefined)).toBeUndefined();
+    });
+  });
+
+  describe('calculateTaxRefund', () => {
+    const transaction = {
+      amount: 100,
+      tax: {
+        lines: [
+          { type: 'GST', amount: 5 },
+          { type: 'QST', amount: 9.98 }
+        ]
+      },
+      refunds: []
+    };
+
+    it('should refund each line in proportion to the refund', () => {
+      expect(calculateTaxRefund(transaction, 25, false)).toEqual({
+        lines: [
+          { type: 'GST', amount: 1.25 },
+          { type: 'QST', amount: 2.5 }
+        ],
+        total: 3.75
+      });
+    });
+
+    it('should give back whatever is left on the final refund', () => {
+      const partlyRefunded = {
+        ...transaction,
+        refunds: [{ taxLines: [{ type: 'GST', amount: 1.67 }, { type: 'QST', amount: 3.33 }] }]
+      };
+
+      expect(calculateTaxRefund(partlyRefunded, 66.67, true)).toEqual({
+        lines: [
+          { type: 'GST', amount: 3.33 },
+          { type: 'QST', amount: 6.65 }
+        ],
+        total: 9.98
+      });
+    });
+
+    it('should refund no tax on untaxed transactions', () => {
+      expect(calculateTaxRefund({ amount: 50 }, 50, true)).toEqual({ lines: [], total: 0 });
+    });
+  });
+});
@@ -0,0 +1,90 @@
+// tests/twoFactor.test.js
+const crypto = require('crypto');
+const User = require('../models/User');
+const { beginSetup, enableTwoFactor, verifySecondFactor } = require('../utils/twoFactor');
+const { memoryStore } = require('./memoryStore');
+
+const admin = { _id: '64b000000000000000000009', role: 'admin', adminRole: 'support', email: 'agent@example.com', fullName: 'Agent' };
+
+// What an authenticator app shows `offset` steps from now
+const totp = (secret, offset = 0) => {
+  const bits = [...secret].map(char => 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'.indexOf(char).toString(2).padStart(5, '0')).join('');
+  const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000) + offset));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offsetByte = hmac[hmac.length - 1] & 0x0f;
+  return String((hmac.readUInt32BE(offsetByte) & 0x7fffffff) % 1e6).padStart(6, '0');
+};
+
+describe('Two-factor authentication', () => {
+  let store;
+  let secret;
+  let backupCodes;
+
+  beforeEach(async () => {
+    store = memoryStore(User, { ...admin, twoFactor: {} });
+    ({ secret } = await beginSetup(admin));
+    ({ backupCodes } = await enableTwoFactor(admin, totp(secret)));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should store backup codes only as hashes', () => {
+    expect(backupCodes).toHaveLength(10);
+    expect(store.doc.twoFactor.backupCodes).toHaveLength(10);
+    expect(store.doc.twoFactor.backupCodes).not.toContain(backupCodes[0]);
+  });
+
+  it('should accept a backup code once', async () => {
+    const { backupCodesRemaining } = await verifySecondFactor(admin._id, { backupCode: backupCodes[0] });
+
+    expect(backupCodesRemaining).toBe(9);
+    expect(store.doc.twoFactor.backupCodes).toHaveLength(9);
+    await expect(verifySecondFactor(admin._id, { backupCode: backupCodes[0] })).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('should let only one of two logins racing with the same backup code in', async () => {
+    const results = await Promise.allSettled([
+      verifySecondFactor(admin._id, { backupCode: backupCodes[1] }),
+      verifySecondFactor(admin._id, { backupCode: backupCodes[1] })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(store.doc.twoFactor.backupCodes).toHaveLength(9);
+  });
+
+  it('should not let a failed attempt bring back a code used at the same time', async () => {
+    await Promise.allSettled([
+      verifySecondFactor(admin._id, { backupCode: backupCodes[2] }),
+      verifySecondFactor(admin._id, { backupCode: 'wrong-code' })
+    ]);
+
+    expect(store.doc.twoFactor.backupCodes).toHaveLength(9);
+    expect(store.doc.twoFactor.failedAttempts).toBe(1);
+  });
+
+  it('should accept an authenticator code only once', async () => {
+    // The current step was used to enable two-factor; the next one is still in the window
+    const code = totp(secret, 1);
+
+    const results = await Promise.allSettled([
+      verifySecondFactor(admin._id, { code }),
+      verifySecondFactor(admin._id, { code })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    await expect(verifySecondFactor(admin._id, { code })).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('should lock verification after repeated invalid codes', async () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await expect(verifySecondFactor(admin._id, { backupCode: 'wrong-code' })).rejects.toMatchObject({ statusCode: 401 });
+    }
+
+    await expect(verifySecondFactor(admin._id, { backupCode: backupCodes[3] })).rejects.toMatchObject({ statusCode: 429 });
+    expect(store.doc.twoFactor.backupCodes).toHaveLength(10);
+  });
+});
@@ -0,0 +1,180 @@
+// utils/auditLog.js
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Never copied into the log
+const SENSITIVE_FIELDS = /password|token|secret|code|otp/i;
+
+const EXPORT_LIMIT = 10000;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  !Array.isArray(value) && !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId) &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+const redact = (value) => {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!isPlainObject(value)) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, inner]) => [
+    key,
+    SENSITIVE_FIELDS.test(key) ? '[redacted]' : redact(inner)
+  ]));
+};
+
+const flatten = (value, prefix = '', output = {}) => {
+  if (isPlainObject(value)) {
+    for (const [key, inner] of Object.entries(value)) flatten(inner, prefix ? `${prefix}.${key}` : key, output);
+  } else if (prefix) {
+    output[prefix] = value;
+  }
+  return output;
+};
+
+// Field-by-field differences between two snapshots
+const diffChanges = (before = {}, after = {}) => {
+  const flatBefore = flatten(redact(before));
+  const flatAfter = flatten(redact(after));
+  const fields = [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])];
+
+  return fields
+    .filter(field => JSON.stringify(flatBefore[field]) !== JSON.stringify(flatAfter[field]))
+    .map(field => ({ field, before: flatBefore[field], after: flatAfter[field] }));
+};
+
+const clientIp = (req) => {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  return (forwarded ? forwarded.split(',')[0].trim() : req.ip) || undefined;
+};
+
+// Record an admin action. `before`/`after` are plain snapshots of the fields
+// the action touched. Failures are logged, not thrown: the action already happened.
+const recordAudit = async (req, { action, targetType, targetId, targetLabel, before, after, reason, metadata }) => {
+  req.auditRecorded = true;
+
+  try {
+    return await AuditLog.create({
+      actor: req.user._id,
+      actorName: req.user.fullName,
+      actorEmail: req.user.email,
+      actorRole: req.user.adminRole,
+      action,
+      targetType,
+      targetId: targetId?.toString(),
+      targetLabel,
+      changes: before || after ? diffChanges(before, after) : [],
+      reason,
+      ip: clientIp(req),
+      userAgent: req.headers?.['user-agent'],
+      method: req.method,
+      path: req.originalUrl?.split('?')[0],
+      metadata: metadata && redact(metadata)
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+};
+
+// Admin mutations without a detailed entry are still recorded, from the request
+const recordRequestAudit = (req, res) => {
+  return AuditLog.create({
+    actor: req.user._id,
+    actorName: req.user.fullName,
+    actorEmail: req.user.email,
+    actorRole: req.user.adminRole,
+    action: 'admin.request',
+    targetId: req.params?.id,
+    reason: req.body?.reason,
+    ip: clientIp(req),
+    userAgent: req.headers?.['user-agent'],
+    method: req.method,
+    path: req.originalUrl?.split('?')[0],
+    statusCode: res.statusCode,
+    metadata: { body: redact(req.body || {}) }
+  }).catch(error => console.error('Audit log error:', error));
+};
+
+const buildFilter = ({ actor, action, targetType, targetId, from, to, search }) => {
+  const filter = {};
+  if (actor) filter.actor = actor;
+  if (action) filter.action = action.endsWith('.*') ? { $regex: `^${action.slice(0, -2).replace(/\./g, '\\.')}\\.` } : action;
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = targetId;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+  if (search) {
+    const pattern = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    filter.$or = [{ reason: pattern }, { targetLabel: pattern }, { actorEmail: pattern }, { path: pattern }];
+  }
+  return filter;
+};
+
+const listAuditLogs = async (query = {}) => {
+  const filter = buildFilter(query);
+  const pageNumber = Math.max(parseInt(query.page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(query.limit) || 50, 1), 200);
+
+  const [logs, total] = await Promise.all([
+    AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  return {
+    logs,
+    pagination: {
+      current: pageNumber,
+      total: Math.ceil(total / pageSize),
+      count: logs.length,
+      totalRecords: total
+    }
+  };
+};
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Keep spreadsheets from treating a value as a formula
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = [
+  ['Date', log => log.createdAt?.toISOString()],
+  ['Actor', log => log.actorName],
+  ['Actor email', log => log.actorEmail],
+  ['Actor role', log => log.actorRole],
+  ['Action', log => log.action],
+  ['Target type', log => log.targetType],
+  ['Target ID', log => log.targetId],
+  ['Target', log => log.targetLabel],
+  ['Changes', log => (log.changes || []).map(c => `${c.field}: ${JSON.stringify(c.before)} -> ${JSON.stringify(c.after)}`).join('; ')],
+  ['Reason', log => log.reason],
+  ['IP', log => log.ip],
+  ['Method', log => log.method],
+  ['Path', log => log.path],
+  ['Status', log => log.statusCode]
+];
+
+// Matching entries as CSV: the latest EXPORT_LIMIT, oldest first
+const exportAuditLogsCsv = async (query = {}) => {
+  const logs = await AuditLog.find(buildFilter(query)).sort({ createdAt: -1 }).limit(EXPORT_LIMIT).lean();
+
+  const rows = [CSV_COLUMNS.map(([header]) => header).join(',')];
+  for (const log of logs.reverse()) {
+    rows.push(CSV_COLUMNS.map(([, value]) => csvCell(value(log))).join(','));
+  }
+  return rows.join('\n');
+};
+
+module.exports = {
+  recordAudit,
+  recordRequestAudit,
+  listAuditLogs,
+  exportAuditLogsCsv
+};
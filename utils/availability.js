@@ -0,0 +1,453 @@
+// utils/availability.js
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { httpError } = require('./response');
+
+const MINUTE_MS = 60 * 1000;
+
+const DEFAULT_TIMEZONE = 'America/Toronto';
+const DEFAULT_SLOT_MINUTES = 60;
+const MAX_CALENDAR_DAYS = 31;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const BOOKING_LOCK_MS = 15 * 1000;
+const BOOKING_LOCK_ATTEMPTS = 20;
+const BOOKING_LOCK_RETRY_MS = 250;
+
+// "09:00", "9:30", "2pm" or "2:30 PM" -> minutes after midnight
+const parseClock = (value) => {
+  if (typeof value !== 'string') return null;
+  const match = value.trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (match[3] === 'pm' ? 12 : 0);
+  } else if (match[2] === undefined) {
+    // A bare number is not a time of day
+    return null;
+  }
+
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+};
+
+const formatClock = (minutes) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+};
+
+const isValidTimeZone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-CA', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant in a time zone
+const zonedParts = (date, timezone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date).forEach(({ type, value }) => { parts[type] = Number(value); });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    minutes: parts.hour * 60 + parts.minute
+  };
+};
+
+// Instant of a wall-clock time on a calendar day in a time zone
+const zonedDate = (day, minutes, timezone) => {
+  const wall = Date.UTC(day.year, day.month - 1, day.day, 0, minutes);
+  const offsetAt = (instant) => {
+    const p = zonedParts(new Date(instant), timezone);
+    return Date.UTC(p.year, p.month - 1, p.day, 0, p.minutes) - Math.floor(instant / MINUTE_MS) * MINUTE_MS;
+  };
+
+  // Correct once more in case the first guess landed across a DST change
+  let instant = wall - offsetAt(wall);
+  instant = wall - offsetAt(instant);
+  return new Date(instant);
+};
+
+const addDays = (day, count) => {
+  const date = new Date(Date.UTC(day.year, day.month - 1, day.day + count));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+const dayKey = (day) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${day.year}-${pad(day.month)}-${pad(day.day)}`;
+};
+
+const weekdayOf = (day) => new Date(Date.UTC(day.year, day.month - 1, day.day)).getUTCDay();
+
+// Calendar day a stored date refers to. Date-only input ("2025-06-01") is saved
+// as UTC midnight and means that day wherever the provider is.
+const calendarDay = (date, timezone) => {
+  const value = new Date(date);
+  if (value.getUTCHours() === 0 && value.getUTCMinutes() === 0 && value.getUTCSeconds() === 0) {
+    return { year: value.getUTCFullYear(), month: value.getUTCMonth() + 1, day: value.getUTCDate() };
+  }
+  const { year, month, day } = zonedParts(value, timezone);
+  return { year, month, day };
+};
+
+// Effective calendar settings for a provider
+const calendarSettings = (provider) => {
+  const availability = provider.availability || {};
+  const timezone = availability.timezone && isValidTimeZone(availability.timezone)
+    ? availability.timezone
+    : DEFAULT_TIMEZONE;
+
+  let weekly = (availability.weekly || [])
+    .map(w => ({ day: w.day, from: parseClock(w.from), to: parseClock(w.to) }))
+    .filter(w => w.from !== null && w.to !== null && w.from < w.to);
+
+  if (!weekly.length) {
+    const from = parseClock(provider.workingHours?.from);
+    const to = parseClock(provider.workingHours?.to);
+    if (from !== null && to !== null && from < to) {
+      weekly = [0, 1, 2, 3, 4, 5, 6].map(day => ({ day, from, to }));
+    }
+  }
+
+  return {
+    timezone,
+    slotMinutes: availability.slotMinutes || DEFAULT_SLOT_MINUTES,
+    // Providers that never set hours can be booked at any time of day
+    configured: weekly.length > 0,
+    weekly,
+    blackouts: (availability.blackouts || []).filter(b => b.from && b.to)
+  };
+};
+
+const windowsForDay = (settings, day) => {
+  if (!settings.configured) return [{ from: 0, to: 24 * 60 }];
+  const weekday = weekdayOf(day);
+  return settings.weekly.filter(w => w.day === weekday).sort((a, b) => a.from - b.from);
+};
+
+const overlaps = (start, end, otherStart, otherEnd) => start < otherEnd && otherStart < end;
+
+const blackoutFor = (settings, start, end) => {
+  return settings.blackouts.find(b => overlaps(start, end, new Date(b.from), new Date(b.to)));
+};
+
+// Where a job or quote sits on the provider's calendar. Bookings without a
+// recognisable time ("morning", "flexible") hold the day but no specific slot.
+const resolveBooking = (settings, date, time) => {
+  if (!date || Number.isNaN(new Date(date).getTime())) return null;
+
+  const day = calendarDay(date, settings.timezone);
+  const minutes = parseClock(time);
+  if (minutes === null) return { day, start: null, end: null };
+
+  const start = zonedDate(day, minutes, settings.timezone);
+  return { day, start, end: new Date(start.getTime() + settings.slotMinutes * MINUTE_MS) };
+};
+
+// When a job takes place on a provider's calendar, for feeds and reminders
+const scheduledSlot = (provider, date, time) => {
+  const settings = calendarSettings(provider || {});
+  const booking = resolveBooking(settings, date, time);
+  return booking && { ...booking, date: dayKey(booking.day), timezone: settings.timezone };
+};
+
+// Accepted work plus direct booking requests still waiting on the provider.
+// Recurring series are represented by their occurrences.
+const findBookings = async (provider, settings, { excludeJob } = {}) => {
+  const jobs = await Job.find({
+    provider: provider._id,
+    'recurrence.frequency': { $exists: false },
+    $or: [
+      { status: 'in_progress' },
+      { status: 'pending', isDirectBooking: true }
+    ],
+    ...(excludeJob && { _id: { $ne: excludeJob } })
+  })
+    .select('status preferredDate preferredTime acceptedQuote')
+    .populate('acceptedQuote', 'proposedDate proposedTime');
+
+  return jobs
+    .map(job => {
+      const quote = job.acceptedQuote;
+      const booking = quote?.proposedDate
+        ? resolveBooking(settings, quote.proposedDate, quote.proposedTime || job.preferredTime)
+        : resolveBooking(settings, job.preferredDate, job.preferredTime);
+      return booking && { ...booking, job: job._id, held: job.status === 'pending' };
+    })
+    .filter(Boolean);
+};
+
+// Every slot the provider's weekly hours give on a day
+const daySlots = (settings, day) => {
+  const slots = [];
+  windowsForDay(settings, day).forEach(window => {
+    for (let t = window.from; t + settings.slotMinutes <= window.to; t += settings.slotMinutes) {
+      const start = zonedDate(day, t, settings.timezone);
+      slots.push({ start, end: new Date(start.getTime() + settings.slotMinutes * MINUTE_MS), minutes: t });
+    }
+  });
+  return slots;
+};
+
+// Day-by-day slots for the public calendar
+const getProviderCalendar = async (provider, { from, days = 7, now = new Date() } = {}) => {
+  const settings = calendarSettings(provider);
+  const count = Math.min(Math.max(parseInt(days, 10) || 7, 1), MAX_CALENDAR_DAYS);
+
+  let firstDay;
+  if (from) {
+    if (!DATE_ONLY.test(from) || Number.isNaN(new Date(from).getTime())) {
+      throw httpError('from must be a date in YYYY-MM-DD format', 400);
+    }
+    firstDay = calendarDay(new Date(from), settings.timezone);
+  } else {
+    const { year, month, day } = zonedParts(now, settings.timezone);
+    firstDay = { year, month, day };
+  }
+
+  const bookings = await findBookings(provider, settings);
+
+  const calendar = [];
+  for (let i = 0; i < count; i++) {
+    const day = addDays(firstDay, i);
+    const key = dayKey(day);
+    const dayBookings = bookings.filter(b => dayKey(b.day) === key);
+    const timed = dayBookings.filter(b => b.start);
+    const untimed = dayBookings.length - timed.length;
+
+    const slots = daySlots(settings, day).map(({ start, end, minutes }) => {
+      let status = 'available';
+      if (start < now) status = 'past';
+      else if (blackoutFor(settings, start, end)) status = 'blocked';
+      else if (timed.some(b => overlaps(start, end, b.start, b.end))) status = 'booked';
+      return { start, end, time: formatClock(minutes), status };
+    });
+
+    // Each untimed booking takes one of the day's free slots. Once they take
+    // them all, nothing is left to book that day.
+    const free = slots.filter(s => s.status === 'available').length;
+    if (untimed >= free) {
+      slots.forEach(slot => { if (slot.status === 'available') slot.status = 'held'; });
+    }
+
+    calendar.push({
+      date: key,
+      weekday: weekdayOf(day),
+      slots,
+      availableSlots: Math.max(free - untimed, 0),
+      // Bookings on this day without a set time
+      untimedBookings: untimed
+    });
+  }
+
+  return {
+    timezone: settings.timezone,
+    slotMinutes: settings.slotMinutes,
+    configured: settings.configured,
+    weekly: settings.weekly.map(w => ({ day: w.day, from: formatClock(w.from), to: formatClock(w.to) })),
+    days: calendar
+  };
+};
+
+// Reject a date/time the provider cannot take: outside their hours, during a
+// blackout, or overlapping another booking. Bookings without a set time each
+// take one of the day's free slots, so a request (timed or not) needs a slot
+// left over after those. Call it inside withBookingLock when the booking is
+// about to be saved.
+const assertProviderAvailable = async (provider, { date, time, excludeJob, now = new Date() }) => {
+  const settings = calendarSettings(provider);
+  const requested = resolveBooking(settings, date, time);
+  if (!requested) return;
+
+  if (requested.start && requested.start < now) {
+    throw httpError('The requested time is in the past', 400);
+  }
+
+  const windows = windowsForDay(settings, requested.day);
+  if (!windows.length) {
+    throw httpError(`The provider is not available on ${dayKey(requested.day)}`, 409);
+  }
+
+  const bookings = await findBookings(provider, settings, { excludeJob });
+  const dayBookings = bookings.filter(b => dayKey(b.day) === dayKey(requested.day));
+  const timed = dayBookings.filter(b => b.start);
+  const untimed = dayBookings.length - timed.length;
+
+  if (requested.start) {
+    const dayStart = zonedDate(requested.day, 0, settings.timezone);
+    const startMinutes = Math.round((requested.start - dayStart) / MINUTE_MS);
+    const endMinutes = startMinutes + settings.slotMinutes;
+    if (!windows.some(w => startMinutes >= w.from && endMinutes <= w.to)) {
+      throw httpError(`The provider is not available at ${formatClock(startMinutes)} on ${dayKey(requested.day)}`, 409);
+    }
+
+    const blackout = blackoutFor(settings, requested.start, requested.end);
+    if (blackout) {
+      throw httpError(`The provider is unavailable at that time${blackout.reason ? ` (${blackout.reason})` : ''}`, 409);
+    }
+
+    if (timed.some(b => overlaps(requested.start, requested.end, b.start, b.end))) {
+      throw httpError('The provider is already booked at that time', 409);
+    }
+
+    // The requested time is taken as well as the timed bookings
+    timed.push(requested);
+  }
+
+  const freeSlots = daySlots(settings, requested.day).filter(({ start, end }) =>
+    !blackoutFor(settings, start, end) && !timed.some(b => overlaps(start, end, b.start, b.end))
+  ).length;
+
+  // Untimed bookings still need somewhere to go once this one is placed
+  const needed = requested.start ? untimed : untimed + 1;
+  if (freeSlots < needed) {
+    throw httpError(
+      requested.start
+        ? `The provider's remaining time on ${dayKey(requested.day)} is already held by other bookings`
+        : `The provider has no availability left on ${dayKey(requested.day)}`,
+      409
+    );
+  }
+};
+
+// Run `fn` (usually an availability check and the write that books the slot)
+// holding the provider's booking lock, so concurrent bookings are checked one
+// at a time. The lock expires by itself if a process dies holding it.
+const withBookingLock = async (providerId, fn) => {
+  const token = crypto.randomBytes(12).toString('hex');
+
+  for (let attempt = 1; ; attempt++) {
+    const now = new Date();
+    const { modifiedCount } = await User.updateOne(
+      {
+        _id: providerId,
+        $or: [
+          { 'availability.bookingLock.until': { $exists: false } },
+          { 'availability.bookingLock.until': null },
+          { 'availability.bookingLock.until': { $lte: now } }
+        ]
+      },
+      {
+        'availability.bookingLock.token': token,
+        'availability.bookingLock.until': new Date(now.getTime() + BOOKING_LOCK_MS)
+      }
+    );
+    if (modifiedCount) break;
+
+    if (attempt >= BOOKING_LOCK_ATTEMPTS) {
+      throw httpError('The provider\'s calendar is being updated. Please try again.', 409);
+    }
+    await new Promise(resolve => setTimeout(resolve, BOOKING_LOCK_RETRY_MS));
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await User.updateOne(
+      { _id: providerId, 'availability.bookingLock.token': token },
+      { $unset: { 'availability.bookingLock': 1 } }
+    );
+  }
+};
+
+// Validate availability settings from a request body (JSON strings allowed).
+// Whole-day blackouts are resolved in the given (or newly set) time zone.
+const parseAvailability = (input, { timezone: currentTimezone } = {}) => {
+  let settings = input;
+  if (typeof input === 'string') {
+    try {
+      settings = JSON.parse(input);
+    } catch {
+      throw httpError('Invalid availability format. Must be JSON object.', 400);
+    }
+  }
+  if (!settings || typeof settings !== 'object') {
+    throw httpError('Availability settings are required', 400);
+  }
+
+  const update = {};
+
+  if (settings.timezone !== undefined) {
+    if (!isValidTimeZone(settings.timezone)) throw httpError('Unknown time zone', 400);
+    update.timezone = settings.timezone;
+  }
+
+  if (settings.slotMinutes !== undefined) {
+    const slotMinutes = Number(settings.slotMinutes);
+    if (!Number.isInteger(slotMinutes) || slotMinutes < 15 || slotMinutes > 480) {
+      throw httpError('slotMinutes must be a whole number between 15 and 480', 400);
+    }
+    update.slotMinutes = slotMinutes;
+  }
+
+  if (settings.weekly !== undefined) {
+    if (!Array.isArray(settings.weekly)) throw httpError('weekly must be an array', 400);
+    update.weekly = settings.weekly.map(window => {
+      const day = Number(window.day);
+      const from = parseClock(window.from);
+      const to = parseClock(window.to);
+      if (!Number.isInteger(day) || day < 0 || day > 6) {
+        throw httpError('Weekly day must be 0 (Sunday) to 6 (Saturday)', 400);
+      }
+      if (from === null || to === null || from >= to) {
+        throw httpError('Weekly windows need a valid from and to time, with from before to', 400);
+      }
+      return { day, from: formatClock(from), to: formatClock(to) };
+    });
+  }
+
+  if (settings.blackouts !== undefined) {
+    if (!Array.isArray(settings.blackouts)) throw httpError('blackouts must be an array', 400);
+    const timezone = update.timezone || currentTimezone || DEFAULT_TIMEZONE;
+    update.blackouts = settings.blackouts.map(blackout => {
+      const to = blackout.to || blackout.from;
+      if (!blackout.from || Number.isNaN(new Date(blackout.from).getTime()) || Number.isNaN(new Date(to).getTime())) {
+        throw httpError('Each blackout needs a valid from date', 400);
+      }
+
+      // Whole days are blocked from the provider's midnight to the next
+      const start = DATE_ONLY.test(blackout.from)
+        ? zonedDate(calendarDay(new Date(blackout.from), timezone), 0, timezone)
+        : new Date(blackout.from);
+      const end = DATE_ONLY.test(to)
+        ? zonedDate(addDays(calendarDay(new Date(to), timezone), 1), 0, timezone)
+        : new Date(to);
+
+      if (end <= start) throw httpError('Blackout must end after it starts', 400);
+      return { from: start, to: end, reason: blackout.reason };
+    });
+  }
+
+  return update;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  MAX_CALENDAR_DAYS,
+  parseClock,
+  zonedDate,
+  calendarSettings,
+  scheduledSlot,
+  parseAvailability,
+  getProviderCalendar,
+  assertProviderAvailable,
+  withBookingLock
+};
@@ -0,0 +1,98 @@
+// utils/commission.js
+const CommissionRule = require('../models/CommissionRule');
+const SystemSettings = require('../models/SystemSettings');
+const { findCurrentSubscription } = require('./subscriptions');
+const { roundMoney } = require('./currency');
+
+// The most specific rule wins. Promotions are checked last and only ever lower the rate.
+const SCOPE_PRECEDENCE = ['provider', 'category', 'plan'];
+
+// Plan type of the provider's current subscription, if any
+const getProviderPlanType = async (providerId) => {
+  const userSubscription = await findCurrentSubscription(providerId);
+  return userSubscription?.subscription?.type;
+};
+
+// Pick the rate from the rules in effect: the first scope in SCOPE_PRECEDENCE
+// with a rule, else the default, lowered by the cheapest promotion
+const pickCommissionRule = (rules, defaultRate) => {
+  let applied = { ratePercent: defaultRate, source: 'default', rule: null };
+
+  for (const scope of SCOPE_PRECEDENCE) {
+    const rule = rules.find(r => r.scope === scope);
+    if (rule) {
+      applied = { ratePercent: rule.rate, source: scope, rule };
+      break;
+    }
+  }
+
+  const promotion = rules
+    .filter(r => r.scope === 'promotion')
+    .sort((a, b) => a.rate - b.rate)[0];
+
+  if (promotion && promotion.rate < applied.ratePercent) {
+    applied = { ratePercent: promotion.rate, source: 'promotion', rule: promotion };
+  }
+
+  return applied;
+};
+
+// Work out the commission rate for a provider doing a job in a category
+const resolveCommission = async ({ providerId, categoryId, at = new Date() } = {}) => {
+  const settings = await SystemSettings.getSettings();
+  const defaultRate = settings.platformSettings?.commissionRate ?? 10;
+  const planType = providerId ? await getProviderPlanType(providerId) : undefined;
+
+  const candidates = [{ scope: 'promotion' }];
+  if (providerId) candidates.push({ scope: 'provider', provider: providerId });
+  if (categoryId) candidates.push({ scope: 'category', category: categoryId });
+  if (planType) candidates.push({ scope: 'plan', planType });
+
+  // Newest rule first when several target the same thing
+  const rules = (await CommissionRule.find({ isActive: true, $or: candidates }).sort({ updatedAt: -1 }))
+    .filter(rule => rule.isInEffect(at))
+    .filter(rule => rule.scope !== 'promotion' || !rule.category ||
+      (categoryId && rule.category.toString() === categoryId.toString()));
+
+  const applied = pickCommissionRule(rules, defaultRate);
+
+  return {
+    rate: applied.ratePercent / 100,
+    ratePercent: applied.ratePercent,
+    source: applied.source,
+    rule: applied.rule?._id,
+    ruleName: applied.rule?.name,
+    defaultRate,
+    planType,
+    matchedRules: rules
+  };
+};
+
+// Split an amount with a resolved commission; returns the fields stored on a Transaction
+const applyCommission = (amount, commission) => {
+  const platformCommission = roundMoney(amount * commission.rate);
+
+  return {
+    platformCommission,
+    providerAmount: roundMoney(amount - platformCommission),
+    commission: {
+      rate: commission.rate,
+      source: commission.source,
+      rule: commission.rule,
+      ruleName: commission.ruleName
+    }
+  };
+};
+
+// Resolve and apply in one go
+const calculateCommission = async (amount, { providerId, categoryId } = {}) => {
+  const commission = await resolveCommission({ providerId, categoryId });
+  return applyCommission(amount, commission);
+};
+
+module.exports = {
+  pickCommissionRule,
+  resolveCommission,
+  applyCommission,
+  calculateCommission
+};
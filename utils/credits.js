@@ -0,0 +1,67 @@
+// utils/credits.js
+const User = require('../models/User');
+const CreditActivity = require('../models/CreditActivity');
+
+// Credits deducted from a provider for each quote they submit
+const QUOTE_CREDIT_COST = 5;
+
+// Boosts bought with credits when the provider's plan doesn't include them
+const PRIORITY_LISTING_CREDIT_COST = 20;
+const PRIORITY_LISTING_DAYS = 7;
+const FEATURED_PROJECT_CREDIT_COST = 10;
+const FEATURED_PROJECT_DAYS = 30;
+
+// Take credits from a user if they have enough, and record it in their credit
+// activity. Returns the new balance, or null when the balance is too low.
+const spendCredits = async (userId, amount, { type, description, referenceId, referenceModel, metadata } = {}) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, credits: { $gte: amount } },
+    { $inc: { credits: -amount } },
+    { new: true }
+  ).select('credits');
+  if (!user) return null;
+
+  await CreditActivity.create({
+    user: userId,
+    creditChange: -amount,
+    newBalance: user.credits,
+    type,
+    description,
+    ...(referenceId && { referenceId, referenceModel }),
+    metadata
+  });
+
+  return user.credits;
+};
+
+// Give credits back to a user and record it in their credit activity
+const refundCredits = async (userId, amount, { description, jobId, metadata } = {}) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { credits: amount } },
+    { new: true }
+  ).select('credits');
+  if (!user) return null;
+
+  await CreditActivity.create({
+    user: userId,
+    creditChange: amount,
+    newBalance: user.credits,
+    type: 'refund',
+    description,
+    ...(jobId && { referenceId: jobId, referenceModel: 'Job' }),
+    metadata
+  });
+
+  return user.credits;
+};
+
+module.exports = {
+  QUOTE_CREDIT_COST,
+  PRIORITY_LISTING_CREDIT_COST,
+  PRIORITY_LISTING_DAYS,
+  FEATURED_PROJECT_CREDIT_COST,
+  FEATURED_PROJECT_DAYS,
+  spendCredits,
+  refundCredits
+};
@@ -0,0 +1,118 @@
+// utils/cron.js
+const { httpError } = require('./response');
+
+// Minimal five-field cron expressions (minute hour day-of-month month day-of-week),
+// evaluated in UTC. Supports *, lists (1,15), ranges (1-5) and steps (*/10, 0-30/5).
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  // 7 is accepted as Sunday
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const MINUTE_MS = 60 * 1000;
+
+// Give up looking for a matching time after this long (e.g. "0 0 31 2 *")
+const MAX_SEARCH_DAYS = 366 * 4;
+
+const cronError = (message) => httpError(message, 400);
+
+const parseField = (part, { name, min, max }) => {
+  const values = new Set();
+
+  for (const piece of part.split(',')) {
+    const [range, stepText] = piece.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw cronError(`Invalid step in ${name}: ${piece}`);
+
+    let from;
+    let to;
+    if (range === '*') {
+      from = min;
+      to = max;
+    } else if (range.includes('-')) {
+      [from, to] = range.split('-').map(Number);
+    } else {
+      from = Number(range);
+      // "5/15" means from 5 to the end in steps of 15
+      to = stepText === undefined ? from : max;
+    }
+
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < min || to > max || from > to) {
+      throw cronError(`Invalid ${name}: ${piece}`);
+    }
+
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+
+  return values;
+};
+
+// Parse an expression into sets of allowed values
+const parseCron = (expression) => {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw cronError('A schedule needs five fields: minute hour day month weekday');
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Standard cron: when both day fields are restricted, either may match
+    anyDay: parts[2] === '*' || parts[4] === '*',
+    daysRestricted: parts[2] !== '*',
+    weekdaysRestricted: parts[4] !== '*'
+  };
+};
+
+const dayMatches = (cron, date) => {
+  const inMonth = cron.days.has(date.getUTCDate());
+  const inWeek = cron.weekdays.has(date.getUTCDay());
+  if (cron.anyDay) {
+    return (!cron.daysRestricted || inMonth) && (!cron.weekdaysRestricted || inWeek);
+  }
+  return inMonth || inWeek;
+};
+
+// First time strictly after `from` that matches the expression
+const nextCronDate = (expression, from = new Date()) => {
+  const cron = parseCron(expression);
+
+  const date = new Date(Math.floor(from.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+  const limit = from.getTime() + MAX_SEARCH_DAYS * 24 * 60 * MINUTE_MS;
+
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setTime(date.getTime() + MINUTE_MS);
+      continue;
+    }
+    return date;
+  }
+
+  throw cronError(`Schedule "${expression}" never runs`);
+};
+
+module.exports = {
+  parseCron,
+  nextCronDate
+};
@@ -0,0 +1,52 @@
+// utils/currency.js
+
+// Currencies we can charge and pay out in
+const SUPPORTED_CURRENCIES = ['CAD', 'USD'];
+
+// Canada is our primary market
+const DEFAULT_CURRENCY = 'CAD';
+
+// Everything recorded before multi-currency support was charged in USD
+const LEGACY_CURRENCY = 'USD';
+
+const COUNTRY_CURRENCIES = {
+  CA: 'CAD',
+  CAN: 'CAD',
+  CANADA: 'CAD',
+  US: 'USD',
+  USA: 'USD',
+  'UNITED STATES': 'USD',
+  'UNITED STATES OF AMERICA': 'USD'
+};
+
+// Amounts are kept in major units (dollars), rounded to the cent
+const roundMoney = (value) => parseFloat(Number(value).toFixed(2));
+
+// Upper-cased currency code if we support it, otherwise undefined
+const normalizeCurrency = (currency) => {
+  const code = typeof currency === 'string' ? currency.trim().toUpperCase() : undefined;
+  return SUPPORTED_CURRENCIES.includes(code) ? code : undefined;
+};
+
+// Currency for a country name or code; unknown countries get the default
+const currencyForCountry = (country) => {
+  const key = typeof country === 'string' ? country.trim().toUpperCase() : '';
+  return COUNTRY_CURRENCIES[key] || DEFAULT_CURRENCY;
+};
+
+// Currency a new job is priced in: what the client asked for, else their country's,
+// else the country of the job itself
+const currencyForJob = (requested, client, location) => {
+  return normalizeCurrency(requested) ||
+    currencyForCountry(client?.location?.country || location?.details?.country);
+};
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  LEGACY_CURRENCY,
+  roundMoney,
+  normalizeCurrency,
+  currencyForCountry,
+  currencyForJob
+};
@@ -0,0 +1,163 @@
+// utils/disputes.js
+const Dispute = require('../models/Dispute');
+const Transaction = require('../models/Transaction');
+const { releaseTransactionFunds } = require('./paymentRelease');
+const { OPEN_ESCROW_STATUSES, releaseEscrow } = require('./escrow');
+const { refundTransaction } = require('./refunds');
+const { httpError } = require('./response');
+const { roundMoney } = require('./currency');
+
+// Disputes that still block the payment
+const OPEN_DISPUTE_STATUSES = ['open', 'under_review'];
+
+// Freeze a payment and open a dispute on it. `transaction` must have `quote` populated.
+const openDispute = async (transaction, { openedBy, source, reason, description, evidence = [], stripeDispute }) => {
+  const existing = await Dispute.findOne({
+    transaction: transaction._id,
+    status: { $in: OPEN_DISPUTE_STATUSES }
+  });
+
+  if (existing) {
+    throw httpError('A dispute is already open for this payment', 400);
+  }
+
+  if (!transaction.quote) {
+    throw httpError('Only job payments can be disputed', 400);
+  }
+
+  if (!['completed', 'partially_refunded', 'disputed'].includes(transaction.status)) {
+    throw httpError('Only completed payments can be disputed', 400);
+  }
+
+  const escrowStatusBefore = transaction.escrow?.status;
+
+  // Freeze: no approval deadline and no release while disputed
+  transaction.status = 'disputed';
+  if (OPEN_ESCROW_STATUSES.includes(escrowStatusBefore)) {
+    transaction.escrow.status = 'disputed';
+    transaction.escrow.autoApproveAt = undefined;
+    transaction.escrow.dispute = {
+      raisedBy: openedBy,
+      reason,
+      raisedAt: new Date()
+    };
+  }
+  await transaction.save();
+
+  return Dispute.create({
+    transaction: transaction._id,
+    job: transaction.job?._id || transaction.job,
+    client: transaction.user,
+    provider: transaction.quote.provider,
+    openedBy,
+    source,
+    reason,
+    description,
+    amount: stripeDispute ? stripeDispute.amount / 100 : transaction.amount,
+    escrowStatusBefore,
+    evidence,
+    timeline: [{
+      sender: openedBy,
+      senderRole: 'system',
+      message: `Dispute opened by ${source}: ${reason}`
+    }],
+    stripeDisputeId: stripeDispute?.id,
+    stripeDisputeStatus: stripeDispute?.status,
+    stripeDisputeReason: stripeDispute?.reason
+  });
+};
+
+// Apply an admin (or Stripe) ruling: refund the client and/or release to the provider
+const resolveDispute = async (dispute, { outcome, refundAmount, notes, decidedBy, skipStripe = false }) => {
+  if (!OPEN_DISPUTE_STATUSES.includes(dispute.status)) {
+    throw httpError('Dispute has already been resolved', 400);
+  }
+
+  if (!['full_refund', 'partial_refund', 'release_to_provider'].includes(outcome)) {
+    throw httpError('Invalid ruling outcome', 400);
+  }
+
+  const transaction = await Transaction.findById(dispute.transaction).populate('quote job');
+  if (!transaction) throw httpError('Disputed transaction not found', 404);
+
+  let clientRefund = 0;
+  let providerKeeps = transaction.providerAmount;
+
+  if (outcome === 'partial_refund') {
+    clientRefund = roundMoney(refundAmount);
+    if (!clientRefund || clientRefund <= 0 || clientRefund >= transaction.refundableAmount) {
+      throw httpError('Partial refund must be greater than 0 and less than the refundable amount', 400);
+    }
+  }
+
+  const fundsReleased = !!transaction.releasedAt;
+  const escrowed = transaction.escrow?.status === 'disputed';
+  const release = escrowed ? releaseEscrow : releaseTransactionFunds;
+
+  // Unfreeze so the release and refund helpers see a normal paid transaction
+  transaction.status = transaction.refundedAmount ? 'partially_refunded' : 'completed';
+  if (escrowed) transaction.escrow.status = dispute.escrowStatusBefore || 'held';
+  await transaction.save();
+
+  switch (outcome) {
+    case 'release_to_provider': {
+      if (!fundsReleased) {
+        await release(transaction, { releasedBy: decidedBy, notes: 'dispute-ruling' });
+      }
+      break;
+    }
+
+    case 'full_refund': {
+      const { refundAmount: refunded } = await refundTransaction(transaction, {
+        reason: 'dispute_ruling',
+        notes,
+        refundedBy: decidedBy,
+        skipStripe
+      });
+      clientRefund = refunded;
+      providerKeeps = 0;
+      break;
+    }
+
+    case 'partial_refund': {
+      // The refund takes the provider's proportional share, the rest is released to them
+      await refundTransaction(transaction, {
+        amount: clientRefund,
+        reason: 'dispute_ruling',
+        notes,
+        refundedBy: decidedBy,
+        skipStripe
+      });
+      providerKeeps = transaction.providerAmount;
+
+      if (!fundsReleased) {
+        await release(transaction, { releasedBy: decidedBy, notes: 'dispute-ruling' });
+      }
+      break;
+    }
+  }
+
+  dispute.status = 'resolved';
+  dispute.ruling = {
+    outcome,
+    refundAmount: clientRefund,
+    providerAmount: providerKeeps,
+    notes,
+    decidedBy,
+    decidedAt: new Date()
+  };
+  dispute.timeline.push({
+    sender: decidedBy,
+    senderRole: 'system',
+    message: `Dispute resolved: ${outcome.replace(/_/g, ' ')}${clientRefund ? ` ($${clientRefund} refunded to client)` : ''}`
+  });
+  await dispute.save();
+
+  return { dispute, transaction };
+};
+
+module.exports = {
+  OPEN_DISPUTE_STATUSES,
+  openDispute,
+  resolveDispute
+};
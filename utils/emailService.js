@@ -43,7 +43,40 @@ const sendOTPEmail = async (email, otp, name) => {
   }
 };
 
+// Send a PDF document (invoice or receipt) as an attachment
+const sendDocumentEmail = async (email, name, { subject, heading, message, filename, pdf }) => {
+  const mailOptions = {
+    from: EMAIL_USER,
+    to: email,
+    subject: `Raza Home Quote Connect - ${subject}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">${heading}</h2>
+        <p>Hello ${name},</p>
+        <p>${message}</p>
+        <p>Your document is attached to this email as a PDF.</p>
+        <br>
+        <p>Best regards,<br>Raza Home Quote Connect Team</p>
+      </div>
+    `,
+    attachments: [{
+      filename,
+      content: pdf,
+      contentType: 'application/pdf'
+    }]
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('Email sending error:', error);
+    return false;
+  }
+};
+
 module.exports = {
   sendOTPEmail,
+  sendDocumentEmail,
   transporter
 };
\ No newline at end of file
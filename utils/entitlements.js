@@ -0,0 +1,250 @@
+// utils/entitlements.js
+const User = require('../models/User');
+const UserSubscription = require('../models/UserSubscription');
+const ProjectGallery = require('../models/ProjectGallery');
+const { findCurrentSubscription } = require('./subscriptions');
+const {
+  QUOTE_CREDIT_COST,
+  PRIORITY_LISTING_CREDIT_COST,
+  PRIORITY_LISTING_DAYS,
+  FEATURED_PROJECT_CREDIT_COST,
+  FEATURED_PROJECT_DAYS,
+  spendCredits,
+  refundCredits
+} = require('./credits');
+const { httpError } = require('./response');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+};
+
+// Quotas are per month, counted from the day the subscription started
+// (so a yearly plan's quote limit applies to each month of the year)
+const usageWindow = (userSubscription, now = new Date()) => {
+  let months = 0;
+  while (addMonths(userSubscription.startDate, months + 1) <= now) months += 1;
+
+  const start = addMonths(userSubscription.startDate, months);
+
+  const nextStart = addMonths(userSubscription.startDate, months + 1);
+  const end = userSubscription.endDate < nextStart ? userSubscription.endDate : nextStart;
+  return { start, end };
+};
+
+// Start a fresh count when a new usage window begins
+const rollUsageWindow = async (userSubscription, now) => {
+  const { start } = usageWindow(userSubscription, now);
+  const stale = !userSubscription.usagePeriodStart || userSubscription.usagePeriodStart < start;
+  if (!stale) return userSubscription;
+
+  await UserSubscription.updateOne(
+    {
+      _id: userSubscription._id,
+      $or: [{ usagePeriodStart: { $exists: false } }, { usagePeriodStart: null }, { usagePeriodStart: { $lt: start } }]
+    },
+    { quotesUsed: 0, usagePeriodStart: start }
+  );
+  userSubscription.quotesUsed = 0;
+  userSubscription.usagePeriodStart = start;
+  return userSubscription;
+};
+
+// Whether the provider currently shows up as a priority listing
+const hasPriorityListing = (provider, plan, now = new Date()) => {
+  return Boolean(plan?.priorityListing || (provider.priorityListingUntil && provider.priorityListingUntil > now));
+};
+
+// What the provider's plan covers right now and what is left of it
+const getEntitlements = async (user, { now = new Date() } = {}) => {
+  const provider = await User.findById(user._id).select('credits priorityListingUntil');
+  let userSubscription = await findCurrentSubscription(user._id, { now });
+  if (userSubscription) userSubscription = await rollUsageWindow(userSubscription, now);
+  const plan = userSubscription?.subscription;
+
+  const quoteLimit = plan ? plan.quoteLimit : 0;
+  const featuredLimit = plan?.featuredProjectLimit || 0;
+  const featuredUsed = await ProjectGallery.countDocuments({ provider: user._id, featured: true, featuredVia: 'plan' });
+
+  return {
+    plan: plan ? { _id: plan._id, name: plan.name, type: plan.type } : null,
+    period: userSubscription ? usageWindow(userSubscription, now) : null,
+    credits: provider?.credits || 0,
+    quotes: {
+      // Without a plan every quote costs credits; a plan limit of 0 means unlimited
+      includedInPlan: Boolean(plan),
+      limit: plan ? (quoteLimit === 0 ? null : quoteLimit) : 0,
+      used: userSubscription?.quotesUsed || 0,
+      remaining: plan ? (quoteLimit === 0 ? null : Math.max(quoteLimit - userSubscription.quotesUsed, 0)) : 0,
+      creditCost: QUOTE_CREDIT_COST
+    },
+    priorityListing: {
+      includedInPlan: Boolean(plan?.priorityListing),
+      active: hasPriorityListing(provider || {}, plan, now),
+      purchasedUntil: provider?.priorityListingUntil > now ? provider.priorityListingUntil : null,
+      creditCost: PRIORITY_LISTING_CREDIT_COST,
+      days: PRIORITY_LISTING_DAYS
+    },
+    featuredProjects: {
+      limit: featuredLimit,
+      used: featuredUsed,
+      remaining: Math.max(featuredLimit - featuredUsed, 0),
+      creditCost: FEATURED_PROJECT_CREDIT_COST,
+      days: FEATURED_PROJECT_DAYS
+    }
+  };
+};
+
+const insufficientCredits = (cost, what) => httpError(
+  `Insufficient credits. ${what} costs ${cost} credits once your plan allowance is used up. Please purchase more credits or upgrade your plan.`,
+  402
+);
+
+// Use one quote from the plan, or pay for it with credits.
+// Returns a grant that releaseQuoteEntitlement can undo.
+const consumeQuoteEntitlement = async (user, { job, now = new Date() } = {}) => {
+  let userSubscription = await findCurrentSubscription(user._id, { now });
+
+  if (userSubscription) {
+    userSubscription = await rollUsageWindow(userSubscription, now);
+    const limit = userSubscription.subscription?.quoteLimit || 0;
+
+    const covered = await UserSubscription.findOneAndUpdate(
+      { _id: userSubscription._id, ...(limit > 0 && { quotesUsed: { $lt: limit } }) },
+      { $inc: { quotesUsed: 1 } },
+      { new: true }
+    );
+    if (covered) return { coveredBy: 'plan', creditsSpent: 0, userSubscription: covered._id };
+  }
+
+  const balance = await spendCredits(user._id, QUOTE_CREDIT_COST, {
+    type: 'quote_submission',
+    description: `Quote submitted for job: ${job.title}`,
+    referenceId: job._id,
+    referenceModel: 'Job'
+  });
+  if (balance === null) throw insufficientCredits(QUOTE_CREDIT_COST, 'A quote');
+
+  return { coveredBy: 'credits', creditsSpent: QUOTE_CREDIT_COST, userId: user._id, jobId: job._id };
+};
+
+// Give back a quote entitlement when the quote could not be created
+const releaseQuoteEntitlement = async (grant) => {
+  if (!grant) return;
+  if (grant.coveredBy === 'plan') {
+    await UserSubscription.updateOne({ _id: grant.userSubscription, quotesUsed: { $gt: 0 } }, { $inc: { quotesUsed: -1 } });
+  } else if (grant.creditsSpent) {
+    await refundCredits(grant.userId, grant.creditsSpent, {
+      description: 'Refund for a quote that could not be submitted',
+      jobId: grant.jobId
+    });
+  }
+};
+
+// Buy a stretch of priority listing with credits
+const purchasePriorityListing = async (user, { now = new Date() } = {}) => {
+  const userSubscription = await findCurrentSubscription(user._id, { now });
+  if (userSubscription?.subscription?.priorityListing) {
+    throw httpError('Your plan already includes priority listing', 400);
+  }
+
+  const balance = await spendCredits(user._id, PRIORITY_LISTING_CREDIT_COST, {
+    type: 'priority_listing',
+    description: `Priority listing for ${PRIORITY_LISTING_DAYS} days`
+  });
+  if (balance === null) {
+    throw httpError(`Insufficient credits. Priority listing costs ${PRIORITY_LISTING_CREDIT_COST} credits.`, 402);
+  }
+
+  // Extends an existing boost rather than overlapping it
+  const provider = await User.findById(user._id).select('priorityListingUntil');
+  const from = provider.priorityListingUntil > now ? provider.priorityListingUntil : now;
+  const priorityListingUntil = new Date(from.getTime() + PRIORITY_LISTING_DAYS * DAY_MS);
+  await User.updateOne({ _id: user._id }, { priorityListingUntil });
+
+  return { priorityListingUntil, credits: balance };
+};
+
+// Feature a gallery project using a plan slot, or credits for a limited time
+const featureProject = async (project, user, { now = new Date() } = {}) => {
+  if (project.featured) return project;
+
+  const userSubscription = await findCurrentSubscription(user._id, { now });
+  const limit = userSubscription?.subscription?.featuredProjectLimit || 0;
+  const used = limit
+    ? await ProjectGallery.countDocuments({ provider: user._id, featured: true, featuredVia: 'plan' })
+    : 0;
+
+  if (used < limit) {
+    project.featuredVia = 'plan';
+    project.featuredUntil = undefined;
+  } else {
+    const balance = await spendCredits(user._id, FEATURED_PROJECT_CREDIT_COST, {
+      type: 'featured_project',
+      description: `Featured project "${project.title || 'Untitled'}" for ${FEATURED_PROJECT_DAYS} days`,
+      referenceId: project._id,
+      referenceModel: 'ProjectGallery'
+    });
+    if (balance === null) throw insufficientCredits(FEATURED_PROJECT_CREDIT_COST, 'Featuring a project');
+
+    project.featuredVia = 'credits';
+    project.featuredUntil = new Date(now.getTime() + FEATURED_PROJECT_DAYS * DAY_MS);
+  }
+
+  project.featured = true;
+  project.featuredAt = now;
+  return project;
+};
+
+const unfeatureProject = (project) => {
+  project.featured = false;
+  project.featuredVia = undefined;
+  project.featuredAt = undefined;
+  project.featuredUntil = undefined;
+  return project;
+};
+
+// Unfeature projects whose paid time ran out, and plan-featured projects
+// beyond what the provider's plan now covers; run by the scheduler
+const expireFeaturedProjects = async ({ now = new Date() } = {}) => {
+  const paid = await ProjectGallery.updateMany(
+    { featured: true, featuredVia: 'credits', featuredUntil: { $lte: now } },
+    { featured: false, $unset: { featuredVia: 1, featuredAt: 1, featuredUntil: 1 } }
+  );
+
+  let overLimit = 0;
+  const providers = await ProjectGallery.distinct('provider', { featured: true, featuredVia: 'plan' });
+  for (const providerId of providers) {
+    const userSubscription = await findCurrentSubscription(providerId, { now });
+    const limit = userSubscription?.subscription?.featuredProjectLimit || 0;
+
+    // Keep the longest-featured projects
+    const extra = await ProjectGallery.find({ provider: providerId, featured: true, featuredVia: 'plan' })
+      .sort({ featuredAt: 1 })
+      .skip(limit)
+      .select('_id');
+    if (!extra.length) continue;
+
+    await ProjectGallery.updateMany(
+      { _id: { $in: extra.map(p => p._id) } },
+      { featured: false, $unset: { featuredVia: 1, featuredAt: 1, featuredUntil: 1 } }
+    );
+    overLimit += extra.length;
+  }
+
+  return { expired: paid.modifiedCount, overLimit };
+};
+
+module.exports = {
+  hasPriorityListing,
+  getEntitlements,
+  consumeQuoteEntitlement,
+  releaseQuoteEntitlement,
+  purchasePriorityListing,
+  featureProject,
+  unfeatureProject,
+  expireFeaturedProjects
+};
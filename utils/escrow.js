@@ -0,0 +1,162 @@
+// utils/escrow.js
+const Transaction = require('../models/Transaction');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const SystemSettings = require('../models/SystemSettings');
+const { releaseTransactionFunds } = require('./paymentRelease');
+const { sendNotification } = require('../socket/notificationHandler');
+const { httpError } = require('./response');
+
+// Escrow states from which the client still has to act
+const OPEN_ESCROW_STATUSES = ['held', 'awaiting_approval', 'changes_requested'];
+
+// Deadline after which finished work is approved automatically
+const getAutoApproveAt = async () => {
+  const settings = await SystemSettings.getSettings();
+  const days = settings.platformSettings?.escrowAutoApproveDays || 3;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Start the client's approval window
+const startApprovalWindow = async (transaction) => {
+  transaction.escrow.status = 'awaiting_approval';
+  transaction.escrow.workSubmittedAt = new Date();
+  transaction.escrow.autoApproveAt = await getAutoApproveAt();
+};
+
+// Put a paid transaction into escrow. The provider share must already sit in pendingBalance.
+const holdInEscrow = async (transaction, job) => {
+  transaction.escrow.status = 'held';
+  transaction.escrow.heldAt = new Date();
+
+  // Provider finished before the client paid: the approval window starts right away
+  if (job && job.status === 'completed') {
+    await startApprovalWindow(transaction);
+  }
+
+  await transaction.save();
+  return transaction;
+};
+
+// Provider marked the job complete: ask the client to approve
+const submitWorkForApproval = async (jobId) => {
+  const transaction = await Transaction.findOne({
+    job: jobId,
+    milestone: { $exists: false },
+    status: { $in: ['completed', 'partially_refunded'] },
+    'escrow.status': { $in: ['held', 'changes_requested'] }
+  });
+
+  if (!transaction) return null;
+
+  await startApprovalWindow(transaction);
+  await transaction.save();
+  return transaction;
+};
+
+// Release escrowed funds (pending -> available). `transaction` must have `quote` populated.
+// The escrow is claimed first ('releasing') with a conditional write, so a client
+// approval racing the auto-approval, or a dispute opened after `transaction`
+// was loaded, can't lead to a second release or the release of frozen funds.
+// `from` lists the escrow states the release may start from.
+const releaseEscrow = async (transaction, { releasedBy, notes, autoApproved = false, from = OPEN_ESCROW_STATUSES } = {}) => {
+  const claimed = await Transaction.findOneAndUpdate(
+    {
+      _id: transaction._id,
+      status: { $in: ['completed', 'partially_refunded'] },
+      'escrow.status': { $in: from },
+      releasedAt: { $exists: false }
+    },
+    { 'escrow.status': 'releasing' }
+  );
+  if (!claimed) {
+    throw httpError('This payment has already been released or is frozen by a dispute', 409);
+  }
+
+  let result;
+  try {
+    result = await releaseTransactionFunds(transaction, { releasedBy, notes });
+  } catch (err) {
+    // Hand the escrow back in the state it was claimed from
+    await Transaction.updateOne(
+      { _id: transaction._id, 'escrow.status': 'releasing' },
+      { 'escrow.status': claimed.escrow.status }
+    );
+    throw err;
+  }
+
+  const approvedAt = new Date();
+  await Transaction.updateOne(
+    { _id: transaction._id },
+    {
+      'escrow.status': 'released',
+      'escrow.approvedAt': approvedAt,
+      'escrow.autoApproved': autoApproved
+    }
+  );
+  transaction.escrow.status = 'released';
+  transaction.escrow.approvedAt = approvedAt;
+  transaction.escrow.autoApproved = autoApproved;
+
+  await Job.findByIdAndUpdate(transaction.job._id || transaction.job, { status: 'completed' });
+
+  // The job only counts once the client (or the deadline) signs it off
+  await User.findByIdAndUpdate(result.providerId, {
+    $inc: { totalCompletedJobs: 1 }
+  });
+
+  return result;
+};
+
+// Approve every escrow whose approval deadline has passed
+const processEscrowAutoApprovals = async (io, releasedBy) => {
+  const dueTxs = await Transaction.find({
+    status: { $in: ['completed', 'partially_refunded'] },
+    'escrow.status': 'awaiting_approval',
+    'escrow.autoApproveAt': { $lte: new Date() }
+  }).populate('quote job');
+
+  const results = [];
+
+  for (const tx of dueTxs) {
+    try {
+      const { amount, providerId } = await releaseEscrow(tx, {
+        releasedBy,
+        notes: 'escrow-auto-approved',
+        autoApproved: true,
+        from: ['awaiting_approval']
+      });
+
+      if (io) {
+        sendNotification(io, tx.user, {
+          type: 'escrow_released',
+          title: 'Payment Released',
+          message: `The approval period for "${tx.job?.title || 'your job'}" ended and the payment was released to the provider.`,
+          jobId: tx.job?._id
+        });
+
+        sendNotification(io, providerId, {
+          type: 'escrow_released',
+          title: 'Payment Released',
+          message: `$${amount} for "${tx.job?.title || 'the job'}" was auto-approved and moved to your available balance.`,
+          jobId: tx.job?._id
+        });
+      }
+
+      results.push({ id: tx._id, status: 'released' });
+    } catch (err) {
+      console.error('Escrow auto-approve failed for tx', tx._id, err.message);
+      results.push({ id: tx._id, status: 'failed', error: err.message });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  OPEN_ESCROW_STATUSES,
+  holdInEscrow,
+  submitWorkForApproval,
+  releaseEscrow,
+  processEscrowAutoApprovals
+};
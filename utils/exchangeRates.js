@@ -0,0 +1,96 @@
+// utils/exchangeRates.js
+const { FX_PROVIDER, FX_STATIC_RATES, FX_CACHE_MINUTES } = require('../config/env');
+const { SUPPORTED_CURRENCIES, roundMoney } = require('./currency');
+
+// An exchange rate provider is any object with
+//   name: string
+//   getRate(from, to): Promise<number>   // 1 unit of `from` = rate units of `to`
+// Pick one with FX_PROVIDER, or swap it at runtime with setExchangeRateProvider().
+
+// Fixed rates from FX_STATIC_RATES, e.g. {"USD_CAD": 1.37}. Good for local development and tests.
+const DEFAULT_STATIC_RATES = { USD_CAD: 1.37 };
+
+const createStaticProvider = (rates = DEFAULT_STATIC_RATES) => ({
+  name: 'static',
+  getRate: async (from, to) => {
+    if (rates[`${from}_${to}`]) return rates[`${from}_${to}`];
+    if (rates[`${to}_${from}`]) return 1 / rates[`${to}_${from}`];
+    throw new Error(`No static exchange rate for ${from} to ${to}`);
+  }
+});
+
+// Daily rates published by the Bank of Canada (no API key needed). Every supported
+// currency is quoted against CAD, so other pairs are crossed through CAD.
+const bankOfCanadaProvider = {
+  name: 'bank_of_canada',
+  getRate: async (from, to) => {
+    const toCad = async (currency) => {
+      if (currency === 'CAD') return 1;
+      const series = `FX${currency}CAD`;
+      const response = await fetch(`https://www.bankofcanada.ca/valet/observations/${series}/json?recent=1`);
+      if (!response.ok) throw new Error(`Bank of Canada rate request failed with ${response.status}`);
+      const data = await response.json();
+      const value = Number(data.observations?.[0]?.[series]?.v);
+      if (!value) throw new Error(`Bank of Canada returned no rate for ${series}`);
+      return value;
+    };
+
+    const [fromCad, toCadRate] = await Promise.all([toCad(from), toCad(to)]);
+    return fromCad / toCadRate;
+  }
+};
+
+const parseStaticRates = () => {
+  if (!FX_STATIC_RATES) return DEFAULT_STATIC_RATES;
+  try {
+    return JSON.parse(FX_STATIC_RATES);
+  } catch (error) {
+    console.error('Invalid FX_STATIC_RATES, using defaults:', error.message);
+    return DEFAULT_STATIC_RATES;
+  }
+};
+
+const PROVIDERS = {
+  static: () => createStaticProvider(parseStaticRates()),
+  bank_of_canada: () => bankOfCanadaProvider
+};
+
+let provider = (PROVIDERS[FX_PROVIDER] || PROVIDERS.static)();
+const cache = new Map();
+
+// Replace the rate provider (clears cached rates)
+const setExchangeRateProvider = (nextProvider) => {
+  provider = nextProvider;
+  cache.clear();
+};
+
+const getExchangeRateProvider = () => provider;
+
+// Rate to convert `from` into `to`, cached for FX_CACHE_MINUTES
+const getExchangeRate = async (from, to) => {
+  if (from === to) return 1;
+  if (!SUPPORTED_CURRENCIES.includes(from) || !SUPPORTED_CURRENCIES.includes(to)) {
+    throw new Error(`Unsupported currency pair ${from}/${to}`);
+  }
+
+  const key = `${from}_${to}`;
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.rate;
+
+  const rate = await provider.getRate(from, to);
+  cache.set(key, { rate, expiresAt: Date.now() + FX_CACHE_MINUTES * 60 * 1000 });
+  return rate;
+};
+
+const convertAmount = async (amount, from, to) => {
+  const rate = await getExchangeRate(from, to);
+  return roundMoney(amount * rate);
+};
+
+module.exports = {
+  createStaticProvider,
+  setExchangeRateProvider,
+  getExchangeRateProvider,
+  getExchangeRate,
+  convertAmount
+};
@@ -1,10 +1,10 @@
 const jwt = require('jsonwebtoken');
 const { JWT_SECRET, JWT_EXPIRE } = require('../config/env');
 
-// Generate token with both userId and role
-const generateToken = (user) => {
+// Generate an access token for a session, with userId, role and session id
+const generateToken = (user, session) => {
   return jwt.sign(
-    { userId: user._id.toString(), role: user.role },
+    { userId: user._id.toString(), role: user.role, sid: session._id.toString() },
     JWT_SECRET,
     { expiresIn: JWT_EXPIRE }
   );
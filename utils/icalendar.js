@@ -0,0 +1,87 @@
+// utils/icalendar.js
+// Minimal RFC 5545 writer for calendar subscription feeds
+
+const PRODUCT_ID = '-//HomeQuoteConnect//Job Schedule//EN';
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// 2025-06-01T14:30:00.000Z -> 20250601T143000Z
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// "2025-06-01" -> 20250601
+const formatDate = (day) => day.replace(/-/g, '');
+
+const nextDay = (day) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+};
+
+// Each event: { uid, summary, description, location, start, end, date, status, updatedAt }.
+// Timed events use start/end; all-day events only a YYYY-MM-DD date.
+const buildCalendar = ({ name, events = [], now = new Date() }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // Ask clients to poll hourly so reschedules and cancellations show up
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  events.forEach(event => {
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${event.uid}`);
+    lines.push(`DTSTAMP:${formatDateTime(now)}`);
+    if (event.start) {
+      lines.push(`DTSTART:${formatDateTime(event.start)}`);
+      lines.push(`DTEND:${formatDateTime(event.end)}`);
+    } else {
+      lines.push(`DTSTART;VALUE=DATE:${formatDate(event.date)}`);
+      lines.push(`DTEND;VALUE=DATE:${formatDate(nextDay(event.date))}`);
+    }
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    lines.push(`STATUS:${event.status || 'CONFIRMED'}`);
+    if (event.updatedAt) {
+      lines.push(`LAST-MODIFIED:${formatDateTime(event.updatedAt)}`);
+      // Calendar apps only replace an event when its sequence goes up
+      lines.push(`SEQUENCE:${Math.floor(new Date(event.updatedAt).getTime() / 1000)}`);
+    }
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildCalendar
+};
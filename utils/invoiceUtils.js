@@ -0,0 +1,279 @@
+// utils/invoiceUtils.js
+const Invoice = require('../models/Invoice');
+const User = require('../models/User');
+const Milestone = require('../models/Milestone');
+const Quote = require('../models/Quote');
+const { billedLineItems } = require('./quoteItems');
+
+// Load an invoice with everything needed to render it
+const findPopulatedInvoice = (filter) => {
+  return Invoice.findOne(filter)
+    .populate('provider', 'fullName email phoneNumber location businessName taxRegistrationNumber')
+    .populate('client', 'fullName email phoneNumber location')
+    .populate('job', 'title description location')
+    .populate('quote', 'price description')
+    .populate('milestone', 'title description order amount dueCondition dueDate');
+};
+
+// Credit notes issued against an invoice, oldest first
+const findCreditNotes = (invoiceId) => {
+  return Invoice.find({ originalInvoice: invoiceId, type: 'credit_note' }).sort({ issuedDate: 1 });
+};
+
+// Issue a credit note for one entry of the transaction's refund ledger
+const createCreditNote = (invoice, refund) => {
+  return Invoice.create({
+    type: 'credit_note',
+    originalInvoice: invoice._id,
+    creditReason: refund.reason,
+    job: invoice.job._id || invoice.job,
+    quote: invoice.quote._id || invoice.quote,
+    transaction: invoice.transaction,
+    milestone: invoice.milestone?._id || invoice.milestone,
+    provider: invoice.provider._id || invoice.provider,
+    client: invoice.client._id || invoice.client,
+    pricing: {
+      subtotal: refund.amount,
+      platformCommission: refund.platformCommission,
+      platformCommissionRate: invoice.pricing.platformCommissionRate,
+      total: refund.providerAmount
+    },
+    currency: invoice.currency,
+    tax: {
+      region: invoice.tax?.region,
+      regionName: invoice.tax?.regionName,
+      lines: (refund.taxLines || []).map(line => {
+        const original = invoice.tax?.lines?.find(l => l.type === line.type);
+        return { type: line.type, label: original?.label, rate: original?.rate, amount: line.amount };
+      }),
+      total: refund.tax || 0,
+      providerTaxNumber: invoice.tax?.providerTaxNumber
+    },
+    payment: {
+      paidAmount: parseFloat((refund.amount + (refund.tax || 0)).toFixed(2)),
+      paymentMethod: invoice.payment.paymentMethod,
+      paymentStatus: 'refunded',
+      paidAt: refund.refundedAt
+    },
+    issuedDate: refund.refundedAt || new Date(),
+    status: 'issued'
+  });
+};
+
+// Create the invoice for a paid transaction. Pricing shows the original charge;
+// refunds already on the ledger get their credit notes issued against it.
+const createInvoiceForTransaction = async (transaction, { job, quoteId, providerId, clientId, milestoneId }) => {
+  const refunds = transaction.refunds || [];
+  const platformCommission = refunds.reduce((sum, r) => sum + r.platformCommission, transaction.platformCommission);
+  const providerAmount = refunds.reduce((sum, r) => sum + r.providerAmount, transaction.providerAmount);
+  const tax = transaction.tax || {};
+  const provider = await User.findById(providerId).select('taxRegistrationNumber');
+
+  // Milestone invoices bill part of the job, so only full-job invoices are itemized
+  const quote = milestoneId ? null : await Quote.findById(quoteId).select('lineItems');
+
+  const invoice = await Invoice.create({
+    job: job._id,
+    quote: quoteId,
+    transaction: transaction._id,
+    milestone: milestoneId,
+    lineItems: billedLineItems(quote?.lineItems),
+    provider: providerId,
+    client: clientId,
+    pricing: {
+      subtotal: transaction.amount,
+      platformCommission: parseFloat(platformCommission.toFixed(2)),
+      platformCommissionRate: transaction.commission?.rate ?? platformCommission / transaction.amount,
+      commissionSource: transaction.commission?.source,
+      commissionRuleName: transaction.commission?.ruleName,
+      total: parseFloat(providerAmount.toFixed(2))
+    },
+    currency: transaction.currency,
+    tax: {
+      region: tax.region,
+      regionName: tax.regionName,
+      lines: tax.lines,
+      total: tax.total || 0,
+      providerTaxNumber: provider?.taxRegistrationNumber
+    },
+    payment: {
+      paidAmount: parseFloat((transaction.amount + (tax.total || 0)).toFixed(2)),
+      paymentMethod: transaction.paymentMethod,
+      paymentStatus: transaction.status,
+      paidAt: transaction.paidAt || transaction.completedAt
+    },
+    issuedDate: new Date(),
+    status: 'paid'
+  });
+
+  const missing = refunds.filter(r => !r.creditNote);
+  if (missing.length) {
+    for (const refund of missing) {
+      const creditNote = await createCreditNote(invoice, refund);
+      refund.creditNote = creditNote._id;
+    }
+    await transaction.save();
+  }
+
+  return invoice;
+};
+
+// Find the invoice for a transaction, issuing it first if needed; returns it populated
+const getOrCreateInvoice = async (transaction, { job, quoteId, providerId, clientId, milestoneId }) => {
+  const filter = milestoneId
+    ? { milestone: milestoneId, type: { $ne: 'credit_note' } }
+    : { job: job._id, milestone: { $exists: false }, type: { $ne: 'credit_note' } };
+
+  const invoice = await findPopulatedInvoice(filter);
+  if (invoice) return invoice;
+
+  const created = await createInvoiceForTransaction(transaction, { job, quoteId, providerId, clientId, milestoneId });
+  if (milestoneId) {
+    await Milestone.findByIdAndUpdate(milestoneId, { invoice: created._id });
+  }
+
+  return findPopulatedInvoice({ _id: created._id });
+};
+
+// Build the invoice response shared by job and milestone invoices
+const formatInvoice = (invoice, job, creditNotes = []) => {
+  const invoiceData = {
+    invoiceId: invoice.invoiceId,
+    issuedDate: invoice.issuedDate,
+
+    // Service Provider Information
+    serviceProvider: {
+      name: invoice.provider?.businessName || invoice.provider?.fullName || 'N/A',
+      fullName: invoice.provider?.fullName || 'N/A',
+      email: invoice.provider?.email || 'N/A',
+      phoneNumber: invoice.provider?.phoneNumber || 'N/A',
+      taxRegistrationNumber: invoice.tax?.providerTaxNumber || invoice.provider?.taxRegistrationNumber || null,
+      address: invoice.provider?.location?.address ||
+               `${invoice.provider?.location?.city || ''}, ${invoice.provider?.location?.state || ''}, ${invoice.provider?.location?.zipCode || ''}`.trim() || 'N/A'
+    },
+
+    // Customer Information
+    customer: {
+      name: invoice.client?.fullName || 'N/A',
+      email: invoice.client?.email || 'N/A',
+      phoneNumber: invoice.client?.phoneNumber || 'N/A',
+      address: invoice.client?.location?.address ||
+               `${invoice.client?.location?.city || ''}, ${invoice.client?.location?.state || ''}, ${invoice.client?.location?.zipCode || ''}`.trim() || 'N/A'
+    },
+
+    // Job Information
+    jobDetails: {
+      jobTitle: invoice.job?.title || job.title || 'N/A',
+      jobDescription: invoice.job?.description || job.description || 'N/A',
+      jobLocation: invoice.job?.location?.address || job.location?.address ||
+                  `${invoice.job?.location?.details?.completeAddress || job.location?.details?.completeAddress || ''}, ${invoice.job?.location?.details?.city || job.location?.details?.city || ''}, ${invoice.job?.location?.details?.state || job.location?.details?.state || ''}`.trim() || 'N/A',
+      serviceCategory: job.serviceCategory?.title || 'N/A'
+    },
+
+    // Itemized charges, when the quote was itemized
+    lineItems: (invoice.lineItems || []).map(line => ({
+      type: line.type,
+      description: line.description,
+      quantity: line.quantity,
+      unit: line.unit,
+      unitPrice: line.unitPrice,
+      percent: line.percent,
+      amount: line.amount
+    })),
+
+    // Pricing Breakdown
+    pricing: {
+      subtotal: invoice.pricing.subtotal,
+      platformCommission: invoice.pricing.platformCommission,
+      platformCommissionRate: `${parseFloat((invoice.pricing.platformCommissionRate * 100).toFixed(2))}%`,
+      commissionSource: invoice.pricing.commissionSource || 'default',
+      total: invoice.pricing.total,
+      // Sales tax, one line per GST/HST/PST/QST component
+      taxRegion: invoice.tax?.regionName || invoice.tax?.region || null,
+      taxLines: (invoice.tax?.lines || []).map(line => ({
+        label: `${line.label || line.type} (${line.rate}%)`,
+        type: line.type,
+        rate: line.rate,
+        amount: line.amount
+      })),
+      taxTotal: invoice.tax?.total || 0,
+      totalWithTax: parseFloat((invoice.pricing.subtotal + (invoice.tax?.total || 0)).toFixed(2))
+    },
+    currency: invoice.currency,
+
+    // Payment Information
+    payment: {
+      paidAmount: invoice.payment.paidAmount,
+      paymentMethod: invoice.payment.paymentMethod,
+      paymentStatus: invoice.payment.paymentStatus,
+      paidAt: invoice.payment.paidAt
+    },
+
+    // Metadata
+    createdAt: invoice.createdAt,
+    updatedAt: invoice.updatedAt
+  };
+
+  // Milestone invoices cover only part of the accepted quote
+  if (invoice.milestone) {
+    invoiceData.milestone = {
+      title: invoice.milestone.title,
+      description: invoice.milestone.description,
+      order: invoice.milestone.order,
+      amount: invoice.milestone.amount,
+      dueCondition: invoice.milestone.dueCondition
+    };
+  }
+
+  // Refunds issued against this invoice
+  if (creditNotes.length) {
+    const totalCredited = creditNotes.reduce((sum, cn) => sum + cn.payment.paidAmount, 0);
+
+    invoiceData.creditNotes = creditNotes.map(cn => ({
+      invoiceId: cn.invoiceId,
+      issuedDate: cn.issuedDate,
+      reason: cn.creditReason,
+      amount: cn.pricing.subtotal,
+      tax: cn.tax?.total || 0,
+      platformCommission: cn.pricing.platformCommission,
+      providerAmount: cn.pricing.total
+    }));
+    invoiceData.payment.refundedAmount = parseFloat(totalCredited.toFixed(2));
+    invoiceData.payment.netPaid = parseFloat((invoice.payment.paidAmount - totalCredited).toFixed(2));
+  }
+
+  return invoiceData;
+};
+
+// Receipt data for a purchase from the platform (credit package or subscription)
+const formatPurchaseReceipt = (transaction, user) => {
+  const { metadata = {} } = transaction;
+  const description = metadata.type === 'credits'
+    ? `${metadata.credits} credits`
+    : `Subscription${metadata.subscriptionType ? ` (${metadata.subscriptionType})` : ''}`;
+
+  return {
+    receiptNumber: `R-${transaction._id.toString().slice(-8).toUpperCase()}`,
+    paidAt: transaction.paidAt || transaction.completedAt || transaction.createdAt,
+    customer: {
+      name: user?.fullName || 'N/A',
+      email: user?.email || 'N/A'
+    },
+    lineItems: [{ description, amount: transaction.amount }],
+    total: transaction.amount,
+    currency: transaction.currency || 'USD',
+    paymentMethod: transaction.paymentMethod,
+    status: transaction.status,
+    reference: transaction.stripePaymentIntentId
+  };
+};
+
+module.exports = {
+  findPopulatedInvoice,
+  findCreditNotes,
+  createCreditNote,
+  createInvoiceForTransaction,
+  getOrCreateInvoice,
+  formatInvoice,
+  formatPurchaseReceipt
+};
@@ -0,0 +1,184 @@
+// utils/jobExpiry.js
+const Job = require('../models/Job');
+const Quote = require('../models/Quote');
+const { sendNotification } = require('../socket/notificationHandler');
+const { QUOTE_CREDIT_COST, refundCredits } = require('./credits');
+const { httpError } = require('./response');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Clients are reminded this long before expiry, or a quarter of the job's
+// lifetime for short-lived (urgent) jobs
+const REMINDER_HOURS = 24;
+
+const MAX_EXTENSIONS = 3;
+const MAX_EXTENSION_DAYS = 14;
+
+// Quotes still waiting on a decision when their job expires
+const OPEN_QUOTE_STATUSES = ['pending', 'updated', 'countered', 'agreed'];
+
+// Warn clients whose pending jobs are about to expire, once per expiry date
+const sendExpiryReminders = async (io, { now = new Date() } = {}) => {
+  const jobs = await Job.find({
+    status: 'pending',
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + REMINDER_HOURS * HOUR_MS) },
+    expiryReminderSentAt: { $exists: false }
+  });
+
+  const reminded = [];
+  for (const job of jobs) {
+    const lifetime = job.expiresAt - job.createdAt;
+    if (job.expiresAt - now > Math.min(REMINDER_HOURS * HOUR_MS, lifetime / 4)) continue;
+
+    const claimed = await Job.findOneAndUpdate(
+      { _id: job._id, expiryReminderSentAt: { $exists: false } },
+      { expiryReminderSentAt: now }
+    );
+    if (!claimed) continue;
+
+    if (io) {
+      sendNotification(io, job.client, {
+        type: 'job_expiring',
+        title: 'Job Expiring Soon',
+        message: `"${job.title}" stops accepting quotes on ${job.expiresAt.toLocaleString()}. Extend it to keep receiving quotes.`,
+        jobId: job._id,
+        expiresAt: job.expiresAt,
+        canExtend: (job.extensionCount || 0) < MAX_EXTENSIONS
+      });
+    }
+    reminded.push(job._id);
+  }
+
+  return reminded;
+};
+
+// Credits to give back for a quote. Quotes from before creditsSpent was
+// stored paid the flat cost, except direct-booking quotes, which were free.
+const creditsPaidFor = (quote, job) => {
+  if (quote.creditsSpent !== undefined && quote.creditsSpent !== null) return quote.creditsSpent;
+  return job.isDirectBooking ? 0 : QUOTE_CREDIT_COST;
+};
+
+// Close the open quotes of an expired job and give providers their credits back
+const expireQuotes = async (io, job, now) => {
+  const quotes = await Quote.find({ job: job._id, status: { $in: OPEN_QUOTE_STATUSES } });
+
+  const expired = [];
+  for (const quote of quotes) {
+    quote.status = 'expired';
+    await quote.save();
+
+    // Refund once per negotiation: only the original quote was paid for
+    const root = quote.originalQuote ? (await Quote.revisionChain(quote._id))[0] : quote;
+    const paid = await Quote.findOneAndUpdate(
+      { _id: root._id, creditsRefundedAt: { $exists: false } },
+      { creditsRefundedAt: now },
+      { new: true }
+    );
+    const credits = paid ? creditsPaidFor(paid, job) : 0;
+    if (credits > 0) {
+      await refundCredits(quote.provider, credits, {
+        description: `Refund for quote on expired job: ${job.title}`,
+        jobId: job._id,
+        metadata: { quoteId: root._id }
+      });
+    }
+
+    if (io) {
+      sendNotification(io, quote.provider, {
+        type: 'quote_expired',
+        title: 'Quote Expired',
+        message: credits > 0
+          ? `"${job.title}" expired without a hire. Your ${credits} credits have been refunded.`
+          : `"${job.title}" expired without a hire.`,
+        jobId: job._id,
+        quoteId: quote._id,
+        creditsRefunded: credits
+      });
+    }
+    expired.push({ quote: quote._id, creditsRefunded: credits });
+  }
+
+  return expired;
+};
+
+// Mark pending jobs past their expiry as expired. Each job is claimed
+// atomically so overlapping runs never refund twice.
+const expireJobs = async (io, { now = new Date() } = {}) => {
+  const due = await Job.find({ status: 'pending', expiresAt: { $lte: now } }).select('_id');
+
+  const results = [];
+  for (const { _id } of due) {
+    const job = await Job.findOneAndUpdate(
+      { _id, status: 'pending', expiresAt: { $lte: now } },
+      { status: 'expired', expiredAt: now },
+      { new: true }
+    );
+    if (!job) continue;
+
+    try {
+      const quotes = await expireQuotes(io, job, now);
+
+      if (io) {
+        sendNotification(io, job.client, {
+          type: 'job_expired',
+          title: 'Job Expired',
+          message: `"${job.title}" has expired and no longer accepts quotes.`,
+          jobId: job._id
+        });
+      }
+      results.push({ job: job._id, quotes: quotes.length });
+    } catch (error) {
+      console.error('Job expiry failed for job', job._id, error.message);
+      results.push({ job: job._id, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+// One pass of the expiry lifecycle; run by the scheduler
+const processJobExpiry = async (io, { now = new Date() } = {}) => {
+  const reminded = await sendExpiryReminders(io, { now });
+  const expired = await expireJobs(io, { now });
+  return { reminded: reminded.length, expired };
+};
+
+// Push a pending job's expiry back (client's choice after a reminder)
+const extendJobExpiry = async (job, { days = 7, now = new Date() } = {}) => {
+  if (job.status !== 'pending') throw httpError('Only jobs still accepting quotes can be extended', 400);
+
+  const extraDays = Number(days);
+  if (!Number.isInteger(extraDays) || extraDays < 1 || extraDays > MAX_EXTENSION_DAYS) {
+    throw httpError(`Extension must be between 1 and ${MAX_EXTENSION_DAYS} days`, 400);
+  }
+  if ((job.extensionCount || 0) >= MAX_EXTENSIONS) {
+    throw httpError(`A job can only be extended ${MAX_EXTENSIONS} times`, 400);
+  }
+
+  const from = job.expiresAt && job.expiresAt > now ? job.expiresAt : now;
+  // Jobs posted before extensions existed have no count stored yet
+  const extensionCount = job.extensionCount || 0;
+  const unchanged = extensionCount
+    ? { extensionCount }
+    : { $or: [{ extensionCount: { $exists: false } }, { extensionCount: 0 }] };
+  const updated = await Job.findOneAndUpdate(
+    { _id: job._id, status: 'pending', ...unchanged },
+    {
+      expiresAt: new Date(from.getTime() + extraDays * DAY_MS),
+      $inc: { extensionCount: 1 },
+      $unset: { expiryReminderSentAt: 1 }
+    },
+    { new: true }
+  );
+  if (!updated) throw httpError('The job changed while extending it. Please try again.', 409);
+
+  return updated;
+};
+
+module.exports = {
+  MAX_EXTENSIONS,
+  processJobExpiry,
+  extendJobExpiry
+};
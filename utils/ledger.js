@@ -0,0 +1,546 @@
+// utils/ledger.js
+const LedgerEntry = require('../models/LedgerEntry');
+const Wallet = require('../models/Wallet');
+const Transaction = require('../models/Transaction');
+const { SUPPORTED_CURRENCIES, LEGACY_CURRENCY, roundMoney } = require('./currency');
+const { httpError } = require('./response');
+
+// Provider sub-ledger accounts and the wallet balance each one drives
+const WALLET_ACCOUNTS = {
+  provider_payable_pending: 'pendingBalance',
+  provider_payable_available: 'availableBalance'
+};
+
+// Entry types that record money coming in for a transaction
+const PAYMENT_ENTRY_TYPES = ['payment', 'cash_payment', 'credit_purchase', 'subscription_payment', 'background_check_fee'];
+
+const WALLET_FIELDS = ['pendingBalance', 'availableBalance', 'withdrawnBalance', 'totalEarned'];
+
+// Entries posted before multi-currency support have no currency stored
+const ENTRY_CURRENCY = { $ifNull: ['$currency', LEGACY_CURRENCY] };
+
+// Differences below half a cent are rounding, not drift
+const TOLERANCE = 0.005;
+
+const debit = (account, amount, owner) => ({ account, owner, debit: roundMoney(amount), credit: 0 });
+const credit = (account, amount, owner) => ({ account, owner, debit: 0, credit: roundMoney(amount) });
+
+// Wallet changes implied by an entry, keyed by the balance path for its currency
+const walletDeltas = (entry) => {
+  const deltas = {
+    pendingBalance: 0,
+    availableBalance: 0,
+    withdrawnBalance: entry.providerWithdrawn || 0,
+    totalEarned: entry.providerEarnings || 0
+  };
+
+  entry.lines.forEach(line => {
+    const field = WALLET_ACCOUNTS[line.account];
+    if (field) deltas[field] += line.credit - line.debit;
+  });
+
+  return Object.fromEntries(
+    Object.entries(deltas)
+      .map(([field, value]) => [`balances.${entry.currency}.${field}`, roundMoney(value)])
+      .filter(([, value]) => value !== 0)
+  );
+};
+
+// Post a balanced entry and apply it to the provider's wallet. Wallet balances
+// only ever change through here, so they can always be rebuilt from the ledger.
+// `walletApplied` is for callers that already made the wallet change themselves.
+const postEntry = async ({ type, currency, lines, provider, providerEarnings = 0, providerWithdrawn = 0, transaction, reference, memo, postedBy, walletApplied = false }) => {
+  const entry = await LedgerEntry.create({
+    type,
+    currency,
+    lines: lines.filter(line => line.debit || line.credit),
+    provider,
+    providerEarnings: roundMoney(providerEarnings),
+    providerWithdrawn: roundMoney(providerWithdrawn),
+    transaction: transaction?._id || transaction,
+    reference,
+    memo,
+    postedBy
+  });
+
+  if (provider && !walletApplied) {
+    const $inc = walletDeltas(entry);
+    if (Object.keys($inc).length) {
+      await Wallet.findOneAndUpdate(
+        { user: provider },
+        { $inc },
+        { upsert: true, setDefaultsOnInsert: true }
+      );
+    }
+  }
+
+  return entry;
+};
+
+// Client paid for a job (or milestone) by card: commission is earned, provider share is held
+// and any sales tax is owed on the provider's behalf
+const postPayment = (transaction, providerId, { postedBy } = {}) => {
+  const client = transaction.user._id || transaction.user;
+  const tax = transaction.tax?.total || 0;
+  const charged = transaction.amount + tax;
+
+  return postEntry({
+    type: 'payment',
+    currency: transaction.currency,
+    lines: [
+      debit('client_receivable', charged, client),
+      credit('platform_revenue', transaction.platformCommission),
+      credit('provider_payable_pending', transaction.providerAmount, providerId),
+      credit('sales_tax_payable', tax, providerId),
+      debit('stripe_clearing', charged),
+      credit('client_receivable', charged, client)
+    ],
+    provider: providerId,
+    providerEarnings: transaction.providerAmount,
+    transaction,
+    reference: transaction.stripePaymentIntentId,
+    memo: 'Job payment received',
+    postedBy
+  });
+};
+
+// Client paid the provider in cash: the provider now owes the platform its commission
+const postCashPayment = (transaction, providerId, { postedBy } = {}) => {
+  return postEntry({
+    type: 'cash_payment',
+    currency: transaction.currency,
+    lines: [
+      debit('provider_receivable', transaction.platformCommission, providerId),
+      credit('platform_revenue', transaction.platformCommission)
+    ],
+    provider: providerId,
+    providerEarnings: transaction.providerAmount,
+    transaction,
+    memo: 'Cash payment confirmed by provider',
+    postedBy
+  });
+};
+
+// Client bought something from the platform itself (credits, a subscription, a background check).
+// Webhooks can be redelivered, so a sale is only posted once per transaction.
+const postPlatformSale = async (transaction, type, { postedBy } = {}) => {
+  const existing = await LedgerEntry.findOne({ transaction: transaction._id, type });
+  if (existing) return existing;
+
+  return postEntry({
+    type,
+    currency: transaction.currency,
+    lines: [
+      debit('stripe_clearing', transaction.amount),
+      credit('platform_revenue', transaction.amount)
+    ],
+    transaction,
+    reference: transaction.stripePaymentIntentId,
+    memo: `${type.replace(/_/g, ' ')} received`,
+    postedBy
+  });
+};
+
+// Escrowed provider share becomes withdrawable
+const postRelease = (transaction, providerId, amount, { postedBy, memo } = {}) => {
+  return postEntry({
+    type: 'release',
+    currency: transaction.currency,
+    lines: [
+      debit('provider_payable_pending', amount, providerId),
+      credit('provider_payable_available', amount, providerId)
+    ],
+    provider: providerId,
+    transaction,
+    memo: memo || 'Funds released to provider',
+    postedBy
+  });
+};
+
+// Post an entry only if the provider's available balance covers `required`.
+// The balance is checked and the entry's wallet change applied in one update,
+// and undone again if the entry can't be recorded. Returns null when the
+// balance is too low.
+const postIfAvailable = async (fields, required) => {
+  const $inc = walletDeltas({
+    currency: fields.currency,
+    lines: fields.lines,
+    providerEarnings: roundMoney(fields.providerEarnings || 0),
+    providerWithdrawn: roundMoney(fields.providerWithdrawn || 0)
+  });
+
+  const applied = await Wallet.updateOne(
+    { user: fields.provider, [`balances.${fields.currency}.availableBalance`]: { $gte: roundMoney(required) } },
+    { $inc }
+  );
+  if (!applied.modifiedCount) return null;
+
+  try {
+    return await postEntry({ ...fields, walletApplied: true });
+  } catch (error) {
+    await Wallet.updateOne(
+      { user: fields.provider },
+      { $inc: Object.fromEntries(Object.entries($inc).map(([path, value]) => [path, -value])) }
+    );
+    throw error;
+  }
+};
+
+// Refund one ledger entry of a transaction. `walletSource` is the provider balance
+// the share comes out of ('pending', 'available', or 'none' for cash jobs).
+// `tax` is refunded on top of `amount`.
+// A share that was already released is only taken from the available balance
+// when it still covers it. Once the provider has withdrawn the money the wallet
+// is left alone and the share is booked as owed by the provider instead
+// (provider_receivable), the same way commission on cash jobs is.
+const postRefund = async (transaction, { amount, platformCommission, providerAmount, tax = 0, walletSource, providerId, reference, postedBy }) => {
+  // Platform sales have no provider share: the whole refund comes out of revenue
+  if (!providerId) {
+    return postEntry({
+      type: 'refund',
+      currency: transaction.currency,
+      lines: [
+        debit('platform_revenue', amount),
+        credit('stripe_clearing', amount)
+      ],
+      transaction,
+      reference,
+      memo: 'Refund issued',
+      postedBy
+    });
+  }
+
+  // Cash jobs: the provider hands the money back, the platform drops its commission claim
+  if (walletSource === 'none') {
+    return postEntry({
+      type: 'refund',
+      currency: transaction.currency,
+      lines: [
+        debit('platform_revenue', platformCommission),
+        credit('provider_receivable', platformCommission, providerId)
+      ],
+      provider: providerId,
+      providerEarnings: -providerAmount,
+      transaction,
+      reference,
+      memo: 'Cash job refund',
+      postedBy
+    });
+  }
+
+  const refundEntry = (account, memo) => ({
+    type: 'refund',
+    currency: transaction.currency,
+    lines: [
+      debit('platform_revenue', platformCommission),
+      debit(account, providerAmount, providerId),
+      debit('sales_tax_payable', tax, providerId),
+      credit('stripe_clearing', amount + tax)
+    ],
+    provider: providerId,
+    providerEarnings: -providerAmount,
+    transaction,
+    reference,
+    memo,
+    postedBy
+  });
+
+  if (walletSource !== 'available') {
+    return postEntry(refundEntry(`provider_payable_${walletSource}`, 'Refund issued'));
+  }
+
+  const clawedBack = await postIfAvailable(refundEntry('provider_payable_available', 'Refund issued'), providerAmount);
+  if (clawedBack) return clawedBack;
+
+  return postEntry(refundEntry('provider_receivable', 'Refund issued; provider share already paid out is owed by the provider'));
+};
+
+// Provider withdrew available funds in one currency to their Stripe account.
+// The balance is checked and debited in one update, so two withdrawals racing
+// for the same funds can't both go through.
+const postWithdrawal = async (providerId, amount, { currency, reference, memo, transaction, postedBy } = {}) => {
+  const withdrawal = await postIfAvailable({
+    type: 'withdrawal',
+    currency,
+    lines: [
+      debit('provider_payable_available', amount, providerId),
+      credit('stripe_clearing', amount)
+    ],
+    provider: providerId,
+    providerWithdrawn: amount,
+    transaction,
+    reference,
+    memo: memo || 'Provider withdrawal',
+    postedBy
+  }, amount);
+  if (!withdrawal) {
+    throw httpError(`Insufficient available ${currency} balance`, 400);
+  }
+
+  return withdrawal;
+};
+
+// Undo a withdrawal whose Stripe transfer failed
+const postWithdrawalReversal = (withdrawal, { memo } = {}) => {
+  return postEntry({
+    type: 'withdrawal_reversal',
+    currency: withdrawal.currency,
+    lines: withdrawal.lines.map(line => ({
+      account: line.account,
+      owner: line.owner,
+      debit: line.credit,
+      credit: line.debit
+    })),
+    provider: withdrawal.provider,
+    providerWithdrawn: -withdrawal.providerWithdrawn,
+    transaction: withdrawal.transaction,
+    reference: withdrawal._id.toString(),
+    memo: memo || 'Withdrawal reversed'
+  });
+};
+
+// Wallet figures stored at the top level before balances were kept per currency (all USD)
+const legacyFigures = (wallet) => Object.fromEntries(WALLET_FIELDS.map(field => [field, wallet[field] || 0]));
+const hasLegacyFigures = (wallet) => WALLET_FIELDS.some(field => wallet[field]);
+const LEGACY_UNSET = Object.fromEntries(WALLET_FIELDS.map(field => [field, '']));
+
+// Bring wallets that predate the ledger onto it with a single opening entry each.
+// Their figures were all USD, so they move into the USD balances.
+const postOpeningBalances = async (postedBy) => {
+  const providersOnLedger = await LedgerEntry.distinct('provider', { provider: { $ne: null } });
+  const wallets = await Wallet.find({ user: { $nin: providersOnLedger } }).lean();
+
+  const posted = [];
+  for (const wallet of wallets) {
+    if (!hasLegacyFigures(wallet)) continue;
+    const { pendingBalance, availableBalance, withdrawnBalance, totalEarned } = legacyFigures(wallet);
+
+    const signed = (account, value) => (value >= 0
+      ? credit(account, value, wallet.user)
+      : debit(account, -value, wallet.user));
+    const equity = roundMoney(pendingBalance + availableBalance);
+
+    const lines = [
+      signed('provider_payable_pending', pendingBalance),
+      signed('provider_payable_available', availableBalance),
+      equity >= 0 ? debit('opening_balance_equity', equity) : credit('opening_balance_equity', -equity)
+    ];
+
+    // The wallet already holds these figures, so record them without re-applying
+    const entry = await LedgerEntry.create({
+      type: 'opening_balance',
+      currency: LEGACY_CURRENCY,
+      lines: lines.filter(line => line.debit || line.credit),
+      provider: wallet.user,
+      providerEarnings: totalEarned,
+      providerWithdrawn: withdrawnBalance,
+      memo: 'Opening balance from existing wallet',
+      postedBy
+    });
+
+    await Wallet.updateOne({ _id: wallet._id }, {
+      $set: Object.fromEntries(WALLET_FIELDS.map(field => [`balances.${LEGACY_CURRENCY}.${field}`, roundMoney(legacyFigures(wallet)[field])])),
+      $unset: LEGACY_UNSET
+    }, { strict: false });
+
+    posted.push({ wallet: wallet._id, provider: wallet.user, entry: entry._id });
+  }
+
+  return posted;
+};
+
+// Wallet figures per provider and currency, straight from the ledger
+const ledgerWalletTotals = async () => {
+  const [accountTotals, entryTotals] = await Promise.all([
+    LedgerEntry.aggregate([
+      { $match: { provider: { $ne: null } } },
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': { $in: Object.keys(WALLET_ACCOUNTS) } } },
+      {
+        $group: {
+          _id: { provider: '$provider', currency: ENTRY_CURRENCY, account: '$lines.account' },
+          net: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } }
+        }
+      }
+    ]),
+    LedgerEntry.aggregate([
+      { $match: { provider: { $ne: null } } },
+      {
+        $group: {
+          _id: { provider: '$provider', currency: ENTRY_CURRENCY },
+          totalEarned: { $sum: '$providerEarnings' },
+          withdrawnBalance: { $sum: '$providerWithdrawn' },
+          entries: { $sum: 1 }
+        }
+      }
+    ])
+  ]);
+
+  // provider id => currency => figures
+  const totals = new Map();
+  const totalsFor = (providerId, currency) => {
+    const key = providerId.toString();
+    if (!totals.has(key)) totals.set(key, {});
+    const byCurrency = totals.get(key);
+    if (!byCurrency[currency]) {
+      byCurrency[currency] = { pendingBalance: 0, availableBalance: 0, withdrawnBalance: 0, totalEarned: 0, entries: 0 };
+    }
+    return byCurrency[currency];
+  };
+
+  accountTotals.forEach(({ _id, net }) => {
+    totalsFor(_id.provider, _id.currency)[WALLET_ACCOUNTS[_id.account]] += net;
+  });
+  entryTotals.forEach(({ _id, totalEarned, withdrawnBalance, entries }) => {
+    Object.assign(totalsFor(_id.provider, _id.currency), { totalEarned, withdrawnBalance, entries });
+  });
+
+  return totals;
+};
+
+const emptyFigures = () => ({ pendingBalance: 0, availableBalance: 0, withdrawnBalance: 0, totalEarned: 0, entries: 0 });
+
+// Recompute every wallet's per-currency balances from the ledger. Wallets that
+// still hold pre-ledger figures are skipped: post opening balances for them first.
+const rebuildWalletBalances = async () => {
+  const [totals, wallets] = await Promise.all([
+    ledgerWalletTotals(),
+    Wallet.find().lean()
+  ]);
+
+  const rebuilt = [];
+  const skipped = [];
+  for (const wallet of wallets) {
+    const ledger = totals.get(wallet.user.toString()) || {};
+    if (!Object.keys(ledger).length && hasLegacyFigures(wallet)) {
+      skipped.push({ wallet: wallet._id, provider: wallet.user, reason: 'No ledger history' });
+      continue;
+    }
+
+    const $set = {};
+    SUPPORTED_CURRENCIES.forEach(currency => {
+      const figures = ledger[currency] || emptyFigures();
+      WALLET_FIELDS.forEach(field => {
+        $set[`balances.${currency}.${field}`] = roundMoney(figures[field]);
+      });
+    });
+
+    await Wallet.updateOne({ _id: wallet._id }, { $set, $unset: LEGACY_UNSET }, { strict: false });
+    rebuilt.push({ wallet: wallet._id, provider: wallet.user });
+  }
+
+  return { rebuilt, skipped };
+};
+
+// Compare every wallet with the totals on its ledger and look for payments that were never posted
+const findLedgerMismatches = async () => {
+  const [expected, wallets, trialBalance] = await Promise.all([
+    ledgerWalletTotals(),
+    Wallet.find().populate('user', 'fullName email businessName').lean(),
+    LedgerEntry.aggregate([
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: { currency: ENTRY_CURRENCY, account: '$lines.account' },
+          debit: { $sum: '$lines.debit' },
+          credit: { $sum: '$lines.credit' }
+        }
+      },
+      { $sort: { '_id.currency': 1, '_id.account': 1 } }
+    ])
+  ]);
+
+  const walletMismatches = [];
+  const seen = new Set();
+
+  wallets.forEach(wallet => {
+    const providerId = wallet.user?._id || wallet.user;
+    const key = providerId.toString();
+    seen.add(key);
+
+    const ledgerByCurrency = expected.get(key) || {};
+    const differences = [];
+    SUPPORTED_CURRENCIES.forEach(currency => {
+      const ledger = ledgerByCurrency[currency] || emptyFigures();
+      const balance = wallet.balances?.[currency] || {};
+      WALLET_FIELDS.forEach(field => {
+        const difference = roundMoney((balance[field] || 0) - ledger[field]);
+        if (Math.abs(difference) > TOLERANCE) {
+          differences.push({
+            currency,
+            field,
+            wallet: roundMoney(balance[field] || 0),
+            ledger: roundMoney(ledger[field]),
+            difference
+          });
+        }
+      });
+    });
+
+    if (differences.length || hasLegacyFigures(wallet)) {
+      walletMismatches.push({
+        walletId: wallet._id,
+        provider: wallet.user,
+        noLedgerHistory: !Object.keys(ledgerByCurrency).length,
+        legacyBalances: hasLegacyFigures(wallet) ? legacyFigures(wallet) : undefined,
+        differences
+      });
+    }
+  });
+
+  // Ledger activity for a provider who has no wallet at all
+  expected.forEach((ledger, key) => {
+    if (!seen.has(key)) {
+      walletMismatches.push({ walletId: null, provider: key, noLedgerHistory: false, missingWallet: true });
+    }
+  });
+
+  // Paid transactions since the ledger started that never got a payment entry
+  let unpostedTransactions = [];
+  const firstEntry = await LedgerEntry.findOne().sort({ postedAt: 1 }).select('postedAt');
+  if (firstEntry) {
+    const postedIds = await LedgerEntry.distinct('transaction', { type: { $in: PAYMENT_ENTRY_TYPES } });
+    unpostedTransactions = await Transaction.find({
+      _id: { $nin: postedIds },
+      status: { $in: ['completed', 'partially_refunded', 'refunded', 'disputed'] },
+      createdAt: { $gte: firstEntry.postedAt }
+    }).select('user job amount currency status paymentMethod createdAt metadata.type');
+  }
+
+  // Debits and credits only have to balance within a currency
+  const currencies = [...new Set(trialBalance.map(account => account._id.currency))];
+  const balancedByCurrency = Object.fromEntries(currencies.map(currency => {
+    const accounts = trialBalance.filter(account => account._id.currency === currency);
+    const totalDebits = roundMoney(accounts.reduce((sum, account) => sum + account.debit, 0));
+    const totalCredits = roundMoney(accounts.reduce((sum, account) => sum + account.credit, 0));
+    return [currency, Math.abs(totalDebits - totalCredits) <= TOLERANCE];
+  }));
+
+  return {
+    walletsChecked: wallets.length,
+    walletMismatches,
+    unpostedTransactions,
+    trialBalance: trialBalance.map(account => ({
+      currency: account._id.currency,
+      account: account._id.account,
+      debit: roundMoney(account.debit),
+      credit: roundMoney(account.credit),
+      balance: roundMoney(account.debit - account.credit)
+    })),
+    balancedByCurrency,
+    balanced: Object.values(balancedByCurrency).every(Boolean)
+  };
+};
+
+module.exports = {
+  postPayment,
+  postCashPayment,
+  postPlatformSale,
+  postRelease,
+  postRefund,
+  postWithdrawal,
+  postWithdrawalReversal,
+  postOpeningBalances,
+  rebuildWalletBalances,
+  findLedgerMismatches
+};
@@ -0,0 +1,80 @@
+// utils/paymentDocuments.js
+const Job = require('../models/Job');
+const Quote = require('../models/Quote');
+const User = require('../models/User');
+const { getOrCreateInvoice, findCreditNotes, formatInvoice, formatPurchaseReceipt } = require('./invoiceUtils');
+const { renderInvoicePdf, renderReceiptPdf } = require('./pdfGenerator');
+const { sendDocumentEmail } = require('./emailService');
+
+const idOf = (value) => value?._id || value;
+
+// Load the payer if they want invoices and receipts emailed to them
+const findRecipient = async (transaction) => {
+  const user = await User.findById(idOf(transaction.user)).select('fullName email notificationSettings');
+  if (!user?.email || user.notificationSettings?.emailReceipts === false) return null;
+  return user;
+};
+
+// Email the client the invoice PDF for a paid job or milestone.
+// Never throws: the payment already went through and must not fail over an email.
+const emailInvoice = async (transaction) => {
+  try {
+    const client = await findRecipient(transaction);
+    if (!client) return false;
+
+    const [job, quote] = await Promise.all([
+      Job.findById(idOf(transaction.job)).populate('serviceCategory', 'title'),
+      Quote.findById(idOf(transaction.quote)).select('provider')
+    ]);
+    if (!job || !quote) return false;
+
+    const invoice = await getOrCreateInvoice(transaction, {
+      job,
+      quoteId: quote._id,
+      providerId: quote.provider,
+      clientId: client._id,
+      milestoneId: idOf(transaction.milestone)
+    });
+    const invoiceData = formatInvoice(invoice, job, await findCreditNotes(invoice._id));
+    const pdf = await renderInvoicePdf(invoiceData, { currency: transaction.currency });
+
+    return sendDocumentEmail(client.email, client.fullName, {
+      subject: `Invoice #${invoiceData.invoiceId}`,
+      heading: 'Thank you for your payment',
+      message: `Your payment for "${job.title}" has been received. Invoice #${invoiceData.invoiceId} is attached.`,
+      filename: `invoice-${invoiceData.invoiceId}.pdf`,
+      pdf
+    });
+  } catch (error) {
+    console.error('Email invoice error:', error);
+    return false;
+  }
+};
+
+// Email the buyer a receipt PDF for a credit package or subscription purchase.
+// Never throws, for the same reason as emailInvoice.
+const emailReceipt = async (transaction) => {
+  try {
+    const user = await findRecipient(transaction);
+    if (!user) return false;
+
+    const receipt = formatPurchaseReceipt(transaction, user);
+    const pdf = await renderReceiptPdf(receipt);
+
+    return sendDocumentEmail(user.email, user.fullName, {
+      subject: `Receipt ${receipt.receiptNumber}`,
+      heading: 'Thank you for your purchase',
+      message: `We have received your payment for ${receipt.lineItems[0].description}. Receipt ${receipt.receiptNumber} is attached.`,
+      filename: `receipt-${receipt.receiptNumber}.pdf`,
+      pdf
+    });
+  } catch (error) {
+    console.error('Email receipt error:', error);
+    return false;
+  }
+};
+
+module.exports = {
+  emailInvoice,
+  emailReceipt
+};
@@ -0,0 +1,176 @@
+// utils/paymentRelease.js
+const Transaction = require('../models/Transaction');
+const Wallet = require('../models/Wallet');
+const Milestone = require('../models/Milestone');
+const { transferToProvider } = require('../config/stripe');
+const { postRelease, postWithdrawal } = require('./ledger');
+const { httpError } = require('./response');
+
+// Mark the transaction released in one conditional write, so two releases
+// racing each other (or a release racing a dispute opened after the
+// transaction was loaded) can't both move the money. Returns false when the
+// payment was already released or has been frozen since.
+const claimRelease = async (transaction, { releasedBy, notes, filter = {} }) => {
+  const releasedAt = new Date();
+  const claimed = await Transaction.findOneAndUpdate(
+    {
+      _id: transaction._id,
+      status: { $in: ['completed', 'partially_refunded'] },
+      'escrow.status': { $ne: 'disputed' },
+      releasedAt: { $exists: false },
+      ...filter
+    },
+    {
+      releasedAt,
+      'metadata.releasedBy': releasedBy,
+      'metadata.releasedAt': releasedAt,
+      'metadata.releaseNotes': notes
+    },
+    { new: true }
+  );
+  if (!claimed) return false;
+
+  transaction.releasedAt = claimed.releasedAt;
+  transaction.metadata = claimed.metadata;
+  return true;
+};
+
+// Undo a claim when moving the money failed, so the release can be retried
+const releaseClaimFailed = async (transaction) => {
+  await Transaction.updateOne(
+    { _id: transaction._id },
+    { $unset: { releasedAt: 1, 'metadata.releasedBy': 1, 'metadata.releasedAt': 1, 'metadata.releaseNotes': 1 } }
+  );
+  transaction.releasedAt = undefined;
+};
+
+// Move a completed transaction's provider share from pending -> available.
+// `transaction` must have its `quote` populated.
+const releaseTransactionFunds = async (transaction, { releasedBy, notes } = {}) => {
+  if (transaction.releasedAt) {
+    throw httpError('Payment has already been released', 400);
+  }
+
+  if (transaction.escrow?.status === 'disputed') {
+    throw httpError('Payment is frozen while a dispute is open', 400);
+  }
+
+  const providerId = transaction.quote.provider;
+  const wallet = await Wallet.findOne({ user: providerId });
+  if (!wallet) throw httpError('Provider wallet not found', 404);
+
+  const amount = transaction.providerAmount;
+  if (!amount || amount <= 0) {
+    throw httpError('Invalid provider amount', 400);
+  }
+
+  if (wallet.balanceFor(transaction.currency).pendingBalance < amount) {
+    throw httpError('Insufficient pending balance', 400);
+  }
+
+  const memo = notes || 'released-by-admin';
+  if (!await claimRelease(transaction, { releasedBy, notes: memo })) {
+    throw httpError('Payment has already been released or is frozen by a dispute', 409);
+  }
+
+  // Move pending -> available
+  try {
+    await postRelease(transaction, providerId, amount, { postedBy: releasedBy, memo });
+  } catch (err) {
+    await releaseClaimFailed(transaction);
+    throw err;
+  }
+
+  // Keep the milestone schedule in step with its transaction
+  if (transaction.milestone) {
+    const milestone = await Milestone.findByIdAndUpdate(
+      transaction.milestone,
+      { status: 'released', releasedAt: transaction.releasedAt },
+      { new: true }
+    );
+    if (milestone) await Milestone.syncJobCompletion(milestone.job);
+  }
+
+  return { transaction, wallet: await Wallet.findById(wallet._id), amount, providerId };
+};
+
+// Release payments whose hold period has passed. Providers with a verified
+// Stripe account are paid out directly; others get the funds in their available balance.
+const releaseDuePayments = async ({ releasedBy, now = new Date() } = {}) => {
+  const pendingTxs = await Transaction.find({
+    status: { $in: ['completed', 'partially_refunded'] },
+    stripeTransferId: { $exists: false },
+    releasedAt: { $exists: false },
+    pendingReleaseAt: { $lte: now }
+  }).populate('quote job');
+
+  const results = [];
+
+  for (const tx of pendingTxs) {
+    try {
+      const pw = await Wallet.findOne({ user: tx.quote.provider });
+      if (!pw) throw new Error('Provider wallet not found');
+
+      const direct = pw.stripeAccountId && pw.stripeAccountStatus === 'verified';
+      if (!direct && pw.balanceFor(tx.currency).pendingBalance < tx.providerAmount) {
+        throw new Error('Insufficient pending balance');
+      }
+
+      // Released by someone else, or disputed, since the batch was loaded
+      if (!await claimRelease(tx, { releasedBy, notes: 'auto-release', filter: { stripeTransferId: { $exists: false } } })) {
+        results.push({ id: tx._id, status: 'skipped' });
+        continue;
+      }
+
+      if (direct) {
+        let transfer;
+        try {
+          transfer = await transferToProvider(
+            tx.providerAmount,
+            pw.stripeAccountId,
+            {
+              transactionId: tx._id.toString(),
+              jobId: tx.job._id.toString()
+            },
+            tx.currency
+          );
+        } catch (err) {
+          await releaseClaimFailed(tx);
+          throw err;
+        }
+
+        await Transaction.updateOne({ _id: tx._id }, { stripeTransferId: transfer.id });
+        tx.stripeTransferId = transfer.id;
+        // Released and paid straight out to the provider's Stripe account
+        await postRelease(tx, tx.quote.provider, tx.providerAmount, { postedBy: releasedBy, memo: 'auto-release' });
+        await postWithdrawal(tx.quote.provider, tx.providerAmount, {
+          currency: tx.currency,
+          transaction: tx,
+          reference: transfer.id,
+          memo: 'auto-release transfer',
+          postedBy: releasedBy
+        });
+      } else {
+        // move pending -> available
+        try {
+          await postRelease(tx, tx.quote.provider, tx.providerAmount, { postedBy: releasedBy, memo: 'auto-release' });
+        } catch (err) {
+          await releaseClaimFailed(tx);
+          throw err;
+        }
+      }
+
+      results.push({ id: tx._id, status: 'released' });
+    } catch (err) {
+      console.error('Auto release failed for tx', tx._id, err.message);
+      results.push({ id: tx._id, status: 'failed', error: err.message });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  releaseTransactionFunds,
+  releaseDuePayments
+};
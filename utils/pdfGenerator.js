@@ -0,0 +1,252 @@
+// utils/pdfGenerator.js
+const PDFDocument = require('pdfkit');
+
+const BRAND = {
+  name: 'Raza Home Quote Connect',
+  website: 'quoto.ca',
+  color: '#1E5AA8',
+  muted: '#6B7280'
+};
+
+const PAGE_MARGIN = 50;
+
+const formatMoney = (value, currency = 'USD') => {
+  const amount = Number(value || 0).toFixed(2);
+  return `${currency.toUpperCase()} $${amount}`;
+};
+
+const formatDate = (date) => {
+  if (!date) return 'N/A';
+  return new Date(date).toLocaleDateString('en-CA', { year: 'numeric', month: 'long', day: 'numeric' });
+};
+
+const formatLabel = (value) => (value ? value.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase()) : 'N/A');
+
+// Render a document into a Buffer
+const renderPdf = (draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    draw(doc);
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+// Brand bar on the left, document title and number on the right
+const drawHeader = (doc, title, rows) => {
+  const right = doc.page.width - PAGE_MARGIN;
+
+  doc.fillColor(BRAND.color).fontSize(20).font('Helvetica-Bold')
+    .text(BRAND.name, PAGE_MARGIN, PAGE_MARGIN);
+  doc.fillColor(BRAND.muted).fontSize(10).font('Helvetica')
+    .text(BRAND.website, PAGE_MARGIN, doc.y + 2);
+
+  doc.fillColor('#000').fontSize(18).font('Helvetica-Bold')
+    .text(title, PAGE_MARGIN, PAGE_MARGIN, { align: 'right', width: right - PAGE_MARGIN });
+  doc.fontSize(10).font('Helvetica');
+  rows.forEach(([label, value]) => {
+    doc.text(`${label}: ${value}`, { align: 'right', width: right - PAGE_MARGIN });
+  });
+
+  doc.moveDown(2);
+  drawRule(doc);
+};
+
+const drawRule = (doc) => {
+  doc.moveTo(PAGE_MARGIN, doc.y).lineTo(doc.page.width - PAGE_MARGIN, doc.y)
+    .strokeColor('#E5E7EB').lineWidth(1).stroke();
+  doc.moveDown(0.8);
+};
+
+// Two address blocks side by side
+const drawParties = (doc, left, right) => {
+  const top = doc.y;
+  const columnWidth = (doc.page.width - PAGE_MARGIN * 2) / 2 - 10;
+  const rightX = PAGE_MARGIN + columnWidth + 20;
+
+  const drawBlock = (x, { heading, lines }) => {
+    doc.fillColor(BRAND.muted).fontSize(9).font('Helvetica-Bold').text(heading.toUpperCase(), x, top, { width: columnWidth });
+    doc.fillColor('#000').fontSize(10).font('Helvetica');
+    lines.filter(Boolean).forEach(line => doc.text(line, x, doc.y + 2, { width: columnWidth }));
+    return doc.y;
+  };
+
+  const leftBottom = drawBlock(PAGE_MARGIN, left);
+  const rightBottom = drawBlock(rightX, right);
+
+  doc.x = PAGE_MARGIN;
+  doc.y = Math.max(leftBottom, rightBottom);
+  doc.moveDown(1.5);
+};
+
+const drawSectionTitle = (doc, title) => {
+  doc.fillColor(BRAND.color).fontSize(11).font('Helvetica-Bold').text(title, PAGE_MARGIN, doc.y);
+  doc.fillColor('#000').font('Helvetica').fontSize(10);
+  doc.moveDown(0.4);
+};
+
+// Description/amount rows; `bold` rows are totals
+const drawLineItems = (doc, items) => {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const amountWidth = 130;
+
+  items.forEach(({ description, amount, bold, rule }) => {
+    if (rule) drawRule(doc);
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+    doc.text(description, PAGE_MARGIN, y, { width: width - amountWidth });
+    const afterDescription = doc.y;
+    doc.text(amount, PAGE_MARGIN + width - amountWidth, y, { width: amountWidth, align: 'right' });
+    doc.y = Math.max(afterDescription, doc.y) + 4;
+  });
+
+  doc.font('Helvetica');
+  doc.moveDown(0.8);
+};
+
+// Label/value pairs, one per line
+const drawDetails = (doc, rows) => {
+  rows.filter(([, value]) => value !== undefined && value !== null).forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').text(`${label}: `, PAGE_MARGIN, doc.y, { continued: true })
+      .font('Helvetica').text(String(value));
+  });
+  doc.moveDown(0.8);
+};
+
+const drawFooter = (doc) => {
+  doc.moveDown(2);
+  doc.fillColor(BRAND.muted).fontSize(9)
+    .text(`Thank you for using ${BRAND.name}.`, PAGE_MARGIN, doc.y, { align: 'center' })
+    .text(BRAND.website, { align: 'center' });
+  doc.fillColor('#000');
+};
+
+// e.g. "Labour: Install (3 hour x CAD $65.00)"
+const describeLineItem = (line, money) => {
+  const label = `${formatLabel(line.type)}: ${line.description}`;
+  if (line.percent !== undefined && line.percent !== null) return `${label} (${line.percent}%)`;
+  if (line.quantity && line.quantity !== 1) {
+    return `${label} (${line.quantity}${line.unit ? ` ${line.unit}` : ''} x ${money(line.unitPrice)})`;
+  }
+  return label;
+};
+
+// Invoice PDF from the data built by formatInvoice()
+const renderInvoicePdf = (invoice, { currency = invoice.currency || 'USD' } = {}) => renderPdf(doc => {
+  const money = (value) => formatMoney(value, currency);
+  const { serviceProvider, customer, jobDetails, pricing, payment, milestone, creditNotes, lineItems } = invoice;
+
+  drawHeader(doc, 'INVOICE', [
+    ['Invoice #', invoice.invoiceId],
+    ['Issued', formatDate(invoice.issuedDate)]
+  ]);
+
+  drawParties(doc, {
+    heading: 'Service provider',
+    lines: [
+      serviceProvider.name,
+      serviceProvider.email,
+      serviceProvider.phoneNumber,
+      serviceProvider.address,
+      serviceProvider.taxRegistrationNumber && `Tax registration #: ${serviceProvider.taxRegistrationNumber}`
+    ]
+  }, {
+    heading: 'Billed to',
+    lines: [customer.name, customer.email, customer.phoneNumber, customer.address]
+  });
+
+  drawSectionTitle(doc, 'Job');
+  drawDetails(doc, [
+    ['Title', jobDetails.jobTitle],
+    ['Category', jobDetails.serviceCategory],
+    ['Location', jobDetails.jobLocation],
+    ['Milestone', milestone && `${milestone.order}. ${milestone.title}`]
+  ]);
+
+  drawSectionTitle(doc, 'Charges');
+  const charges = lineItems?.length
+    ? [
+      ...lineItems.map(line => ({
+        description: describeLineItem(line, money),
+        amount: line.amount < 0 ? `-${money(-line.amount)}` : money(line.amount)
+      })),
+      { description: 'Subtotal', amount: money(pricing.subtotal), rule: true }
+    ]
+    : [{ description: milestone ? `Milestone: ${milestone.title}` : jobDetails.jobTitle, amount: money(pricing.subtotal) }];
+  drawLineItems(doc, [
+    ...charges,
+    ...(pricing.taxLines || []).map(line => ({ description: line.label, amount: money(line.amount) })),
+    { description: 'Total', amount: money(pricing.totalWithTax ?? pricing.subtotal), bold: true, rule: true }
+  ]);
+
+  drawSectionTitle(doc, 'Platform fee');
+  drawLineItems(doc, [
+    { description: `Platform commission (${pricing.platformCommissionRate})`, amount: money(pricing.platformCommission) },
+    { description: 'Provider earnings', amount: money(pricing.total) }
+  ]);
+
+  drawSectionTitle(doc, 'Payment');
+  drawDetails(doc, [
+    ['Method', formatLabel(payment.paymentMethod)],
+    ['Status', formatLabel(payment.paymentStatus)],
+    ['Paid on', formatDate(payment.paidAt)],
+    ['Amount paid', money(payment.paidAmount)],
+    ['Refunded', payment.refundedAmount !== undefined ? money(payment.refundedAmount) : undefined],
+    ['Net paid', payment.netPaid !== undefined ? money(payment.netPaid) : undefined]
+  ]);
+
+  if (creditNotes?.length) {
+    drawSectionTitle(doc, 'Credit notes');
+    drawLineItems(doc, creditNotes.map(cn => ({
+      description: `#${cn.invoiceId} - ${formatDate(cn.issuedDate)}${cn.reason ? ` - ${cn.reason}` : ''}`,
+      amount: `-${money(cn.amount + (cn.tax || 0))}`
+    })));
+  }
+
+  drawFooter(doc);
+});
+
+// Receipt PDF for purchases from the platform (credit packages, subscriptions)
+const renderReceiptPdf = (receipt) => renderPdf(doc => {
+  const money = (value) => formatMoney(value, receipt.currency);
+
+  drawHeader(doc, 'RECEIPT', [
+    ['Receipt #', receipt.receiptNumber],
+    ['Date', formatDate(receipt.paidAt)]
+  ]);
+
+  drawParties(doc, {
+    heading: 'Sold by',
+    lines: [BRAND.name, BRAND.website]
+  }, {
+    heading: 'Customer',
+    lines: [receipt.customer.name, receipt.customer.email]
+  });
+
+  drawSectionTitle(doc, 'Purchase');
+  drawLineItems(doc, [
+    ...receipt.lineItems.map(item => ({ description: item.description, amount: money(item.amount) })),
+    { description: 'Total paid', amount: money(receipt.total), bold: true, rule: true }
+  ]);
+
+  drawSectionTitle(doc, 'Payment');
+  drawDetails(doc, [
+    ['Method', formatLabel(receipt.paymentMethod)],
+    ['Status', formatLabel(receipt.status)],
+    ['Reference', receipt.reference]
+  ]);
+
+  drawFooter(doc);
+});
+
+module.exports = {
+  renderInvoicePdf,
+  renderReceiptPdf
+};
@@ -0,0 +1,84 @@
+// utils/permissions.js
+
+// Everything an admin can be allowed to do. Routes check these, not the role.
+const PERMISSIONS = {
+  'dashboard.view': 'View dashboard and platform statistics',
+  'users.view': 'View users, providers and their chats',
+  'users.block': 'Block, suspend and restrict users',
+  'providers.verify': 'Verify providers and review background checks',
+  'admins.manage': 'Create admins and change their roles',
+  'audit.view': 'View and export the admin audit log',
+  'payments.view': 'View transactions, wallets, earnings and tax reports',
+  'payments.release': 'Release held payments',
+  'payments.refund': 'Refund payments',
+  'payments.settings': 'Change commission rules, tax rates and the ledger',
+  'credits.view': 'View credit activity and balances',
+  'credits.adjust': 'Add or remove user credits',
+  'credits.settings': 'Change credit and platform settings',
+  'subscriptions.view': 'View subscriptions and analytics',
+  'subscriptions.manage': 'Change subscription plans and credit packages',
+  'reports.view': 'View user reports',
+  'reports.resolve': 'Act on and resolve user reports',
+  'disputes.view': 'View disputes',
+  'disputes.resolve': 'Message parties and resolve disputes',
+  'support.view': 'View support tickets',
+  'support.reply': 'Assign, answer and resolve support tickets',
+  'content.edit': 'Edit site content, categories and specializations',
+  'jobs.manage': 'Run job maintenance',
+  'system.manage': 'Run and pause scheduled tasks'
+};
+
+// Predefined admin roles. super_admin gets every permission.
+const ADMIN_ROLES = {
+  super_admin: {
+    name: 'Super admin',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  finance: {
+    name: 'Finance',
+    permissions: [
+      'dashboard.view', 'users.view',
+      'payments.view', 'payments.release', 'payments.refund', 'payments.settings',
+      'credits.view', 'credits.adjust', 'credits.settings',
+      'subscriptions.view', 'subscriptions.manage',
+      'disputes.view'
+    ]
+  },
+  support: {
+    name: 'Support',
+    permissions: [
+      'dashboard.view', 'users.view',
+      'support.view', 'support.reply',
+      'disputes.view', 'disputes.resolve',
+      'payments.view', 'credits.view', 'subscriptions.view'
+    ]
+  },
+  moderator: {
+    name: 'Moderator',
+    permissions: [
+      'dashboard.view', 'users.view', 'users.block', 'providers.verify',
+      'reports.view', 'reports.resolve',
+      'content.edit'
+    ]
+  }
+};
+
+// The role's permissions plus any granted to this admin individually.
+// An admin without a role only has what was granted individually.
+const getPermissions = (user) => {
+  if (!user || user.role !== 'admin') return [];
+  const role = ADMIN_ROLES[user.adminRole] || { permissions: [] };
+  return [...new Set([...role.permissions, ...(user.adminPermissions || [])])];
+};
+
+const hasPermission = (user, permission) => getPermissions(user).includes(permission);
+
+const isSuperAdmin = (user) => user?.role === 'admin' && user.adminRole === 'super_admin';
+
+module.exports = {
+  PERMISSIONS,
+  ADMIN_ROLES,
+  getPermissions,
+  hasPermission,
+  isSuperAdmin
+};
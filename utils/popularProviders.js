@@ -62,15 +62,24 @@ const calculateRecentActivity = async (providerId) => {
   return activeJobs;
 };
 
+// Priority listing comes from the plan or is bought with credits
+const checkPriorityListing = async (provider) => {
+  const { findCurrentSubscription } = require('./subscriptions');
+  const { hasPriorityListing } = require('./entitlements');
+
+  if (provider.priorityListingUntil && provider.priorityListingUntil > new Date()) return true;
+  const activeSubscription = await findCurrentSubscription(provider._id);
+  return hasPriorityListing(provider, activeSubscription?.subscription);
+};
+
+// Priority-listed providers rank ahead of the rest
+const byPriority = (a, b) => Number(b.priorityListing) - Number(a.priorityListing);
+
 // Check if provider has active subscription
 const checkActiveSubscription = async (providerId) => {
-  const UserSubscription = require('../models/UserSubscription');
+  const { findCurrentSubscription } = require('./subscriptions');
   
-  const activeSubscription = await UserSubscription.findOne({
-    user: providerId,
-    status: 'active',
-    endDate: { $gt: new Date() }
-  });
+  const activeSubscription = await findCurrentSubscription(providerId);
   
   return !!activeSubscription;
 };
@@ -146,7 +155,7 @@ const getPopularProviders = async (options = {}) => {
 
   // Get all providers that match basic filters
   let providers = await User.find(filter)
-    .select('fullName profilePhoto bio businessName experienceLevel specializations serviceAreas averageRating totalReviews totalCompletedJobs verificationStatus location credits isOnline lastActive createdAt')
+    .select('fullName profilePhoto bio businessName experienceLevel specializations serviceAreas averageRating totalReviews totalCompletedJobs verificationStatus location credits isOnline lastActive createdAt priorityListingUntil')
     .populate('specializations', 'title category')
     .lean();
 
@@ -169,6 +178,7 @@ const getPopularProviders = async (options = {}) => {
       return {
         ...provider,
         popularityScore,
+        priorityListing: await checkPriorityListing(provider),
         distance
       };
     })
@@ -186,7 +196,7 @@ const getPopularProviders = async (options = {}) => {
   const sortedProviders = filteredProviders.sort((a, b) => {
     switch (sortBy) {
       case 'popularity':
-        return b.popularityScore - a.popularityScore;
+        return byPriority(a, b) || b.popularityScore - a.popularityScore;
       case 'rating':
         return b.averageRating - a.averageRating;
       case 'reviews':
@@ -209,7 +219,7 @@ const getPopularProviders = async (options = {}) => {
         }
         return b.isOnline ? 1 : -1;
       default:
-        return b.popularityScore - a.popularityScore;
+        return byPriority(a, b) || b.popularityScore - a.popularityScore;
     }
   });
 
@@ -290,5 +300,6 @@ module.exports = {
   calculatePopularityScore,
   getPopularProviders,
   updateAllProviderPopularityScores,
-  calculateResponseRate
+  calculateResponseRate,
+  calculateDistance
 };
\ No newline at end of file
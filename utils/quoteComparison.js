@@ -0,0 +1,169 @@
+// utils/quoteComparison.js
+const { calculateDistance } = require('./popularProviders');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WARRANTY_UNIT_DAYS = { days: 1, months: 30, years: 365 };
+
+// How much each factor counts toward the overall score (sums to 1)
+const SCORE_WEIGHTS = {
+  price: 0.4,
+  rating: 0.25,
+  warranty: 0.1,
+  experience: 0.1,
+  backgroundCheck: 0.1,
+  distance: 0.05
+};
+
+const SORT_FIELDS = {
+  score: c => c.score,
+  price: c => c.price,
+  rating: c => c.provider.averageRating,
+  completedJobs: c => c.provider.completedJobs,
+  warranty: c => c.warrantyDays,
+  distance: c => c.distanceKm,
+  date: c => (c.proposedDate ? new Date(c.proposedDate).getTime() : null)
+};
+
+const round = (value, places = 2) => parseFloat(Number(value).toFixed(places));
+
+const warrantyDays = (warranty) => {
+  if (!warranty?.hasWarranty || !warranty.duration?.value) return 0;
+  return warranty.duration.value * (WARRANTY_UNIT_DAYS[warranty.duration.unit] || 1);
+};
+
+// Where the price sits in the client's budget: 0 at "from", 1 at "to"
+const priceAgainstRange = (price, priceRange) => {
+  if (!priceRange || priceRange.isPersonalized || priceRange.from === undefined || priceRange.to === undefined) {
+    return null;
+  }
+
+  const { from, to } = priceRange;
+  const position = to > from ? (price - from) / (to - from) : (price <= from ? 0 : 1);
+  let label = 'within_range';
+  if (price < from) label = 'below_range';
+  else if (price > to) label = 'above_range';
+
+  return {
+    from,
+    to,
+    position: round(position),
+    label,
+    // Relative to the middle of the budget; negative is cheaper
+    differenceFromMidpoint: round(price - (from + to) / 2)
+  };
+};
+
+const distanceKm = (provider, job) => {
+  const providerCoords = provider?.location?.coordinates;
+  const jobCoords = job.location?.coordinates;
+  if (!providerCoords || !jobCoords) return null;
+  // [0, 0] is the default for providers who never set a location
+  if (!providerCoords[0] && !providerCoords[1]) return null;
+
+  return round(calculateDistance(jobCoords[1], jobCoords[0], providerCoords[1], providerCoords[0]), 1);
+};
+
+// 1 for the best value of a factor across all quotes, 0 for the worst
+const normalize = (value, values, { lowerIsBetter = false } = {}) => {
+  const known = values.filter(v => v !== null && v !== undefined);
+  if (value === null || value === undefined || !known.length) return 0.5;
+  const min = Math.min(...known);
+  const max = Math.max(...known);
+  if (max === min) return 1;
+  const share = (value - min) / (max - min);
+  return lowerIsBetter ? 1 - share : share;
+};
+
+// Side-by-side comparison data for the live quotes on a job.
+// backgroundChecks maps provider id -> background check status.
+const compareQuotes = (job, quotes, backgroundChecks = new Map(), { sortBy = 'score', order, now = new Date() } = {}) => {
+  const rows = quotes.map(quote => {
+    const provider = quote.provider || {};
+    const proposedDate = quote.proposedDate || job.preferredDate || null;
+
+    return {
+      quoteId: quote._id,
+      status: quote.status,
+      price: quote.price,
+      currency: quote.currency,
+      itemized: Boolean(quote.lineItems?.length),
+      priceRange: priceAgainstRange(quote.price, job.priceRange),
+      warrantyDays: warrantyDays(quote.warranty),
+      hasGuarantee: Boolean(quote.guarantee?.hasGuarantee),
+      proposedDate,
+      proposedTime: quote.proposedTime || job.preferredTime || null,
+      daysUntilStart: proposedDate ? Math.max(Math.ceil((new Date(proposedDate) - now) / DAY_MS), 0) : null,
+      distanceKm: distanceKm(provider, job),
+      provider: {
+        _id: provider._id,
+        fullName: provider.fullName,
+        businessName: provider.businessName,
+        profilePhoto: provider.profilePhoto,
+        averageRating: provider.averageRating || 0,
+        totalReviews: provider.totalReviews || 0,
+        completedJobs: provider.totalCompletedJobs || 0,
+        verificationStatus: provider.verificationStatus,
+        backgroundCheck: backgroundChecks.get(provider._id?.toString()) || 'none'
+      }
+    };
+  });
+
+  const prices = rows.map(r => r.price);
+  const warranties = rows.map(r => r.warrantyDays);
+  const experience = rows.map(r => Math.log1p(r.provider.completedJobs));
+  const distances = rows.map(r => r.distanceKm);
+
+  rows.forEach(row => {
+    // Ratings with few reviews are pulled toward a neutral 3 stars
+    const { averageRating, totalReviews } = row.provider;
+    const rating = (averageRating * totalReviews + 3 * 3) / (totalReviews + 3);
+
+    const factors = {
+      price: normalize(row.price, prices, { lowerIsBetter: true }),
+      rating: rating / 5,
+      warranty: normalize(row.warrantyDays, warranties),
+      experience: normalize(Math.log1p(row.provider.completedJobs), experience),
+      backgroundCheck: row.provider.backgroundCheck === 'approved' ? 1 : 0,
+      distance: normalize(row.distanceKm, distances, { lowerIsBetter: true })
+    };
+
+    row.score = round(Object.entries(SCORE_WEIGHTS).reduce((sum, [key, weight]) => sum + factors[key] * weight, 0) * 100, 1);
+    row.badges = [];
+  });
+
+  // Rank by score regardless of how the list is sorted
+  [...rows].sort((a, b) => b.score - a.score).forEach((row, index) => { row.rank = index + 1; });
+
+  if (rows.length) {
+    rows.find(r => r.rank === 1).badges.push('best_value');
+
+    const dated = rows.filter(r => r.proposedDate && new Date(r.proposedDate) >= new Date(now.getTime() - DAY_MS));
+    if (dated.length) {
+      const earliest = Math.min(...dated.map(r => new Date(r.proposedDate).getTime()));
+      dated.filter(r => new Date(r.proposedDate).getTime() === earliest).forEach(r => r.badges.push('fastest'));
+    }
+  }
+
+  const field = SORT_FIELDS[sortBy] ? sortBy : 'score';
+  const direction = order
+    ? (order === 'asc' ? 1 : -1)
+    : (['score', 'rating', 'completedJobs', 'warranty'].includes(field) ? -1 : 1);
+  const valueOf = SORT_FIELDS[field];
+
+  rows.sort((a, b) => {
+    const left = valueOf(a);
+    const right = valueOf(b);
+    // Missing values always go last
+    if (left === null || left === undefined) return 1;
+    if (right === null || right === undefined) return -1;
+    return (left - right) * direction || a.rank - b.rank;
+  });
+
+  return { quotes: rows, sortBy: field, order: direction === 1 ? 'asc' : 'desc', weights: SCORE_WEIGHTS };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  compareQuotes
+};
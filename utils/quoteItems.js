@@ -0,0 +1,161 @@
+// utils/quoteItems.js
+const { httpError } = require('./response');
+const { roundMoney } = require('./currency');
+
+const LINE_ITEM_TYPES = ['labour', 'material', 'fee', 'addon', 'discount', 'adjustment'];
+const MAX_LINE_ITEMS = 50;
+
+const toNumber = (value, label, { min = 0 } = {}) => {
+  const number = Number(value);
+  if (value === undefined || value === null || value === '' || Number.isNaN(number) || number < min) {
+    throw httpError(`${label} must be a number of at least ${min}`, 400);
+  }
+  return number;
+};
+
+// Validate line items from a request body (a JSON string for form bodies).
+// Labour lines may use hours/rate instead of quantity/unitPrice; discounts
+// are either a fixed amount or a percent of everything before discounts.
+const parseLineItems = (input) => {
+  if (input === undefined || input === null || input === '') return undefined;
+
+  let items = input;
+  if (typeof input === 'string') {
+    try {
+      items = JSON.parse(input);
+    } catch {
+      throw httpError('Invalid line items format. Must be a JSON array.', 400);
+    }
+  }
+
+  if (!Array.isArray(items)) throw httpError('Line items must be an array', 400);
+  if (items.length > MAX_LINE_ITEMS) throw httpError(`A quote can have at most ${MAX_LINE_ITEMS} line items`, 400);
+
+  return items.map((item, index) => {
+    const label = `Line item ${index + 1}`;
+    const type = item?.type || 'material';
+    if (!LINE_ITEM_TYPES.includes(type)) {
+      throw httpError(`${label}: type must be one of ${LINE_ITEM_TYPES.join(', ')}`, 400);
+    }
+    if (!item.description || !String(item.description).trim()) {
+      throw httpError(`${label}: description is required`, 400);
+    }
+
+    const line = { type, description: String(item.description).trim() };
+
+    if (type === 'discount' && item.percent !== undefined) {
+      line.percent = toNumber(item.percent, `${label} percent`);
+      if (line.percent > 100) throw httpError(`${label}: percent cannot be more than 100`, 400);
+      return line;
+    }
+
+    if (type === 'adjustment') {
+      line.quantity = 1;
+      line.unitPrice = toNumber(item.unitPrice ?? item.amount, `${label} amount`, { min: -Infinity });
+      return line;
+    }
+
+    if (type === 'labour') {
+      line.quantity = toNumber(item.hours ?? item.quantity, `${label} hours`);
+      line.unitPrice = toNumber(item.rate ?? item.unitPrice, `${label} rate`);
+      line.unit = 'hour';
+    } else {
+      line.quantity = toNumber(item.quantity ?? 1, `${label} quantity`);
+      line.unitPrice = toNumber(item.unitPrice ?? item.amount, `${label} price`);
+      if (item.unit) line.unit = String(item.unit);
+    }
+
+    // Add-ons are offered to the client, who decides whether to include them
+    if (type === 'addon') {
+      line.optional = true;
+      line.selected = Boolean(item.selected);
+    }
+
+    return line;
+  });
+};
+
+// Whether a line counts toward the total
+const isIncluded = (line) => !line.optional || line.selected;
+
+// Work out line amounts and totals; the quote price is the total
+const priceLineItems = (items) => {
+  const totals = { labour: 0, materials: 0, fees: 0, addons: 0, discounts: 0, adjustments: 0 };
+
+  const priced = items.map(item => {
+    const line = typeof item.toObject === 'function' ? item.toObject() : { ...item };
+    if (line.type !== 'discount' || line.percent === undefined) {
+      line.amount = roundMoney(line.quantity * line.unitPrice);
+    }
+    return line;
+  });
+
+  priced.filter(isIncluded).forEach(line => {
+    switch (line.type) {
+      case 'labour': totals.labour += line.amount; break;
+      case 'material': totals.materials += line.amount; break;
+      case 'fee': totals.fees += line.amount; break;
+      case 'addon': totals.addons += line.amount; break;
+      case 'adjustment': totals.adjustments += line.amount; break;
+    }
+  });
+
+  const beforeDiscounts = totals.labour + totals.materials + totals.fees + totals.addons;
+  priced.filter(line => line.type === 'discount').forEach(line => {
+    if (line.percent !== undefined) line.amount = roundMoney(beforeDiscounts * line.percent / 100);
+    totals.discounts += line.amount;
+  });
+
+  Object.keys(totals).forEach(key => { totals[key] = roundMoney(totals[key]); });
+  const total = roundMoney(Math.max(beforeDiscounts - totals.discounts + totals.adjustments, 0));
+
+  return { lineItems: priced, totals: { ...totals, subtotal: roundMoney(beforeDiscounts), total } };
+};
+
+// Select exactly the given add-ons (by line item id) and reprice
+const selectAddons = (items, selectedIds = []) => {
+  const ids = selectedIds.map(String);
+  const known = items.filter(i => i.type === 'addon').map(i => i._id.toString());
+  const unknown = ids.filter(id => !known.includes(id));
+  if (unknown.length) throw httpError('Some selected add-ons are not on this quote', 400);
+
+  return priceLineItems(items.map(item => {
+    const line = typeof item.toObject === 'function' ? item.toObject() : { ...item };
+    if (line.type === 'addon') line.selected = ids.includes(line._id.toString());
+    return line;
+  }));
+};
+
+// Keep an itemized quote consistent when only its price is negotiated
+const adjustToPrice = (items, price) => {
+  const current = priceLineItems(items.filter(i => i.type !== 'adjustment'));
+  const difference = roundMoney(price - current.totals.total);
+  if (!difference) return current;
+
+  return priceLineItems([
+    ...current.lineItems,
+    { type: 'adjustment', description: 'Negotiated price adjustment', quantity: 1, unitPrice: difference }
+  ]);
+};
+
+// Lines the client is actually paying for, for invoices
+const billedLineItems = (items = []) => {
+  return items.filter(isIncluded).map(line => ({
+    type: line.type,
+    description: line.description,
+    quantity: line.quantity,
+    unit: line.unit,
+    unitPrice: line.unitPrice,
+    percent: line.percent,
+    amount: line.type === 'discount' ? -line.amount : line.amount
+  }));
+};
+
+module.exports = {
+  LINE_ITEM_TYPES,
+  parseLineItems,
+  priceLineItems,
+  selectAddons,
+  adjustToPrice,
+  billedLineItems
+};
@@ -0,0 +1,326 @@
+// utils/recurrence.js
+const Job = require('../models/Job');
+const Quote = require('../models/Quote');
+const Transaction = require('../models/Transaction');
+const { sendNotification } = require('../socket/notificationHandler');
+const { httpError } = require('./response');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Occurrences are generated this far ahead, so both sides can plan and pay in advance
+const GENERATION_WINDOW_DAYS = 14;
+
+// Occurrence jobs in these statuses no longer hold the series open
+const FINISHED_STATUSES = ['completed', 'cancelled'];
+
+// Once any of these exist the occurrence has been (or is being) paid for
+const PAID_STATUSES = ['processing', 'completed', 'partially_refunded', 'disputed'];
+
+const parseDate = (value, label) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw httpError(`Invalid recurrence ${label}`, 400);
+  return date;
+};
+
+// Validate a recurrence rule from a request body (a JSON string for multipart forms)
+const parseRecurrence = (input) => {
+  if (!input) return undefined;
+
+  let rule = input;
+  if (typeof input === 'string') {
+    try {
+      rule = JSON.parse(input);
+    } catch {
+      throw httpError('Invalid recurrence format. Must be JSON object.', 400);
+    }
+  }
+
+  const frequencies = Job.schema.path('recurrence.frequency').enumValues;
+  if (!frequencies.includes(rule.frequency)) {
+    throw httpError(`Recurrence frequency must be one of: ${frequencies.join(', ')}`, 400);
+  }
+
+  const interval = rule.interval === undefined ? 1 : Number(rule.interval);
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw httpError('Recurrence interval must be a whole number of at least 1', 400);
+  }
+
+  const count = rule.count === undefined || rule.count === null ? undefined : Number(rule.count);
+  if (count !== undefined && (!Number.isInteger(count) || count < 1)) {
+    throw httpError('Recurrence count must be a whole number of at least 1', 400);
+  }
+
+  const startDate = rule.startDate ? parseDate(rule.startDate, 'start date') : undefined;
+  const endDate = rule.endDate ? parseDate(rule.endDate, 'end date') : undefined;
+  if (endDate && endDate < (startDate || new Date())) {
+    throw httpError('Recurrence end date must be after the start date', 400);
+  }
+
+  return { frequency: rule.frequency, interval, startDate, endDate, count };
+};
+
+// Date of the nth (1-based) occurrence
+const occurrenceDate = (recurrence, index) => {
+  const date = new Date(recurrence.startDate);
+  const steps = (index - 1) * recurrence.interval;
+
+  switch (recurrence.frequency) {
+    case 'daily':
+      date.setDate(date.getDate() + steps);
+      break;
+    case 'weekly':
+      date.setDate(date.getDate() + steps * 7);
+      break;
+    case 'monthly': {
+      // Stay on the same day of the month, or its last day in shorter months
+      const day = date.getDate();
+      date.setDate(1);
+      date.setMonth(date.getMonth() + steps);
+      const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+      date.setDate(Math.min(day, lastDay));
+      break;
+    }
+  }
+
+  return date;
+};
+
+// Whether the rule has an nth occurrence at all
+const withinRule = (recurrence, index) => {
+  if (recurrence.count && index > recurrence.count) return false;
+  if (recurrence.endDate && occurrenceDate(recurrence, index) > recurrence.endDate) return false;
+  return true;
+};
+
+const isOccurrencePaid = (occurrenceId) => {
+  return Transaction.exists({ job: occurrenceId, status: { $in: PAID_STATUSES } });
+};
+
+// Create one occurrence job, already accepted by the series provider at the series price
+const createOccurrence = async (series, seriesQuote, index, scheduledFor) => {
+  const template = series.toObject({ depopulate: true, virtuals: false });
+
+  const occurrence = await Job.create({
+    title: template.title,
+    description: template.description,
+    client: template.client,
+    provider: seriesQuote.provider,
+    serviceCategory: template.serviceCategory,
+    specializations: template.specializations,
+    location: template.location,
+    urgency: template.urgency,
+    preferredDate: scheduledFor,
+    preferredTime: template.preferredTime,
+    priceRange: template.priceRange,
+    currency: template.currency,
+    status: 'in_progress',
+    series: series._id,
+    occurrence: { index, scheduledFor }
+  });
+
+  const quote = await Quote.create({
+    job: occurrence._id,
+    provider: seriesQuote.provider,
+    price: seriesQuote.price,
+    lineItems: seriesQuote.lineItems,
+    breakdown: seriesQuote.breakdown,
+    currency: seriesQuote.currency,
+    description: seriesQuote.description,
+    proposedDate: scheduledFor,
+    proposedTime: series.preferredTime,
+    warranty: seriesQuote.warranty,
+    guarantee: seriesQuote.guarantee,
+    status: 'accepted',
+    creditsSpent: 0
+  });
+
+  occurrence.acceptedQuote = quote._id;
+  await occurrence.save();
+
+  return occurrence;
+};
+
+const notifyScheduled = (io, series, providerId, created) => {
+  if (!io || !created.length) return;
+
+  const first = created[0].preferredDate.toDateString();
+  const message = created.length === 1
+    ? `A visit for "${series.title}" is scheduled for ${first}`
+    : `${created.length} visits for "${series.title}" are scheduled, starting ${first}`;
+
+  [series.client._id || series.client, providerId].forEach(userId => {
+    sendNotification(io, userId, {
+      type: 'occurrence_scheduled',
+      title: 'Upcoming Visits Scheduled',
+      message,
+      jobId: series._id,
+      occurrenceIds: created.map(o => o._id)
+    });
+  });
+};
+
+// Generate every occurrence that falls inside the generation window.
+// Each slot is claimed atomically, so concurrent runs never create it twice.
+const generateOccurrences = async (series, { io, now = new Date() } = {}) => {
+  if (series.recurrence?.status !== 'active' || series.status !== 'in_progress') return [];
+
+  const seriesQuote = await Quote.findById(series.acceptedQuote);
+  if (!seriesQuote) return [];
+
+  const horizon = new Date(now.getTime() + GENERATION_WINDOW_DAYS * DAY_MS);
+  const created = [];
+
+  let index = (series.recurrence.generatedCount || 0) + 1;
+  while (withinRule(series.recurrence, index) && occurrenceDate(series.recurrence, index) <= horizon) {
+    const claimed = await Job.findOneAndUpdate(
+      { _id: series._id, 'recurrence.status': 'active', 'recurrence.generatedCount': index - 1 },
+      { 'recurrence.generatedCount': index }
+    );
+    if (!claimed) break;
+
+    series.recurrence.generatedCount = index;
+    created.push(await createOccurrence(series, seriesQuote, index, occurrenceDate(series.recurrence, index)));
+    index += 1;
+  }
+
+  notifyScheduled(io, series, seriesQuote.provider, created);
+  return created;
+};
+
+// Start generating occurrences once the series quote is accepted
+const startSeries = async (series, { io, acceptedAt = new Date() } = {}) => {
+  const requestedStart = series.recurrence.startDate || series.preferredDate;
+
+  series.recurrence.startDate = requestedStart && requestedStart > acceptedAt ? requestedStart : acceptedAt;
+  series.recurrence.generatedCount = 0;
+  series.recurrence.status = 'active';
+  // The series runs well past the quoting window
+  series.expiresAt = undefined;
+  await series.save();
+
+  return generateOccurrences(series, { io, now: acceptedAt });
+};
+
+// Generate due occurrences, then close the series once its rule is used up and
+// every occurrence has finished
+const syncSeries = async (seriesOrId, { io, now } = {}) => {
+  const series = seriesOrId._id ? seriesOrId : await Job.findById(seriesOrId);
+  if (!series?.recurrence?.frequency) return { series, created: [], ended: false };
+
+  const created = await generateOccurrences(series, { io, now });
+
+  const { recurrence } = series;
+  if (recurrence.status !== 'active' || withinRule(recurrence, (recurrence.generatedCount || 0) + 1)) {
+    return { series, created, ended: false };
+  }
+
+  const open = await Job.countDocuments({ series: series._id, status: { $nin: FINISHED_STATUSES } });
+  if (open) return { series, created, ended: false };
+
+  const anyCompleted = await Job.exists({ series: series._id, status: 'completed' });
+  recurrence.status = 'ended';
+  recurrence.endedAt = new Date();
+  series.status = anyCompleted ? 'completed' : 'cancelled';
+  await series.save();
+
+  return { series, created, ended: true };
+};
+
+// Skip or cancel one occurrence; the rest of the series carries on
+const cancelOccurrence = async (occurrence, { skipped = false } = {}) => {
+  if (!occurrence.series) throw httpError('This job is not part of a recurring series', 400);
+
+  if (occurrence.status !== 'in_progress') {
+    throw httpError(`Only upcoming visits can be ${skipped ? 'skipped' : 'cancelled'}`, 400);
+  }
+
+  if (await isOccurrencePaid(occurrence._id)) {
+    throw httpError('This visit has already been paid for. Request a refund instead.', 400);
+  }
+
+  occurrence.status = 'cancelled';
+  occurrence.occurrence.skipped = skipped;
+  await occurrence.save();
+
+  await Quote.updateOne({ _id: occurrence.acceptedQuote }, { status: 'cancelled' });
+  await Transaction.updateMany({ job: occurrence._id, status: 'pending' }, { status: 'failed' });
+
+  return occurrence;
+};
+
+// Move an occurrence to another date (and optionally time)
+const rescheduleOccurrence = async (occurrence, { date, time }) => {
+  if (!occurrence.series) throw httpError('This job is not part of a recurring series', 400);
+
+  if (occurrence.status !== 'in_progress') {
+    throw httpError('Only upcoming visits can be rescheduled', 400);
+  }
+
+  const newDate = date ? new Date(date) : null;
+  if (!newDate || Number.isNaN(newDate.getTime()) || newDate < new Date()) {
+    throw httpError('A future date is required', 400);
+  }
+
+  if (!occurrence.occurrence.rescheduledFrom) {
+    occurrence.occurrence.rescheduledFrom = occurrence.preferredDate;
+  }
+  occurrence.preferredDate = newDate;
+  if (time) occurrence.preferredTime = time;
+  await occurrence.save();
+
+  await Quote.updateOne(
+    { _id: occurrence.acceptedQuote },
+    { proposedDate: newDate, ...(time && { proposedTime: time }) }
+  );
+
+  return occurrence;
+};
+
+// Stop a series: no new occurrences, and upcoming unpaid ones are cancelled.
+// Paid occurrences are left for the provider to complete.
+const cancelSeries = async (series) => {
+  series.recurrence.status = 'cancelled';
+  series.recurrence.endedAt = new Date();
+  await series.save();
+
+  const upcoming = await Job.find({ series: series._id, status: 'in_progress' });
+  const cancelled = [];
+  for (const occurrence of upcoming) {
+    if (await isOccurrencePaid(occurrence._id)) continue;
+    cancelled.push(await cancelOccurrence(occurrence));
+  }
+
+  return cancelled;
+};
+
+// Top up every active series; run periodically
+const processRecurringJobs = async (io, { now = new Date() } = {}) => {
+  const seriesList = await Job.find({ 'recurrence.status': 'active', status: 'in_progress' });
+
+  const results = [];
+  for (const series of seriesList) {
+    try {
+      const { created, ended } = await syncSeries(series, { io, now });
+      if (created.length || ended) {
+        results.push({ series: series._id, created: created.length, ended });
+      }
+    } catch (error) {
+      console.error('Recurring job generation failed for series', series._id, error.message);
+      results.push({ series: series._id, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  GENERATION_WINDOW_DAYS,
+  parseRecurrence,
+  occurrenceDate,
+  startSeries,
+  syncSeries,
+  cancelOccurrence,
+  rescheduleOccurrence,
+  cancelSeries,
+  processRecurringJobs
+};
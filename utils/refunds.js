@@ -0,0 +1,285 @@
+// utils/refunds.js
+const mongoose = require('mongoose');
+const { stripe } = require('../config/stripe');
+const Transaction = require('../models/Transaction');
+const Invoice = require('../models/Invoice');
+const { createCreditNote } = require('./invoiceUtils');
+const { OPEN_ESCROW_STATUSES } = require('./escrow');
+const { postRefund } = require('./ledger');
+const { calculateTaxRefund } = require('./tax');
+const { httpError } = require('./response');
+const { roundMoney } = require('./currency');
+
+// Statuses where the payment has been posted to the ledger
+const PAID_STATUSES = ['completed', 'partially_refunded'];
+
+// Stripe errors after which the refund may or may not have gone through
+const UNCERTAIN_STRIPE_ERRORS = ['StripeConnectionError', 'StripeAPIError'];
+
+// Refunds change the transaction with atomic updates. These paths are copied
+// back onto the caller's document afterwards, without marking them modified,
+// so a later save() of that document can't write stale values over them.
+const REFUND_PATHS = [
+  'status',
+  'refundedAmount',
+  'platformCommission',
+  'providerAmount',
+  'refunds',
+  'refundedAt',
+  'stripeRefundId',
+  'escrow.status',
+  'escrow.autoApproveAt'
+];
+
+const syncRefundFields = (transaction, stored) => {
+  REFUND_PATHS.forEach(path => {
+    transaction.set(path, stored.get(path));
+    transaction.unmarkModified(path);
+  });
+};
+
+// Reserve a refund on the transaction: the refunded amount and the shares
+// taken back are applied and the refund recorded as pending, in one update
+// guarded on the refunded amount the shares were worked out from. Two refunds
+// racing for the same money can't both be reserved.
+const reserveRefund = async (transaction, entry, { closesEscrow }) => {
+  const refundedBefore = transaction.refundedAmount || 0;
+  const unchanged = refundedBefore
+    ? { refundedAmount: refundedBefore }
+    : { $or: [{ refundedAmount: { $exists: false } }, { refundedAmount: 0 }] };
+
+  const stored = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, status: { $ne: 'refunded' }, ...unchanged },
+    {
+      $inc: {
+        refundedAmount: entry.amount,
+        platformCommission: -entry.platformCommission,
+        providerAmount: -entry.providerAmount
+      },
+      $push: { refunds: { ...entry, status: 'pending' } },
+      // Nothing left to hold once the whole payment is going back to the client
+      ...(closesEscrow && {
+        $set: { 'escrow.status': 'refunded' },
+        $unset: { 'escrow.autoApproveAt': 1 }
+      })
+    },
+    { new: true }
+  );
+  if (!stored) {
+    throw httpError('The transaction changed while refunding it. Please check it and try again.', 409);
+  }
+
+  syncRefundFields(transaction, stored);
+};
+
+// Undo a reservation whose refund Stripe turned down
+const cancelRefund = async (transaction, entry, { escrow }) => {
+  const stored = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, refunds: { $elemMatch: { _id: entry._id, status: 'pending' } } },
+    {
+      $inc: {
+        refundedAmount: -entry.amount,
+        platformCommission: entry.platformCommission,
+        providerAmount: entry.providerAmount
+      },
+      $pull: { refunds: { _id: entry._id } },
+      ...(escrow && {
+        $set: { 'escrow.status': escrow.status, ...(escrow.autoApproveAt && { 'escrow.autoApproveAt': escrow.autoApproveAt }) }
+      })
+    },
+    { new: true }
+  );
+  if (stored) syncRefundFields(transaction, stored);
+};
+
+// Finish a pending refund once the money is back with the client: post the
+// clawback to the ledger, issue the credit note and settle the status. The
+// refund is claimed first, so the refund call and the charge.refunded webhook
+// can both try and only one posts it. Returns null when it was already done.
+// `transaction.quote` must be populated for job payments.
+const completeRefund = async (transaction, entryId, { stripeRefundId, postedBy } = {}) => {
+  const claimed = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, refunds: { $elemMatch: { _id: entryId, status: 'pending' } } },
+    {
+      $set: {
+        'refunds.$.status': 'succeeded',
+        ...(stripeRefundId && { 'refunds.$.stripeRefundId': stripeRefundId, stripeRefundId })
+      }
+    },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const entry = claimed.refunds.id(entryId);
+  let { walletSource } = entry;
+
+  // Only payments that were posted to the ledger have anything to claw back
+  if ([...PAID_STATUSES, 'refunded'].includes(claimed.status)) {
+    let posted;
+    try {
+      posted = await postRefund(claimed, {
+        amount: entry.amount,
+        platformCommission: entry.platformCommission,
+        providerAmount: entry.providerAmount,
+        tax: entry.tax,
+        walletSource,
+        providerId: transaction.quote?.provider?._id || transaction.quote?.provider,
+        reference: stripeRefundId,
+        postedBy
+      });
+    } catch (error) {
+      // Back to pending so a retry (or the webhook) posts it
+      await Transaction.updateOne(
+        { _id: transaction._id, 'refunds._id': entryId },
+        { $set: { 'refunds.$.status': 'pending' } }
+      );
+      throw error;
+    }
+    if (walletSource === 'available' && posted.lines.some(line => line.account === 'provider_receivable')) {
+      walletSource = 'receivable';
+    }
+  }
+
+  const status = roundMoney(claimed.amount - claimed.refundedAmount) <= 0 ? 'refunded' : 'partially_refunded';
+
+  let creditNote;
+  const invoice = await Invoice.findOne({ transaction: transaction._id, type: { $ne: 'credit_note' } });
+  if (invoice) {
+    creditNote = await createCreditNote(invoice, entry);
+
+    invoice.payment.paymentStatus = status;
+    await invoice.save();
+  }
+
+  const stored = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, 'refunds._id': entryId },
+    {
+      $set: {
+        status,
+        refundedAt: new Date(),
+        'refunds.$.walletSource': walletSource,
+        ...(creditNote && { 'refunds.$.creditNote': creditNote._id })
+      }
+    },
+    { new: true }
+  );
+  syncRefundFields(transaction, stored);
+
+  return { entry: transaction.refunds.id(entryId), creditNote };
+};
+
+// Refund all or part of a transaction. Each refund is recorded on the transaction's
+// refund ledger, takes commission and provider share back proportionally, posts the
+// clawback to the accounting ledger and gets a credit note against the invoice.
+// The refund is reserved on the transaction before Stripe is asked for the money,
+// and Stripe gets an idempotency key, so a refund is never sent without a record of it.
+// `amount` is pre-tax; the matching share of any sales tax is returned with it.
+// `transaction.quote` must be populated for job payments.
+// `skipStripe` is used when Stripe already returned the money, e.g. a lost chargeback
+// or a refund made in the Stripe dashboard (pass its `stripeRefundId`).
+const refundTransaction = async (transaction, { amount, reason, notes, refundedBy, skipStripe = false, stripeRefundId } = {}) => {
+  const refundable = roundMoney(transaction.amount - (transaction.refundedAmount || 0));
+  const refundAmount = roundMoney(amount || refundable);
+
+  if (refundAmount <= 0) {
+    throw httpError('Refund amount must be greater than 0', 400);
+  }
+
+  if (refundAmount > refundable) {
+    throw httpError(`Refund amount cannot exceed the refundable amount of $${refundable}`, 400);
+  }
+
+  const refundInStripe = transaction.paymentMethod === 'card' && !skipStripe;
+  if (refundInStripe && !transaction.stripePaymentIntentId && !transaction.stripeChargeId) {
+    throw httpError('No Stripe payment reference found (paymentIntent or chargeId missing)', 400);
+  }
+
+  // Split the refund in the same ratio as what is left on the transaction;
+  // the last refund takes whatever remains so rounding never leaves cents behind
+  const isFinalRefund = refundAmount === refundable;
+  const commissionShare = isFinalRefund
+    ? transaction.platformCommission
+    : roundMoney(refundAmount * transaction.platformCommission / refundable);
+  const providerShare = isFinalRefund
+    ? transaction.providerAmount
+    : roundMoney(refundAmount - commissionShare);
+  const taxRefund = calculateTaxRefund(transaction, refundAmount, isFinalRefund);
+
+  // Cash was paid to the provider directly, so no wallet balance holds it
+  let walletSource = 'none';
+  if (PAID_STATUSES.includes(transaction.status) && transaction.quote?.provider && transaction.paymentMethod !== 'cash') {
+    walletSource = transaction.releasedAt ? 'available' : 'pending';
+  }
+
+  const entry = {
+    _id: new mongoose.Types.ObjectId(),
+    amount: refundAmount,
+    platformCommission: commissionShare,
+    providerAmount: providerShare,
+    tax: taxRefund.total,
+    taxLines: taxRefund.lines,
+    reason,
+    notes,
+    walletSource,
+    refundedBy
+  };
+
+  const escrow = transaction.escrow?.status && {
+    status: transaction.escrow.status,
+    autoApproveAt: transaction.escrow.autoApproveAt
+  };
+  const closesEscrow = isFinalRefund && OPEN_ESCROW_STATUSES.includes(escrow?.status);
+  await reserveRefund(transaction, entry, { closesEscrow });
+
+  // ---------------------------
+  // REFUND IN STRIPE
+  // ---------------------------
+  let refund;
+  if (refundInStripe) {
+    try {
+      refund = await stripe.refunds.create({
+        // Prefer the PaymentIntent, fall back to the charge
+        ...(transaction.stripePaymentIntentId
+          ? { payment_intent: transaction.stripePaymentIntentId }
+          : { charge: transaction.stripeChargeId }),
+        amount: Math.round((refundAmount + taxRefund.total) * 100),
+        metadata: {
+          transactionId: transaction._id.toString(),
+          refundEntryId: entry._id.toString(),
+          reason,
+          adminNotes: notes
+        }
+      }, { idempotencyKey: `refund-${entry._id}` });
+    } catch (error) {
+      // The refund stays pending when Stripe may have made it anyway;
+      // the charge.refunded webhook completes it if so
+      if (UNCERTAIN_STRIPE_ERRORS.includes(error.type)) {
+        throw httpError('Stripe did not confirm the refund. It is recorded as pending and will be completed once Stripe reports it.', 502);
+      }
+      await cancelRefund(transaction, entry, { escrow: closesEscrow && escrow });
+      throw error;
+    }
+  }
+
+  const completed = await completeRefund(transaction, entry._id, {
+    stripeRefundId: refund?.id || stripeRefundId,
+    postedBy: refundedBy
+  });
+  if (!completed) {
+    // The webhook got there first
+    syncRefundFields(transaction, await Transaction.findById(transaction._id));
+  }
+
+  return {
+    transaction,
+    refund,
+    refundAmount,
+    entry: transaction.refunds.id(entry._id),
+    creditNote: completed?.creditNote
+  };
+};
+
+module.exports = {
+  refundTransaction,
+  completeRefund
+};
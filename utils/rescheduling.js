@@ -0,0 +1,345 @@
+// utils/rescheduling.js
+const Job = require('../models/Job');
+const Quote = require('../models/Quote');
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const RescheduleRequest = require('../models/RescheduleRequest');
+const { sendNotification } = require('../socket/notificationHandler');
+const { assertProviderAvailable, withBookingLock } = require('./availability');
+const { rescheduleOccurrence } = require('./recurrence');
+const { httpError } = require('./response');
+
+const MAX_OPTIONS = 3;
+
+const describeSlot = ({ date, time }) => {
+  const day = new Date(date).toDateString();
+  return time ? `${day} at ${time}` : day;
+};
+
+// Load an in-progress job with both parties, and the caller's side of it
+const loadJobParties = async (jobId, user) => {
+  const job = await Job.findById(jobId).populate('acceptedQuote');
+  if (!job || !job.acceptedQuote) throw httpError('Job not found', 404);
+
+  const providerId = job.acceptedQuote.provider;
+  const isClient = job.client.toString() === user._id.toString();
+  const isProvider = providerId.toString() === user._id.toString();
+  if (!isClient && !isProvider) throw httpError('You are not authorized to reschedule this job', 403);
+
+  return {
+    job,
+    providerId,
+    role: isClient ? 'client' : 'provider',
+    otherPartyId: isClient ? providerId : job.client
+  };
+};
+
+// Validate proposed options (a JSON string for form bodies) against the provider's calendar
+const parseOptions = async (input, { job, providerId }) => {
+  let options = input;
+  if (typeof input === 'string') {
+    try {
+      options = JSON.parse(input);
+    } catch {
+      throw httpError('Invalid options format. Must be a JSON array.', 400);
+    }
+  }
+
+  if (!Array.isArray(options) || !options.length) {
+    throw httpError('At least one date option is required', 400);
+  }
+  if (options.length > MAX_OPTIONS) {
+    throw httpError(`You can propose at most ${MAX_OPTIONS} options`, 400);
+  }
+
+  const provider = await User.findById(providerId).select('availability workingHours');
+
+  const parsed = [];
+  for (const option of options) {
+    const date = option?.date ? new Date(option.date) : null;
+    if (!date || Number.isNaN(date.getTime())) throw httpError('Each option needs a valid date', 400);
+
+    const time = option.time ? String(option.time).trim() : undefined;
+    try {
+      await assertProviderAvailable(provider, { date, time, excludeJob: job._id });
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      throw httpError(`${describeSlot({ date, time })}: ${err.message}`, err.statusCode);
+    }
+    parsed.push({ date, time });
+  }
+
+  return parsed;
+};
+
+// Post a system message in the job chat, creating the chat if the parties never messaged
+const postSystemMessage = async (io, { job, senderId, senderRole, receiverId, type, text, metadata }) => {
+  try {
+    const chatJobId = job.series || job._id;
+    const receiverRole = senderRole === 'client' ? 'provider' : 'client';
+    const chat = await Chat.findOrCreate(
+      { userId: senderId, role: senderRole },
+      { userId: receiverId, role: receiverRole },
+      chatJobId
+    );
+
+    const message = await Message.create({
+      chat: chat._id,
+      sender: senderId,
+      receiver: receiverId,
+      content: { text },
+      messageType: 'system',
+      systemMessageType: type,
+      metadata: { jobId: job._id, ...metadata }
+    });
+
+    if (io) {
+      const populatedMessage = await Message.findById(message._id)
+        .populate('sender', 'fullName profilePhoto role')
+        .populate('receiver', 'fullName profilePhoto role');
+      io.to(chat._id.toString()).emit('new-message', populatedMessage);
+    }
+  } catch (error) {
+    // The reschedule itself has already been saved
+    console.warn('Reschedule chat message warning:', error.message);
+  }
+};
+
+// Chat message plus notification for each step of the negotiation
+const announce = async (io, { job, actor, role, recipientId, request, type, title, text }) => {
+  await postSystemMessage(io, {
+    job,
+    senderId: actor._id,
+    senderRole: role,
+    receiverId: recipientId,
+    type,
+    text,
+    metadata: { rescheduleRequestId: request._id }
+  });
+
+  if (io) {
+    sendNotification(io, recipientId, {
+      type,
+      title,
+      message: text,
+      jobId: job._id,
+      rescheduleRequestId: request._id
+    });
+  }
+};
+
+// Move the job (and its accepted quote, which the provider calendar reads) to the agreed slot
+const applySchedule = async (job, { date, time }) => {
+  if (job.series) {
+    return rescheduleOccurrence(job, { date, time });
+  }
+
+  job.preferredDate = date;
+  if (time) job.preferredTime = time;
+  await job.save();
+
+  await Quote.updateOne(
+    { _id: job.acceptedQuote._id || job.acceptedQuote },
+    { proposedDate: date, ...(time && { proposedTime: time }) }
+  );
+
+  return job;
+};
+
+const findPendingRequest = async (requestId, job) => {
+  const request = await RescheduleRequest.findOne({ _id: requestId, job: job._id });
+  if (!request) throw httpError('Reschedule request not found', 404);
+  if (request.status !== 'pending') {
+    throw httpError(`This request has already been ${request.status}`, 400);
+  }
+  return request;
+};
+
+const assertRespondent = (request, user) => {
+  if (request.requestedBy.toString() === user._id.toString()) {
+    throw httpError('You cannot respond to your own request', 403);
+  }
+};
+
+// Propose new dates for an in-progress job
+const proposeReschedule = async (jobId, user, { options, reason }, { io, counterTo = null } = {}) => {
+  const parties = await loadJobParties(jobId, user);
+  const { job, role, otherPartyId } = parties;
+
+  if (job.status !== 'in_progress') throw httpError('Only in-progress jobs can be rescheduled', 400);
+  if (job.recurrence?.frequency) {
+    throw httpError('Reschedule individual visits of a recurring job instead', 400);
+  }
+
+  if (!counterTo && await RescheduleRequest.exists({ job: job._id, status: 'pending' })) {
+    throw httpError('There is already an open reschedule request for this job', 400);
+  }
+
+  const parsedOptions = await parseOptions(options, parties);
+
+  const request = await RescheduleRequest.create({
+    job: job._id,
+    requestedBy: user._id,
+    requestedByRole: role,
+    options: parsedOptions,
+    reason,
+    previousDate: job.preferredDate,
+    previousTime: job.preferredTime,
+    counterTo
+  });
+
+  const optionList = parsedOptions.map(describeSlot).join('; ');
+  await announce(io, {
+    job,
+    actor: user,
+    role,
+    recipientId: otherPartyId,
+    request,
+    type: counterTo ? 'reschedule_countered' : 'reschedule_requested',
+    title: counterTo ? 'New Dates Proposed' : 'Reschedule Requested',
+    text: `${user.fullName} ${counterTo ? 'proposed different dates' : 'asked to reschedule'} "${job.title}": ${optionList}${reason ? `. Reason: ${reason}` : ''}`
+  });
+
+  return request;
+};
+
+// Accept one of the proposed options and move the job
+const acceptReschedule = async (jobId, requestId, user, { optionIndex = 0 } = {}, { io } = {}) => {
+  const { job, providerId, role, otherPartyId } = await loadJobParties(jobId, user);
+  const request = await findPendingRequest(requestId, job);
+  assertRespondent(request, user);
+
+  if (job.status !== 'in_progress') throw httpError('Only in-progress jobs can be rescheduled', 400);
+
+  const option = request.options[Number(optionIndex)];
+  if (!option) throw httpError('Invalid option selected', 400);
+
+  // The calendar may have filled up since the request was sent
+  const provider = await User.findById(providerId).select('availability workingHours');
+  await withBookingLock(providerId, async () => {
+    await assertProviderAvailable(provider, { date: option.date, time: option.time, excludeJob: job._id });
+    await applySchedule(job, option);
+  });
+
+  request.status = 'accepted';
+  request.acceptedOption = { date: option.date, time: option.time };
+  request.respondedBy = user._id;
+  request.respondedAt = new Date();
+  await request.save();
+
+  await announce(io, {
+    job,
+    actor: user,
+    role,
+    recipientId: otherPartyId,
+    request,
+    type: 'reschedule_accepted',
+    title: 'Reschedule Confirmed',
+    text: `${user.fullName} confirmed the new date for "${job.title}": ${describeSlot(option)}`
+  });
+
+  return { request, job };
+};
+
+// Turn the proposal down; the job keeps its current date
+const declineReschedule = async (jobId, requestId, user, { note } = {}, { io } = {}) => {
+  const { job, role, otherPartyId } = await loadJobParties(jobId, user);
+  const request = await findPendingRequest(requestId, job);
+  assertRespondent(request, user);
+
+  request.status = 'declined';
+  request.respondedBy = user._id;
+  request.respondedAt = new Date();
+  request.responseNote = note;
+  await request.save();
+
+  await announce(io, {
+    job,
+    actor: user,
+    role,
+    recipientId: otherPartyId,
+    request,
+    type: 'reschedule_declined',
+    title: 'Reschedule Declined',
+    text: `${user.fullName} declined the request to reschedule "${job.title}". It stays on ${describeSlot({ date: job.preferredDate, time: job.preferredTime })}${note ? `. Note: ${note}` : ''}`
+  });
+
+  return { request, job };
+};
+
+// Reply with different options; the original request is closed as countered
+const counterReschedule = async (jobId, requestId, user, { options, reason } = {}, { io } = {}) => {
+  const parties = await loadJobParties(jobId, user);
+  const request = await findPendingRequest(requestId, parties.job);
+  assertRespondent(request, user);
+
+  // Validate before closing the original so a bad counter leaves it open
+  await parseOptions(options, parties);
+
+  request.status = 'countered';
+  request.respondedBy = user._id;
+  request.respondedAt = new Date();
+  await request.save();
+
+  let counter;
+  try {
+    counter = await proposeReschedule(jobId, user, { options, reason }, { io, counterTo: request._id });
+  } catch (err) {
+    request.status = 'pending';
+    request.respondedBy = undefined;
+    request.respondedAt = undefined;
+    await request.save();
+    throw err;
+  }
+
+  request.counteredBy = counter._id;
+  await request.save();
+
+  return { request, counter };
+};
+
+// Withdraw your own pending request
+const cancelReschedule = async (jobId, requestId, user, { io } = {}) => {
+  const { job, role, otherPartyId } = await loadJobParties(jobId, user);
+  const request = await findPendingRequest(requestId, job);
+
+  if (request.requestedBy.toString() !== user._id.toString()) {
+    throw httpError('Only the person who asked can withdraw a reschedule request', 403);
+  }
+
+  request.status = 'cancelled';
+  request.respondedAt = new Date();
+  await request.save();
+
+  await announce(io, {
+    job,
+    actor: user,
+    role,
+    recipientId: otherPartyId,
+    request,
+    type: 'reschedule_cancelled',
+    title: 'Reschedule Withdrawn',
+    text: `${user.fullName} withdrew the request to reschedule "${job.title}"`
+  });
+
+  return { request, job };
+};
+
+// Close open proposals when a job stops being in progress
+const closeRescheduleRequests = (jobId) => {
+  return RescheduleRequest.updateMany(
+    { job: jobId, status: 'pending' },
+    { status: 'cancelled', respondedAt: new Date() }
+  );
+};
+
+module.exports = {
+  loadJobParties,
+  proposeReschedule,
+  acceptReschedule,
+  declineReschedule,
+  counterReschedule,
+  cancelReschedule,
+  closeRescheduleRequests
+};
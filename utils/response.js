@@ -6,6 +6,14 @@ const errorResponse = (res, message = 'Error', code = 500) => {
   return res.status(code).json({ success: false, message });
 };
 
+// Error carrying the HTTP status the caller should respond with. Utils throw
+// these; controllers answer with err.statusCode and err.message.
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
 // Backwards-compatible aliases
 
 
@@ -15,6 +23,7 @@ const error = errorResponse;
 module.exports = {
   successResponse,
   errorResponse,
+  httpError,
   success,
   error
 };
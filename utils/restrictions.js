@@ -0,0 +1,250 @@
+// utils/restrictions.js
+const User = require('../models/User');
+const { revokeUserSessions } = require('./sessions');
+const { sendNotification } = require('../socket/notificationHandler');
+const { httpError } = require('./response');
+
+// Suspensions and bans keep the user out entirely; the others block one feature
+const RESTRICTIONS = {
+  suspension: { label: 'Account suspended', locksAccount: true },
+  ban: { label: 'Account banned', locksAccount: true },
+  no_quoting: { label: 'Quoting disabled', action: 'send or change quotes' },
+  no_chatting: { label: 'Chat disabled', action: 'send messages' }
+};
+
+const isActive = (restriction, now = new Date()) =>
+  !restriction.liftedAt && (!restriction.endsAt || restriction.endsAt > now);
+
+const activeRestrictions = (user, now = new Date()) =>
+  (user.restrictions || []).filter(restriction => isActive(restriction, now));
+
+const findRestriction = (user, type, now = new Date()) =>
+  activeRestrictions(user, now).find(restriction => restriction.type === type) || null;
+
+// The restriction keeping the user out: a ban, else the suspension ending last
+const accountLock = (user, now = new Date()) => {
+  const locks = activeRestrictions(user, now).filter(restriction => RESTRICTIONS[restriction.type].locksAccount);
+  const endOf = (restriction) => (restriction.endsAt ? restriction.endsAt.getTime() : Infinity);
+  return locks.find(restriction => restriction.type === 'ban') ||
+    locks.sort((a, b) => endOf(b) - endOf(a))[0] ||
+    null;
+};
+
+// End date for a report resolution duration such as { value: 7, unit: 'days' }
+const durationEnd = (duration, from = new Date()) => {
+  const value = Number(duration?.value);
+  if (!value) return null;
+
+  const end = new Date(from);
+  switch (duration.unit) {
+    case 'hours':
+      end.setHours(end.getHours() + value);
+      break;
+    case 'days':
+      end.setDate(end.getDate() + value);
+      break;
+    case 'weeks':
+      end.setDate(end.getDate() + (value * 7));
+      break;
+    case 'months':
+      end.setMonth(end.getMonth() + value);
+      break;
+    default:
+      return null;
+  }
+  return end;
+};
+
+const formatRestriction = (restriction) => ({
+  _id: restriction._id,
+  type: restriction.type,
+  label: RESTRICTIONS[restriction.type].label,
+  reason: restriction.reason,
+  endsAt: restriction.endsAt || null,
+  createdAt: restriction.createdAt,
+  liftedAt: restriction.liftedAt,
+  liftReason: restriction.liftReason
+});
+
+const withReason = (message, restriction) =>
+  (restriction?.reason ? `${message} Reason: ${restriction.reason.replace(/[.!?]+$/, '')}.` : message);
+
+// What a locked-out user is told, with the reason and end date
+const lockMessage = (lock) => {
+  if (!lock) return 'Your account has been blocked. Please contact support.';
+  if (lock.type === 'ban') return withReason('Your account has been permanently banned.', lock);
+  if (!lock.endsAt) return withReason('Your account has been suspended until further notice.', lock);
+  return withReason(`Your account is suspended until ${lock.endsAt.toUTCString()}.`, lock);
+};
+
+// What a user is told when a partial restriction stops an action
+const restrictionMessage = (restriction) => {
+  const { action } = RESTRICTIONS[restriction.type];
+  const until = restriction.endsAt ? `until ${restriction.endsAt.toUTCString()}` : 'until further notice';
+  return withReason(`Your account is restricted: you cannot ${action} ${until}.`, restriction);
+};
+
+const ACCOUNT_RESTORED = {
+  type: 'account_unblocked',
+  title: 'Account Restored',
+  message: 'Your account has been restored. You can now use the platform again.'
+};
+
+const notify = (io, userId, payload) => {
+  if (!io) return null;
+  return sendNotification(io, userId, payload).catch(error => console.error('Restriction notification error:', error));
+};
+
+// Mark every active restriction matching `match` as lifted and unlock the
+// account when no suspension or ban is left. Returns the lifted restrictions.
+const liftMatching = async (user, match, { now = new Date(), liftedBy, reason, io = global.io } = {}) => {
+  const lifted = (user.restrictions || []).filter(restriction => !restriction.liftedAt && match(restriction));
+  if (!lifted.length) return [];
+
+  for (const restriction of lifted) {
+    restriction.liftedAt = now;
+    restriction.liftedBy = liftedBy;
+    restriction.liftReason = reason;
+  }
+
+  const unlocked = user.isBlocked &&
+    lifted.some(restriction => RESTRICTIONS[restriction.type].locksAccount) &&
+    !accountLock(user, now);
+  if (unlocked) user.isBlocked = false;
+
+  await user.save();
+
+  if (unlocked) {
+    notify(io, user._id, ACCOUNT_RESTORED);
+  }
+  for (const restriction of lifted.filter(r => !RESTRICTIONS[r.type].locksAccount)) {
+    notify(io, user._id, {
+      type: 'account_restriction_lifted',
+      title: 'Restriction Lifted',
+      message: `You can ${RESTRICTIONS[restriction.type].action} again.`
+    });
+  }
+
+  return lifted;
+};
+
+// Lift the user's restrictions whose end date has passed
+const liftExpired = (user, { now = new Date(), io } = {}) =>
+  liftMatching(user, restriction => restriction.endsAt && restriction.endsAt <= now, { now, reason: 'expired', io });
+
+// Null when the user may use their account; otherwise the message and
+// restriction to show them. Suspensions that already ran out are lifted here,
+// so the user isn't kept out until the next scheduled run.
+const checkAccountAccess = async (user, { now = new Date() } = {}) => {
+  if (!user.isBlocked) return null;
+
+  await liftExpired(user, { now });
+  if (!user.isBlocked) return null;
+
+  const lock = accountLock(user, now);
+  return {
+    message: lockMessage(lock),
+    restriction: lock ? formatRestriction(lock) : undefined
+  };
+};
+
+// Apply a restriction. Suspensions and bans block the account and sign the
+// user out everywhere; bans never end.
+const restrictUser = async (user, { type, reason, endsAt, imposedBy, report }, { io = global.io } = {}) => {
+  const definition = RESTRICTIONS[type];
+  if (!definition) {
+    throw httpError(`Invalid restriction type. Use one of: ${Object.keys(RESTRICTIONS).join(', ')}`, 400);
+  }
+  if (user.role === 'admin') {
+    throw httpError('Cannot restrict admin users', 400);
+  }
+
+  const end = type === 'ban' || !endsAt ? undefined : new Date(endsAt);
+  if (end && (Number.isNaN(end.getTime()) || end <= new Date())) {
+    throw httpError('The end date must be in the future', 400);
+  }
+
+  user.restrictions.push({ type, reason, endsAt: end, imposedBy, report });
+  const restriction = user.restrictions[user.restrictions.length - 1];
+  if (definition.locksAccount) user.isBlocked = true;
+  await user.save();
+
+  if (definition.locksAccount) {
+    await notify(io, user._id, {
+      type: 'account_blocked',
+      title: type === 'ban' ? 'Account Banned' : 'Account Suspended',
+      message: `${lockMessage(restriction)} Please contact support if you think this is a mistake.`,
+      reason
+    });
+    await revokeUserSessions(user._id, { reason: 'blocked' });
+  } else {
+    notify(io, user._id, {
+      type: 'account_restricted',
+      title: definition.label,
+      message: restrictionMessage(restriction),
+      reason
+    });
+  }
+
+  return restriction;
+};
+
+// Lift one restriction early
+const liftRestriction = async (user, restrictionId, { liftedBy, reason, io } = {}) => {
+  const restriction = user.restrictions.id(restrictionId);
+  if (!restriction || !isActive(restriction)) {
+    throw httpError('Active restriction not found', 404);
+  }
+
+  await liftMatching(user, r => r._id.equals(restriction._id), { liftedBy, reason, io });
+  return restriction;
+};
+
+// Lift every suspension and ban, e.g. when an admin unblocks the user. Also
+// clears blocks made before restrictions were recorded.
+const liftAccountLocks = async (user, { liftedBy, reason, io = global.io } = {}) => {
+  const lifted = await liftMatching(user, r => RESTRICTIONS[r.type].locksAccount, { liftedBy, reason, io });
+
+  if (user.isBlocked) {
+    user.isBlocked = false;
+    await user.save();
+    notify(io, user._id, ACCOUNT_RESTORED);
+  }
+  return lifted;
+};
+
+// Scheduled clean-up: lift restrictions that ran out, so blocked accounts
+// reappear in listings and users are told without having to sign in first
+const liftExpiredRestrictions = async (io, { now = new Date() } = {}) => {
+  const users = await User.find({
+    restrictions: { $elemMatch: { liftedAt: null, endsAt: { $lte: now } } }
+  }).select('isBlocked restrictions');
+
+  const results = [];
+  for (const user of users) {
+    try {
+      const lifted = await liftExpired(user, { now, io });
+      results.push({ userId: user._id, lifted: lifted.length, unblocked: !user.isBlocked });
+    } catch (error) {
+      console.error(`Lift restrictions error for user ${user._id}:`, error);
+      results.push({ userId: user._id, error: error.message });
+    }
+  }
+  return results;
+};
+
+module.exports = {
+  RESTRICTIONS,
+  activeRestrictions,
+  findRestriction,
+  accountLock,
+  durationEnd,
+  formatRestriction,
+  lockMessage,
+  restrictionMessage,
+  checkAccountAccess,
+  restrictUser,
+  liftRestriction,
+  liftAccountLocks,
+  liftExpiredRestrictions
+};
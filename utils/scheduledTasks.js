@@ -0,0 +1,84 @@
+// utils/scheduledTasks.js
+const Notification = require('../models/Notification');
+const { defineTask } = require('./scheduler');
+const { releaseDuePayments } = require('./paymentRelease');
+const { processEscrowAutoApprovals } = require('./escrow');
+const { processRecurringJobs } = require('./recurrence');
+const { processJobExpiry } = require('./jobExpiry');
+const { expireSubscriptions } = require('./subscriptions');
+const { expireFeaturedProjects } = require('./entitlements');
+const { liftExpiredRestrictions } = require('./restrictions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Notifications saved without an expiry date are kept this long
+const NOTIFICATION_RETENTION_DAYS = 30;
+
+// Keep run history small: counts, plus the items that failed
+const summarize = (results) => ({
+  processed: results.length,
+  failed: results.filter(r => r.error).length,
+  failures: results.filter(r => r.error).slice(0, 20)
+});
+
+// Platform tasks run by the scheduler. Schedules are cron expressions in UTC.
+defineTask('release-pending-payments', {
+  schedule: '*/15 * * * *',
+  description: 'Release payments whose hold period has passed',
+  handler: async ({ now }) => summarize(await releaseDuePayments({ now }))
+});
+
+defineTask('escrow-auto-approvals', {
+  schedule: '*/15 * * * *',
+  description: 'Approve escrowed payments once the client approval window lapses',
+  handler: async ({ io }) => summarize(await processEscrowAutoApprovals(io))
+});
+
+defineTask('recurring-jobs', {
+  schedule: '0 * * * *',
+  description: 'Create upcoming visits for active recurring jobs',
+  handler: async ({ io, now }) => summarize(await processRecurringJobs(io, { now }))
+});
+
+defineTask('job-expiry', {
+  schedule: '*/15 * * * *',
+  description: 'Remind clients before jobs expire, then expire them and refund quote credits',
+  handler: async ({ io, now }) => {
+    const { reminded, expired } = await processJobExpiry(io, { now });
+    return { reminded, ...summarize(expired) };
+  }
+});
+
+defineTask('subscription-expiry', {
+  schedule: '5 * * * *',
+  description: 'Expire ended subscriptions and recurring ones whose grace period lapsed unpaid',
+  handler: async ({ io, now }) => summarize(await expireSubscriptions(io, { now }))
+});
+
+defineTask('featured-project-expiry', {
+  schedule: '20 * * * *',
+  description: 'Unfeature gallery projects whose paid time ran out or that exceed the plan limit',
+  handler: async ({ now }) => expireFeaturedProjects({ now })
+});
+
+defineTask('restriction-expiry', {
+  schedule: '*/5 * * * *',
+  description: 'Lift suspensions and account restrictions whose end date has passed',
+  handler: async ({ io, now }) => summarize(await liftExpiredRestrictions(io, { now }))
+});
+
+defineTask('notification-cleanup', {
+  schedule: '30 3 * * *',
+  description: 'Delete expired notifications',
+  handler: async ({ now }) => {
+    // The TTL index covers most of these; this catches ones it missed or
+    // that were saved without an expiry date
+    const { deletedCount } = await Notification.deleteMany({
+      $or: [
+        { expiresAt: { $lte: now } },
+        { expiresAt: null, createdAt: { $lte: new Date(now.getTime() - NOTIFICATION_RETENTION_DAYS * DAY_MS) } }
+      ]
+    });
+    return { deleted: deletedCount };
+  }
+});
@@ -0,0 +1,232 @@
+// utils/scheduler.js
+const os = require('os');
+const crypto = require('crypto');
+const ScheduledTask = require('../models/ScheduledTask');
+const ScheduledTaskRun = require('../models/ScheduledTaskRun');
+const { parseCron, nextCronDate } = require('./cron');
+const { httpError } = require('./response');
+
+const MINUTE_MS = 60 * 1000;
+
+// Identifies this process in task locks and run history
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// Task handlers, by name. Schedules and state live in the ScheduledTask collection.
+const definitions = new Map();
+
+let pollTimer = null;
+let context = {};
+
+// Register a task. `handler({ io, now })` returns a summary stored with the run.
+const defineTask = (name, { schedule, description, handler, maxRetries = 3, retryDelayMinutes = 5, lockMinutes = 15 }) => {
+  parseCron(schedule);
+  definitions.set(name, { name, schedule, description, handler, maxRetries, retryDelayMinutes, lockMinutes });
+};
+
+// Keep one document per registered task. Admin changes (enabled) are left alone.
+const syncTasks = async (now = new Date()) => {
+  for (const definition of definitions.values()) {
+    const existing = await ScheduledTask.findOne({ name: definition.name });
+    const scheduleChanged = existing && existing.schedule !== definition.schedule;
+
+    await ScheduledTask.updateOne(
+      { name: definition.name },
+      {
+        $set: {
+          description: definition.description,
+          schedule: definition.schedule,
+          maxRetries: definition.maxRetries,
+          retryDelayMinutes: definition.retryDelayMinutes,
+          lockMinutes: definition.lockMinutes,
+          ...((!existing || scheduleChanged || !existing.nextRunAt) && {
+            nextRunAt: nextCronDate(definition.schedule, now)
+          })
+        }
+      },
+      { upsert: true }
+    );
+  }
+};
+
+// Take the task's lock. Scheduled claims also require the task to be due.
+const claimTask = (name, { now, due }) => {
+  return ScheduledTask.findOneAndUpdate(
+    {
+      name,
+      ...(due && { enabled: true, nextRunAt: { $lte: now } }),
+      $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + (definitions.get(name)?.lockMinutes || 15) * MINUTE_MS) },
+    { new: true }
+  );
+};
+
+// Run a claimed task, record the run and release the lock
+const executeTask = async (task, { trigger, triggeredBy, io } = {}) => {
+  const definition = definitions.get(task.name);
+  const startedAt = new Date();
+  const attempt = trigger === 'manual' ? 1 : task.attempts + 1;
+
+  const run = await ScheduledTaskRun.create({
+    task: task.name,
+    trigger,
+    triggeredBy,
+    attempt,
+    instance: INSTANCE_ID,
+    startedAt
+  });
+
+  let result;
+  let failure;
+  try {
+    result = await definition.handler({ io: io || context.io, now: startedAt });
+  } catch (error) {
+    console.error(`Scheduled task ${task.name} failed:`, error);
+    failure = error;
+  }
+
+  const finishedAt = new Date();
+  run.status = failure ? 'failed' : 'succeeded';
+  run.finishedAt = finishedAt;
+  run.durationMs = finishedAt - startedAt;
+  run.result = result;
+  run.error = failure?.message;
+  await run.save();
+
+  const update = {
+    $set: {
+      lastRunAt: startedAt,
+      lastFinishedAt: finishedAt,
+      lastResult: result,
+      lastError: failure?.message
+    },
+    $unset: { lockedBy: 1, lockedUntil: 1 }
+  };
+
+  // Manual runs are extra; they leave the schedule and any pending retry as they were
+  if (trigger === 'manual') {
+    update.$set.lastStatus = failure ? 'failed' : 'succeeded';
+  } else if (failure && attempt <= task.maxRetries) {
+    // Back off: 5, 10, 20... minutes
+    update.$set.lastStatus = 'retrying';
+    update.$set.attempts = attempt;
+    update.$set.nextRunAt = new Date(finishedAt.getTime() + task.retryDelayMinutes * 2 ** (attempt - 1) * MINUTE_MS);
+  } else {
+    update.$set.lastStatus = failure ? 'failed' : 'succeeded';
+    update.$set.attempts = 0;
+    update.$set.nextRunAt = nextCronDate(task.schedule, finishedAt);
+  }
+
+  await ScheduledTask.updateOne({ _id: task._id, lockedBy: INSTANCE_ID }, update);
+
+  return run;
+};
+
+// Run every task that is due and not locked by another instance
+const runDueTasks = async (now = new Date()) => {
+  const runs = [];
+  for (const name of definitions.keys()) {
+    const task = await claimTask(name, { now, due: true });
+    if (!task) continue;
+    runs.push(await executeTask(task, { trigger: task.attempts ? 'retry' : 'schedule' }));
+  }
+  return runs;
+};
+
+// Run a task immediately on an admin's request
+const runTaskNow = async (name, { io, triggeredBy } = {}) => {
+  if (!definitions.has(name)) throw httpError('Scheduled task not found', 404);
+
+  const task = await claimTask(name, { now: new Date(), due: false });
+  if (!task) throw httpError('This task is already running', 409);
+
+  return executeTask(task, { trigger: 'manual', triggeredBy, io });
+};
+
+// Registered tasks merged with their stored state
+const listTasks = async () => {
+  const tasks = await ScheduledTask.find({ name: { $in: [...definitions.keys()] } }).sort({ name: 1 }).lean();
+  const now = new Date();
+
+  return tasks.map(task => ({
+    ...task,
+    running: Boolean(task.lockedUntil && task.lockedUntil > now)
+  }));
+};
+
+const getTaskRuns = async (name, { page = 1, limit = 20, status } = {}) => {
+  const task = await ScheduledTask.findOne({ name }).lean();
+  if (!task || !definitions.has(name)) throw httpError('Scheduled task not found', 404);
+
+  const filter = { task: name, ...(status && { status }) };
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [runs, total] = await Promise.all([
+    ScheduledTaskRun.find(filter)
+      .populate('triggeredBy', 'fullName email')
+      .sort({ startedAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    ScheduledTaskRun.countDocuments(filter)
+  ]);
+
+  return {
+    task,
+    runs,
+    pagination: {
+      current: pageNumber,
+      total: Math.ceil(total / pageSize),
+      count: runs.length,
+      totalRecords: total
+    }
+  };
+};
+
+// Pause or resume a task. Resuming schedules the next run from now.
+const setTaskEnabled = async (name, enabled) => {
+  const definition = definitions.get(name);
+  if (!definition) throw httpError('Scheduled task not found', 404);
+
+  const task = await ScheduledTask.findOneAndUpdate(
+    { name },
+    {
+      enabled,
+      ...(enabled && { nextRunAt: nextCronDate(definition.schedule), attempts: 0 })
+    },
+    { new: true }
+  );
+  if (!task) throw httpError('Scheduled task not found', 404);
+
+  return task;
+};
+
+// Poll for due tasks in this process. Every instance can poll; locks make
+// sure each run happens once.
+const startScheduler = (io, { pollSeconds = 30 } = {}) => {
+  if (pollTimer) return pollTimer;
+  context = { io };
+
+  const poll = () => runDueTasks().catch(error => {
+    console.error('Scheduler poll failed:', error.message);
+  });
+
+  syncTasks()
+    .then(poll)
+    .catch(error => console.error('Scheduler start failed:', error.message));
+
+  pollTimer = setInterval(poll, pollSeconds * 1000);
+  pollTimer.unref();
+  return pollTimer;
+};
+
+module.exports = {
+  defineTask,
+  startScheduler,
+  runDueTasks,
+  runTaskNow,
+  listTasks,
+  getTaskRuns,
+  setTaskEnabled
+};
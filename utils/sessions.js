@@ -0,0 +1,206 @@
+// utils/sessions.js
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const { generateToken } = require('./generateToken');
+const { isTwoFactorRequired } = require('./twoFactor');
+const { JWT_EXPIRE, REFRESH_TOKEN_DAYS, REFRESH_TOKEN_REMEMBER_DAYS } = require('../config/env');
+const { httpError } = require('./response');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+const newRefreshToken = (session) => {
+  const secret = crypto.randomBytes(48).toString('hex');
+  session.refreshTokenHash = hashSecret(secret);
+  return `${session._id}.${secret}`;
+};
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+const clientIp = (req) => {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  return (forwarded ? forwarded.split(',')[0].trim() : req.ip) || undefined;
+};
+
+// A readable label such as "Chrome on Windows"
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+    ['Postman', /PostmanRuntime/],
+    ['Mobile app', /okhttp|Dart|Expo|CFNetwork/]
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const os = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+};
+
+const tokenResponse = (user, session, refreshToken) => ({
+  token: generateToken(user, session),
+  tokenExpiresIn: JWT_EXPIRE,
+  refreshToken,
+  refreshTokenExpiresAt: session.expiresAt,
+  sessionId: session._id
+});
+
+// Start a session for a user who just signed in
+const createSession = async (user, req, { rememberMe = false } = {}) => {
+  const days = Number(rememberMe ? REFRESH_TOKEN_REMEMBER_DAYS : REFRESH_TOKEN_DAYS);
+  const userAgent = req.headers?.['user-agent'];
+
+  const session = new Session({
+    user: user._id,
+    device: req.body?.deviceName || describeDevice(userAgent),
+    userAgent,
+    ip: clientIp(req),
+    rememberMe: Boolean(rememberMe),
+    expiresAt: new Date(Date.now() + days * DAY_MS)
+  });
+  const refreshToken = newRefreshToken(session);
+  await session.save();
+
+  return tokenResponse(user, session, refreshToken);
+};
+
+// Swap a refresh token for a new access token and refresh token. A refresh
+// token that was already used means it leaked, so the session is ended.
+const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw httpError('Invalid refresh token', 401);
+
+  const session = await Session.findById(parsed.sessionId).select('+refreshTokenHash').populate('user');
+  if (!session || !session.isActive || !session.user) {
+    throw httpError('Session expired. Please log in again.', 401);
+  }
+
+  if (session.refreshTokenHash !== hashSecret(parsed.secret)) {
+    await revokeSession(session, 'token_reuse');
+    throw httpError('Session expired. Please log in again.', 401);
+  }
+
+  if (session.user.isBlocked) {
+    // Required here because utils/restrictions depends on this module
+    const { accountLock, lockMessage } = require('./restrictions');
+    await revokeSession(session, 'blocked');
+    throw httpError(lockMessage(accountLock(session.user)), 401);
+  }
+
+  // Sessions from before two-factor was required end here for admins
+  if (isTwoFactorRequired(session.user) && !session.user.twoFactor?.enabled) {
+    await revokeSession(session, 'user');
+    throw httpError('Two-factor authentication is required. Please log in again.', 401);
+  }
+
+  const user = session.user;
+  const nextToken = newRefreshToken(session);
+  session.lastUsedAt = new Date();
+  session.ip = clientIp(req);
+  session.rotationCount += 1;
+
+  // Conditional on the old hash so two concurrent refreshes can't both win
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hashSecret(parsed.secret), revokedAt: null },
+    {
+      refreshTokenHash: session.refreshTokenHash,
+      lastUsedAt: session.lastUsedAt,
+      ip: session.ip,
+      rotationCount: session.rotationCount
+    },
+    { new: true }
+  );
+  if (!rotated) throw httpError('Session expired. Please log in again.', 401);
+
+  return { user, ...tokenResponse(user, rotated, nextToken) };
+};
+
+// The session an access token belongs to, if it is still usable
+const findActiveSession = (sessionId, userId) => {
+  if (!sessionId) return null;
+  return Session.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Close the sockets opened with the given sessions
+const disconnectSessions = async (userId, sessionIds) => {
+  const io = global.io;
+  if (!io || !sessionIds.length) return;
+
+  const ids = new Set(sessionIds.map(String));
+  const sockets = await io.fetchSockets();
+  for (const socket of sockets) {
+    if (String(socket.data.userId) === String(userId) && ids.has(String(socket.data.sessionId))) {
+      socket.emit('session-revoked', { sessionId: socket.data.sessionId });
+      socket.disconnect(true);
+    }
+  }
+};
+
+const revokeSession = async (session, reason = 'user') => {
+  await Session.updateOne({ _id: session._id, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+  await disconnectSessions(session.user?._id || session.user, [session._id]);
+};
+
+// End every session of a user, optionally keeping the one making the request
+const revokeUserSessions = async (userId, { reason = 'user', except } = {}) => {
+  const filter = {
+    user: userId,
+    revokedAt: null,
+    ...(except && { _id: { $ne: except } })
+  };
+  const sessions = await Session.find(filter).select('_id');
+  if (!sessions.length) return 0;
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map(s => s._id) }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  await disconnectSessions(userId, sessions.map(s => s._id));
+  return sessions.length;
+};
+
+// Active sessions for the account screen, most recent first
+const listSessions = async (userId, currentSessionId) => {
+  const sessions = await Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  return sessions.map(session => ({
+    _id: session._id,
+    device: session.device,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: String(session._id) === String(currentSessionId)
+  }));
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  findActiveSession,
+  revokeSession,
+  revokeUserSessions,
+  listSessions
+};
@@ -0,0 +1,528 @@
+// utils/subscriptions.js
+const Subscription = require('../models/Subscription');
+const UserSubscription = require('../models/UserSubscription');
+const CreditActivity = require('../models/CreditActivity');
+const Transaction = require('../models/Transaction');
+const SystemSettings = require('../models/SystemSettings');
+const User = require('../models/User');
+const {
+  stripe,
+  createCustomer,
+  createPlanPrice,
+  createBillingSubscription,
+  updateBillingSubscription,
+  cancelBillingSubscription
+} = require('../config/stripe');
+const { postPlatformSale } = require('./ledger');
+const { emailReceipt } = require('./paymentDocuments');
+const { sendNotification } = require('../socket/notificationHandler');
+const { httpError } = require('./response');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses that still carry plan benefits (until endDate)
+const CURRENT_SUBSCRIPTION_STATUSES = ['active', 'past_due'];
+
+// Stripe subscription status -> ours
+const STRIPE_STATUS_MAP = {
+  active: 'active',
+  trialing: 'active',
+  past_due: 'past_due',
+  incomplete: 'pending',
+  incomplete_expired: 'expired',
+  unpaid: 'expired',
+  paused: 'expired',
+  canceled: 'cancelled'
+};
+
+const fromUnix = (seconds) => (seconds ? new Date(seconds * 1000) : undefined);
+
+// The provider's subscription that currently grants plan benefits, if any
+const findCurrentSubscription = (userId, { now = new Date() } = {}) => {
+  return UserSubscription.findOne({
+    user: userId,
+    status: { $in: CURRENT_SUBSCRIPTION_STATUSES },
+    endDate: { $gt: now }
+  })
+    .populate('subscription')
+    .sort({ createdAt: -1 });
+};
+
+// Mirror the current subscription onto User.subscription
+const syncUserSubscription = async (userId) => {
+  const current = await findCurrentSubscription(userId);
+
+  await User.findByIdAndUpdate(userId, {
+    subscription: current
+      ? { plan: current.subscription?.type, expiresAt: current.endDate, isActive: true }
+      : { plan: 'free', isActive: false }
+  });
+
+  return current;
+};
+
+// Subscription events go in the credit activity log alongside credit purchases
+const logSubscriptionActivity = (userSubscription, description, metadata = {}) => {
+  return CreditActivity.logActivity(
+    userSubscription.user,
+    0,
+    'subscription',
+    description,
+    userSubscription._id,
+    'UserSubscription',
+    { subscriptionId: userSubscription.subscription?._id || userSubscription.subscription, ...metadata }
+  );
+};
+
+const planName = (userSubscription) => {
+  const plan = userSubscription.subscription;
+  return plan?.name ? `${plan.name} subscription` : 'subscription';
+};
+
+const notify = (io, userSubscription, payload) => {
+  if (!io) return;
+  sendNotification(io, userSubscription.user, { ...payload, subscriptionId: userSubscription._id });
+};
+
+// Stripe price for a plan at its current price, created on first use
+const ensureStripePrice = async (plan) => {
+  const amount = plan.discountedPrice;
+  if (plan.stripePriceId && plan.stripePriceAmount === amount) return plan.stripePriceId;
+
+  const price = await createPlanPrice(plan, amount, plan.stripeProductId);
+  plan.stripeProductId = price.product;
+  plan.stripePriceId = price.id;
+  plan.stripePriceAmount = amount;
+  await plan.save();
+
+  return price.id;
+};
+
+const ensureStripeCustomer = async (user) => {
+  if (user.stripeCustomerId) return user.stripeCustomerId;
+
+  const customer = await createCustomer(user);
+  await User.findByIdAndUpdate(user._id, { stripeCustomerId: customer.id });
+  return customer.id;
+};
+
+// Start a recurring subscription. Returns the secret the app uses to pay the first invoice.
+const startSubscription = async (user, plan) => {
+  const customerId = await ensureStripeCustomer(user);
+  const priceId = await ensureStripePrice(plan);
+
+  // Drop checkouts the provider started earlier but never paid for
+  const abandoned = await UserSubscription.find({ user: user._id, status: 'pending', billingMode: 'recurring' });
+  for (const pending of abandoned) {
+    try {
+      await cancelBillingSubscription(pending.stripeSubscriptionId);
+    } catch (error) {
+      console.warn('Cancel abandoned subscription warning:', error.message);
+    }
+    pending.status = 'cancelled';
+    pending.endedAt = new Date();
+    await pending.save();
+  }
+
+  const userSubscription = new UserSubscription({
+    user: user._id,
+    subscription: plan._id,
+    email: user.email,
+    startDate: new Date(),
+    endDate: new Date(),
+    status: 'pending',
+    billingMode: 'recurring',
+    stripeCustomerId: customerId
+  });
+
+  const stripeSubscription = await createBillingSubscription(customerId, priceId, {
+    userId: user._id.toString(),
+    subscriptionId: plan._id.toString(),
+    userSubscriptionId: userSubscription._id.toString()
+  });
+
+  userSubscription.stripeSubscriptionId = stripeSubscription.id;
+  await userSubscription.save();
+
+  return {
+    userSubscription,
+    clientSecret: stripeSubscription.latest_invoice?.confirmation_secret?.client_secret
+  };
+};
+
+// Stop renewing; benefits last until the end of the paid period
+const cancelAtPeriodEnd = async (userSubscription) => {
+  if (userSubscription.cancelAtPeriodEnd) throw httpError('Your subscription is already set to end', 400);
+
+  if (userSubscription.billingMode === 'recurring') {
+    await updateBillingSubscription(userSubscription.stripeSubscriptionId, { cancel_at_period_end: true });
+  }
+
+  userSubscription.autoRenew = false;
+  userSubscription.cancelAtPeriodEnd = true;
+  userSubscription.cancelledAt = new Date();
+  await userSubscription.save();
+
+  await logSubscriptionActivity(userSubscription, `Cancelled ${planName(userSubscription)}; it ends on ${userSubscription.endDate.toDateString()}`);
+  return userSubscription;
+};
+
+// Undo a cancellation before the period ends
+const resumeSubscription = async (userSubscription) => {
+  if (!userSubscription.cancelAtPeriodEnd) throw httpError('Your subscription is not set to end', 400);
+  if (userSubscription.billingMode !== 'recurring') {
+    throw httpError('This subscription was paid once and does not renew. Purchase a plan when it ends.', 400);
+  }
+
+  await updateBillingSubscription(userSubscription.stripeSubscriptionId, { cancel_at_period_end: false });
+
+  userSubscription.autoRenew = true;
+  userSubscription.cancelAtPeriodEnd = false;
+  userSubscription.cancelledAt = undefined;
+  await userSubscription.save();
+
+  await logSubscriptionActivity(userSubscription, `Resumed ${planName(userSubscription)}`);
+  return userSubscription;
+};
+
+// Upgrades are charged the prorated difference straight away; downgrades
+// are credited against the next renewal.
+const changePlan = async (userSubscription, newPlan, { io } = {}) => {
+  if (userSubscription.billingMode !== 'recurring') {
+    throw httpError('This subscription was paid once and cannot be changed. Purchase the new plan when it ends.', 400);
+  }
+  if (userSubscription.status !== 'active') {
+    throw httpError('Settle the outstanding payment before changing plans', 400);
+  }
+
+  const currentPlan = userSubscription.subscription;
+  if (currentPlan._id.toString() === newPlan._id.toString()) {
+    throw httpError('You are already on this plan', 400);
+  }
+
+  const priceId = await ensureStripePrice(newPlan);
+  const upgrade = newPlan.discountedPrice > currentPlan.discountedPrice;
+
+  const stripeSubscription = await stripe.subscriptions.retrieve(userSubscription.stripeSubscriptionId);
+  const item = stripeSubscription.items.data[0];
+
+  const updated = await updateBillingSubscription(userSubscription.stripeSubscriptionId, {
+    items: [{ id: item.id, price: priceId }],
+    proration_behavior: upgrade ? 'always_invoice' : 'create_prorations',
+    // An upgrade only takes effect once the difference is paid
+    ...(upgrade && { payment_behavior: 'pending_if_incomplete' })
+  });
+
+  if (updated.pending_update) {
+    throw httpError('The upgrade payment could not be completed. Update your card and try again.', 402);
+  }
+
+  const result = await applyStripeSubscription(updated, { io });
+  return { userSubscription: result, upgrade };
+};
+
+// Bring our record in line with a Stripe subscription object (created, updated or deleted)
+const applyStripeSubscription = async (stripeSubscription, { io } = {}) => {
+  const userSubscription = await UserSubscription.findOne({ stripeSubscriptionId: stripeSubscription.id })
+    .populate('subscription');
+  if (!userSubscription) return null;
+
+  const item = stripeSubscription.items?.data?.[0];
+  const previousStatus = userSubscription.status;
+  const previousPlan = userSubscription.subscription;
+
+  // Plan changes show up as a different price
+  const planId = item?.price?.metadata?.subscriptionId;
+  const plan = planId && planId !== previousPlan?._id.toString()
+    ? await Subscription.findById(planId)
+    : null;
+  if (plan) userSubscription.subscription = plan;
+
+  const status = STRIPE_STATUS_MAP[stripeSubscription.status];
+
+  // A checkout only gets its billing period once the first invoice is paid
+  const periodEnd = fromUnix(item?.current_period_end || stripeSubscription.current_period_end);
+  if (periodEnd && status !== 'pending') userSubscription.endDate = periodEnd;
+
+  if (status && !(status === 'pending' && previousStatus !== 'pending')) {
+    userSubscription.status = status;
+  }
+  if (status === 'active') {
+    userSubscription.gracePeriodEndsAt = undefined;
+    userSubscription.failedPaymentAttempts = 0;
+    userSubscription.nextPaymentAttemptAt = undefined;
+    userSubscription.paymentUpdateUrl = undefined;
+  }
+  if (['expired', 'cancelled'].includes(userSubscription.status) && !userSubscription.endedAt) {
+    userSubscription.endedAt = fromUnix(stripeSubscription.ended_at) || new Date();
+  }
+
+  userSubscription.cancelAtPeriodEnd = Boolean(stripeSubscription.cancel_at_period_end);
+  userSubscription.autoRenew = !stripeSubscription.cancel_at_period_end && !userSubscription.endedAt;
+
+  await userSubscription.save();
+
+  if (plan) {
+    await logSubscriptionActivity(userSubscription, `Changed plan from ${previousPlan?.name || 'previous plan'} to ${plan.name}`, {
+      previousSubscriptionId: previousPlan?._id
+    });
+    notify(io, userSubscription, {
+      type: 'subscription_plan_changed',
+      title: 'Plan Changed',
+      message: `You are now on the ${plan.name} plan.`
+    });
+  }
+
+  if (userSubscription.endedAt && !['expired', 'cancelled'].includes(previousStatus)) {
+    await logSubscriptionActivity(userSubscription, `${planName(userSubscription)} ended`, { stripeStatus: stripeSubscription.status });
+    notify(io, userSubscription, {
+      type: 'subscription_cancelled',
+      title: 'Subscription Ended',
+      message: `Your ${planName(userSubscription)} has ended.`
+    });
+  }
+
+  await syncUserSubscription(userSubscription.user);
+  return userSubscription;
+};
+
+const invoiceSubscriptionId = (invoice) => {
+  const subscription = invoice.parent?.subscription_details?.subscription || invoice.subscription;
+  return typeof subscription === 'string' ? subscription : subscription?.id;
+};
+
+// Record a paid subscription invoice as a completed purchase (once per invoice).
+// The transaction is upserted on the invoice id, so of two deliveries of the
+// same webhook only the one that inserted it posts the sale and sends the receipt.
+// `alreadyRecorded` is set when the invoice was handled before.
+const recordInvoiceTransaction = async (invoice, userSubscription) => {
+  const amount = invoice.amount_paid / 100;
+  if (!amount) return { transaction: null, alreadyRecorded: false };
+
+  const paidAt = fromUnix(invoice.status_transitions?.paid_at) || new Date();
+  let result;
+  try {
+    result = await Transaction.findOneAndUpdate(
+      { 'metadata.stripeInvoiceId': invoice.id },
+      {
+        $setOnInsert: {
+          user: userSubscription.user,
+          amount,
+          platformCommission: 0, // No commission on subscriptions
+          providerAmount: amount,
+          currency: invoice.currency.toUpperCase(),
+          paymentMethod: 'card',
+          stripePaymentIntentId: invoice.payments?.data?.[0]?.payment?.payment_intent || invoice.payment_intent,
+          status: 'completed',
+          paidAt,
+          completedAt: paidAt,
+          'metadata.type': 'subscription',
+          'metadata.subscriptionId': userSubscription.subscription._id,
+          'metadata.subscriptionType': userSubscription.subscription.type,
+          'metadata.userSubscriptionId': userSubscription._id,
+          'metadata.billingReason': invoice.billing_reason
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true, includeResultMetadata: true }
+    );
+  } catch (error) {
+    // Lost the insert race to a concurrent delivery of the same invoice
+    if (error.code !== 11000) throw error;
+    const existing = await Transaction.findOne({ 'metadata.stripeInvoiceId': invoice.id });
+    return { transaction: existing, alreadyRecorded: true };
+  }
+
+  const transaction = result.value;
+  if (!result.lastErrorObject?.upserted) return { transaction, alreadyRecorded: true };
+
+  await postPlatformSale(transaction, 'subscription_payment');
+  emailReceipt(transaction);
+  return { transaction, alreadyRecorded: false };
+};
+
+// invoice.paid: first payment, renewal or upgrade proration
+const applyInvoicePaid = async (invoice, { io } = {}) => {
+  const userSubscription = await UserSubscription.findOne({ stripeSubscriptionId: invoiceSubscriptionId(invoice) })
+    .populate('subscription');
+  if (!userSubscription) return null;
+
+  const { transaction, alreadyRecorded } = await recordInvoiceTransaction(invoice, userSubscription);
+  // Redelivered webhook: the period, usage and notifications were already applied
+  if (alreadyRecorded) return null;
+  if (transaction) userSubscription.transaction = transaction._id;
+
+  const wasPastDue = userSubscription.status === 'past_due';
+  const period = invoice.lines?.data?.find(line => line.period)?.period;
+
+  switch (invoice.billing_reason) {
+    case 'subscription_create':
+      userSubscription.startDate = fromUnix(period?.start) || new Date();
+      userSubscription.usagePeriodStart = userSubscription.startDate;
+      if (period?.end) userSubscription.endDate = fromUnix(period.end);
+      userSubscription.status = 'active';
+      await userSubscription.save();
+      await logSubscriptionActivity(userSubscription, `Subscribed to ${planName(userSubscription)}`, { transactionId: transaction?._id });
+      notify(io, userSubscription, {
+        type: 'subscription_activated',
+        title: 'Subscription Activated',
+        message: `Your ${userSubscription.subscription.type} subscription has been activated!`
+      });
+      break;
+
+    case 'subscription_cycle':
+      if (period?.end) userSubscription.endDate = fromUnix(period.end);
+      userSubscription.status = 'active';
+      // New billing period, new quote allowance
+      userSubscription.quotesUsed = 0;
+      userSubscription.usagePeriodStart = fromUnix(period?.start) || new Date();
+      await userSubscription.save();
+      await logSubscriptionActivity(userSubscription, `Renewed ${planName(userSubscription)} until ${userSubscription.endDate.toDateString()}`, { transactionId: transaction?._id });
+      notify(io, userSubscription, {
+        type: 'subscription_renewed',
+        title: 'Subscription Renewed',
+        message: `Your ${planName(userSubscription)} has been renewed until ${userSubscription.endDate.toDateString()}.`
+      });
+      break;
+
+    default:
+      if (wasPastDue) userSubscription.status = 'active';
+      await userSubscription.save();
+      if (transaction) {
+        await logSubscriptionActivity(userSubscription, `Paid $${transaction.amount} for ${planName(userSubscription)}`, { transactionId: transaction._id });
+      }
+  }
+
+  if (wasPastDue) {
+    userSubscription.gracePeriodEndsAt = undefined;
+    userSubscription.failedPaymentAttempts = 0;
+    userSubscription.nextPaymentAttemptAt = undefined;
+    userSubscription.paymentUpdateUrl = undefined;
+    await userSubscription.save();
+  }
+
+  await syncUserSubscription(userSubscription.user);
+  return userSubscription;
+};
+
+// invoice.payment_failed: keep benefits through the grace period while Stripe retries
+const applyInvoicePaymentFailed = async (invoice, { io } = {}) => {
+  const userSubscription = await UserSubscription.findOne({ stripeSubscriptionId: invoiceSubscriptionId(invoice) })
+    .populate('subscription');
+  // The first payment is retried on the checkout screen, not here
+  if (!userSubscription || userSubscription.status === 'pending') return null;
+
+  if (!userSubscription.gracePeriodEndsAt) {
+    const settings = await SystemSettings.getSettings();
+    const graceDays = settings.platformSettings?.subscriptionGraceDays ?? 7;
+    userSubscription.gracePeriodEndsAt = new Date(Date.now() + graceDays * DAY_MS);
+  }
+
+  userSubscription.status = 'past_due';
+  userSubscription.failedPaymentAttempts = invoice.attempt_count || userSubscription.failedPaymentAttempts + 1;
+  userSubscription.nextPaymentAttemptAt = fromUnix(invoice.next_payment_attempt);
+  userSubscription.paymentUpdateUrl = invoice.hosted_invoice_url;
+  await userSubscription.save();
+
+  await logSubscriptionActivity(userSubscription, `Payment of $${invoice.amount_due / 100} for ${planName(userSubscription)} failed`, {
+    attempt: userSubscription.failedPaymentAttempts,
+    stripeInvoiceId: invoice.id
+  });
+
+  const retry = userSubscription.nextPaymentAttemptAt
+    ? ` We will try again on ${userSubscription.nextPaymentAttemptAt.toDateString()}.`
+    : '';
+  notify(io, userSubscription, {
+    type: 'subscription_payment_failed',
+    title: 'Subscription Payment Failed',
+    message: `We couldn't renew your ${planName(userSubscription)}.${retry} Update your card before ${userSubscription.gracePeriodEndsAt.toDateString()} to keep your plan.`,
+    paymentUpdateUrl: userSubscription.paymentUpdateUrl
+  });
+
+  await syncUserSubscription(userSubscription.user);
+  return userSubscription;
+};
+
+// invoice.upcoming: heads-up before a renewal charge
+const applyInvoiceUpcoming = async (invoice, { io } = {}) => {
+  const userSubscription = await UserSubscription.findOne({ stripeSubscriptionId: invoiceSubscriptionId(invoice) })
+    .populate('subscription');
+  if (!userSubscription || userSubscription.cancelAtPeriodEnd) return null;
+
+  notify(io, userSubscription, {
+    type: 'subscription_renewing',
+    title: 'Subscription Renewing Soon',
+    message: `Your ${planName(userSubscription)} renews on ${userSubscription.endDate.toDateString()} for $${invoice.amount_due / 100}.`
+  });
+
+  return userSubscription;
+};
+
+// End a subscription locally, notify the provider and update their profile
+const endSubscription = async (io, userSubscription, { status, title, message, now }) => {
+  const updated = await UserSubscription.findOneAndUpdate(
+    { _id: userSubscription._id, status: userSubscription.status },
+    { status, endedAt: now, autoRenew: false },
+    { new: true }
+  );
+  if (!updated) return false;
+
+  await logSubscriptionActivity(userSubscription, message);
+  notify(io, userSubscription, { type: 'subscription_expired', title, message });
+  await syncUserSubscription(userSubscription.user);
+  return true;
+};
+
+// Expire one-time subscriptions past their end date and recurring ones whose
+// grace period ran out without payment; run by the scheduler
+const expireSubscriptions = async (io, { now = new Date() } = {}) => {
+  const due = await UserSubscription.find({
+    $or: [
+      { status: 'active', billingMode: { $ne: 'recurring' }, endDate: { $lte: now } },
+      // Stripe renews recurring plans; these only lapse when a cancellation takes effect
+      { status: 'active', billingMode: 'recurring', cancelAtPeriodEnd: true, endDate: { $lte: now } },
+      { status: 'past_due', gracePeriodEndsAt: { $lte: now } }
+    ]
+  }).populate('subscription', 'name type');
+
+  const expired = [];
+  for (const userSubscription of due) {
+    const lapsed = userSubscription.status === 'past_due';
+
+    if (lapsed && userSubscription.stripeSubscriptionId) {
+      try {
+        await cancelBillingSubscription(userSubscription.stripeSubscriptionId);
+      } catch (error) {
+        console.error('Cancel lapsed subscription failed for', userSubscription._id, error.message);
+        expired.push({ id: userSubscription._id, error: error.message });
+        continue;
+      }
+    }
+
+    const ended = await endSubscription(io, userSubscription, {
+      status: 'expired',
+      now,
+      title: 'Subscription Expired',
+      message: lapsed
+        ? `Your ${planName(userSubscription)} has ended because the renewal payment could not be collected.`
+        : `Your ${planName(userSubscription)} has expired. Renew it to keep your plan benefits.`
+    });
+    if (ended) expired.push({ id: userSubscription._id });
+  }
+
+  return expired;
+};
+
+module.exports = {
+  CURRENT_SUBSCRIPTION_STATUSES,
+  findCurrentSubscription,
+  syncUserSubscription,
+  startSubscription,
+  cancelAtPeriodEnd,
+  resumeSubscription,
+  changePlan,
+  applyStripeSubscription,
+  applyInvoicePaid,
+  applyInvoicePaymentFailed,
+  applyInvoiceUpcoming,
+  expireSubscriptions
+};
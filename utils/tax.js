@@ -0,0 +1,126 @@
+// utils/tax.js
+const TaxRate = require('../models/TaxRate');
+const { roundMoney } = require('./currency');
+
+// Canadian sales tax by province/territory. Seeded into the TaxRate collection
+// the first time it is read; admins edit the collection from then on.
+const DEFAULT_TAX_RATES = [
+  { region: 'AB', regionName: 'Alberta', components: [{ type: 'GST', rate: 5 }] },
+  { region: 'BC', regionName: 'British Columbia', components: [{ type: 'GST', rate: 5 }, { type: 'PST', rate: 7 }] },
+  { region: 'MB', regionName: 'Manitoba', components: [{ type: 'GST', rate: 5 }, { type: 'PST', label: 'RST', rate: 7 }] },
+  { region: 'NB', regionName: 'New Brunswick', components: [{ type: 'HST', rate: 15 }] },
+  { region: 'NL', regionName: 'Newfoundland and Labrador', components: [{ type: 'HST', rate: 15 }] },
+  { region: 'NS', regionName: 'Nova Scotia', components: [{ type: 'HST', rate: 14 }] },
+  { region: 'NT', regionName: 'Northwest Territories', components: [{ type: 'GST', rate: 5 }] },
+  { region: 'NU', regionName: 'Nunavut', components: [{ type: 'GST', rate: 5 }] },
+  { region: 'ON', regionName: 'Ontario', components: [{ type: 'HST', rate: 13 }] },
+  { region: 'PE', regionName: 'Prince Edward Island', components: [{ type: 'HST', rate: 15 }] },
+  { region: 'QC', regionName: 'Quebec', components: [{ type: 'GST', rate: 5 }, { type: 'QST', rate: 9.975 }] },
+  { region: 'SK', regionName: 'Saskatchewan', components: [{ type: 'GST', rate: 5 }, { type: 'PST', rate: 6 }] },
+  { region: 'YT', regionName: 'Yukon', components: [{ type: 'GST', rate: 5 }] }
+];
+
+// Spellings people type into the address form, mapped to the region code
+const REGION_ALIASES = {
+  'PEI': 'PE',
+  'NEWFOUNDLAND': 'NL',
+  'LABRADOR': 'NL',
+  'QUÉBEC': 'QC',
+  'YUKON TERRITORY': 'YT',
+  'NWT': 'NT'
+};
+
+const CANADA_NAMES = ['CA', 'CAN', 'CANADA'];
+
+// Province/territory code for a job location, or undefined outside Canada
+const resolveRegion = (location) => {
+  const details = location?.details || location || {};
+  const country = details.country?.trim().toUpperCase();
+  if (country && !CANADA_NAMES.includes(country)) return undefined;
+
+  const state = details.state?.trim().toUpperCase().replace(/\./g, '');
+  if (!state) return undefined;
+
+  const byCode = DEFAULT_TAX_RATES.find(rate => rate.region === state);
+  if (byCode) return byCode.region;
+
+  const byName = DEFAULT_TAX_RATES.find(rate => rate.regionName.toUpperCase() === state);
+  if (byName) return byName.region;
+
+  return REGION_ALIASES[state];
+};
+
+// Current rate table, seeding the defaults on first use
+const getTaxRates = async () => {
+  const count = await TaxRate.countDocuments();
+  if (!count) {
+    try {
+      await TaxRate.insertMany(DEFAULT_TAX_RATES.map(rate => ({ ...rate, country: 'CA' })), { ordered: false });
+    } catch (error) {
+      // Another request seeded the table first
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return TaxRate.find().sort({ region: 1 });
+};
+
+// Tax owed on a pre-tax amount for a job location. Locations outside the
+// rate table are not taxed.
+const calculateTax = async (amount, location) => {
+  const region = resolveRegion(location);
+  const empty = { region, lines: [], total: 0 };
+  if (!region || !amount) return empty;
+
+  await getTaxRates();
+  const taxRate = await TaxRate.findOne({ country: 'CA', region, isActive: true });
+  if (!taxRate) return empty;
+
+  const lines = taxRate.components.map(component => ({
+    type: component.type,
+    label: component.label || component.type,
+    rate: component.rate,
+    amount: roundMoney(amount * component.rate / 100)
+  }));
+
+  return {
+    region,
+    regionName: taxRate.regionName,
+    lines,
+    total: roundMoney(lines.reduce((sum, line) => sum + line.amount, 0))
+  };
+};
+
+// Tax to give back for a refund of `refundAmount` (pre-tax). Each line is
+// refunded in proportion to the original charge; the final refund takes
+// whatever is left of each line so rounding never leaves cents behind.
+const calculateTaxRefund = (transaction, refundAmount, isFinalRefund) => {
+  const lines = transaction.tax?.lines || [];
+  if (!lines.length) return { lines: [], total: 0 };
+
+  const refundedByType = {};
+  (transaction.refunds || []).forEach(refund => {
+    (refund.taxLines || []).forEach(line => {
+      refundedByType[line.type] = (refundedByType[line.type] || 0) + line.amount;
+    });
+  });
+
+  const refundLines = lines.map(line => ({
+    type: line.type,
+    amount: isFinalRefund
+      ? roundMoney(line.amount - (refundedByType[line.type] || 0))
+      : roundMoney(line.amount * refundAmount / transaction.amount)
+  }));
+
+  return {
+    lines: refundLines,
+    total: roundMoney(refundLines.reduce((sum, line) => sum + line.amount, 0))
+  };
+};
+
+module.exports = {
+  DEFAULT_TAX_RATES,
+  resolveRegion,
+  getTaxRates,
+  calculateTax,
+  calculateTaxRefund
+};
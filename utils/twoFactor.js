@@ -0,0 +1,297 @@
+// utils/twoFactor.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Wallet = require('../models/Wallet');
+const { JWT_SECRET, TWO_FACTOR_ENCRYPTION_KEY, TWO_FACTOR_ISSUER } = require('../config/env');
+const { httpError } = require('./response');
+
+// RFC 6238 defaults, which every authenticator app understands
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next code too, for clock drift
+const DRIFT_STEPS = 1;
+
+const BACKUP_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+const CHALLENGE_EXPIRE = '10m';
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw httpError('Invalid two-factor secret', 500);
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+// Secrets are encrypted at rest (AES-256-GCM)
+const encryptionKey = () => crypto.createHash('sha256').update(TWO_FACTOR_ENCRYPTION_KEY || JWT_SECRET).digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return code.toString().padStart(DIGITS, '0');
+};
+
+// The time step a code matches, or null
+const matchTotp = (secret, code, now = Date.now()) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+  const current = Math.floor(now / 1000 / STEP_SECONDS);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+  return null;
+};
+
+const hashBackupCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+// Codes look like "a1b2-c3d4"; only hashes are kept
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(4).toString('hex');
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+// Admins must use two-factor; providers may once they have a wallet
+const isTwoFactorRequired = (user) => user.role === 'admin';
+
+const canUseTwoFactor = async (user) => {
+  if (isTwoFactorRequired(user)) return true;
+  if (user.role !== 'provider') return false;
+  return Boolean(await Wallet.exists({ user: user._id }));
+};
+
+// Short-lived token for the step between password and code. It has no
+// session, so `protect` never accepts it as an access token.
+const createChallenge = (user, { purpose = 'verify', rememberMe = false } = {}) => {
+  return jwt.sign(
+    { userId: user._id.toString(), purpose: `2fa_${purpose}`, rememberMe: Boolean(rememberMe) },
+    JWT_SECRET,
+    { expiresIn: CHALLENGE_EXPIRE }
+  );
+};
+
+const readChallenge = (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    throw httpError('Verification expired. Please log in again.', 401);
+  }
+  if (decoded.purpose !== `2fa_${purpose}`) throw httpError('Invalid verification token', 401);
+  return decoded;
+};
+
+const loadWithSecrets = (userId) => User.findById(userId).select(SECRET_FIELDS);
+
+const provisioningUri = (user, secret) => {
+  const issuer = TWO_FACTOR_ISSUER;
+  const label = encodeURIComponent(`${issuer}:${user.email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// Start enrolment: a new secret that only takes effect once a code is confirmed
+const beginSetup = async (user) => {
+  if (!(await canUseTwoFactor(user))) {
+    throw httpError('Two-factor authentication is available to admins and providers with a wallet', 403);
+  }
+
+  const account = await loadWithSecrets(user._id);
+  if (account.twoFactor?.enabled) throw httpError('Two-factor authentication is already enabled', 400);
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  account.set('twoFactor.pendingSecret', encryptSecret(secret));
+  await account.save();
+
+  return { secret, otpauthUrl: provisioningUri(account, secret) };
+};
+
+// Finish enrolment with a code from the app. Backup codes are returned once.
+const enableTwoFactor = async (user, code) => {
+  const account = await loadWithSecrets(user._id);
+  if (account.twoFactor?.enabled) throw httpError('Two-factor authentication is already enabled', 400);
+  if (!account.twoFactor?.pendingSecret) throw httpError('Start two-factor setup first', 400);
+
+  const secret = decryptSecret(account.twoFactor.pendingSecret);
+  const step = matchTotp(secret, code);
+  if (step === null) throw httpError('Invalid verification code', 400);
+
+  const { codes, hashes } = generateBackupCodes();
+  account.set('twoFactor', {
+    enabled: true,
+    secret: encryptSecret(secret),
+    pendingSecret: undefined,
+    backupCodes: hashes,
+    enabledAt: new Date(),
+    lastUsedStep: step,
+    failedAttempts: 0
+  });
+  await account.save();
+
+  return { backupCodes: codes };
+};
+
+// Use up a backup code. It is pulled only while still stored, so two logins
+// racing with the same code can't both get in.
+const consumeBackupCode = async (account, backupCode) => {
+  const hash = hashBackupCode(backupCode);
+  const { modifiedCount } = await User.updateOne(
+    { _id: account._id, 'twoFactor.backupCodes': hash },
+    { $pull: { 'twoFactor.backupCodes': hash } }
+  );
+  if (!modifiedCount) return false;
+
+  account.twoFactor.backupCodes = account.twoFactor.backupCodes.filter(stored => stored !== hash);
+  account.unmarkModified('twoFactor.backupCodes');
+  return true;
+};
+
+// Accept a code's time step only once, also when two requests send it together
+const claimTotpStep = async (account, step) => {
+  const { modifiedCount } = await User.updateOne(
+    { _id: account._id, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }] },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  if (!modifiedCount) return false;
+
+  account.twoFactor.lastUsedStep = step;
+  account.unmarkModified('twoFactor.lastUsedStep');
+  return true;
+};
+
+// Check a code (or a backup code) for an account with two-factor enabled.
+// Repeated failures lock verification for a while.
+const verifySecondFactor = async (userId, { code, backupCode }) => {
+  const account = await loadWithSecrets(userId);
+  if (!account?.twoFactor?.enabled) throw httpError('Two-factor authentication is not enabled', 400);
+
+  const now = new Date();
+  if (account.twoFactor.lockedUntil > now) {
+    throw httpError('Too many invalid codes. Please try again later.', 429);
+  }
+
+  let valid = false;
+  if (backupCode) {
+    valid = await consumeBackupCode(account, backupCode);
+  } else {
+    const step = matchTotp(decryptSecret(account.twoFactor.secret), code, now.getTime());
+    valid = step !== null && await claimTotpStep(account, step);
+  }
+
+  if (!valid) {
+    account.twoFactor.failedAttempts = (account.twoFactor.failedAttempts || 0) + 1;
+    if (account.twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+      account.twoFactor.failedAttempts = 0;
+      account.twoFactor.lockedUntil = new Date(now.getTime() + LOCK_MINUTES * 60 * 1000);
+    }
+    await account.save();
+    throw httpError('Invalid verification code', 401);
+  }
+
+  account.twoFactor.failedAttempts = 0;
+  account.twoFactor.lockedUntil = undefined;
+  await account.save();
+
+  return { account, backupCodesRemaining: account.twoFactor.backupCodes.length };
+};
+
+const disableTwoFactor = async (user, { password, code, backupCode }) => {
+  if (isTwoFactorRequired(user)) throw httpError('Two-factor authentication is required for admin accounts', 403);
+
+  const account = await User.findById(user._id).select('+password');
+  if (!password || !(await account.matchPassword(password))) throw httpError('Password is incorrect', 400);
+
+  await verifySecondFactor(user._id, { code, backupCode });
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'twoFactor.enabled': false }, $unset: { 'twoFactor.secret': 1, 'twoFactor.backupCodes': 1, 'twoFactor.lastUsedStep': 1, 'twoFactor.enabledAt': 1 } }
+  );
+};
+
+const regenerateBackupCodes = async (user, code) => {
+  const { account } = await verifySecondFactor(user._id, { code });
+
+  const { codes, hashes } = generateBackupCodes();
+  account.twoFactor.backupCodes = hashes;
+  await account.save();
+
+  return { backupCodes: codes };
+};
+
+const getTwoFactorStatus = async (user) => {
+  const account = await User.findById(user._id).select('twoFactor.enabled twoFactor.enabledAt +twoFactor.backupCodes');
+  return {
+    enabled: Boolean(account.twoFactor?.enabled),
+    enabledAt: account.twoFactor?.enabledAt || null,
+    required: isTwoFactorRequired(user),
+    available: await canUseTwoFactor(user),
+    backupCodesRemaining: account.twoFactor?.enabled ? account.twoFactor.backupCodes.length : 0
+  };
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  createChallenge,
+  readChallenge,
+  beginSetup,
+  enableTwoFactor,
+  verifySecondFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  getTwoFactorStatus
+};